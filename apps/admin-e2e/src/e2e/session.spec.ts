@@ -0,0 +1,108 @@
+// Ruta: apps/admin-e2e/src/e2e/session.spec.ts
+
+import { test, expect } from '@playwright/test';
+import { fakeJwt, nowSeconds, signIn, SESSION_COOKIE } from '../support/session';
+
+const EXPIRED_MESSAGE = 'Tu sesión ha expirado. Inicia sesión de nuevo.';
+const FORBIDDEN_MESSAGE = 'Tu cuenta no tiene acceso al panel de administración.';
+
+test.describe('Sesión del administrador', () => {
+
+  test('sin sesión, el dashboard redirige al login', async ({ page }) => {
+    await page.goto('/dashboard');
+
+    await expect(page).toHaveURL('/login');
+    await expect(page.getByRole('heading', { name: 'Bienvenido de Nuevo' })).toBeVisible();
+  });
+
+  test('con una sesión válida de ADMIN, el login redirige al dashboard', async ({ page, context, baseURL }) => {
+    await signIn(context, page, baseURL!);
+
+    await page.goto('/login');
+
+    await expect(page).toHaveURL('/dashboard');
+  });
+
+  test('un token expirado sin refresh lleva al login con aviso de expiración', async ({ page, context, baseURL }) => {
+    await context.addCookies([
+      { name: SESSION_COOKIE, value: fakeJwt({ role: 'SYSTEM_ADMIN', exp: nowSeconds() - 60 }), url: baseURL!, httpOnly: true },
+    ]);
+
+    await page.goto('/dashboard');
+
+    await expect(page).toHaveURL('/login?reason=expired');
+    await expect(page.getByRole('alert')).toHaveText(EXPIRED_MESSAGE);
+    // El middleware borra la cookie caducada
+    expect((await context.cookies()).find((cookie) => cookie.name === SESSION_COOKIE)).toBeUndefined();
+  });
+
+  test('un usuario sin rol ADMIN no puede entrar al dashboard', async ({ page, context, baseURL }) => {
+    await signIn(context, page, baseURL!, { role: 'CUSTOMER' });
+
+    await page.goto('/dashboard/stations');
+
+    await expect(page).toHaveURL('/login?reason=forbidden');
+    await expect(page.getByRole('alert')).toHaveText(FORBIDDEN_MESSAGE);
+  });
+
+  test('las llamadas a la API sin rol ADMIN reciben 403', async ({ page, context, baseURL }) => {
+    await signIn(context, page, baseURL!, { role: 'EMPLOYEE' });
+
+    const response = await page.request.get('/api/backend/stations');
+
+    expect(response.status()).toBe(403);
+    expect((await response.json()).code).toBe('FORBIDDEN_ROLE');
+  });
+
+  test('el login con una cuenta sin rol ADMIN muestra el error', async ({ page }) => {
+    await page.route('**/api/session', (route) => route.request().method() === 'POST'
+      ? route.fulfill({ status: 403, json: { message: 'This account has no access to the admin panel', code: 'FORBIDDEN_ROLE' } })
+      : route.continue());
+
+    await page.goto('/login');
+    await page.getByLabel('Correo Electrónico').fill('cliente@example.com');
+    await page.getByLabel('Contraseña').fill('password123');
+    await page.getByRole('button', { name: 'Iniciar Sesión' }).click();
+
+    await expect(page.getByRole('alert')).toHaveText(FORBIDDEN_MESSAGE);
+    await expect(page).toHaveURL('/login');
+  });
+
+  test('un 401 de cualquier llamada a la API cierra la sesión', async ({ page, context, baseURL }) => {
+    await signIn(context, page, baseURL!);
+    await page.route('**/api/backend/**', (route) =>
+      route.fulfill({ status: 401, json: { message: 'Token expired', code: 'TOKEN_EXPIRED' } }));
+
+    await page.goto('/dashboard');
+
+    await expect(page).toHaveURL('/login?reason=expired');
+    await expect(page.getByRole('alert')).toHaveText(EXPIRED_MESSAGE);
+    expect(await page.evaluate(() => JSON.parse(window.localStorage.getItem('auth-storage') || '{}').state?.isAuthenticated)).toBe(false);
+  });
+
+  test('la sesión se refresca en silencio antes de expirar', async ({ page, context, baseURL }) => {
+    // Expira en 65 s: con el margen de 60 s el refresco se lanza a los ~5 s
+    await signIn(context, page, baseURL!, { expiresIn: 65, refreshToken: 'refresh-e2e' });
+    await page.route('**/api/backend/**', (route) => route.fulfill({ json: {} }));
+    await page.route('**/api/session/refresh', (route) =>
+      route.fulfill({ json: { expiresAt: (nowSeconds() + 900) * 1000 } }));
+
+    await page.goto('/dashboard');
+    const refresh = await page.waitForRequest('**/api/session/refresh', { timeout: 15000 });
+
+    expect(refresh.method()).toBe('POST');
+    await expect(page).toHaveURL('/dashboard');
+  });
+
+  test('si el refresco es rechazado, la sesión se cierra', async ({ page, context, baseURL }) => {
+    await signIn(context, page, baseURL!, { expiresIn: 62 });
+    await page.route('**/api/backend/**', (route) => route.fulfill({ json: {} }));
+    await page.route('**/api/session/refresh', (route) =>
+      route.fulfill({ status: 401, json: { message: 'The session can no longer be refreshed', code: 'SESSION_EXPIRED' } }));
+
+    await page.goto('/dashboard');
+
+    await expect(page).toHaveURL('/login?reason=expired', { timeout: 15000 });
+  });
+
+});
@@ -0,0 +1,43 @@
+// Ruta: apps/admin-e2e/src/support/session.ts
+// Sesiones falsas para los tests: el admin acepta JWT sin firma válida solo si corre con ADMIN_E2E_UNSIGNED_SESSIONS=true
+// (ver webServerCommands en project.json) y sin ADMIN_JWT_SECRET.
+
+import type { BrowserContext, Page } from '@playwright/test';
+
+export const SESSION_COOKIE = 'admin-session';
+export const REFRESH_COOKIE = 'admin-refresh';
+
+const base64url = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+export const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/** JWT sin firma válida con los claims indicados */
+export function fakeJwt(claims: Record<string, unknown>): string {
+  return `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ sub: 'e2e-user', ...claims })}.firma`;
+}
+
+/**
+ * Deja en el navegador las cookies de sesión y el usuario que guarda el store,
+ * como si el login hubiera pasado por /api/session.
+ */
+export async function signIn(
+  context: BrowserContext,
+  page: Page,
+  baseURL: string,
+  { role = 'SYSTEM_ADMIN', expiresIn = 900, refreshToken }: { role?: string; expiresIn?: number; refreshToken?: string } = {},
+) {
+  const exp = nowSeconds() + expiresIn;
+  const cookies = [{ name: SESSION_COOKIE, value: fakeJwt({ role, exp }), url: baseURL, httpOnly: true }];
+  if (refreshToken) {
+    cookies.push({ name: REFRESH_COOKIE, value: refreshToken, url: baseURL, httpOnly: true });
+  }
+  await context.addCookies(cookies);
+
+  const state = {
+    state: { user: { id: 'e2e-user', name: 'Admin E2E', email: 'admin@e2e.test' }, expiresAt: exp * 1000, isAuthenticated: true },
+    version: 0,
+  };
+  await page.addInitScript((value) => {
+    window.localStorage.setItem('auth-storage', value);
+  }, JSON.stringify(state));
+}
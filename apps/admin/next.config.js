@@ -1,6 +1,10 @@
 /** @Type {import('next').NextConfig} */
 const nextConfig = {
-  // Dejamos esto vacío por ahora. No necesita configuración extra para compilar.
+  // El SDK compartido se publica como TypeScript sin compilar
+  transpilePackages: ['@gasolinera-jsm/api-sdk', '@gasolinera-jsm/shared'],
+  experimental: {
+    externalDir: true,
+  },
 };
 
-module.exports = nextConfig;
\ No newline at end of file
+module.exports = nextConfig;
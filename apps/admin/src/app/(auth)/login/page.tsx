@@ -1,20 +1,27 @@
 // Ruta: apps/admin/src/app/(auth)/login/page.tsx
 "use client";
 
-import { useState } from 'react';
-import { useRouter } from 'next/navigation';
+import { Suspense, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { useAuthStore } from '@/store/authStore';
-import apiClient from '@/lib/api/client';
+import { api, isApiError } from '@/lib/apiClient';
+import { startSession } from '@/lib/session-client';
 
+// Mensajes para los motivos con los que el middleware o un 401 nos traen aquí
+const REASON_MESSAGES: Record<string, string> = {
+  expired: 'Tu sesión ha expirado. Inicia sesión de nuevo.',
+  forbidden: 'Tu cuenta no tiene acceso al panel de administración.',
+};
 
-export default function AuthenticationPage() {
+
+function AuthenticationForm() {
   const router = useRouter();
-  const loginAction = useAuthStore((state) => state.login);
+  const reason = useSearchParams().get('reason');
+  const [loginError, setLoginError] = useState<string | null>(null);
 
   const [isLoading, setIsLoading] = useState(false);
   
@@ -27,25 +34,19 @@ export default function AuthenticationPage() {
 
   const handleLogin = async () => {
     setIsLoading(true);
+    setLoginError(null);
     try {
-      // Llamada real a la API a través de nuestro cliente centralizado
-      const response = await apiClient.post('/auth/login', {
-        email: loginEmail,
-        password: loginPassword,
-      });
-
-      // El backend debería devolver algo como: { user: {...}, accessToken: "..." }
-      const { user, accessToken } = response.data;
-
-      // Guardar sesión en el store de Zustand
-      loginAction(user, accessToken);
+      // El route handler guarda los tokens en cookies httpOnly y nos devuelve solo el usuario
+      await startSession(loginEmail, loginPassword);
 
       // Redirigir al dashboard
       router.push('/dashboard');
 
     } catch (error) {
       console.error("Error en el inicio de sesión:", error);
-      alert('Credenciales incorrectas o error en el servidor.');
+      setLoginError(isApiError(error) && error.status === 403
+        ? REASON_MESSAGES.forbidden
+        : 'Credenciales incorrectas o error en el servidor.');
     } finally {
       setIsLoading(false);
     }
@@ -55,11 +56,7 @@ export default function AuthenticationPage() {
     setIsLoading(true);
     try {
         // Llamada real a la API para registrar
-        await apiClient.post('/auth/register', {
-            name: registerName,
-            email: registerEmail,
-            password: registerPassword
-        });
+        await api.auth.register(registerName, registerEmail, registerPassword);
 
         alert('¡Registro exitoso! Por favor, inicia sesión.');
         // Opcional: Iniciar sesión automáticamente después del registro
@@ -87,6 +84,11 @@ export default function AuthenticationPage() {
               <CardDescription>Ingresa tus credenciales para acceder a tu cuenta.</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
+              {(loginError || (reason && REASON_MESSAGES[reason])) && (
+                <p role="alert" className="text-sm text-red-600">
+                  {loginError || REASON_MESSAGES[reason as string]}
+                </p>
+              )}
               <div className="space-y-2">
                 <Label htmlFor="login-email">Correo Electrónico</Label>
                 <Input id="login-email" type="email" placeholder="tu@correo.com" value={loginEmail} onChange={(e) => setLoginEmail(e.target.value)} disabled={isLoading} />
@@ -136,3 +138,12 @@ export default function AuthenticationPage() {
     </div>
   );
 }
+
+// useSearchParams necesita un límite de Suspense para que la página pueda prerenderizarse
+export default function AuthenticationPage() {
+  return (
+    <Suspense>
+      <AuthenticationForm />
+    </Suspense>
+  );
+}
@@ -0,0 +1,58 @@
+// Forwards the admin's API calls to the gateway with the access token of the session cookie,
+// which the browser cannot read. The middleware has already checked the session.
+// Changes also carry the admin from the session in X-Actor-* headers, for the audit trail.
+
+import { NextRequest, NextResponse } from "next/server";
+import { SESSION_COOKIE, decodeJwt, sessionUser } from "@/lib/session";
+import { BACKEND_URL } from "@/lib/session-server";
+
+// Request headers passed on to the gateway
+const FORWARDED_HEADERS = ['accept', 'content-type', 'accept-language', 'idempotency-key'];
+
+async function forward(request: NextRequest, { params }: { params: { path: string[] } }) {
+  const url = `${BACKEND_URL.replace(/\/+$/, '')}/${params.path.map(encodeURIComponent).join('/')}${request.nextUrl.search}`;
+
+  const headers = new Headers();
+  FORWARDED_HEADERS.forEach((name) => {
+    const value = request.headers.get(name);
+    if (value) headers.set(name, value);
+  });
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+  const claims = token ? decodeJwt(token) : null;
+  if (hasBody && claims) {
+    const actor = sessionUser(claims);
+    headers.set('X-Actor-Id', actor.id);
+    if (actor.email) headers.set('X-Actor-Email', actor.email);
+  }
+  let upstream: Response;
+  try {
+    upstream = await fetch(url, {
+      method: request.method,
+      headers,
+      body: hasBody ? await request.text() : undefined,
+      cache: 'no-store',
+    });
+  } catch (e) {
+    return NextResponse.json({ message: 'The API gateway cannot be reached', code: 'BAD_GATEWAY' }, { status: 502 });
+  }
+
+  const responseHeaders = new Headers();
+  ['content-type', 'retry-after', 'cache-control'].forEach((name) => {
+    const value = upstream.headers.get(name);
+    if (value) responseHeaders.set(name, value);
+  });
+  // Streamed as it arrives, so server-sent events reach the browser
+  const body = upstream.status === 204 ? null : upstream.body;
+  return new NextResponse(body, { status: upstream.status, headers: responseHeaders });
+}
+
+export const GET = forward;
+export const POST = forward;
+export const PUT = forward;
+export const PATCH = forward;
+export const DELETE = forward;
@@ -0,0 +1,21 @@
+// Silent refresh: trades the refresh cookie for a new access token before the current one expires.
+
+import { NextRequest, NextResponse } from "next/server";
+import { REFRESH_COOKIE, decodeJwt, expiresAt, hasAdminRole } from "@/lib/session";
+import { clearSessionCookies, refreshTokens, setSessionCookies } from "@/lib/session-server";
+
+export async function POST(request: NextRequest) {
+  const refreshToken = request.cookies.get(REFRESH_COOKIE)?.value;
+  const tokens = refreshToken ? await refreshTokens(refreshToken) : null;
+  const claims = tokens ? decodeJwt(tokens.accessToken) : null;
+
+  if (!tokens || !claims || !hasAdminRole(claims)) {
+    const response = NextResponse.json({ message: 'The session can no longer be refreshed', code: 'SESSION_EXPIRED' }, { status: 401 });
+    clearSessionCookies(response);
+    return response;
+  }
+
+  const response = NextResponse.json({ expiresAt: expiresAt(claims) });
+  setSessionCookies(response, tokens);
+  return response;
+}
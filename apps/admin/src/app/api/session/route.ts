@@ -0,0 +1,64 @@
+// Session of the admin panel, kept in httpOnly cookies.
+//   GET    current user and token expiry
+//   POST   login with { email, password }
+//   DELETE logout, also revoking the tokens in the backend
+
+import { NextRequest, NextResponse } from "next/server";
+import { isApiError } from "@gasolinera-jsm/api-sdk";
+import type { User } from "@/store/authStore";
+import { SESSION_COOKIE, checkSession, decodeJwt, expiresAt, hasAdminRole, sessionUser } from "@/lib/session";
+import { SESSION_CHECK, backendApi, clearSessionCookies, setSessionCookies } from "@/lib/session-server";
+
+export async function GET(request: NextRequest) {
+  // Same checks as the middleware: the user data comes from a verified token only
+  const session = await checkSession(request.cookies.get(SESSION_COOKIE)?.value, SESSION_CHECK);
+  switch (session.status) {
+    case 'valid':
+      return NextResponse.json({ user: sessionUser(session.claims), expiresAt: expiresAt(session.claims) });
+    case 'forbidden':
+      return NextResponse.json({ message: 'Admin role required', code: 'FORBIDDEN_ROLE' }, { status: 403 });
+    case 'invalid':
+      return NextResponse.json({ message: 'Invalid session', code: 'SESSION_INVALID' }, { status: 401 });
+    default:
+      return NextResponse.json({ message: 'No active session', code: 'SESSION_EXPIRED' }, { status: 401 });
+  }
+}
+
+export async function POST(request: NextRequest) {
+  const { email, password } = await request.json().catch(() => ({}));
+  if (!email || !password) {
+    return NextResponse.json({ message: 'Email and password are required', code: 'VALIDATION_ERROR' }, { status: 400 });
+  }
+
+  try {
+    const session = await backendApi().auth.login<User>(email, password);
+    const claims = decodeJwt(session.accessToken);
+    if (!claims) {
+      return NextResponse.json({ message: 'The backend returned an unreadable token', code: 'INVALID_TOKEN' }, { status: 502 });
+    }
+    if (!hasAdminRole(claims)) {
+      return NextResponse.json({ message: 'This account has no access to the admin panel', code: 'FORBIDDEN_ROLE' }, { status: 403 });
+    }
+
+    const response = NextResponse.json({ user: session.user || sessionUser(claims), expiresAt: expiresAt(claims) });
+    setSessionCookies(response, session);
+    return response;
+  } catch (e) {
+    if (isApiError(e)) {
+      return NextResponse.json({ message: e.message, code: e.code }, { status: e.status || 502 });
+    }
+    throw e;
+  }
+}
+
+export async function DELETE(request: NextRequest) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  if (token) {
+    // Best effort: the cookies are cleared even when the backend cannot be reached
+    await backendApi(token).auth.logout().catch(() => undefined);
+  }
+
+  const response = new NextResponse(null, { status: 204 });
+  clearSessionCookies(response);
+  return response;
+}
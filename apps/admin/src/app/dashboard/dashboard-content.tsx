@@ -1,100 +1,268 @@
-
 "use client";
 
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { Spinner } from "@/components/ui/spinner";
-import { DollarSign, Package, Users } from "lucide-react";
-import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
-import { getTodaySummary } from "@/lib/apiClient";
-import { toast } from 'react-toastify';
+import { DollarSign, Package, RefreshCw, Users } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { AnalyticsSummary, StationSummary, SummaryMetric, getAnalyticsSummary, getStationSummaries } from "@/lib/apiClient";
+import { DateRange, customRange, percentChange, previousRange, toDayInput } from "@gasolinera-jsm/shared";
+import { RANGE_PRESET_LABELS, RangePreset, bucketFor, rangeForPreset } from "@/lib/date-range";
+import { LiveQueryState, useLiveQuery } from "@/lib/use-live-query";
+import { TrendChart } from "./trend-chart";
+
+// The gateway announces new figures on this stream; without it the dashboard polls
+const ANALYTICS_STREAM_URL = '/api/backend/analytics/stream';
+
+const METRICS: { key: SummaryMetric; title: string; icon: typeof DollarSign; format: (value: number) => string }[] = [
+  { key: 'totalRevenue', title: 'Ingresos por Publicidad', icon: DollarSign, format: (value) => `$${value.toFixed(2)}` },
+  { key: 'pointsRedeemed', title: 'Puntos G Canjeados', icon: Package, format: (value) => value.toLocaleString() },
+  { key: 'adImpressions', title: 'Impresiones de Anuncios', icon: Users, format: (value) => value.toLocaleString() },
+];
 
+type Comparison = { current: AnalyticsSummary; previous: AnalyticsSummary };
 
-interface SummaryData {
-  totalRevenue: number;
-  pointsRedeemed: number;
-  adImpressions: number;
+function queryFor(range: DateRange, stationId?: string) {
+  return { from: range.from.toISOString(), to: range.to.toISOString(), bucket: bucketFor(range), stationId };
 }
 
-export default function DashboardContent() {
-  const [summary, setSummary] = useState<SummaryData | null>(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState<string | null>(null);
+function pointLabel(date: string, bucket: AnalyticsSummary['bucket']): string {
+  const value = new Date(date);
+  return bucket === 'hour'
+    ? `${String(value.getHours()).padStart(2, '0')}:00`
+    : `${String(value.getDate()).padStart(2, '0')}/${String(value.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function LiveStatus({ query }: { query: LiveQueryState<unknown> }) {
+  const { isStale, error, updatedAt, mode, nextRetryAt, isLoading, refresh } = query;
+  const updated = updatedAt ? new Date(updatedAt).toLocaleTimeString() : null;
+  const retryIn = nextRetryAt ? Math.max(0, Math.round((nextRetryAt - Date.now()) / 1000)) : null;
+
+  return (
+    <div
+      role="status"
+      className={`flex items-center gap-2 rounded px-3 py-1 text-xs ${isStale ? "bg-amber-100 text-amber-900" : "text-muted-foreground"}`}
+    >
+      {isStale ? (
+        <span>
+          {error ? "Sin conexión con la API" : "Datos sin actualizar"}
+          {updated && `: datos de las ${updated}`}
+          {error && retryIn !== null && `, reintento en ${retryIn} s`}
+        </span>
+      ) : (
+        <span>
+          {mode === 'sse' ? "En vivo" : "Actualización automática"}
+          {updated && ` · actualizado a las ${updated}`}
+        </span>
+      )}
+      <Button size="sm" variant="ghost" className="h-6 px-2" onClick={refresh} disabled={isLoading} aria-label="Actualizar">
+        <RefreshCw className={`h-3 w-3 ${isLoading ? "animate-spin" : ""}`} />
+      </Button>
+    </div>
+  );
+}
+
+function Delta({ current, previous }: { current: number; previous: number }) {
+  const change = percentChange(current, previous);
+  if (change === null) return <span>sin datos del período anterior</span>;
+  const color = change > 0 ? "text-green-600" : change < 0 ? "text-red-600" : "";
+  return (
+    <span>
+      <span className={color}>{change > 0 ? "+" : ""}{change.toFixed(1)}%</span> frente al período anterior
+    </span>
+  );
+}
+
+/**
+ * Today as YYYY-MM-DD, updated after midnight so a dashboard left open on "Hoy"
+ * moves on to the new day instead of querying yesterday.
+ */
+function useToday(): string {
+  const [today, setToday] = useState(() => toDayInput(new Date()));
 
   useEffect(() => {
-    const fetchSummary = async () => {
-      try {
-        setIsLoading(true);
-        const data = await getTodaySummary();
-        setSummary(data);
-      } catch (err: any) {
-        setError(err.message);
-        toast.error(`Error loading dashboard summary: ${err.message}`);
-      } finally {
-        setIsLoading(false);
-      }
+    const check = () => setToday(toDayInput(new Date()));
+    const now = new Date();
+    const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const timer = setTimeout(check, nextMidnight.getTime() - now.getTime() + 1000);
+    // Timers fire late after the computer sleeps: check again when the tab is shown
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', onVisible);
     };
-    fetchSummary();
-  }, []);
+  }, [today]);
 
-  if (isLoading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <Spinner />
-      </div>
-    );
-  }
-
-  if (error) {
-    return (
-      <div className="flex flex-col items-center justify-center h-64 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
-        <strong className="font-bold">Error!</strong>
-        <span className="block sm:inline">{error}</span>
-      </div>
-    );
-  }
+  return today;
+}
+
+export default function DashboardContent() {
+  const [preset, setPreset] = useState<RangePreset>('today');
+  const [customFrom, setCustomFrom] = useState(() => toDayInput(rangeForPreset('7d').from));
+  const [customTo, setCustomTo] = useState(() => toDayInput(new Date()));
+  const [station, setStation] = useState<{ id: string; name: string } | null>(null);
+  const today = useToday();
+
+  const range = useMemo(
+    () => (preset === 'custom' ? customRange(customFrom, customTo) : rangeForPreset(preset, new Date(`${today}T00:00`))),
+    [preset, customFrom, customTo, today],
+  );
+  const rangeKey = range ? `${range.from.toISOString()}|${range.to.toISOString()}` : 'invalid';
+
+  const summaryQuery = useLiveQuery<Comparison | null>(
+    `${rangeKey}|${station?.id ?? 'all'}`,
+    async () => {
+      if (!range) return null;
+      const [current, previous] = await Promise.all([
+        getAnalyticsSummary(queryFor(range, station?.id)),
+        getAnalyticsSummary(queryFor(previousRange(range), station?.id)),
+      ]);
+      return { current, previous };
+    },
+    { streamUrl: ANALYTICS_STREAM_URL },
+  );
+
+  const stationsQuery = useLiveQuery<StationSummary[]>(
+    rangeKey,
+    async () => (range ? getStationSummaries({ from: range.from.toISOString(), to: range.to.toISOString() }) : []),
+    { streamUrl: ANALYTICS_STREAM_URL },
+  );
+
+  const comparison = summaryQuery.data;
+  const stations = useMemo(
+    () => [...(stationsQuery.data || [])].sort((a, b) => b.totalRevenue - a.totalRevenue),
+    [stationsQuery.data],
+  );
 
   return (
-    <div className="grid gap-4 md:grid-cols-2 md:gap-8 lg:grid-cols-3">
-      <Card>
-        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-          <CardTitle className="text-sm font-medium">
-            Ingresos por Publicidad (Hoy)
-          </CardTitle>
-          <DollarSign className="h-4 w-4 text-muted-foreground" />
-        </CardHeader>
-        <CardContent>
-          <div className="text-2xl font-bold">${summary?.totalRevenue.toFixed(2)}</div>
-          <p className="text-xs text-muted-foreground">
-            Datos en tiempo real
-          </p>
-        </CardContent>
-      </Card>
-      <Card>
-        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-          <CardTitle className="text-sm font-medium">
-            Puntos G Canjeados (Hoy)
-          </CardTitle>
-          <Package className="h-4 w-4 text-muted-foreground" />
-        </CardHeader>
-        <CardContent>
-          <div className="text-2xl font-bold">+{summary?.pointsRedeemed.toLocaleString()}</div>
-          <p className="text-xs text-muted-foreground">
-            Datos en tiempo real
-          </p>
-        </CardContent>
-      </Card>
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="range-preset" className="sr-only">Rango de fechas</label>
+        <select
+          id="range-preset"
+          value={preset}
+          onChange={(e) => setPreset(e.target.value as RangePreset)}
+          className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+        >
+          {(Object.keys(RANGE_PRESET_LABELS) as RangePreset[]).map((value) => (
+            <option key={value} value={value}>{RANGE_PRESET_LABELS[value]}</option>
+          ))}
+        </select>
+        {preset === 'custom' && (
+          <>
+            <Input type="date" aria-label="Desde" value={customFrom} onChange={(e) => setCustomFrom(e.target.value)} className="w-auto" />
+            <Input type="date" aria-label="Hasta" value={customTo} onChange={(e) => setCustomTo(e.target.value)} className="w-auto" />
+            {!range && <span className="text-sm text-red-500">La fecha final debe ser posterior a la inicial.</span>}
+          </>
+        )}
+        {station && (
+          <span className="flex items-center gap-1 rounded bg-muted px-2 py-1 text-sm">
+            Estación: <span className="font-medium">{station.name}</span>
+            <Button size="sm" variant="ghost" className="h-6 px-2" onClick={() => setStation(null)}>Todas</Button>
+          </span>
+        )}
+        <div className="ml-auto">
+          <LiveStatus query={summaryQuery} />
+        </div>
+      </div>
+
+      {!comparison && summaryQuery.isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <Spinner />
+        </div>
+      ) : !comparison && summaryQuery.error ? (
+        <div className="flex flex-col items-center justify-center h-64 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+          <strong className="font-bold">Error!</strong>
+          <span className="block sm:inline">{summaryQuery.error}</span>
+        </div>
+      ) : comparison && (
+        <>
+          <div className={`grid gap-4 md:grid-cols-2 md:gap-8 lg:grid-cols-3 ${summaryQuery.isStale ? "opacity-70" : ""}`}>
+            {METRICS.map(({ key, title, icon: Icon, format }) => (
+              <Card key={key}>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">{title}</CardTitle>
+                  <Icon className="h-4 w-4 text-muted-foreground" />
+                </CardHeader>
+                <CardContent>
+                  <div className="text-2xl font-bold">{format(comparison.current.totals[key])}</div>
+                  <p className="text-xs text-muted-foreground">
+                    <Delta current={comparison.current.totals[key]} previous={comparison.previous.totals[key]} />
+                  </p>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          <div className={`grid gap-4 lg:grid-cols-3 ${summaryQuery.isStale ? "opacity-70" : ""}`}>
+            {METRICS.map(({ key, title, format }) => (
+              <Card key={key}>
+                <CardHeader className="pb-2">
+                  <CardTitle className="text-sm font-medium">{title}</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <TrendChart
+                    title={title}
+                    labels={comparison.current.series.map((point) => pointLabel(point.date, comparison.current.bucket))}
+                    current={comparison.current.series.map((point) => point[key])}
+                    previous={comparison.previous.series.map((point) => point[key])}
+                    format={format}
+                  />
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        </>
+      )}
+
       <Card>
-        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-          <CardTitle className="text-sm font-medium">Impresiones de Anuncios (Hoy)</CardTitle>
-          <Users className="h-4 w-4 text-muted-foreground" />
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle>Por Estación</CardTitle>
+              <CardDescription>Selecciona una estación para ver sus cifras y tendencias.</CardDescription>
+            </div>
+            {stationsQuery.isStale && <LiveStatus query={stationsQuery} />}
+          </div>
         </CardHeader>
         <CardContent>
-          <div className="text-2xl font-bold">+{summary?.adImpressions.toLocaleString()}</div>
-          <p className="text-xs text-muted-foreground">
-            Datos en tiempo real
-          </p>
+          {stationsQuery.data === null && stationsQuery.error ? (
+            <p className="text-red-500">Error: {stationsQuery.error}</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Estación</TableHead>
+                  {METRICS.map(({ key, title }) => <TableHead key={key} className="text-right">{title}</TableHead>)}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {stations.length > 0 ? stations.map((item) => (
+                  <TableRow
+                    key={item.stationId}
+                    onClick={() => setStation({ id: item.stationId, name: item.stationName })}
+                    className={`cursor-pointer ${station?.id === item.stationId ? "bg-muted" : ""}`}
+                  >
+                    <TableCell className="font-medium">{item.stationName}</TableCell>
+                    {METRICS.map(({ key, format }) => <TableCell key={key} className="text-right">{format(item[key])}</TableCell>)}
+                  </TableRow>
+                )) : (
+                  <TableRow>
+                    <TableCell colSpan={4} className="text-center">
+                      {stationsQuery.isLoading ? "Cargando estaciones..." : "Sin actividad en el rango seleccionado."}
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          )}
         </CardContent>
       </Card>
-      </div>
+    </div>
   );
 }
@@ -0,0 +1,202 @@
+"use client";
+
+import { FormEvent, useEffect, useMemo, useState } from "react";
+import Link from "next/link";
+import { useParams } from "next/navigation";
+import { DrawReproduction, MerkleVerification, merkleRoot, reproduceDraw, verifyMerkleProof } from "@gasolinera-jsm/shared";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { getRaffle, getRaffleEntries, getRaffleProof, Raffle } from "@/lib/apiClient";
+
+function CheckResult({ ok, okText, failText }: { ok: boolean; okText: string; failText: string }) {
+  return (
+    <p className={`rounded px-3 py-2 text-sm font-medium ${ok ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"}`}>
+      {ok ? `✓ ${okText}` : `✗ ${failText}`}
+    </p>
+  );
+}
+
+function HashRow({ label, value }: { label: string; value?: string | number | null }) {
+  return (
+    <div className="grid grid-cols-[180px_1fr] gap-2 text-sm">
+      <span className="text-muted-foreground">{label}</span>
+      <span className="font-mono text-xs break-all">{value ?? "—"}</span>
+    </div>
+  );
+}
+
+/**
+ * Auditoría de un sorteo: recalcula en el navegador el Merkle root a partir de las
+ * participaciones, repite el sorteo con la semilla externa y comprueba pruebas de inclusión.
+ */
+export default function RaffleAuditPage() {
+  const params = useParams<{ id: string }>();
+  const raffleId = Number(params.id);
+  const [raffle, setRaffle] = useState<Raffle | null>(null);
+  const [entryIds, setEntryIds] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const [entryId, setEntryId] = useState("");
+  const [proofCheck, setProofCheck] = useState<{ entryId: string; verification: MerkleVerification } | null>(null);
+  const [proofError, setProofError] = useState<string | null>(null);
+  const [isCheckingProof, setIsCheckingProof] = useState(false);
+
+  useEffect(() => {
+    const fetchAudit = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const [raffleData, entries] = await Promise.all([getRaffle(raffleId), getRaffleEntries(raffleId)]);
+        setRaffle(raffleData);
+        setEntryIds(entries);
+      } catch (err: any) {
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchAudit();
+  }, [raffleId]);
+
+  const computedRoot = useMemo(() => (entryIds.length > 0 ? merkleRoot(entryIds) : null), [entryIds]);
+
+  const draw: DrawReproduction | null = useMemo(() => {
+    if (!raffle?.externalSeed || entryIds.length === 0) return null;
+    return reproduceDraw({
+      merkleRoot: raffle.merkleRoot,
+      externalSeed: raffle.externalSeed,
+      entryIds,
+      winnerEntryId: raffle.winnerEntryId,
+    });
+  }, [raffle, entryIds]);
+
+  const handleCheckProof = async (e: FormEvent) => {
+    e.preventDefault();
+    if (!raffle || !entryId.trim()) return;
+    try {
+      setIsCheckingProof(true);
+      setProofError(null);
+      setProofCheck(null);
+      const { proof } = await getRaffleProof(raffle.id, entryId.trim());
+      // Se compara con el root publicado del sorteo, no con el que devuelva la prueba
+      setProofCheck({ entryId: entryId.trim(), verification: verifyMerkleProof({ root: raffle.merkleRoot, entryId: entryId.trim(), proof }) });
+    } catch (err: any) {
+      setProofError(err.message);
+    } finally {
+      setIsCheckingProof(false);
+    }
+  };
+
+  if (isLoading) return <p>Cargando auditoría...</p>;
+  if (error || !raffle) return <p className="text-red-500">Error: {error || "Sorteo no encontrado"}</p>;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold">Auditoría del Sorteo {raffle.period}</h1>
+        <Button variant="outline" asChild>
+          <Link href="/dashboard/raffles">Volver a sorteos</Link>
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Merkle Root</CardTitle>
+          <CardDescription>
+            Se recalcula a partir de las {entryIds.length} participaciones publicadas, en el orden en que se cerró el período.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <HashRow label="Publicado" value={raffle.merkleRoot} />
+          <HashRow label="Calculado" value={computedRoot} />
+          {computedRoot ? (
+            <CheckResult
+              ok={computedRoot === raffle.merkleRoot.toLowerCase()}
+              okText="Las participaciones corresponden al root publicado."
+              failText="Las participaciones no producen el root publicado."
+            />
+          ) : (
+            <p className="text-sm text-muted-foreground">El sorteo no tiene participaciones.</p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Sorteo</CardTitle>
+          <CardDescription>
+            Ganador = participaciones[sha256(root, semilla externa) mod {entryIds.length || "n"}]
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          <HashRow label="Semilla externa" value={raffle.externalSeed} />
+          {draw ? (
+            <>
+              <HashRow label="Hash del sorteo" value={draw.drawHash} />
+              <HashRow label="Índice ganador" value={draw.winnerIndex} />
+              <HashRow label="Ganador reproducido" value={draw.winnerEntryId} />
+              <HashRow label="Ganador publicado" value={raffle.winnerEntryId} />
+              {draw.winnerMatches === null ? (
+                <p className="text-sm text-muted-foreground">El sorteo aún no tiene ganador publicado.</p>
+              ) : (
+                <CheckResult
+                  ok={draw.winnerMatches}
+                  okText="El ganador reproducido coincide con el publicado."
+                  failText="El ganador reproducido no coincide con el publicado."
+                />
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              {raffle.externalSeed ? "No hay participaciones para repetir el sorteo." : "El sorteo aún no se ha ejecutado."}
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Prueba de Inclusión</CardTitle>
+          <CardDescription>Comprueba la prueba que el servicio entrega a un participante para una participación.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <form onSubmit={handleCheckProof} className="flex items-end gap-2">
+            <div className="grid flex-1 gap-1">
+              <Label htmlFor="entry-id">ID de participación</Label>
+              <Input id="entry-id" value={entryId} onChange={(e) => setEntryId(e.target.value)} />
+            </div>
+            <Button type="submit" disabled={isCheckingProof || !entryId.trim()}>
+              {isCheckingProof ? "Verificando..." : "Verificar"}
+            </Button>
+          </form>
+          {proofError && <p role="alert" className="text-red-500 text-sm">{proofError}</p>}
+          {proofCheck && (
+            <div className="space-y-2">
+              <HashRow label="Hoja" value={proofCheck.verification.leaf} />
+              {proofCheck.verification.steps.map((step, index) => (
+                <div key={index} className="space-y-1 border-l-2 pl-3">
+                  <HashRow label={`Hermano ${index + 1}`} value={step.sibling} />
+                  <HashRow label="Resultado" value={step.result} />
+                </div>
+              ))}
+              <HashRow label="Root calculado" value={proofCheck.verification.computedRoot} />
+              <CheckResult
+                ok={proofCheck.verification.valid}
+                okText={`La participación ${proofCheck.entryId} está incluida en el sorteo.`}
+                failText={`La prueba de ${proofCheck.entryId} no lleva al root publicado.`}
+              />
+              {proofCheck.verification.valid !== entryIds.includes(proofCheck.entryId) && (
+                <p className="text-sm text-amber-700">
+                  Atención: la prueba no concuerda con la lista de participaciones publicada.
+                </p>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ActionConfirmation, RafflePeriodPreview, RaffleType, closeRafflePeriod, previewRafflePeriod } from "@/lib/apiClient";
+import { PERIOD_EXAMPLES, RAFFLE_TYPES, RAFFLE_TYPE_LABELS, isValidPeriod, periodOf } from "@/lib/raffle-periods";
+import { ConfirmAction } from "./confirm-action";
+
+interface ClosePeriodProps {
+  isOpen: boolean;
+  /** Period to start from, e.g. the one of a raffle row */
+  initialPeriod?: string;
+  initialType?: RaffleType;
+  onClose: () => void;
+  onClosed: (period: string) => void;
+}
+
+/**
+ * Closing a period in two steps: pick the period and preview how many entries it
+ * would commit to the Merkle tree, then confirm.
+ */
+export function ClosePeriod({ isOpen, initialPeriod, initialType = 'MONTHLY', onClose, onClosed }: ClosePeriodProps) {
+  const [type, setType] = useState<RaffleType>(initialType);
+  const [period, setPeriod] = useState(initialPeriod || periodOf(initialType));
+  const [preview, setPreview] = useState<RafflePeriodPreview | null>(null);
+  const [previewError, setPreviewError] = useState<string | null>(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setType(initialType);
+      setPeriod(initialPeriod || periodOf(initialType));
+      setPreview(null);
+      setPreviewError(null);
+    }
+  }, [isOpen, initialPeriod, initialType]);
+
+  const periodIsValid = isValidPeriod(type, period);
+
+  const handlePreview = async () => {
+    try {
+      setIsPreviewing(true);
+      setPreviewError(null);
+      setPreview(await previewRafflePeriod(period));
+    } catch (err: any) {
+      setPreview(null);
+      setPreviewError(err.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleConfirm = async (confirmation: ActionConfirmation) => {
+    await closeRafflePeriod(period, confirmation);
+    onClosed(period);
+  };
+
+  return (
+    <>
+      <Dialog open={isOpen && !isConfirming} onOpenChange={onClose}>
+        <DialogContent className="sm:max-w-[480px]">
+          <DialogHeader>
+            <DialogTitle>Cerrar Período</DialogTitle>
+            <DialogDescription>
+              Al cerrar un período se construye el Merkle Tree con sus participaciones y ya no se aceptan más.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="grid gap-4 py-2">
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="close-type" className="text-right">Tipo</Label>
+              <select
+                id="close-type"
+                value={type}
+                onChange={(e) => {
+                  const value = e.target.value as RaffleType;
+                  setType(value);
+                  setPeriod(periodOf(value));
+                  setPreview(null);
+                }}
+                className="col-span-3 h-10 rounded-md border border-input bg-background px-3 text-sm"
+              >
+                {RAFFLE_TYPES.map((value) => <option key={value} value={value}>{RAFFLE_TYPE_LABELS[value]}</option>)}
+              </select>
+            </div>
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="close-period" className="text-right">Período</Label>
+              <Input
+                id="close-period"
+                value={period}
+                placeholder={PERIOD_EXAMPLES[type]}
+                onChange={(e) => {
+                  setPeriod(e.target.value.trim());
+                  setPreview(null);
+                }}
+                className="col-span-2"
+              />
+              <Button type="button" variant="outline" onClick={handlePreview} disabled={!periodIsValid || isPreviewing}>
+                {isPreviewing ? "..." : "Vista previa"}
+              </Button>
+              {!periodIsValid && period && (
+                <p className="col-span-4 text-red-500 text-sm text-right">Formato esperado: {PERIOD_EXAMPLES[type]}</p>
+              )}
+            </div>
+            {previewError && <p role="alert" className="text-red-500 text-sm">{previewError}</p>}
+            {preview && (
+              <div className="rounded-md border p-3 text-sm">
+                <p><span className="font-medium">{preview.entryCount}</span> participaciones</p>
+                <p><span className="font-medium">{preview.participantCount}</span> participantes</p>
+                {preview.entryCount === 0 && (
+                  <p className="mt-1 text-amber-700">El período no tiene participaciones: el sorteo no podrá ejecutarse.</p>
+                )}
+              </div>
+            )}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" type="button" onClick={onClose}>Cancelar</Button>
+            <Button type="button" onClick={() => setIsConfirming(true)} disabled={!preview || preview.period !== period}>
+              Continuar
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <ConfirmAction
+        isOpen={isOpen && isConfirming}
+        title={`Cerrar el período ${period}`}
+        description="Se publicará el Merkle Root del período."
+        confirmText={period}
+        actionLabel="Cerrar Período"
+        onClose={() => {
+          setIsConfirming(false);
+          onClose();
+        }}
+        onConfirm={handleConfirm}
+      >
+        {preview && (
+          <p className="text-sm">
+            Se incluirán {preview.entryCount} participaciones de {preview.participantCount} participantes.
+          </p>
+        )}
+      </ConfirmAction>
+    </>
+  );
+}
@@ -0,0 +1,108 @@
+"use client";
+
+import { ReactNode, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { ActionConfirmation } from "@/lib/apiClient";
+import { useAuthStore } from "@/store/authStore";
+
+interface ConfirmActionProps {
+  isOpen: boolean;
+  title: string;
+  description: string;
+  /** Summary of what is about to happen */
+  children?: ReactNode;
+  /** Text the admin has to type to enable the action, e.g. the period */
+  confirmText: string;
+  actionLabel: string;
+  onClose: () => void;
+  /** Performs the action; the dialog stays open with the error if it throws */
+  onConfirm: (confirmation: ActionConfirmation) => Promise<void>;
+}
+
+/**
+ * Confirmation step of the irreversible raffle actions. Shows who is acting, asks
+ * them to type `confirmText` and sends an ActionConfirmation with the action.
+ */
+export function ConfirmAction({ isOpen, title, description, children, confirmText, actionLabel, onClose, onConfirm }: ConfirmActionProps) {
+  const user = useAuthStore((state) => state.user);
+  const [typed, setTyped] = useState("");
+  const [reason, setReason] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setTyped("");
+      setReason("");
+      setError(null);
+    }
+  }, [isOpen]);
+
+  const handleClose = () => {
+    if (!isSubmitting) onClose();
+  };
+
+  const handleConfirm = async () => {
+    if (!user) return;
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      await onConfirm({
+        performedBy: { id: user.id, email: user.email, name: user.name },
+        reason: reason.trim() || undefined,
+        confirmedAt: new Date().toISOString(),
+      });
+      onClose();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleClose}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>{description} Esta acción no se puede deshacer.</DialogDescription>
+        </DialogHeader>
+
+        {children}
+
+        <p className="text-sm">
+          Realizado por:{" "}
+          {user ? <span className="font-medium">{user.name || user.email} ({user.email})</span> : <span className="text-red-500">sesión sin usuario</span>}
+        </p>
+
+        <div className="grid gap-2">
+          <Label htmlFor="confirm-reason">Motivo (opcional)</Label>
+          <Input id="confirm-reason" value={reason} onChange={(e) => setReason(e.target.value)} disabled={isSubmitting} />
+        </div>
+        <div className="grid gap-2">
+          <Label htmlFor="confirm-text">
+            Escribe <span className="font-mono font-semibold">{confirmText}</span> para confirmar
+          </Label>
+          <Input id="confirm-text" value={typed} onChange={(e) => setTyped(e.target.value)} disabled={isSubmitting} autoComplete="off" />
+        </div>
+
+        {error && <p role="alert" className="text-red-500 text-sm">{error}</p>}
+
+        <DialogFooter>
+          <Button variant="outline" type="button" onClick={handleClose} disabled={isSubmitting}>Cancelar</Button>
+          <Button
+            type="button"
+            variant="destructive"
+            onClick={handleConfirm}
+            disabled={!user || typed.trim() !== confirmText || isSubmitting}
+          >
+            {isSubmitting ? "Procesando..." : actionLabel}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
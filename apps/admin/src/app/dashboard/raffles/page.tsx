@@ -1,19 +1,43 @@
-
 "use client";
 
 import { useState, useEffect } from "react";
+import Link from "next/link";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
-import { getRaffles, closeRafflePeriod, executeRaffleDraw, Raffle } from "@/lib/apiClient";
+import {
+  getRaffles,
+  getRaffleActions,
+  createRaffle,
+  executeRaffleDraw,
+  ActionConfirmation,
+  Raffle,
+  RaffleActionRecord,
+  RaffleInput,
+  RaffleType,
+} from "@/lib/apiClient";
+import { RAFFLE_TYPE_LABELS, periodTypeOf } from "@/lib/raffle-periods";
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import { ClosePeriod } from "./close-period";
+import { ConfirmAction } from "./confirm-action";
+import { RaffleDetails } from "./raffle-details";
+import { RaffleForm } from "./raffle-form";
+import { RaffleHistory } from "./raffle-history";
 
 export default function RafflesPage() {
   const [raffles, setRaffles] = useState<Raffle[]>([]);
+  const [actions, setActions] = useState<RaffleActionRecord[]>([]);
+  const [actionsError, setActionsError] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [newRaffle, setNewRaffle] = useState<RaffleInput | null>(null);
+  const [closeTarget, setCloseTarget] = useState<{ period?: string; type?: RaffleType } | null>(null);
+  const [drawTarget, setDrawTarget] = useState<Raffle | null>(null);
+  const [detailsRaffle, setDetailsRaffle] = useState<Raffle | null>(null);
+
   const fetchRaffles = async () => {
     try {
       setIsLoading(true);
@@ -28,52 +52,43 @@ export default function RafflesPage() {
     }
   };
 
-  useEffect(() => {
+  const fetchActions = async () => {
+    try {
+      setActionsError(null);
+      setActions(await getRaffleActions());
+    } catch (err: any) {
+      setActionsError(err.message);
+    }
+  };
+
+  const refresh = () => {
     fetchRaffles();
+    fetchActions();
+  };
+
+  useEffect(() => {
+    refresh();
   }, []);
 
-  const handleClosePeriod = async (period: string) => {
-    if (confirm(`¿Estás seguro de que quieres cerrar el período ${period} y construir el Merkle Tree?`)) {
-      try {
-        setIsLoading(true);
-        await closeRafflePeriod(period);
-        toast.success(`Period ${period} closed successfully!`);
-        fetchRaffles(); // Re-fetch after closing
-      } catch (err: any) {
-        setError(err.message);
-        toast.error(`Error closing period: ${err.message}`);
-      } finally {
-        setIsLoading(false);
-      }
-    }
+  const handleCreate = async (confirmation: ActionConfirmation) => {
+    const created = await createRaffle(newRaffle!, confirmation);
+    toast.success(`Raffle ${created?.period ?? newRaffle!.period} created successfully!`);
+    refresh();
   };
 
-  const handleExecuteDraw = async (raffleId: number) => {
-    if (confirm(`¿Estás seguro de que quieres ejecutar el sorteo para el ID ${raffleId}? Esto es irreversible.`)) {
-      try {
-        setIsLoading(true);
-        await executeRaffleDraw(raffleId);
-        toast.success(`Raffle ${raffleId} drawn successfully!`);
-        fetchRaffles(); // Re-fetch after draw
-      } catch (err: any) {
-        setError(err.message);
-        toast.error(`Error executing draw: ${err.message}`);
-      } finally {
-        setIsLoading(false);
-      }
-    }
+  const handleExecuteDraw = async (confirmation: ActionConfirmation) => {
+    await executeRaffleDraw(drawTarget!.id, confirmation);
+    toast.success(`Raffle ${drawTarget!.id} drawn successfully!`);
+    refresh();
   };
 
-  // Helper to get current period (e.g., YYYY-MM)
-  const getCurrentPeriod = () => {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    return `${year}-${month}`;
+  const handlePeriodClosed = (period: string) => {
+    toast.success(`Period ${period} closed successfully!`);
+    refresh();
   };
 
   return (
-    <div>
+    <div className="space-y-4">
       <h1 className="text-2xl font-bold mb-4">Gestión de Sorteos</h1>
       <Card>
         <CardHeader>
@@ -82,9 +97,14 @@ export default function RafflesPage() {
               <CardTitle>Sorteos Activos y Pasados</CardTitle>
               <CardDescription>Aquí podrás gestionar los sorteos de Puntos G.</CardDescription>
             </div>
-            <Button onClick={() => handleClosePeriod(getCurrentPeriod())} disabled={isLoading}>
-              Cerrar Período Actual ({getCurrentPeriod()})
-            </Button>
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => setCloseTarget({})} disabled={isLoading}>
+                Cerrar Período
+              </Button>
+              <Button onClick={() => setIsFormOpen(true)} disabled={isLoading}>
+                Nuevo Sorteo
+              </Button>
+            </div>
           </div>
         </CardHeader>
         <CardContent>
@@ -97,7 +117,10 @@ export default function RafflesPage() {
               <TableHeader>
                 <TableRow>
                   <TableHead>ID</TableHead>
+                  <TableHead>Tipo</TableHead>
                   <TableHead>Período</TableHead>
+                  <TableHead>Premio</TableHead>
+                  <TableHead>Sorteo programado</TableHead>
                   <TableHead>Estado</TableHead>
                   <TableHead>Merkle Root</TableHead>
                   <TableHead>Ganador</TableHead>
@@ -105,27 +128,48 @@ export default function RafflesPage() {
                 </TableRow>
               </TableHeader>
               <TableBody>
-                {raffles.length > 0 ? raffles.map((raffle) => (
-                  <TableRow key={raffle.id}>
-                    <TableCell>{raffle.id}</TableCell>
-                    <TableCell>{raffle.period}</TableCell>
-                    <TableCell>{raffle.status}</TableCell>
-                    <TableCell className="font-mono text-xs">{raffle.merkleRoot.substring(0, 10)}...</TableCell>
-                    <TableCell>{raffle.winnerEntryId || 'N/A'}</TableCell>
-                    <TableCell>
-                      {raffle.status === 'CLOSED' && (
-                        <Button size="sm" onClick={() => handleExecuteDraw(raffle.id!)} disabled={isLoading}>
-                          Ejecutar Sorteo
+                {raffles.length > 0 ? raffles.map((raffle) => {
+                  const type = raffle.type ?? periodTypeOf(raffle.period);
+                  return (
+                    <TableRow key={raffle.id}>
+                      <TableCell>{raffle.id}</TableCell>
+                      <TableCell>{type ? RAFFLE_TYPE_LABELS[type] : '—'}</TableCell>
+                      <TableCell>{raffle.period}</TableCell>
+                      <TableCell>
+                        {raffle.prizeDescription || '—'}
+                        {raffle.prizeValue !== undefined && (
+                          <span className="block text-xs text-muted-foreground">₡{raffle.prizeValue.toLocaleString()}</span>
+                        )}
+                      </TableCell>
+                      <TableCell>{raffle.scheduledDrawAt ? new Date(raffle.scheduledDrawAt).toLocaleString() : '—'}</TableCell>
+                      <TableCell>{raffle.status}</TableCell>
+                      <TableCell className="font-mono text-xs">{raffle.merkleRoot ? `${raffle.merkleRoot.substring(0, 10)}...` : '—'}</TableCell>
+                      <TableCell>{raffle.winnerEntryId || 'N/A'}</TableCell>
+                      <TableCell className="space-x-2 whitespace-nowrap">
+                        {raffle.status === 'OPEN' && (
+                          <Button size="sm" variant="outline" onClick={() => setCloseTarget({ period: raffle.period, type: type ?? undefined })}>
+                            Cerrar
+                          </Button>
+                        )}
+                        {raffle.status === 'CLOSED' && (
+                          <Button size="sm" onClick={() => setDrawTarget(raffle)}>
+                            Ejecutar Sorteo
+                          </Button>
+                        )}
+                        <Button size="sm" variant="outline" onClick={() => setDetailsRaffle(raffle)}>
+                          {raffle.status === 'DRAWN' ? 'Ver Ganador' : 'Detalles'}
                         </Button>
-                      )}
-                      {raffle.status === 'DRAWN' && (
-                        <span className="text-green-600">Sorteo Realizado</span>
-                      )}
-                    </TableCell>
-                  </TableRow>
-                )) : (
+                        {raffle.status !== 'OPEN' && (
+                          <Button size="sm" variant="outline" asChild>
+                            <Link href={`/dashboard/raffles/${raffle.id}`}>Auditar</Link>
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  );
+                }) : (
                   <TableRow>
-                    <TableCell colSpan={6} className="text-center">No hay sorteos creados.</TableCell>
+                    <TableCell colSpan={9} className="text-center">No hay sorteos creados.</TableCell>
                   </TableRow>
                 )}
               </TableBody>
@@ -133,6 +177,56 @@ export default function RafflesPage() {
           )}
         </CardContent>
       </Card>
+
+      <RaffleHistory actions={actions} error={actionsError} />
+
+      <RaffleForm
+        isOpen={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        onSubmit={(raffle) => {
+          setIsFormOpen(false);
+          setNewRaffle(raffle);
+        }}
+      />
+      <ConfirmAction
+        isOpen={newRaffle !== null}
+        title={`Crear el sorteo ${newRaffle?.period ?? ''}`}
+        description="El sorteo quedará abierto para recibir participaciones."
+        confirmText={newRaffle?.period ?? ''}
+        actionLabel="Crear Sorteo"
+        onClose={() => setNewRaffle(null)}
+        onConfirm={handleCreate}
+      >
+        {newRaffle && (
+          <div className="text-sm">
+            <p>{RAFFLE_TYPE_LABELS[newRaffle.type]} · {newRaffle.prizeDescription} (₡{newRaffle.prizeValue.toLocaleString()})</p>
+            <p>Sorteo programado: {new Date(newRaffle.scheduledDrawAt).toLocaleString()}</p>
+          </div>
+        )}
+      </ConfirmAction>
+      <ClosePeriod
+        isOpen={closeTarget !== null}
+        initialPeriod={closeTarget?.period}
+        initialType={closeTarget?.type}
+        onClose={() => setCloseTarget(null)}
+        onClosed={handlePeriodClosed}
+      />
+      <ConfirmAction
+        isOpen={drawTarget !== null}
+        title={`Ejecutar el sorteo ${drawTarget?.period ?? ''}`}
+        description="Se obtendrá la semilla externa y se elegirá al ganador."
+        confirmText={drawTarget?.period ?? ''}
+        actionLabel="Ejecutar Sorteo"
+        onClose={() => setDrawTarget(null)}
+        onConfirm={handleExecuteDraw}
+      >
+        {drawTarget && (
+          <p className="text-sm">
+            Merkle Root: <span className="font-mono text-xs">{drawTarget.merkleRoot}</span>
+          </p>
+        )}
+      </ConfirmAction>
+      <RaffleDetails raffle={detailsRaffle} onClose={() => setDetailsRaffle(null)} />
       <ToastContainer position="bottom-right" />
     </div>
   );
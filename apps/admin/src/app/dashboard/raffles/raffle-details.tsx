@@ -0,0 +1,96 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Raffle, RaffleActionRecord, RaffleWinner, getRaffleActions, getRaffleWinner } from "@/lib/apiClient";
+import { ACTION_LABELS } from "./raffle-history";
+
+interface RaffleDetailsProps {
+  raffle: Raffle | null;
+  onClose: () => void;
+}
+
+function Detail({ label, value }: { label: string; value?: string | number | null }) {
+  return (
+    <div className="grid grid-cols-[140px_1fr] gap-2 text-sm">
+      <span className="text-muted-foreground">{label}</span>
+      <span className="break-all">{value ?? "—"}</span>
+    </div>
+  );
+}
+
+/** Winner of a drawn raffle and the actions performed on it */
+export function RaffleDetails({ raffle, onClose }: RaffleDetailsProps) {
+  const [winner, setWinner] = useState<RaffleWinner | null>(null);
+  const [actions, setActions] = useState<RaffleActionRecord[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!raffle) return;
+    const fetchDetails = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        setWinner(null);
+        const [winnerData, actionData] = await Promise.all([
+          raffle.status === 'DRAWN' ? getRaffleWinner(raffle.id) : Promise.resolve(null),
+          getRaffleActions(raffle.id),
+        ]);
+        setWinner(winnerData);
+        setActions(actionData);
+      } catch (err: any) {
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchDetails();
+  }, [raffle]);
+
+  return (
+    <Dialog open={raffle !== null} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px]">
+        <DialogHeader>
+          <DialogTitle>Sorteo {raffle?.period}</DialogTitle>
+          <DialogDescription>{raffle?.prizeDescription || "Detalles del sorteo"}</DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <p>Cargando detalles...</p>
+        ) : error ? (
+          <p className="text-red-500">Error: {error}</p>
+        ) : (
+          <div className="space-y-4">
+            {winner ? (
+              <div className="space-y-1">
+                <h3 className="font-semibold">Ganador</h3>
+                <Detail label="Usuario" value={winner.userId} />
+                <Detail label="Participación" value={winner.winningPointId} />
+                <Detail label="Premio" value={winner.prize} />
+                <Detail label="Fecha del sorteo" value={raffle?.drawAt && new Date(raffle.drawAt).toLocaleString()} />
+                <Detail label="Semilla externa" value={raffle?.externalSeed} />
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground">El sorteo aún no tiene ganador.</p>
+            )}
+
+            <div className="space-y-1">
+              <h3 className="font-semibold">Historial</h3>
+              {actions.length === 0 ? (
+                <p className="text-sm text-muted-foreground">Sin acciones registradas.</p>
+              ) : actions.map((action, index) => (
+                <div key={index} className="text-sm">
+                  <span className="font-medium">{ACTION_LABELS[action.action]}</span>{" "}
+                  por {action.performedBy.name || action.performedBy.email} ({action.performedBy.email}) el{" "}
+                  {new Date(action.performedAt).toLocaleString()}
+                  {action.reason && <span className="text-muted-foreground"> — {action.reason}</span>}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
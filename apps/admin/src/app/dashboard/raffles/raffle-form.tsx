@@ -0,0 +1,114 @@
+"use client";
+
+import { useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { z } from "zod";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { RaffleInput, RaffleType } from "@/lib/apiClient";
+import { PERIOD_EXAMPLES, RAFFLE_TYPES, RAFFLE_TYPE_LABELS, isValidPeriod, periodOf } from "@/lib/raffle-periods";
+
+const RaffleSchema = z.object({
+  type: z.enum(['WEEKLY', 'MONTHLY', 'ANNUAL']),
+  period: z.string().trim().min(1, "Period cannot be empty"),
+  prizeDescription: z.string().trim().min(1, "Prize description cannot be empty"),
+  prizeValue: z.number({ invalid_type_error: "Prize value must be a number" }).positive("Prize value must be greater than 0"),
+  drawDate: z.string().min(1, "Draw date is required"),
+  drawTime: z.string().min(1, "Draw time is required"),
+}).refine((value) => isValidPeriod(value.type, value.period), {
+  message: "Period does not match the raffle type",
+  path: ["period"],
+}).refine((value) => new Date(`${value.drawDate}T${value.drawTime}`).getTime() > Date.now(), {
+  message: "The draw must be scheduled in the future",
+  path: ["drawDate"],
+});
+
+type RaffleFormValues = z.infer<typeof RaffleSchema>;
+
+interface RaffleFormProps {
+  isOpen: boolean;
+  onClose: () => void;
+  /** Receives the validated raffle; creating it goes through the confirmation step */
+  onSubmit: (raffle: RaffleInput) => void;
+}
+
+export function RaffleForm({ isOpen, onClose, onSubmit }: RaffleFormProps) {
+  const { register, handleSubmit, reset, watch, setValue, formState: { errors } } = useForm<RaffleFormValues>({
+    resolver: zodResolver(RaffleSchema),
+    defaultValues: {
+      type: 'MONTHLY',
+      period: periodOf('MONTHLY'),
+      prizeDescription: "",
+      drawTime: "20:00",
+    },
+  });
+
+  useEffect(() => {
+    if (isOpen) reset();
+  }, [isOpen, reset]);
+
+  const type = watch("type");
+
+  const submit = (data: RaffleFormValues) => {
+    onSubmit({
+      type: data.type,
+      period: data.period,
+      prizeDescription: data.prizeDescription,
+      prizeValue: data.prizeValue,
+      scheduledDrawAt: new Date(`${data.drawDate}T${data.drawTime}`).toISOString(),
+    });
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[480px]">
+        <DialogHeader>
+          <DialogTitle>Nuevo Sorteo</DialogTitle>
+          <DialogDescription>Define el período, el premio y la fecha del sorteo.</DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit(submit)} className="grid gap-4 py-4">
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label htmlFor="type" className="text-right">Tipo</Label>
+            <select
+              id="type"
+              {...register("type", { onChange: (e) => setValue("period", periodOf(e.target.value as RaffleType)) })}
+              className="col-span-3 h-10 rounded-md border border-input bg-background px-3 text-sm"
+            >
+              {RAFFLE_TYPES.map((value) => <option key={value} value={value}>{RAFFLE_TYPE_LABELS[value]}</option>)}
+            </select>
+          </div>
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label htmlFor="period" className="text-right">Período</Label>
+            <Input id="period" placeholder={PERIOD_EXAMPLES[type]} {...register("period")} className="col-span-3" />
+            {errors.period && <p className="col-span-4 text-red-500 text-sm text-right">{errors.period.message}</p>}
+          </div>
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label htmlFor="prizeDescription" className="text-right">Premio</Label>
+            <Input id="prizeDescription" {...register("prizeDescription")} className="col-span-3" />
+            {errors.prizeDescription && <p className="col-span-4 text-red-500 text-sm text-right">{errors.prizeDescription.message}</p>}
+          </div>
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label htmlFor="prizeValue" className="text-right">Valor (₡)</Label>
+            <Input id="prizeValue" type="number" step="1" {...register("prizeValue", { valueAsNumber: true })} className="col-span-3" />
+            {errors.prizeValue && <p className="col-span-4 text-red-500 text-sm text-right">{errors.prizeValue.message}</p>}
+          </div>
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label htmlFor="drawDate" className="text-right">Sorteo</Label>
+            <Input id="drawDate" type="date" {...register("drawDate")} className="col-span-2" />
+            <Input id="drawTime" type="time" aria-label="Hora del sorteo" {...register("drawTime")} />
+            {(errors.drawDate || errors.drawTime) && (
+              <p className="col-span-4 text-red-500 text-sm text-right">{(errors.drawDate || errors.drawTime)?.message}</p>
+            )}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" type="button" onClick={onClose}>Cancelar</Button>
+            <Button type="submit">Continuar</Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,55 @@
+"use client";
+
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { RaffleActionRecord, RaffleActionType } from "@/lib/apiClient";
+
+export const ACTION_LABELS: Record<RaffleActionType, string> = {
+  CREATE: "Creación",
+  CLOSE_PERIOD: "Cierre de período",
+  DRAW: "Sorteo ejecutado",
+};
+
+/** Latest irreversible actions on all raffles, with who performed them */
+export function RaffleHistory({ actions, error }: { actions: RaffleActionRecord[]; error: string | null }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Historial de Acciones</CardTitle>
+        <CardDescription>Registro de creaciones, cierres y sorteos con el administrador que los realizó.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {error ? (
+          <p className="text-red-500">Error: {error}</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Fecha</TableHead>
+                <TableHead>Acción</TableHead>
+                <TableHead>Período</TableHead>
+                <TableHead>Realizado por</TableHead>
+                <TableHead>Motivo</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {actions.length > 0 ? actions.map((action, index) => (
+                <TableRow key={index}>
+                  <TableCell>{new Date(action.performedAt).toLocaleString()}</TableCell>
+                  <TableCell>{ACTION_LABELS[action.action]}</TableCell>
+                  <TableCell>{action.period}</TableCell>
+                  <TableCell>{action.performedBy.name || action.performedBy.email} ({action.performedBy.email})</TableCell>
+                  <TableCell className="text-muted-foreground">{action.reason || "—"}</TableCell>
+                </TableRow>
+              )) : (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center">No hay acciones registradas.</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
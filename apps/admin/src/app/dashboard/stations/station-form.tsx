@@ -1,11 +1,12 @@
 "use client";
 
-import { useEffect } from "react";
+import { useEffect, useMemo } from "react";
 import { Button } from "@/components/ui/button";
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Station } from "@/lib/apiClient";
+import { DUPLICATE_RADIUS_METERS, LatLng, OPERATING_AREA, findNearbyStations, isInsideOperatingArea } from "@/lib/geo";
 import { useForm } from "react-hook-form";
 import { z } from "zod";
 import { zodResolver } from "@hookform/resolvers/zod"; // Assuming this resolver is available
@@ -19,16 +20,34 @@ const StationSchema = z.object({
 
 type StationFormValues = z.infer<typeof StationSchema>;
 
+/**
+ * Only new coordinates must fall inside the operating area, so a station saved
+ * outside it before can still be renamed or moved back in.
+ */
+function stationSchema(original: LatLng | null) {
+  return StationSchema.refine(
+    (value) =>
+      (original !== null && value.latitude === original.latitude && value.longitude === original.longitude)
+      || isInsideOperatingArea(value),
+    { message: `Location is outside ${OPERATING_AREA.name}`, path: ["latitude"] },
+  );
+}
+
 interface StationFormProps {
   station: Station | null;
+  /** Position picked on the map for a new station */
+  initialPosition?: LatLng | null;
+  /** Existing stations, to warn about duplicates nearby */
+  stations?: Station[];
   isOpen: boolean;
   onClose: () => void;
   onSave: (station: Station) => void;
 }
 
-export function StationForm({ station, isOpen, onClose, onSave }: StationFormProps) {
-  const { register, handleSubmit, reset, formState: { errors } } = useForm<StationFormValues>({
-    resolver: zodResolver(StationSchema),
+export function StationForm({ station, initialPosition = null, stations = [], isOpen, onClose, onSave }: StationFormProps) {
+  const schema = useMemo(() => stationSchema(station), [station]);
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm<StationFormValues>({
+    resolver: zodResolver(schema),
     defaultValues: {
       name: "",
       latitude: 0,
@@ -43,10 +62,17 @@ export function StationForm({ station, isOpen, onClose, onSave }: StationFormPro
         latitude: station.latitude,
         longitude: station.longitude,
       });
+    } else if (initialPosition) {
+      reset({ name: "", latitude: initialPosition.latitude, longitude: initialPosition.longitude });
     } else {
       reset();
     }
-  }, [station, reset]);
+  }, [station, initialPosition, reset]);
+
+  const [latitude, longitude] = watch(["latitude", "longitude"]);
+  const nearby = Number.isFinite(latitude) && Number.isFinite(longitude)
+    ? findNearbyStations(stations, { latitude, longitude }, DUPLICATE_RADIUS_METERS, station?.id)
+    : [];
 
   const onSubmit = (data: StationFormValues) => {
     const savedStation: Station = {
@@ -91,6 +117,11 @@ export function StationForm({ station, isOpen, onClose, onSave }: StationFormPro
             <Input id="longitude" type="number" step="any" {...register("longitude", { valueAsNumber: true })} className="col-span-3" />
             {errors.longitude && <p className="col-span-4 text-red-500 text-sm text-right">{errors.longitude.message}</p>}
           </div>
+          {nearby.length > 0 && (
+            <p role="alert" className="text-amber-700 text-sm">
+              Posible duplicado: {nearby.map(({ station: other, distanceMeters }) => `${other.name} (${distanceMeters} m)`).join(", ")}
+            </p>
+          )}
           <DialogFooter>
             <Button variant="outline" onClick={onClose} type="button">Cancelar</Button>
             <Button type="submit">Guardar Cambios</Button>
@@ -0,0 +1,252 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { createStation, updateStation, Station } from "@/lib/apiClient";
+import { downloadFile } from "@gasolinera-jsm/shared";
+import { ImportAction, ImportResult, ImportRow, importReportCsv, planImport, readStationFile } from "@/lib/station-io";
+
+// Requests sent in parallel; the next batch starts once the previous one settled,
+// so stopping the import only leaves the batch in flight to finish
+const BATCH_SIZE = 10;
+
+const ACTION_LABELS: Record<ImportAction, string> = {
+  create: "Crear",
+  update: "Actualizar",
+  unchanged: "Sin cambios",
+  invalid: "Error",
+};
+
+const ACTION_STYLES: Record<ImportAction, string> = {
+  create: "bg-green-100 text-green-800",
+  update: "bg-blue-100 text-blue-800",
+  unchanged: "bg-gray-100 text-gray-700",
+  invalid: "bg-red-100 text-red-800",
+};
+
+interface StationImportProps {
+  stations: Station[];
+  isOpen: boolean;
+  onClose: () => void;
+  /** Called once a batch import finished, to reload the stations */
+  onImported: () => void;
+}
+
+async function applyRow(row: ImportRow): Promise<ImportResult> {
+  const { record, existing, changes } = row;
+  if (!record) return { line: row.line, result: 'skipped' };
+
+  try {
+    if (row.action === 'create') {
+      const created = await createStation({
+        name: record.name,
+        latitude: record.latitude,
+        longitude: record.longitude,
+        ...(record.status ? { status: record.status } : {}),
+      });
+      return { line: row.line, result: 'created', id: created?.id };
+    }
+    if (row.action === 'update' && existing) {
+      const update = Object.fromEntries(changes.map(({ field, to }) => [field, to]));
+      await updateStation(existing.id, update);
+      return { line: row.line, result: 'updated', id: existing.id };
+    }
+    return { line: row.line, result: 'skipped', id: existing?.id };
+  } catch (err: any) {
+    return { line: row.line, result: 'failed', id: existing?.id, error: err.message };
+  }
+}
+
+export function StationImport({ stations, isOpen, onClose, onImported }: StationImportProps) {
+  const [fileName, setFileName] = useState<string | null>(null);
+  const [rows, setRows] = useState<ImportRow[]>([]);
+  const [fileError, setFileError] = useState<string | null>(null);
+  const [results, setResults] = useState<ImportResult[] | null>(null);
+  const [progress, setProgress] = useState<{ done: number; total: number } | null>(null);
+  const [stopped, setStopped] = useState(false);
+  const stopRequested = useRef(false);
+
+  const pending = rows.filter((row) => row.action === 'create' || row.action === 'update');
+  const invalidCount = rows.filter((row) => row.action === 'invalid').length;
+  const isApplying = progress !== null && results === null;
+
+  const reset = () => {
+    setFileName(null);
+    setRows([]);
+    setFileError(null);
+    setResults(null);
+    setProgress(null);
+    setStopped(false);
+  };
+
+  const handleClose = () => {
+    if (isApplying) return;
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    reset();
+    if (!file) return;
+    setFileName(file.name);
+    try {
+      setRows(planImport(readStationFile(file.name, await file.text()), stations));
+    } catch (err: any) {
+      setFileError(err.message);
+    }
+  };
+
+  const handleApply = async () => {
+    const done: ImportResult[] = [];
+    stopRequested.current = false;
+    setStopped(false);
+    setProgress({ done: 0, total: pending.length });
+
+    try {
+      for (let i = 0; i < pending.length && !stopRequested.current; i += BATCH_SIZE) {
+        const batch = await Promise.all(pending.slice(i, i + BATCH_SIZE).map(applyRow));
+        done.push(...batch);
+        setProgress({ done: done.length, total: pending.length });
+      }
+    } finally {
+      // Whatever was applied before a stop or an error is already in the backend
+      setStopped(stopRequested.current);
+      setResults(done);
+      onImported();
+    }
+  };
+
+  const handleStop = () => {
+    stopRequested.current = true;
+    setStopped(true);
+  };
+
+  const handleDownloadReport = () => {
+    const base = (fileName || "estaciones").replace(/\.[^.]+$/, "");
+    downloadFile(`${base}-informe.csv`, importReportCsv(rows, results || []), "text/csv");
+  };
+
+  const failedCount = results?.filter((result) => result.result === 'failed').length ?? 0;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleClose}>
+      <DialogContent className="sm:max-w-[900px]">
+        <DialogHeader>
+          <DialogTitle>Importar Estaciones</DialogTitle>
+          <DialogDescription>
+            Sube un archivo CSV (id, name, latitude, longitude, status) o GeoJSON con puntos. Las filas con id o con el
+            nombre de una estación existente la actualizan; el resto se crean.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-2">
+          <Label htmlFor="station-file">Archivo</Label>
+          <Input
+            id="station-file"
+            type="file"
+            accept=".csv,.geojson,.json,text/csv,application/geo+json,application/json"
+            disabled={isApplying}
+            onChange={(e) => handleFile(e.target.files?.[0])}
+          />
+          {fileError && <p role="alert" className="text-red-500 text-sm">{fileError}</p>}
+        </div>
+
+        {rows.length > 0 && (
+          <>
+            <p className="text-sm text-muted-foreground">
+              {rows.length} filas: {rows.filter((row) => row.action === 'create').length} nuevas,{" "}
+              {rows.filter((row) => row.action === 'update').length} a actualizar,{" "}
+              {rows.filter((row) => row.action === 'unchanged').length} sin cambios, {invalidCount} con errores.
+              {invalidCount > 0 && " Las filas con errores no se importan."}
+            </p>
+            <div className="max-h-[360px] overflow-auto rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Línea</TableHead>
+                    <TableHead>Acción</TableHead>
+                    <TableHead>Nombre</TableHead>
+                    <TableHead>Coordenadas</TableHead>
+                    <TableHead>Cambios / Errores</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rows.map((row) => {
+                    const result = results?.find((item) => item.line === row.line);
+                    return (
+                      <TableRow key={row.line}>
+                        <TableCell>{row.line}</TableCell>
+                        <TableCell>
+                          <span className={`rounded px-2 py-0.5 text-xs font-medium ${ACTION_STYLES[row.action]}`}>
+                            {ACTION_LABELS[row.action]}
+                          </span>
+                          {result && <span className="ml-2 text-xs text-muted-foreground">{result.result}</span>}
+                        </TableCell>
+                        <TableCell className="font-medium">{row.record?.name ?? "—"}</TableCell>
+                        <TableCell className="text-xs">
+                          {row.record ? `${row.record.latitude}, ${row.record.longitude}` : "—"}
+                        </TableCell>
+                        <TableCell className="text-xs">
+                          {row.changes.map(({ field, from, to }) => (
+                            <div key={field}>
+                              {field}: <span className="line-through text-red-600">{String(from)}</span>{" "}
+                              <span className="text-green-700">{String(to)}</span>
+                            </div>
+                          ))}
+                          {row.errors.map((error) => <div key={error} className="text-red-600">{error}</div>)}
+                          {row.warnings.map((warning) => <div key={warning} className="text-amber-700">{warning}</div>)}
+                          {result?.error && <div className="text-red-600">{result.error}</div>}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          </>
+        )}
+
+        {progress && (
+          <div className="grid gap-1" aria-live="polite">
+            <div className="h-2 w-full overflow-hidden rounded bg-muted">
+              <div
+                className="h-full bg-primary transition-all"
+                style={{ width: `${progress.total === 0 ? 100 : (progress.done / progress.total) * 100}%` }}
+              />
+            </div>
+            <p className="text-sm text-muted-foreground">
+              {results
+                ? `Importación ${stopped ? "detenida" : "terminada"}: ${results.length - failedCount} aplicadas, ${failedCount} fallidas${
+                    results.length < progress.total ? `, ${progress.total - results.length} sin aplicar` : ""
+                  }.`
+                : `Importando ${progress.done} de ${progress.total}...`}
+            </p>
+          </div>
+        )}
+
+        <DialogFooter>
+          {isApplying ? (
+            <Button variant="outline" type="button" onClick={handleStop} disabled={stopped}>
+              {stopped ? "Deteniendo..." : "Detener"}
+            </Button>
+          ) : (
+            <Button variant="outline" type="button" onClick={handleClose}>
+              {results ? "Cerrar" : "Cancelar"}
+            </Button>
+          )}
+          {results ? (
+            <Button type="button" onClick={handleDownloadReport}>Descargar informe</Button>
+          ) : (
+            <Button type="button" onClick={handleApply} disabled={pending.length === 0 || isApplying}>
+              Importar {pending.length} estaciones
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,133 @@
+"use client";
+
+import "leaflet/dist/leaflet.css";
+import { useEffect, useMemo, useState } from "react";
+import L, { LeafletEvent, Marker as LeafletMarker } from "leaflet";
+import { Circle, MapContainer, Marker, Polygon, Popup, TileLayer, useMapEvents } from "react-leaflet";
+import { Button } from "@/components/ui/button";
+import { Station } from "@/lib/apiClient";
+import { LatLng, OPERATING_AREA } from "@/lib/geo";
+
+// Tiles can come from a local tile server or a folder in /public (e.g. "/tiles/{z}/{x}/{y}.png")
+// for installations without internet access.
+const TILE_URL = process.env.NEXT_PUBLIC_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = process.env.NEXT_PUBLIC_MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors';
+
+const AREA_OUTLINE = OPERATING_AREA.polygon.map(([lng, lat]) => [lat, lng] as [number, number]);
+
+const ACTIVE_STATUSES = ['Activa', 'ACTIVE', 'active'];
+
+// Plain div markers: Leaflet's default image icons do not survive bundling
+const icons = new Map<string, L.DivIcon>();
+function iconFor(status: string, selected = false): L.DivIcon {
+  const color = selected ? '#2563eb' : ACTIVE_STATUSES.includes(status) ? '#16a34a' : '#9ca3af';
+  const key = `${color}-${selected}`;
+  if (!icons.has(key)) {
+    icons.set(key, L.divIcon({
+      className: '',
+      html: `<span style="display:block;width:18px;height:18px;border-radius:9999px;background:${color};border:3px solid white;box-shadow:0 0 0 1px rgba(0,0,0,.35)"></span>`,
+      iconSize: [18, 18],
+      iconAnchor: [9, 9],
+    }));
+  }
+  return icons.get(key)!;
+}
+
+function MapClicks({ onPick }: { onPick: (point: LatLng) => void }) {
+  useMapEvents({
+    click: (event) => onPick({ latitude: event.latlng.lat, longitude: event.latlng.lng }),
+  });
+  return null;
+}
+
+interface StationMapProps {
+  stations: Station[];
+  /** Position picked for a new station, not saved yet */
+  draft: LatLng | null;
+  duplicateRadiusMeters: number;
+  onPick: (point: LatLng) => void;
+  /** Resolves to false when the move was rejected, which puts the marker back */
+  onMove: (station: Station, point: LatLng) => Promise<boolean>;
+  onEdit: (station: Station) => void;
+}
+
+export function StationMap({ stations, draft, duplicateRadiusMeters, onPick, onMove, onEdit }: StationMapProps) {
+  const [tilesUnavailable, setTilesUnavailable] = useState(false);
+
+  useEffect(() => {
+    const update = () => setTilesUnavailable(!navigator.onLine);
+    update();
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  const tileEvents = useMemo(() => ({
+    tileerror: () => setTilesUnavailable(true),
+    tileload: () => setTilesUnavailable(false),
+  }), []);
+
+  const handleDragEnd = (station: Station) => async (event: LeafletEvent) => {
+    const marker = event.target as LeafletMarker;
+    const { lat, lng } = marker.getLatLng();
+    const accepted = await onMove(station, { latitude: lat, longitude: lng });
+    if (!accepted) {
+      marker.setLatLng([station.latitude, station.longitude]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      {tilesUnavailable && (
+        <p role="status" className="absolute left-1/2 top-2 z-[1000] -translate-x-1/2 rounded bg-amber-100 px-3 py-1 text-sm text-amber-900 shadow">
+          Mapa base no disponible: se muestran el contorno de {OPERATING_AREA.name} y las estaciones.
+        </p>
+      )}
+      <MapContainer
+        center={[OPERATING_AREA.center.latitude, OPERATING_AREA.center.longitude]}
+        zoom={8}
+        className="h-[520px] w-full rounded-md border bg-slate-100"
+      >
+        <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} eventHandlers={tileEvents} />
+        <Polygon positions={AREA_OUTLINE} pathOptions={{ color: '#64748b', weight: 1, fillOpacity: 0.04 }} interactive={false} />
+        <MapClicks onPick={onPick} />
+
+        {stations.map((station) => (
+          <Marker
+            key={station.id}
+            position={[station.latitude, station.longitude]}
+            icon={iconFor(station.status)}
+            title={station.name}
+            draggable
+            eventHandlers={{ dragend: handleDragEnd(station) }}
+          >
+            <Popup>
+              <div className="space-y-1">
+                <p className="font-medium">{station.name}</p>
+                <p className="text-xs text-muted-foreground">
+                  {station.status} · {station.latitude.toFixed(5)}, {station.longitude.toFixed(5)}
+                </p>
+                <Button size="sm" variant="outline" onClick={() => onEdit(station)}>Editar</Button>
+              </div>
+            </Popup>
+          </Marker>
+        ))}
+
+        {draft && (
+          <>
+            <Marker position={[draft.latitude, draft.longitude]} icon={iconFor('', true)} interactive={false} />
+            <Circle
+              center={[draft.latitude, draft.longitude]}
+              radius={duplicateRadiusMeters}
+              pathOptions={{ color: '#2563eb', weight: 1, dashArray: '4 4', fillOpacity: 0.08 }}
+              interactive={false}
+            />
+          </>
+        )}
+      </MapContainer>
+    </div>
+  );
+}
@@ -1,16 +1,30 @@
 "use client";
 
-import { useState, useEffect } from "react";
-import { MoreHorizontal, PlusCircle } from "lucide-react";
+import { useState, useEffect, useMemo } from "react";
+import dynamic from "next/dynamic";
+import { Download, MoreHorizontal, PlusCircle, Upload } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { StationForm } from "./station-form";
+import { StationImport } from "./station-import";
 import { getStations, createStation, updateStation, deleteStation, Station } from "@/lib/apiClient";
+import { DUPLICATE_RADIUS_METERS, LatLng, coordinateError, findNearbyStations } from "@/lib/geo";
+import { StationFileFormat, exportStations } from "@/lib/station-io";
+import { downloadFile } from "@gasolinera-jsm/shared";
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
+// Leaflet needs the browser's window, so the map is never rendered on the server
+const StationMap = dynamic(() => import("./station-map").then((mod) => mod.StationMap), {
+  ssr: false,
+  loading: () => <p>Cargando mapa...</p>,
+});
+
+const ALL_STATUSES = "all";
+
 export function StationsList() {
   const [stations, setStations] = useState<Station[]>([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -18,6 +32,15 @@ export function StationsList() {
   
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [editingStation, setEditingStation] = useState<Station | null>(null);
+  const [draftPosition, setDraftPosition] = useState<LatLng | null>(null);
+  const [statusFilter, setStatusFilter] = useState(ALL_STATUSES);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+
+  const statuses = useMemo(() => Array.from(new Set(stations.map((station) => station.status))).sort(), [stations]);
+  const visibleStations = useMemo(
+    () => statusFilter === ALL_STATUSES ? stations : stations.filter((station) => station.status === statusFilter),
+    [stations, statusFilter],
+  );
 
   const fetchStations = async () => {
     try {
@@ -45,6 +68,46 @@ export function StationsList() {
   const handleCloseForm = () => {
     setIsFormOpen(false);
     setEditingStation(null);
+    setDraftPosition(null);
+  };
+
+  // A click on the map starts a new station at that point
+  const handlePickPosition = (point: LatLng) => {
+    const invalid = coordinateError(point);
+    if (invalid) {
+      toast.warn(invalid);
+      return;
+    }
+    setEditingStation(null);
+    setDraftPosition(point);
+    setIsFormOpen(true);
+  };
+
+  // Dragging a marker moves the station once the new position is validated and confirmed
+  const handleMoveStation = async (station: Station, point: LatLng): Promise<boolean> => {
+    const invalid = coordinateError(point);
+    if (invalid) {
+      toast.error(`${station.name}: ${invalid}`);
+      return false;
+    }
+
+    const nearby = findNearbyStations(stations, point, DUPLICATE_RADIUS_METERS, station.id);
+    const warning = nearby.length > 0
+      ? `\n\nAtención: a menos de ${DUPLICATE_RADIUS_METERS} m de ${nearby.map(({ station: other }) => other.name).join(", ")}.`
+      : "";
+    if (!confirm(`¿Mover "${station.name}" a ${point.latitude.toFixed(5)}, ${point.longitude.toFixed(5)}?${warning}`)) {
+      return false;
+    }
+
+    try {
+      await updateStation(station.id, point);
+      toast.success("Station moved successfully!");
+      fetchStations();
+      return true;
+    } catch (err: any) {
+      toast.error(`Error moving station: ${err.message}`);
+      return false;
+    }
   };
 
   const handleSaveStation = async (stationData: Station) => {
@@ -63,6 +126,13 @@ export function StationsList() {
     }
   };
 
+  // Exports what is on screen, i.e. the stations left by the status filter
+  const handleExport = (format: StationFileFormat) => {
+    const { content, mimeType, extension } = exportStations(visibleStations, format);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`estaciones-${date}.${extension}`, content, mimeType);
+  };
+
   const handleDelete = async (stationId: string) => {
     if (confirm("¿Estás seguro de que quieres eliminar esta estación?")) {
         try {
@@ -80,10 +150,18 @@ export function StationsList() {
     <>
       <StationForm 
         station={editingStation}
+        initialPosition={draftPosition}
+        stations={stations}
         isOpen={isFormOpen}
         onClose={handleCloseForm}
         onSave={handleSaveStation}
       />
+      <StationImport
+        stations={stations}
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={fetchStations}
+      />
       <Card>
         <CardHeader>
           <div className="flex justify-between items-center">
@@ -93,9 +171,35 @@ export function StationsList() {
                 Gestiona las estaciones de servicio de la red Punto G.
                 </CardDescription>
             </div>
-            <Button onClick={() => handleOpenForm(null)}>
-                <PlusCircle className="mr-2 h-4 w-4" /> Crear Nueva
-            </Button>
+            <div className="flex items-center gap-2">
+                <label htmlFor="status-filter" className="sr-only">Filtrar por estado</label>
+                <select
+                  id="status-filter"
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                  className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+                >
+                  <option value={ALL_STATUSES}>Todos los estados</option>
+                  {statuses.map((status) => <option key={status} value={status}>{status}</option>)}
+                </select>
+                <Button variant="outline" onClick={() => setIsImportOpen(true)}>
+                    <Upload className="mr-2 h-4 w-4" /> Importar
+                </Button>
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button variant="outline" disabled={visibleStations.length === 0}>
+                      <Download className="mr-2 h-4 w-4" /> Exportar
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="end">
+                    <DropdownMenuItem onSelect={() => handleExport('csv')}>CSV</DropdownMenuItem>
+                    <DropdownMenuItem onSelect={() => handleExport('geojson')}>GeoJSON</DropdownMenuItem>
+                  </DropdownMenuContent>
+                </DropdownMenu>
+                <Button onClick={() => handleOpenForm(null)}>
+                    <PlusCircle className="mr-2 h-4 w-4" /> Crear Nueva
+                </Button>
+            </div>
           </div>
         </CardHeader>
         <CardContent>
@@ -104,46 +208,67 @@ export function StationsList() {
           ) : error ? (
             <p className="text-red-500">Error: {error}</p>
           ) : (
-            <Table>
-              <TableHeader>
-                <TableRow>
-                  <TableHead>Nombre</TableHead>
-                  <TableHead>Estado</TableHead>
-                  <TableHead>Latitud</TableHead>
-                  <TableHead>Longitud</TableHead>
-                  <TableHead><span className="sr-only">Acciones</span></TableHead>
-                </TableRow>
-              </TableHeader>
-              <TableBody>
-                {stations.length > 0 ? stations.map((station) => (
-                  <TableRow key={station.id}>
-                    <TableCell className="font-medium">{station.name}</TableCell>
-                    <TableCell>{station.status}</TableCell>
-                    <TableCell>{station.latitude}</TableCell>
-                    <TableCell>{station.longitude}</TableCell>
-                    <TableCell>
-                      <DropdownMenu>
-                        <DropdownMenuTrigger asChild>
-                          <Button aria-haspopup="true" size="icon" variant="ghost">
-                            <MoreHorizontal className="h-4 w-4" />
-                            <span className="sr-only">Toggle menu</span>
-                          </Button>
-                        </DropdownMenuTrigger>
-                        <DropdownMenuContent align="end">
-                          <DropdownMenuLabel>Acciones</DropdownMenuLabel>
-                          <DropdownMenuItem onSelect={() => handleOpenForm(station)}>Editar</DropdownMenuItem>
-                          <DropdownMenuItem onSelect={() => handleDelete(station.id)} className="text-red-600">Eliminar</DropdownMenuItem>
-                        </DropdownMenuContent>
-                      </DropdownMenu>
-                    </TableCell>
-                  </TableRow>
-                )) : (
+            <Tabs defaultValue="map">
+              <TabsList>
+                <TabsTrigger value="map">Mapa</TabsTrigger>
+                <TabsTrigger value="table">Tabla</TabsTrigger>
+              </TabsList>
+              <TabsContent value="map" className="space-y-2">
+                <p className="text-sm text-muted-foreground">
+                  Haz clic en el mapa para crear una estación o arrastra un marcador para moverla.
+                </p>
+                <StationMap
+                  stations={visibleStations}
+                  draft={draftPosition}
+                  duplicateRadiusMeters={DUPLICATE_RADIUS_METERS}
+                  onPick={handlePickPosition}
+                  onMove={handleMoveStation}
+                  onEdit={handleOpenForm}
+                />
+              </TabsContent>
+              <TabsContent value="table">
+                <Table>
+                  <TableHeader>
                     <TableRow>
-                        <TableCell colSpan={5} className="text-center">No hay estaciones creadas.</TableCell>
+                      <TableHead>Nombre</TableHead>
+                      <TableHead>Estado</TableHead>
+                      <TableHead>Latitud</TableHead>
+                      <TableHead>Longitud</TableHead>
+                      <TableHead><span className="sr-only">Acciones</span></TableHead>
                     </TableRow>
-                )}
-              </TableBody>
-            </Table>
+                  </TableHeader>
+                  <TableBody>
+                    {visibleStations.length > 0 ? visibleStations.map((station) => (
+                      <TableRow key={station.id}>
+                        <TableCell className="font-medium">{station.name}</TableCell>
+                        <TableCell>{station.status}</TableCell>
+                        <TableCell>{station.latitude}</TableCell>
+                        <TableCell>{station.longitude}</TableCell>
+                        <TableCell>
+                          <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                              <Button aria-haspopup="true" size="icon" variant="ghost">
+                                <MoreHorizontal className="h-4 w-4" />
+                                <span className="sr-only">Toggle menu</span>
+                              </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent align="end">
+                              <DropdownMenuLabel>Acciones</DropdownMenuLabel>
+                              <DropdownMenuItem onSelect={() => handleOpenForm(station)}>Editar</DropdownMenuItem>
+                              <DropdownMenuItem onSelect={() => handleDelete(station.id)} className="text-red-600">Eliminar</DropdownMenuItem>
+                            </DropdownMenuContent>
+                          </DropdownMenu>
+                        </TableCell>
+                      </TableRow>
+                    )) : (
+                        <TableRow>
+                            <TableCell colSpan={5} className="text-center">No hay estaciones creadas.</TableCell>
+                        </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              </TabsContent>
+            </Tabs>
           )}
         </CardContent>
       </Card>
@@ -0,0 +1,71 @@
+"use client";
+
+// Line chart of a metric against the previous period, drawn as plain SVG. Points are
+// aligned by position: the first day of the range with the first day of the previous one.
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 22, left: 10 };
+
+interface TrendChartProps {
+  title: string;
+  labels: string[];
+  current: number[];
+  previous: number[];
+  format: (value: number) => string;
+}
+
+function pathFor(values: number[], max: number, count: number): string {
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const step = count > 1 ? innerWidth / (count - 1) : 0;
+  return values
+    .map((value, index) => {
+      const x = PADDING.left + (count > 1 ? index * step : innerWidth / 2);
+      const y = PADDING.top + innerHeight - (max === 0 ? 0 : (value / max) * innerHeight);
+      return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+}
+
+export function TrendChart({ title, labels, current, previous, format }: TrendChartProps) {
+  const count = Math.max(current.length, previous.length);
+  const max = Math.max(0, ...current, ...previous);
+  const labelStep = Math.max(1, Math.ceil(labels.length / 6));
+
+  if (count === 0) {
+    return <p className="text-sm text-muted-foreground">Sin datos para el rango seleccionado.</p>;
+  }
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="h-40 w-full" role="img" aria-label={`${title}: máximo ${format(max)}`}>
+        <line
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={HEIGHT - PADDING.bottom}
+          y2={HEIGHT - PADDING.bottom}
+          className="stroke-muted-foreground/30"
+        />
+        <path d={pathFor(previous, max, count)} fill="none" strokeWidth={2} strokeDasharray="4 4" className="stroke-muted-foreground/60" />
+        <path d={pathFor(current, max, count)} fill="none" strokeWidth={2} className="stroke-primary" />
+        {labels.map((label, index) => index % labelStep === 0 && (
+          <text
+            key={index}
+            x={PADDING.left + (count > 1 ? (index * (WIDTH - PADDING.left - PADDING.right)) / (count - 1) : (WIDTH - PADDING.left - PADDING.right) / 2)}
+            y={HEIGHT - 6}
+            textAnchor="middle"
+            className="fill-muted-foreground text-[10px]"
+          >
+            {label}
+          </text>
+        ))}
+      </svg>
+      <figcaption className="flex gap-4 text-xs text-muted-foreground">
+        <span><span className="mr-1 inline-block h-0.5 w-4 bg-primary align-middle" />Período actual</span>
+        <span><span className="mr-1 inline-block w-4 border-t-2 border-dashed border-muted-foreground/60 align-middle" />Período anterior</span>
+        <span className="ml-auto">Máx. {format(max)}</span>
+      </figcaption>
+    </figure>
+  );
+}
@@ -1,120 +1,57 @@
-
-import { useAuthStore } from "@/store/authStore"; // Assuming a zustand store for auth
-
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:8080/api/v1';
+import { createGasolineraApi } from "@gasolinera-jsm/api-sdk";
+import { endSession } from "./session-client";
 
 /**
- * Performs a fetch request to the API, automatically adding the auth token.
- * @throws {Error} If the network response is not ok.
+ * Admin instance of the shared API SDK. Calls go through app/api/backend, which adds
+ * the access token of the httpOnly session cookie; a 401 ends the session.
  */
-async function apiFetch(endpoint: string, options: RequestInit = {}) {
-  const token = useAuthStore.getState().token;
-
-  const headers: Record<string, string> = {
-    'Content-Type': 'application/json',
-    ...(options.headers as Record<string, string>),
-  };
-
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
-
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-    ...options,
-    headers,
-  });
-
-  if (!response.ok) {
-    let errorMessage = `Error: ${response.status}`;
-    try {
-      const errorBody = await response.json();
-      errorMessage = errorBody.message || errorMessage;
-    } catch (e) {
-      // Ignore if error body is not JSON
-    }
-    throw new Error(errorMessage);
-  }
-  
-  return response.status === 204 ? null : response.json();
-}
+export const api = createGasolineraApi({
+  baseUrl: '/api/backend',
+  onUnauthorized: () => {
+    endSession('expired');
+  },
+});
+
+export { ApiError, isApiError } from "@gasolinera-jsm/api-sdk";
+export type {
+  ActionConfirmation,
+  AnalyticsSummary,
+  Station,
+  StationSummary,
+  SummaryMetric,
+  Raffle,
+  RaffleActionRecord,
+  RaffleActionType,
+  RaffleInput,
+  RafflePeriodPreview,
+  RaffleProof,
+  RaffleType,
+  RaffleWinner,
+  TodaySummary,
+} from "@gasolinera-jsm/api-sdk";
 
 // --- Authentication --- //
-export const loginAdmin = (email: string, pass: string) => {
-  return apiFetch('/auth/login/admin', {
-    method: 'POST',
-    body: JSON.stringify({ email, pass }),
-  });
-};
+export const loginAdmin = api.auth.loginAdmin;
 
 // --- Stations --- //
-export type Station = {
-  id: string;
-  name: string;
-  latitude: number;
-  longitude: number;
-  status: string;
-};
-
-export const getStations = (): Promise<Station[]> => {
-  return apiFetch('/stations');
-};
-
-export const createStation = (stationData: Omit<Station, 'id' | 'status'>): Promise<Station> => {
-  return apiFetch('/stations', {
-    method: 'POST',
-    body: JSON.stringify(stationData),
-  });
-};
-
-export const updateStation = (stationId: string, stationData: Partial<Omit<Station, 'id'>>): Promise<Station> => {
-  return apiFetch(`/stations/${stationId}`, {
-    method: 'PUT',
-    body: JSON.stringify(stationData),
-  });
-};
-
-export const deleteStation = (stationId: string): Promise<void> => {
-  return apiFetch(`/stations/${stationId}`, {
-    method: 'DELETE',
-  });
-};
+export const getStations = api.stations.list;
+export const createStation = api.stations.create;
+export const updateStation = api.stations.update;
+export const deleteStation = api.stations.remove;
 
 // --- Analytics --- //
-export const getTodaySummary = () => {
-    return apiFetch('/analytics/summary/today');
-}
+export const getTodaySummary = api.analytics.todaySummary;
+export const getAnalyticsSummary = api.analytics.summary;
+export const getStationSummaries = api.analytics.stations;
 
 // --- Raffles --- //
-export type Raffle = {
-  id: number;
-  period: string;
-  merkleRoot: string;
-  status: 'OPEN' | 'CLOSED' | 'DRAWN';
-  drawAt?: string; // ISO date string
-  externalSeed?: string;
-  winnerEntryId?: string;
-};
-
-export type RaffleWinner = {
-  id: number;
-  raffleId: number;
-  userId: string;
-  winningPointId: string;
-  prize: string;
-};
-
-export const getRaffles = (): Promise<Raffle[]> => {
-  return apiFetch('/raffles');
-};
-
-export const closeRafflePeriod = (period: string): Promise<Raffle> => {
-  return apiFetch(`/raffles/${period}/close`, {
-    method: 'POST',
-  });
-};
-
-export const executeRaffleDraw = (raffleId: number): Promise<RaffleWinner> => {
-  return apiFetch(`/raffles/${raffleId}/draw`, {
-    method: 'POST',
-  });
-};
+export const getRaffles = api.raffles.list;
+export const getRaffle = api.raffles.get;
+export const createRaffle = api.raffles.create;
+export const previewRafflePeriod = api.raffles.previewPeriod;
+export const getRaffleActions = api.raffles.actions;
+export const getRaffleWinner = api.raffles.winner;
+export const getRaffleEntries = api.raffles.entries;
+export const getRaffleProof = api.raffles.proof;
+export const closeRafflePeriod = api.raffles.closePeriod;
+export const executeRaffleDraw = api.raffles.draw;
@@ -0,0 +1,28 @@
+// Date range presets of the dashboard and the size of their chart points.
+
+import type { AnalyticsBucket } from "@gasolinera-jsm/api-sdk";
+import { DateRange, addDays, startOfDay } from "@gasolinera-jsm/shared";
+
+export type RangePreset = 'today' | '7d' | '30d' | '90d' | 'custom';
+
+export const RANGE_PRESET_LABELS: Record<RangePreset, string> = {
+  today: 'Hoy',
+  '7d': 'Últimos 7 días',
+  '30d': 'Últimos 30 días',
+  '90d': 'Últimos 90 días',
+  custom: 'Personalizado',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Range of a preset; ranges end at the start of tomorrow, so today is always included */
+export function rangeForPreset(preset: Exclude<RangePreset, 'custom'>, now = new Date()): DateRange {
+  const to = addDays(startOfDay(now), 1);
+  const days = preset === 'today' ? 1 : Number(preset.replace('d', ''));
+  return { from: addDays(to, -days), to };
+}
+
+/** Hourly points for a single day, daily points otherwise */
+export function bucketFor({ from, to }: DateRange): AnalyticsBucket {
+  return to.getTime() - from.getTime() <= DAY_MS ? 'hour' : 'day';
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { coordinateError, distanceKm, findNearbyStations, isInsideOperatingArea } from "./geo";
+
+const SAN_JOSE = { latitude: 9.9281, longitude: -84.0907 };
+const LIMON = { latitude: 9.9907, longitude: -83.0359 };
+const LIBERIA = { latitude: 10.6346, longitude: -85.4407 };
+const PUNTARENAS = { latitude: 9.9763, longitude: -84.8384 };
+
+const MANAGUA = { latitude: 12.1364, longitude: -86.2514 };
+const RIVAS = { latitude: 11.4372, longitude: -85.8264 };
+const DAVID = { latitude: 8.4273, longitude: -82.4309 };
+
+describe("isInsideOperatingArea", () => {
+  it.each([
+    ["San José", SAN_JOSE],
+    ["Limón", LIMON],
+    ["Liberia", LIBERIA],
+    ["Puntarenas", PUNTARENAS],
+  ])("accepts %s", (_, point) => {
+    expect(isInsideOperatingArea(point)).toBe(true);
+  });
+
+  it.each([
+    ["Managua", MANAGUA],
+    ["Rivas", RIVAS],
+    ["David", DAVID],
+  ])("rejects %s", (_, point) => {
+    expect(isInsideOperatingArea(point)).toBe(false);
+  });
+
+  it("accepts a point off the outline only within the tolerance", () => {
+    const offshore = { latitude: 9.95, longitude: -85.75 };
+    expect(isInsideOperatingArea(offshore, 0)).toBe(false);
+    expect(isInsideOperatingArea(offshore, 20)).toBe(true);
+  });
+});
+
+describe("coordinateError", () => {
+  it("accepts a station in San José", () => {
+    expect(coordinateError(SAN_JOSE)).toBeNull();
+  });
+
+  it("rejects out-of-range and foreign coordinates", () => {
+    expect(coordinateError({ latitude: 91, longitude: -84 })).toMatch(/Latitude/);
+    expect(coordinateError({ latitude: 10, longitude: NaN })).toMatch(/Longitude/);
+    expect(coordinateError(MANAGUA)).toBe("Location is outside Costa Rica");
+  });
+});
+
+describe("distanceKm", () => {
+  it("measures San José to Limón", () => {
+    expect(distanceKm(SAN_JOSE, LIMON)).toBeCloseTo(116, 0);
+  });
+});
+
+describe("findNearbyStations", () => {
+  // About 111 m per 0.001° of latitude
+  const stations = [
+    { id: "far", name: "Far", latitude: SAN_JOSE.latitude + 0.003, longitude: SAN_JOSE.longitude },
+    { id: "near", name: "Near", latitude: SAN_JOSE.latitude + 0.001, longitude: SAN_JOSE.longitude },
+    { id: "same", name: "Same", ...SAN_JOSE },
+  ];
+
+  it("lists the stations within the radius, nearest first", () => {
+    expect(findNearbyStations(stations, SAN_JOSE, 200).map(({ station, distanceMeters }) => [station.id, distanceMeters]))
+      .toEqual([["same", 0], ["near", 111]]);
+  });
+
+  it("leaves out the station being edited", () => {
+    expect(findNearbyStations(stations, SAN_JOSE, 200, "same").map(({ station }) => station.id)).toEqual(["near"]);
+  });
+
+  it("includes a station exactly at the radius", () => {
+    expect(findNearbyStations(stations, SAN_JOSE, 111).map(({ station }) => station.id)).toEqual(["same", "near"]);
+  });
+});
@@ -0,0 +1,106 @@
+// Geographic checks for station coordinates: operating area and nearby duplicates.
+
+export type LatLng = { latitude: number; longitude: number };
+
+/**
+ * Simplified outline of Costa Rica as [longitude, latitude] pairs (GeoJSON order).
+ * Coarse on purpose: coastal stations are accepted through OPERATING_AREA_TOLERANCE_KM.
+ */
+export const OPERATING_AREA = {
+  name: 'Costa Rica',
+  center: { latitude: 9.93, longitude: -84.08 },
+  polygon: [
+    [-85.70, 11.07], [-85.10, 11.02], [-84.68, 11.08], [-84.36, 10.99], [-84.19, 10.79],
+    [-83.90, 10.72], [-83.65, 10.94], [-83.40, 10.40], [-83.02, 10.00], [-82.56, 9.57],
+    [-82.93, 9.47], [-82.93, 9.07], [-82.72, 8.93], [-82.87, 8.81], [-82.83, 8.63],
+    [-82.90, 8.30], [-82.87, 8.03], [-83.30, 8.37], [-83.73, 8.45], [-83.62, 8.60],
+    [-83.86, 9.25], [-84.16, 9.43], [-84.63, 9.61], [-85.11, 9.55], [-85.45, 9.85],
+    [-85.67, 9.95], [-85.84, 10.30], [-85.87, 10.36], [-85.95, 10.92], [-85.70, 11.07],
+  ] as [number, number][],
+};
+
+/** Distance outside the outline still accepted, for ports and coastal stations */
+export const OPERATING_AREA_TOLERANCE_KM = 5;
+
+/** Stations closer than this are flagged as possible duplicates, NEXT_PUBLIC_STATION_DUPLICATE_RADIUS_M overrides it */
+export const DUPLICATE_RADIUS_METERS = Number(process.env.NEXT_PUBLIC_STATION_DUPLICATE_RADIUS_M) || 200;
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees: number) => (degrees * Math.PI) / 180;
+
+/** Great-circle distance in kilometers */
+export function distanceKm(a: LatLng, b: LatLng): number {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function insidePolygon({ latitude, longitude }: LatLng, polygon: [number, number][]): boolean {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > latitude) !== (yj > latitude) && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Distance to a polygon edge on a local flat projection, good enough at country scale
+function distanceToSegmentKm(point: LatLng, [ax, ay]: [number, number], [bx, by]: [number, number]): number {
+  const kmPerLng = 111.32 * Math.cos(toRadians(point.latitude));
+  const kmPerLat = 110.57;
+  const px = point.longitude * kmPerLng;
+  const py = point.latitude * kmPerLat;
+  const [x1, y1, x2, y2] = [ax * kmPerLng, ay * kmPerLat, bx * kmPerLng, by * kmPerLat];
+  const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / lengthSquared));
+  return Math.hypot(px - (x1 + t * (x2 - x1)), py - (y1 + t * (y2 - y1)));
+}
+
+export function isInsideOperatingArea(point: LatLng, toleranceKm = OPERATING_AREA_TOLERANCE_KM): boolean {
+  const { polygon } = OPERATING_AREA;
+  if (insidePolygon(point, polygon)) return true;
+  for (let i = 0; i < polygon.length - 1; i++) {
+    if (distanceToSegmentKm(point, polygon[i], polygon[i + 1]) <= toleranceKm) return true;
+  }
+  return false;
+}
+
+export type NearbyStation<T> = { station: T; distanceMeters: number };
+
+/**
+ * Stations within `radiusMeters` of a point, nearest first. `excludeId` leaves out
+ * the station being edited.
+ */
+export function findNearbyStations<T extends LatLng & { id: string }>(
+  stations: T[],
+  point: LatLng,
+  radiusMeters = DUPLICATE_RADIUS_METERS,
+  excludeId?: string,
+): NearbyStation<T>[] {
+  return stations
+    .filter((station) => station.id !== excludeId)
+    .map((station) => ({ station, distanceMeters: Math.round(distanceKm(point, station) * 1000) }))
+    .filter(({ distanceMeters }) => distanceMeters <= radiusMeters)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+}
+
+/**
+ * Validation message for a coordinate pair, or null when it is usable.
+ */
+export function coordinateError(point: LatLng): string | null {
+  if (!Number.isFinite(point.latitude) || point.latitude < -90 || point.latitude > 90) {
+    return 'Latitude must be between -90 and 90';
+  }
+  if (!Number.isFinite(point.longitude) || point.longitude < -180 || point.longitude > 180) {
+    return 'Longitude must be between -180 and 180';
+  }
+  if (!isInsideOperatingArea(point)) {
+    return `Location is outside ${OPERATING_AREA.name}`;
+  }
+  return null;
+}
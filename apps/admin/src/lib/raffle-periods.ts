@@ -0,0 +1,49 @@
+// Raffle periods by raffle type: weekly raffles use ISO weeks (2024-W07), monthly ones
+// YYYY-MM and annual ones YYYY.
+
+import type { RaffleType } from "@gasolinera-jsm/api-sdk";
+
+export const RAFFLE_TYPES: RaffleType[] = ['WEEKLY', 'MONTHLY', 'ANNUAL'];
+
+export const RAFFLE_TYPE_LABELS: Record<RaffleType, string> = {
+  WEEKLY: 'Semanal',
+  MONTHLY: 'Mensual',
+  ANNUAL: 'Anual',
+};
+
+const PERIOD_PATTERNS: Record<RaffleType, RegExp> = {
+  WEEKLY: /^\d{4}-W(0[1-9]|[1-4]\d|5[0-3])$/,
+  MONTHLY: /^\d{4}-(0[1-9]|1[0-2])$/,
+  ANNUAL: /^\d{4}$/,
+};
+
+export const PERIOD_EXAMPLES: Record<RaffleType, string> = {
+  WEEKLY: '2024-W50',
+  MONTHLY: '2024-12',
+  ANNUAL: '2024',
+};
+
+/** ISO 8601 week: weeks start on Monday and week 1 holds the year's first Thursday */
+function isoWeek(date: Date): { year: number; week: number } {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  return { year: day.getUTCFullYear(), week: Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7) };
+}
+
+export function periodOf(type: RaffleType, date = new Date()): string {
+  const year = date.getFullYear();
+  if (type === 'ANNUAL') return String(year);
+  if (type === 'MONTHLY') return `${year}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  const week = isoWeek(date);
+  return `${week.year}-W${String(week.week).padStart(2, '0')}`;
+}
+
+export function periodTypeOf(period: string): RaffleType | null {
+  return RAFFLE_TYPES.find((type) => PERIOD_PATTERNS[type].test(period)) ?? null;
+}
+
+export function isValidPeriod(type: RaffleType, period: string): boolean {
+  return PERIOD_PATTERNS[type].test(period);
+}
@@ -0,0 +1,92 @@
+// Browser side of the admin session: login, logout and silent refresh through the
+// route handlers of app/api/session. The tokens never reach JavaScript.
+
+import { useEffect } from "react";
+import { ApiError } from "@gasolinera-jsm/api-sdk";
+import { useAuthStore, User } from "@/store/authStore";
+import { LogoutReason, REFRESH_MARGIN_SECONDS } from "./session";
+
+// Wait before retrying a refresh that failed for lack of network
+const REFRESH_RETRY_MS = 30 * 1000;
+
+type SessionInfo = { user: User; expiresAt: number | null };
+
+async function sessionRequest<T>(path: string, init: RequestInit = {}): Promise<T> {
+  const response = await fetch(path, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers },
+    credentials: 'same-origin',
+  });
+  const body = response.status === 204 ? null : await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new ApiError(body?.message || `Error: ${response.status}`, response.status, body?.code || 'HTTP_ERROR', body);
+  }
+  return body as T;
+}
+
+export async function startSession(email: string, password: string): Promise<SessionInfo> {
+  const session = await sessionRequest<SessionInfo>('/api/session', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+  useAuthStore.getState().login(session.user, session.expiresAt);
+  return session;
+}
+
+export async function refreshSession(): Promise<number | null> {
+  const { expiresAt } = await sessionRequest<{ expiresAt: number | null }>('/api/session/refresh', { method: 'POST' });
+  useAuthStore.getState().setExpiresAt(expiresAt);
+  return expiresAt;
+}
+
+let endingSession = false;
+
+/**
+ * Clears the session on both sides and goes back to the login page.
+ * Concurrent calls (several requests failing with 401 at once) end it only once.
+ */
+export async function endSession(reason: LogoutReason = 'signed-out') {
+  if (endingSession) return;
+  endingSession = true;
+  try {
+    await sessionRequest('/api/session', { method: 'DELETE' }).catch(() => undefined);
+    useAuthStore.getState().logout();
+    window.location.assign(`/login?reason=${reason}`);
+  } finally {
+    endingSession = false;
+  }
+}
+
+/**
+ * Refreshes the session shortly before the access token expires, for as long
+ * as the component using it stays mounted.
+ */
+export function useSilentRefresh() {
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const expiresAt = useAuthStore((state) => state.expiresAt);
+
+  useEffect(() => {
+    if (!isAuthenticated || !expiresAt) return;
+
+    let timer: ReturnType<typeof setTimeout>;
+    const schedule = (delay: number) => {
+      timer = setTimeout(run, Math.max(0, delay));
+    };
+    const run = async () => {
+      try {
+        await refreshSession();
+      } catch (e) {
+        if (e instanceof ApiError && (e.status === 401 || e.status === 403)) {
+          endSession('expired');
+        } else if (Date.now() < expiresAt) {
+          schedule(Math.min(REFRESH_RETRY_MS, expiresAt - Date.now()));
+        } else {
+          endSession('expired');
+        }
+      }
+    };
+
+    schedule(expiresAt - REFRESH_MARGIN_SECONDS * 1000 - Date.now());
+    return () => clearTimeout(timer);
+  }, [isAuthenticated, expiresAt]);
+}
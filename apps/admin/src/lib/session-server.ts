@@ -0,0 +1,86 @@
+// Server side of the admin session: backend calls and the httpOnly cookies.
+// Used by the middleware and the route handlers under app/api.
+
+import { createGasolineraApi, RefreshResponse } from "@gasolinera-jsm/api-sdk";
+import type { NextResponse } from "next/server";
+import { REFRESH_COOKIE, SESSION_COOKIE, decodeJwt, expiresAt } from "./session";
+
+export const BACKEND_URL = process.env.ADMIN_API_BASE_URL || process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:8080/api/v1';
+
+/** Secret of the auth service's access tokens; without it every session is refused */
+export const JWT_SECRET = process.env.ADMIN_JWT_SECRET;
+
+/**
+ * Accepts tokens whose signature cannot be checked, for the Playwright specs
+ * that run without the auth service. Never honoured in production builds.
+ */
+export const ALLOW_UNSIGNED_SESSIONS =
+  process.env.ADMIN_E2E_UNSIGNED_SESSIONS === 'true' && process.env.NODE_ENV !== 'production';
+
+if (!JWT_SECRET && !ALLOW_UNSIGNED_SESSIONS) {
+  console.error('ADMIN_JWT_SECRET is not set: every admin session will be refused');
+}
+
+/** Options of `checkSession` for this deployment */
+export const SESSION_CHECK = { secret: JWT_SECRET, allowUnsigned: ALLOW_UNSIGNED_SESSIONS };
+
+// Used when a refresh token is not a JWT, matches the auth service's refresh lifetime
+const DEFAULT_REFRESH_MAX_AGE = 24 * 60 * 60;
+
+/**
+ * SDK instance for calls made by the server on behalf of the user.
+ */
+export function backendApi(accessToken?: string) {
+  return createGasolineraApi({
+    baseUrl: BACKEND_URL,
+    getToken: () => accessToken,
+    retries: 0,
+  });
+}
+
+// Cookie lifetime in seconds; without an expiry the cookie lasts the browser session
+function maxAgeOf(token: string, fallback?: number): number | undefined {
+  const claims = decodeJwt(token);
+  const expiry = claims ? expiresAt(claims) : null;
+  return expiry === null ? fallback : Math.max(0, Math.floor((expiry - Date.now()) / 1000));
+}
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax' as const,
+  path: '/',
+};
+
+/**
+ * Stores the tokens in httpOnly cookies that expire with them.
+ */
+export function setSessionCookies(response: NextResponse, tokens: RefreshResponse) {
+  response.cookies.set(SESSION_COOKIE, tokens.accessToken, {
+    ...cookieOptions,
+    maxAge: maxAgeOf(tokens.accessToken, tokens.expiresIn),
+  });
+  if (tokens.refreshToken) {
+    response.cookies.set(REFRESH_COOKIE, tokens.refreshToken, {
+      ...cookieOptions,
+      maxAge: maxAgeOf(tokens.refreshToken, DEFAULT_REFRESH_MAX_AGE),
+    });
+  }
+}
+
+export function clearSessionCookies(response: NextResponse) {
+  response.cookies.set(SESSION_COOKIE, '', { ...cookieOptions, maxAge: 0 });
+  response.cookies.set(REFRESH_COOKIE, '', { ...cookieOptions, maxAge: 0 });
+}
+
+/**
+ * Trades the refresh token for new tokens. Returns null when the backend refuses it.
+ */
+export async function refreshTokens(refreshToken: string): Promise<RefreshResponse | null> {
+  try {
+    const tokens = await backendApi().auth.refresh(refreshToken);
+    return tokens.accessToken ? { ...tokens, refreshToken: tokens.refreshToken || refreshToken } : null;
+  } catch (e) {
+    return null;
+  }
+}
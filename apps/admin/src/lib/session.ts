@@ -0,0 +1,134 @@
+// Session helpers shared by the middleware, the session route handlers and the client.
+// No Node-only APIs here: the middleware runs on the edge runtime.
+
+/** httpOnly cookie holding the access token */
+export const SESSION_COOKIE = 'admin-session';
+
+/** httpOnly cookie holding the refresh token */
+export const REFRESH_COOKIE = 'admin-refresh';
+
+/** Roles allowed into the admin panel, as found in the `role`/`roles` claims */
+export const ADMIN_ROLES = ['ADMIN', 'SYSTEM_ADMIN'];
+
+/** The client refreshes the session this long before the access token expires */
+export const REFRESH_MARGIN_SECONDS = 60;
+
+/** Why the user ended up on the login page, passed as `?reason=` */
+export type LogoutReason = 'expired' | 'forbidden' | 'signed-out';
+
+export type SessionClaims = {
+  sub?: string;
+  exp?: number;
+  iat?: number;
+  role?: string;
+  roles?: string[];
+  email?: string;
+  firstName?: string;
+  lastName?: string;
+  name?: string;
+  type?: string;
+};
+
+export type SessionUser = {
+  id: string;
+  name: string;
+  email: string;
+  role?: string;
+};
+
+export type SessionCheck =
+  | { status: 'valid'; claims: SessionClaims }
+  | { status: 'missing' | 'invalid' | 'expired' | 'forbidden'; claims?: SessionClaims };
+
+function base64UrlToBytes(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Reads the claims of a JWT without checking its signature.
+ * Returns null when the token is not a JWT.
+ */
+export function decodeJwt(token: string): SessionClaims | null {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[1])));
+    return typeof claims === 'object' && claims !== null ? claims : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Checks the HS256 signature of a JWT with the secret the auth service signs with.
+ */
+export async function verifyJwt(token: string, secret: string): Promise<boolean> {
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return false;
+  try {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['verify'],
+    );
+    return await crypto.subtle.verify('HMAC', key, base64UrlToBytes(signature), new TextEncoder().encode(`${header}.${payload}`));
+  } catch (e) {
+    return false;
+  }
+}
+
+export function rolesOf(claims: SessionClaims): string[] {
+  const roles = Array.isArray(claims.roles) ? claims.roles : [];
+  return claims.role ? [claims.role, ...roles] : roles;
+}
+
+export function hasAdminRole(claims: SessionClaims): boolean {
+  return rolesOf(claims).some((role) => ADMIN_ROLES.includes(role.replace(/^ROLE_/, '')));
+}
+
+/** Expiry of the token in epoch millis, or null when it has none */
+export function expiresAt(claims: SessionClaims): number | null {
+  return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+}
+
+export function isExpired(claims: SessionClaims, now = Date.now()): boolean {
+  const expiry = expiresAt(claims);
+  return expiry !== null && expiry <= now;
+}
+
+export function sessionUser(claims: SessionClaims): SessionUser {
+  const name = claims.name || [claims.firstName, claims.lastName].filter(Boolean).join(' ');
+  return {
+    id: claims.sub || '',
+    name: name || claims.email || '',
+    email: claims.email || '',
+    role: rolesOf(claims)[0],
+  };
+}
+
+/**
+ * Decides whether an access token opens an admin session. Without a secret no
+ * token can be trusted, so every session is invalid unless `allowUnsigned` is
+ * set, which only the end-to-end tests do.
+ */
+export async function checkSession(
+  token: string | undefined,
+  options: { secret?: string; allowUnsigned?: boolean; now?: number } = {},
+): Promise<SessionCheck> {
+  if (!token) return { status: 'missing' };
+
+  const claims = decodeJwt(token);
+  if (!claims) return { status: 'invalid' };
+  if (options.secret) {
+    if (!(await verifyJwt(token, options.secret))) return { status: 'invalid' };
+  } else if (!options.allowUnsigned) {
+    return { status: 'invalid' };
+  }
+  if (isExpired(claims, options.now)) return { status: 'expired', claims };
+  if (!hasAdminRole(claims)) return { status: 'forbidden', claims };
+  return { status: 'valid', claims };
+}
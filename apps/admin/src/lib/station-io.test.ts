@@ -0,0 +1,184 @@
+import { describe, expect, it } from "vitest";
+import type { Station } from "@gasolinera-jsm/api-sdk";
+import {
+  StationFileError,
+  importReportCsv,
+  parseCsv,
+  planImport,
+  readStationFile,
+  stationsToCsv,
+  stationsToGeoJson,
+} from "./station-io";
+
+// About 111 m per 0.001° of latitude
+const EXISTING: Station[] = [
+  { id: "s1", name: "La Sabana", latitude: 9.9370, longitude: -84.1000, status: "Activa" },
+  { id: "s2", name: "Escazú", latitude: 9.9180, longitude: -84.1400, status: "Activa" },
+];
+
+const csv = (...lines: string[]) => lines.join("\n") + "\n";
+
+describe("parseCsv", () => {
+  it("keeps commas, doubled quotes and line breaks inside quoted cells", () => {
+    expect(parseCsv('a,"b, c","say ""hi""","two\nlines"\n')).toEqual([
+      { line: 1, cells: ["a", "b, c", 'say "hi"', "two\nlines"] },
+    ]);
+  });
+
+  it("gives each row the file line it starts on", () => {
+    const rows = parseCsv('name,notes\nA,"one\ntwo\nthree"\nB,x\n');
+    expect(rows.map(({ line, cells }) => [line, cells[0]])).toEqual([[1, "name"], [2, "A"], [5, "B"]]);
+  });
+
+  it("reads CRLF and CR line endings", () => {
+    expect(parseCsv('a,b\r\nc,"d\r\ne"\r\nf,g\r\n').map(({ line, cells }) => [line, ...cells])).toEqual([
+      [1, "a", "b"],
+      [2, "c", "d\r\ne"],
+      [4, "f", "g"],
+    ]);
+    expect(parseCsv("a\rb\r").map(({ line }) => line)).toEqual([1, 2]);
+  });
+
+  it("reads a last row without a line break", () => {
+    expect(parseCsv("a,b\nc,")).toEqual([
+      { line: 1, cells: ["a", "b"] },
+      { line: 2, cells: ["c", ""] },
+    ]);
+  });
+
+  it("rejects a quote that is never closed, naming its line", () => {
+    expect(() => parseCsv('name\nA\n"B\nC\nD\n')).toThrow(StationFileError);
+    expect(() => parseCsv('name\nA\n"B\nC\nD\n')).toThrow("Unclosed quote in the cell starting on line 3");
+  });
+});
+
+describe("readStationFile", () => {
+  it("reads CSV columns by name, skipping blank rows and a BOM", () => {
+    const records = readStationFile("stations.csv", "\uFEFF" + csv("Latitude,Name,longitude", "", "9.93, Uno ,-84.08"));
+    expect(records).toEqual([{ line: 3, values: { latitude: "9.93", name: "Uno", longitude: "-84.08" } }]);
+  });
+
+  it("rejects a CSV without the required columns", () => {
+    expect(() => readStationFile("stations.csv", csv("name,lat,lng", "Uno,9.9,-84"))).toThrow(
+      "Missing CSV columns: latitude, longitude",
+    );
+  });
+
+  it("reads GeoJSON points as [longitude, latitude]", () => {
+    const records = readStationFile("stations.geojson", stationsToGeoJson(EXISTING));
+    expect(records[1]).toEqual({
+      line: 2,
+      values: { id: "s2", name: "Escazú", status: "Activa", latitude: 9.918, longitude: -84.14 },
+    });
+  });
+
+  it("reads back what the CSV export writes", () => {
+    const records = readStationFile("export.csv", stationsToCsv([{ ...EXISTING[0], name: 'Sabana, "Norte"' }]));
+    expect(records).toEqual([
+      { line: 2, values: { id: "s1", name: 'Sabana, "Norte"', latitude: "9.937", longitude: "-84.1", status: "Activa" } },
+    ]);
+  });
+});
+
+describe("planImport", () => {
+  const plan = (...lines: string[]) => planImport(readStationFile("import.csv", csv(...lines)), EXISTING);
+
+  it("creates new stations and updates the changed fields of existing ones", () => {
+    const [created, updated, unchanged] = plan(
+      "id,name,latitude,longitude,status",
+      ",Curridabat,9.9150,-84.0350,",
+      "s1,La Sabana,9.9370,-84.1000,Inactiva",
+      ",Escazú,9.9180,-84.1400,",
+    );
+    expect(created).toMatchObject({ line: 2, action: "create", errors: [] });
+    expect(updated).toMatchObject({
+      line: 3,
+      action: "update",
+      existing: EXISTING[0],
+      changes: [{ field: "status", from: "Activa", to: "Inactiva" }],
+    });
+    expect(unchanged).toMatchObject({ line: 4, action: "unchanged", existing: EXISTING[1] });
+  });
+
+  it("rejects rows that fail validation, with the line of the file", () => {
+    const [missing, outside, unknown] = plan(
+      "id,name,latitude,longitude",
+      ",,9.9,-84.0",
+      ",Managua,12.1364,-86.2514",
+      "s9,Fantasma,9.9,-84.0",
+    );
+    expect(missing).toMatchObject({ line: 2, action: "invalid" });
+    expect(missing.errors[0]).toMatch(/^name:/);
+    expect(outside).toMatchObject({ line: 3, action: "invalid", errors: ["Location is outside Costa Rica"] });
+    expect(unknown).toMatchObject({ line: 4, action: "invalid", errors: ["No station with id s9"] });
+  });
+
+  it("rejects a station that appears twice in the file", () => {
+    const rows = plan(
+      "id,name,latitude,longitude",
+      ",Uno,9.90,-84.00",
+      "s1,La Sabana,9.9370,-84.1000",
+      ",uno,9.95,-84.05",
+      "s1,Sabana,9.9371,-84.1000",
+    );
+    expect(rows.map(({ action, errors }) => [action, errors])).toEqual([
+      ["create", []],
+      ["unchanged", []],
+      ["invalid", ["Same station as line 2"]],
+      ["invalid", ["Same station as line 3"]],
+    ]);
+  });
+
+  it("warns about existing stations nearby, leaving out the one being updated", () => {
+    const [near] = plan("id,name,latitude,longitude", ",Sabana Norte,9.9380,-84.1000");
+    const [moved] = plan("id,name,latitude,longitude", "s1,La Sabana,9.9375,-84.1000");
+    expect(near.warnings).toEqual(["Within 200 m of La Sabana"]);
+    expect(moved).toMatchObject({ action: "update", warnings: [] });
+  });
+
+  it("warns about nearby rows earlier in the same file", () => {
+    const rows = plan(
+      "name,latitude,longitude",
+      "Uno,9.9000,-84.0000",
+      "Lejos,9.9500,-84.0000",
+      "Dos,9.9010,-84.0000",
+      "Tres,9.9015,-84.0000",
+    );
+    expect(rows.map(({ warnings }) => warnings)).toEqual([
+      [],
+      [],
+      ["Within 200 m of Uno (line 2) in this file"],
+      ["Within 200 m of Dos (line 4), Uno (line 2) in this file"],
+    ]);
+  });
+
+  it("ignores invalid rows when looking for nearby ones in the file", () => {
+    const [, second] = plan("name,latitude,longitude", ",9.9000,-84.0000", "Dos,9.9001,-84.0000");
+    expect(second.warnings).toEqual([]);
+  });
+});
+
+describe("importReportCsv", () => {
+  it("writes what was planned and what happened for every row", () => {
+    const rows = planImport(
+      readStationFile("import.csv", csv(
+        "id,name,latitude,longitude,status",
+        ",Nueva,9.9150,-84.0350,",
+        "s1,La Sabana,9.9370,-84.1000,Inactiva",
+        ",,1,1,",
+      )),
+      EXISTING,
+    );
+    const report = importReportCsv(rows, [
+      { line: 2, result: "created", id: "s3" },
+      { line: 3, result: "failed", error: "HTTP 500" },
+    ]);
+    expect(report.split("\r\n")).toEqual([
+      "line,action,result,id,name,latitude,longitude,status,changes,errors",
+      "2,create,created,s3,Nueva,9.915,-84.035,,,",
+      "3,update,failed,s1,La Sabana,9.937,-84.1,Inactiva,status: Activa -> Inactiva,HTTP 500",
+      "4,invalid,skipped,,,,,,,name: Required",
+      "",
+    ]);
+  });
+});
@@ -0,0 +1,288 @@
+// Station import/export in CSV and GeoJSON: parsing, validation against the Station
+// type and the plan of creates/updates compared with the existing stations.
+
+import { z } from "zod";
+import type { Station } from "@gasolinera-jsm/api-sdk";
+import { toCsv } from "@gasolinera-jsm/shared";
+import { DUPLICATE_RADIUS_METERS, coordinateError, findNearbyStations } from "./geo";
+
+export type StationFileFormat = 'csv' | 'geojson';
+
+/** Columns of the CSV files, in order; the export writes them and the import reads them by name */
+export const STATION_CSV_COLUMNS = ['id', 'name', 'latitude', 'longitude', 'status'] as const;
+
+const DIFF_FIELDS = ['name', 'latitude', 'longitude', 'status'] as const;
+
+const StationRecordSchema = z.object({
+  id: z.string().trim().min(1).optional(),
+  name: z.string().trim().min(1, "Name cannot be empty"),
+  latitude: z.coerce.number({ invalid_type_error: "Latitude must be a number" }).min(-90).max(90),
+  longitude: z.coerce.number({ invalid_type_error: "Longitude must be a number" }).min(-180).max(180),
+  status: z.string().trim().min(1).optional(),
+});
+
+export type StationRecord = z.infer<typeof StationRecordSchema>;
+
+/** A row of the file as read, before validation; `line` is the CSV line or the GeoJSON feature number */
+export type RawStationRecord = { line: number; values: Record<string, unknown> };
+
+export type FieldChange = { field: (typeof DIFF_FIELDS)[number]; from: unknown; to: unknown };
+
+export type ImportAction = 'create' | 'update' | 'unchanged' | 'invalid';
+
+export type ImportRow = {
+  line: number;
+  action: ImportAction;
+  record?: StationRecord;
+  existing?: Station;
+  changes: FieldChange[];
+  errors: string[];
+  warnings: string[];
+};
+
+export class StationFileError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'StationFileError';
+  }
+}
+
+// --- CSV --- //
+
+/** A CSV row and the file line it starts on, 1-based */
+export type CsvRow = { line: number; cells: string[] };
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+ * quotes doubled as "" and line breaks). Line breaks inside quoted cells are
+ * counted, so `line` stays the line of the file. A quote left open would take
+ * the rest of the file as one cell, so it throws a StationFileError instead.
+ */
+export function parseCsv(text: string): CsvRow[] {
+  const rows: CsvRow[] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+        // \r\n is counted on its \n
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+      }
+    } else if (char === '"') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new StationFileError(`Unclosed quote in the cell starting on line ${quoteLine}`);
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows;
+}
+
+function readCsv(text: string): RawStationRecord[] {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new StationFileError('The CSV file is empty');
+
+  const columns = header.cells.map((column) => column.trim().toLowerCase());
+  const missing = ['name', 'latitude', 'longitude'].filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new StationFileError(`Missing CSV columns: ${missing.join(', ')}`);
+  }
+
+  return rows
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''))
+    .map(({ cells, line }) => {
+      const values: Record<string, unknown> = {};
+      columns.forEach((column, i) => {
+        const cell = (cells[i] ?? '').trim();
+        if (cell !== '') values[column] = cell;
+      });
+      return { line, values };
+    });
+}
+
+// --- GeoJSON --- //
+
+function readGeoJson(text: string): RawStationRecord[] {
+  let document: any;
+  try {
+    document = JSON.parse(text);
+  } catch (e) {
+    throw new StationFileError('The file is not valid JSON');
+  }
+  const features = document?.type === 'FeatureCollection' ? document.features : document?.type === 'Feature' ? [document] : null;
+  if (!Array.isArray(features)) {
+    throw new StationFileError('Expected a GeoJSON FeatureCollection of points');
+  }
+
+  return features.map((feature: any, index: number) => {
+    const values: Record<string, unknown> = { ...(feature?.properties || {}) };
+    if (feature?.id !== undefined && values.id === undefined) values.id = String(feature.id);
+    if (feature?.geometry?.type === 'Point' && Array.isArray(feature.geometry.coordinates)) {
+      // GeoJSON positions are [longitude, latitude]
+      [values.longitude, values.latitude] = feature.geometry.coordinates;
+    } else {
+      delete values.latitude;
+      delete values.longitude;
+    }
+    return { line: index + 1, values };
+  });
+}
+
+export function detectFormat(fileName: string, text: string): StationFileFormat {
+  if (/\.(geo)?json$/i.test(fileName)) return 'geojson';
+  if (/\.csv$/i.test(fileName)) return 'csv';
+  return text.trimStart().startsWith('{') ? 'geojson' : 'csv';
+}
+
+export function readStationFile(fileName: string, text: string): RawStationRecord[] {
+  return detectFormat(fileName, text) === 'geojson' ? readGeoJson(text) : readCsv(text);
+}
+
+// --- Import plan --- //
+
+function changesBetween(existing: Station, record: StationRecord): FieldChange[] {
+  return DIFF_FIELDS
+    .filter((field) => record[field] !== undefined && record[field] !== existing[field])
+    .map((field) => ({ field, from: existing[field], to: record[field] }));
+}
+
+/**
+ * Validates every record and decides what applying it would do. Records match
+ * existing stations by id, or by name when they have no id. Nearby stations
+ * are looked for among the existing ones and the rows accepted earlier in the file.
+ */
+export function planImport(records: RawStationRecord[], existing: Station[]): ImportRow[] {
+  const byId = new Map(existing.map((station) => [station.id, station]));
+  const byName = new Map(existing.map((station) => [station.name.trim().toLowerCase(), station]));
+  const seen = new Map<string, number>();
+  const accepted: (StationRecord & { id: string; line: number })[] = [];
+
+  return records.map(({ line, values }) => {
+    const parsed = StationRecordSchema.safeParse(values);
+    if (!parsed.success) {
+      return {
+        line,
+        action: 'invalid',
+        changes: [],
+        errors: parsed.error.issues.map((issue) => `${issue.path.join('.') || 'row'}: ${issue.message}`),
+        warnings: [],
+      };
+    }
+
+    const record = parsed.data;
+    const errors: string[] = [];
+    const warnings: string[] = [];
+
+    const locationError = coordinateError(record);
+    if (locationError) errors.push(locationError);
+
+    const match = record.id ? byId.get(record.id) : byName.get(record.name.toLowerCase());
+    if (record.id && !match) {
+      errors.push(`No station with id ${record.id}`);
+    }
+
+    const key = match?.id || record.name.toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`Same station as line ${seen.get(key)}`);
+    } else {
+      seen.set(key, line);
+    }
+
+    const nearby = findNearbyStations(existing, record, DUPLICATE_RADIUS_METERS, match?.id);
+    if (nearby.length > 0) {
+      warnings.push(`Within ${DUPLICATE_RADIUS_METERS} m of ${nearby.map(({ station }) => station.name).join(', ')}`);
+    }
+    const nearbyInFile = findNearbyStations(accepted, record, DUPLICATE_RADIUS_METERS);
+    if (nearbyInFile.length > 0) {
+      const rows = nearbyInFile.map(({ station }) => `${station.name} (line ${station.line})`);
+      warnings.push(`Within ${DUPLICATE_RADIUS_METERS} m of ${rows.join(', ')} in this file`);
+    }
+
+    const changes = match ? changesBetween(match, record) : [];
+    const action: ImportAction = errors.length > 0 ? 'invalid' : !match ? 'create' : changes.length > 0 ? 'update' : 'unchanged';
+    if (action !== 'invalid') {
+      accepted.push({ ...record, id: match?.id ?? `line-${line}`, line });
+    }
+    return { line, action, record, existing: match, changes, errors, warnings };
+  });
+}
+
+// --- Export --- //
+
+export function stationsToCsv(stations: Station[]): string {
+  return toCsv(STATION_CSV_COLUMNS, stations.map((station) => STATION_CSV_COLUMNS.map((column) => station[column])));
+}
+
+export function stationsToGeoJson(stations: Station[]): string {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: stations.map(({ id, name, status, latitude, longitude }) => ({
+      type: 'Feature',
+      id,
+      geometry: { type: 'Point', coordinates: [longitude, latitude] },
+      properties: { id, name, status },
+    })),
+  }, null, 2);
+}
+
+export function exportStations(stations: Station[], format: StationFileFormat): { content: string; mimeType: string; extension: string } {
+  return format === 'csv'
+    ? { content: stationsToCsv(stations), mimeType: 'text/csv', extension: 'csv' }
+    : { content: stationsToGeoJson(stations), mimeType: 'application/geo+json', extension: 'geojson' };
+}
+
+// --- Result report --- //
+
+export type ImportResult = { line: number; result: 'created' | 'updated' | 'skipped' | 'failed'; id?: string; error?: string };
+
+const REPORT_COLUMNS = ['line', 'action', 'result', 'id', 'name', 'latitude', 'longitude', 'status', 'changes', 'errors'];
+
+/** CSV with one line per imported row: what was planned and what happened */
+export function importReportCsv(rows: ImportRow[], results: ImportResult[]): string {
+  const byLine = new Map(results.map((result) => [result.line, result]));
+  return toCsv(REPORT_COLUMNS, rows.map((row) => {
+    const result = byLine.get(row.line);
+    return [
+      row.line,
+      row.action,
+      result?.result ?? 'skipped',
+      result?.id ?? row.existing?.id ?? row.record?.id,
+      row.record?.name,
+      row.record?.latitude,
+      row.record?.longitude,
+      row.record?.status,
+      row.changes.map(({ field, from, to }) => `${field}: ${from} -> ${to}`).join('; '),
+      [...row.errors, ...(result?.error ? [result.error] : [])].join('; '),
+    ];
+  }));
+}
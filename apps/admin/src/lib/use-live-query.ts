@@ -0,0 +1,187 @@
+"use client";
+
+// Keeps a query fresh: server-sent events announce changes when the gateway offers them,
+// otherwise the query is polled. Failed fetches back off exponentially and the last good
+// data stays on screen, marked as stale. Queries on the same stream share one connection.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+export type LiveMode = 'sse' | 'polling';
+
+export interface LiveQueryOptions {
+  /** EventSource URL; every event on it triggers a refetch */
+  streamUrl?: string;
+  /** Polling interval while the API answers, default 30s */
+  intervalMs?: number;
+  /** Longest wait between attempts while the API fails, default 5 min */
+  maxBackoffMs?: number;
+  /** While polling, data older than this counts as stale even without errors, default 2 intervals */
+  staleAfterMs?: number;
+}
+
+export interface LiveQueryState<T> {
+  data: T | null;
+  error: string | null;
+  isLoading: boolean;
+  /** Shown data did not come from the latest attempt, or is too old */
+  isStale: boolean;
+  updatedAt: number | null;
+  mode: LiveMode;
+  nextRetryAt: number | null;
+  refresh: () => void;
+}
+
+const DEFAULT_INTERVAL_MS = 30_000;
+const DEFAULT_MAX_BACKOFF_MS = 5 * 60_000;
+const FIRST_BACKOFF_MS = 2_000;
+
+/** Delay before the next attempt after `failures` consecutive failures, with ±20% jitter */
+export function backoffDelay(failures: number, maxMs = DEFAULT_MAX_BACKOFF_MS): number {
+  const delay = Math.min(FIRST_BACKOFF_MS * 2 ** Math.max(0, failures - 1), maxMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+type StreamListener = { onMessage: () => void; onOpen: () => void; onError: () => void };
+
+// One EventSource per URL, shared by every query of the page that listens to it
+const streams = new Map<string, { source: EventSource; listeners: Set<StreamListener> }>();
+
+function subscribeToStream(url: string, listener: StreamListener): () => void {
+  let stream = streams.get(url);
+  if (!stream) {
+    const source = new EventSource(url);
+    const listeners = new Set<StreamListener>();
+    source.onmessage = () => listeners.forEach((each) => each.onMessage());
+    source.onopen = () => listeners.forEach((each) => each.onOpen());
+    source.onerror = () => {
+      // The stream is not available or dropped: poll instead of letting EventSource retry forever
+      source.close();
+      streams.delete(url);
+      listeners.forEach((each) => each.onError());
+    };
+    stream = { source, listeners };
+    streams.set(url, stream);
+  } else if (stream.source.readyState === EventSource.OPEN) {
+    listener.onOpen();
+  }
+
+  const { source, listeners } = stream;
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && streams.get(url)?.source === source) {
+      source.close();
+      streams.delete(url);
+    }
+  };
+}
+
+/**
+ * `fetcher` runs on mount, whenever `key` changes and on every update; the key
+ * should describe everything the fetcher depends on.
+ */
+export function useLiveQuery<T>(key: string, fetcher: () => Promise<T>, options: LiveQueryOptions = {}): LiveQueryState<T> {
+  const { streamUrl, intervalMs = DEFAULT_INTERVAL_MS, maxBackoffMs = DEFAULT_MAX_BACKOFF_MS } = options;
+  const staleAfterMs = options.staleAfterMs ?? intervalMs * 2;
+
+  const [data, setData] = useState<T | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [updatedAt, setUpdatedAt] = useState<number | null>(null);
+  const [mode, setMode] = useState<LiveMode>(streamUrl ? 'sse' : 'polling');
+  const [nextRetryAt, setNextRetryAt] = useState<number | null>(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const failures = useRef(0);
+  const timer = useRef<ReturnType<typeof setTimeout>>();
+  const modeRef = useRef(mode);
+  modeRef.current = mode;
+  const run = useRef<() => void>(() => undefined);
+  // Number of the latest fetch; SSE events, polling and reconnects can start overlapping ones
+  const latestRequest = useRef(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    failures.current = 0;
+    setData(null);
+    setError(null);
+    setUpdatedAt(null);
+
+    const schedule = (delay: number | null) => {
+      clearTimeout(timer.current);
+      setNextRetryAt(delay === null ? null : Date.now() + delay);
+      if (delay !== null) timer.current = setTimeout(() => run.current(), delay);
+    };
+
+    run.current = async () => {
+      clearTimeout(timer.current);
+      setIsLoading(true);
+      const request = ++latestRequest.current;
+      // A newer fetch started meanwhile: its answer wins, even if this one arrives later
+      const superseded = () => cancelled || request !== latestRequest.current;
+      try {
+        const result = await fetcherRef.current();
+        if (superseded()) return;
+        failures.current = 0;
+        setData(result);
+        setError(null);
+        setUpdatedAt(Date.now());
+        // With a working stream there is nothing to poll for
+        schedule(modeRef.current === 'sse' ? null : intervalMs);
+      } catch (err: any) {
+        if (superseded()) return;
+        failures.current += 1;
+        setError(err.message);
+        schedule(backoffDelay(failures.current, maxBackoffMs));
+      } finally {
+        if (!superseded()) setIsLoading(false);
+      }
+    };
+    run.current();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer.current);
+    };
+  }, [key, intervalMs, maxBackoffMs]);
+
+  // Events only say that something changed; the data still comes from the fetcher
+  useEffect(() => {
+    if (!streamUrl || typeof EventSource === 'undefined') {
+      setMode('polling');
+      return;
+    }
+    return subscribeToStream(streamUrl, {
+      onMessage: () => run.current(),
+      onOpen: () => setMode('sse'),
+      onError: () => {
+        setMode('polling');
+        run.current();
+      },
+    });
+  }, [streamUrl]);
+
+  useEffect(() => {
+    const tick = setInterval(() => setNow(Date.now()), 10_000);
+    const retry = () => run.current();
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') run.current();
+    };
+    window.addEventListener('online', retry);
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      clearInterval(tick);
+      window.removeEventListener('online', retry);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }, []);
+
+  const refresh = useCallback(() => run.current(), []);
+
+  const isStale = data !== null
+    && (error !== null || (mode === 'polling' && updatedAt !== null && now - updatedAt > staleAfterMs));
+
+  return { data, error, isLoading, isStale, updatedAt, mode, nextRetryAt, refresh };
+}
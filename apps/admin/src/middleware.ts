@@ -1,25 +1,72 @@
-
 import { NextResponse } from 'next/server';
 import type { NextRequest } from 'next/server';
+import { REFRESH_COOKIE, SESSION_COOKIE, LogoutReason, checkSession, decodeJwt, hasAdminRole } from '@/lib/session';
+import { SESSION_CHECK, clearSessionCookies, refreshTokens, setSessionCookies } from '@/lib/session-server';
 
-export function middleware(request: NextRequest) {
-  const authToken = request.cookies.get('auth-token')?.value;
+// Backend calls that work without a session (login, registration)
+const PUBLIC_API_PREFIXES = ['/api/backend/auth/'];
 
-  if (request.nextUrl.pathname.startsWith('/dashboard')) {
-    if (!authToken) {
-      return NextResponse.redirect(new URL('/login', request.url));
-    }
+function toLogin(request: NextRequest, reason?: LogoutReason) {
+  const url = new URL('/login', request.url);
+  if (reason) url.searchParams.set('reason', reason);
+  const response = NextResponse.redirect(url);
+  clearSessionCookies(response);
+  return response;
+}
+
+function apiError(status: number, message: string, code: string) {
+  const response = NextResponse.json({ message, code }, { status });
+  if (status === 401) clearSessionCookies(response);
+  return response;
+}
+
+/**
+ * An expired access token is replaced using the refresh cookie, so a user
+ * coming back after the silent refresh stopped keeps the session.
+ */
+async function refreshed(request: NextRequest): Promise<NextResponse | null> {
+  const refreshToken = request.cookies.get(REFRESH_COOKIE)?.value;
+  const tokens = refreshToken ? await refreshTokens(refreshToken) : null;
+  const claims = tokens ? decodeJwt(tokens.accessToken) : null;
+  if (!tokens || !claims || !hasAdminRole(claims)) return null;
+
+  // Later handlers of this request see the new token too
+  request.cookies.set(SESSION_COOKIE, tokens.accessToken);
+  const response = NextResponse.next({ request: { headers: request.headers } });
+  setSessionCookies(response, tokens);
+  return response;
+}
+
+export async function middleware(request: NextRequest) {
+  const { pathname } = request.nextUrl;
+  const session = await checkSession(request.cookies.get(SESSION_COOKIE)?.value, SESSION_CHECK);
+
+  if (pathname.startsWith('/login')) {
+    return session.status === 'valid' ? NextResponse.redirect(new URL('/dashboard', request.url)) : NextResponse.next();
   }
 
-  if (request.nextUrl.pathname.startsWith('/login')) {
-    if (authToken) {
-      return NextResponse.redirect(new URL('/dashboard', request.url));
-    }
+  const isApi = pathname.startsWith('/api/backend');
+  if (isApi && PUBLIC_API_PREFIXES.some((prefix) => pathname.startsWith(prefix))) {
+    return NextResponse.next();
   }
 
-  return NextResponse.next();
+  switch (session.status) {
+    case 'valid':
+      return NextResponse.next();
+    case 'forbidden':
+      return isApi ? apiError(403, 'Admin role required', 'FORBIDDEN_ROLE') : toLogin(request, 'forbidden');
+    case 'expired':
+    case 'missing': {
+      const response = await refreshed(request);
+      if (response) return response;
+      if (isApi) return apiError(401, 'Session expired', 'SESSION_EXPIRED');
+      return toLogin(request, session.status === 'expired' ? 'expired' : undefined);
+    }
+    default:
+      return isApi ? apiError(401, 'Invalid session', 'SESSION_INVALID') : toLogin(request, 'expired');
+  }
 }
 
 export const config = {
-  matcher: ['/dashboard/:path*', '/login'],
+  matcher: ['/dashboard/:path*', '/login', '/api/backend/:path*'],
 };
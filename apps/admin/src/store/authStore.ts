@@ -2,17 +2,19 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
 
-interface User {
+export interface User {
   id: string;
   name: string;
   email: string;
 }
 
+// Los tokens viven en cookies httpOnly (ver app/api/session); aquí solo el usuario y la expiración
 interface AuthState {
   user: User | null;
-  accessToken: string | null;
+  expiresAt: number | null;
   isAuthenticated: boolean;
-  login: (userData: User, token: string) => void;
+  login: (userData: User, expiresAt: number | null) => void;
+  setExpiresAt: (expiresAt: number | null) => void;
   logout: () => void;
 }
 
@@ -20,13 +22,11 @@ export const useAuthStore = create<AuthState>()(
   persist(
     (set) => ({
       user: null,
-      accessToken: null,
+      expiresAt: null,
       isAuthenticated: false,
-      login: (userData, token) => set({ user: userData, accessToken: token, isAuthenticated: true }),
-      logout: () => {
-        // También podrías añadir una llamada a la API /auth/logout aquí
-        set({ user: null, accessToken: null, isAuthenticated: false });
-      },
+      login: (userData, expiresAt) => set({ user: userData, expiresAt, isAuthenticated: true }),
+      setExpiresAt: (expiresAt) => set({ expiresAt }),
+      logout: () => set({ user: null, expiresAt: null, isAuthenticated: false }),
     }),
     {
       name: 'auth-storage', // Nombre de la clave en localStorage
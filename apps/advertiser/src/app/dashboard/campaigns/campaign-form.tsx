@@ -1,116 +1,280 @@
 "use client";
 
-import { useEffect } from "react";
+import { ReactNode, useEffect, useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
-import { Campaign } from "@/lib/apiClient";
-import { useForm } from "react-hook-form";
-import { z } from "zod";
-import { zodResolver } from "@hookform/resolvers/zod"; // Assuming this resolver is available
-
-// Define Zod schema for validation
-const CampaignSchema = z.object({
-  name: z.string().min(1, "Name cannot be empty"),
-  startDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), "Invalid start date"),
-  endDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), "Invalid end date"),
-  budget: z.number().min(0, "Budget must be positive"),
-  adUrl: z.string().url("Invalid URL format").min(1, "Ad URL cannot be empty"),
-}).refine((data) => new Date(data.endDate) >= new Date(data.startDate), {
-  message: "End date cannot be before start date",
-  path: ["endDate"], 
-});
-
-type CampaignFormValues = z.infer<typeof CampaignSchema>;
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Campaign, CampaignInput, Station } from "@/lib/apiClient";
+import { AD_STEP_DURATIONS_SECONDS, adStepForDuration, formatAdDuration } from "@gasolinera-jsm/shared";
+import { useFieldArray, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  CAMPAIGN_REGIONS,
+  CampaignFormValues,
+  CampaignSchema,
+  EMPTY_CAMPAIGN,
+  FREQUENCY_PERIOD_LABELS,
+  MAX_CREATIVES,
+  PACING_LABELS,
+  campaignToFormValues,
+  formValuesToCampaignInput,
+  pacingPlan,
+} from "./campaign-schema";
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const selectClassName = "h-10 rounded-md border border-input bg-background px-3 text-sm";
 
 interface CampaignFormProps {
   campaign: Campaign | null;
+  stations: Station[];
   isOpen: boolean;
   onClose: () => void;
-  onSave: (campaign: Campaign) => void;
+  /** Persists the campaign; the form stays open when it throws */
+  onSave: (campaign: CampaignInput) => Promise<void>;
 }
 
-export function CampaignForm({ campaign, isOpen, onClose, onSave }: CampaignFormProps) {
-  const { register, handleSubmit, reset, formState: { errors } } = useForm<CampaignFormValues>({
+function ToggleChip({ selected, onClick, children }: { selected: boolean; onClick: () => void; children: ReactNode }) {
+  return (
+    <button
+      type="button"
+      aria-pressed={selected}
+      onClick={onClick}
+      className={`rounded-md border px-2 py-1 text-xs ${selected ? "border-primary bg-primary text-primary-foreground" : "bg-background"}`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function toggle<T>(list: T[], value: T): T[] {
+  return list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+}
+
+export function CampaignForm({ campaign, stations, isOpen, onClose, onSave }: CampaignFormProps) {
+  const [isSaving, setIsSaving] = useState(false);
+  const { register, control, handleSubmit, reset, watch, setValue, formState: { errors } } = useForm<CampaignFormValues>({
     resolver: zodResolver(CampaignSchema),
-    defaultValues: {
-      name: "",
-      startDate: "",
-      endDate: "",
-      budget: 0,
-      adUrl: "",
-    },
+    defaultValues: EMPTY_CAMPAIGN,
   });
+  const creatives = useFieldArray({ control, name: "creatives" });
 
   useEffect(() => {
-    if (campaign) {
-      reset({
-        name: campaign.name,
-        startDate: campaign.startDate,
-        endDate: campaign.endDate,
-        budget: campaign.budget,
-        adUrl: campaign.adUrl,
-      });
-    } else {
-      reset();
-    }
+    reset(campaign ? campaignToFormValues(campaign) : EMPTY_CAMPAIGN);
   }, [campaign, reset]);
 
-  const onSubmit = (data: CampaignFormValues) => {
-    const savedCampaign: Campaign = {
-      id: campaign?.id || Date.now(), // Mock ID for now
-      name: data.name,
-      startDate: data.startDate,
-      endDate: data.endDate,
-      budget: data.budget,
-      adUrl: data.adUrl,
-    };
-    onSave(savedCampaign);
-    onClose();
+  const [targeting, startDate, endDate, budget, dailyBudgetCap] = watch(["targeting", "startDate", "endDate", "budget", "dailyBudgetCap"]);
+  const pacing = pacingPlan({ startDate, endDate, budget: budget || 0, dailyBudgetCap: dailyBudgetCap || 0 });
+
+  const onSubmit = async (data: CampaignFormValues) => {
+    try {
+      setIsSaving(true);
+      await onSave(formValuesToCampaignInput(data));
+      onClose();
+    } catch (e) {
+      // The page already reported the error; keep the form so nothing is lost
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const sectionErrors = {
+    general: errors.name || errors.startDate || errors.endDate || errors.budget,
+    creatives: errors.creatives,
+    pacing: errors.dailyBudgetCap || errors.frequencyCap,
   };
 
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
-      <DialogContent className="sm:max-w-[425px]">
+      <DialogContent className="sm:max-w-[640px]">
         <DialogHeader>
           <DialogTitle>{campaign ? "Editar Campaña" : "Crear Nueva Campaña"}</DialogTitle>
           <DialogDescription>
             {campaign ? "Realiza cambios en tu campaña aquí." : "Define los detalles de tu nueva campaña publicitaria."}
           </DialogDescription>
         </DialogHeader>
-        <form onSubmit={handleSubmit(onSubmit)} className="grid gap-4 py-4">
-          <div className="grid gap-2">
-            <Label htmlFor="name">Nombre</Label>
-            <Input id="name" {...register("name")} />
-            {errors.name && <p className="text-red-500 text-sm">{errors.name.message}</p>}
-          </div>
-          <div className="grid gap-2">
-            <Label htmlFor="startDate">Fecha Inicio</Label>
-            <Input id="startDate" type="date" {...register("startDate")} />
-            {errors.startDate && <p className="text-red-500 text-sm">{errors.startDate.message}</p>}
-          </div>
-          <div className="grid gap-2">
-            <Label htmlFor="endDate">Fecha Fin</Label>
-            <Input id="endDate" type="date" {...register("endDate")} />
-            {errors.endDate && <p className="text-red-500 text-sm">{errors.endDate.message}</p>}
-          </div>
-          <div className="grid gap-2">
-            <Label htmlFor="budget">Presupuesto</Label>
-            <Input id="budget" type="number" step="0.01" {...register("budget", { valueAsNumber: true })} />
-            {errors.budget && <p className="text-red-500 text-sm">{errors.budget.message}</p>}
-          </div>
-          <div className="grid gap-2">
-            <Label htmlFor="adUrl">URL Anuncio</Label>
-            <Input id="adUrl" {...register("adUrl")} />
-            {errors.adUrl && <p className="text-red-500 text-sm">{errors.adUrl.message}</p>}
-          </div>
+        <form onSubmit={handleSubmit(onSubmit)} className="grid gap-4">
+          <Tabs defaultValue="general">
+            <TabsList className="grid w-full grid-cols-4">
+              <TabsTrigger value="general" className={sectionErrors.general ? "text-red-600" : ""}>General</TabsTrigger>
+              <TabsTrigger value="targeting">Segmentación</TabsTrigger>
+              <TabsTrigger value="creatives" className={sectionErrors.creatives ? "text-red-600" : ""}>Anuncios</TabsTrigger>
+              <TabsTrigger value="pacing" className={sectionErrors.pacing ? "text-red-600" : ""}>Ritmo</TabsTrigger>
+            </TabsList>
+
+            <TabsContent value="general" className="grid gap-4 py-2">
+              <div className="grid gap-2">
+                <Label htmlFor="name">Nombre</Label>
+                <Input id="name" {...register("name")} />
+                {errors.name && <p className="text-red-500 text-sm">{errors.name.message}</p>}
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div className="grid gap-2">
+                  <Label htmlFor="startDate">Fecha Inicio</Label>
+                  <Input id="startDate" type="date" {...register("startDate")} />
+                  {errors.startDate && <p className="text-red-500 text-sm">{errors.startDate.message}</p>}
+                </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="endDate">Fecha Fin</Label>
+                  <Input id="endDate" type="date" {...register("endDate")} />
+                  {errors.endDate && <p className="text-red-500 text-sm">{errors.endDate.message}</p>}
+                </div>
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="budget">Presupuesto Total</Label>
+                <Input id="budget" type="number" step="0.01" {...register("budget", { valueAsNumber: true })} />
+                {errors.budget && <p className="text-red-500 text-sm">{errors.budget.message}</p>}
+              </div>
+            </TabsContent>
+
+            <TabsContent value="targeting" className="grid gap-4 py-2">
+              <p className="text-sm text-muted-foreground">Sin selección, la campaña se muestra en todas las opciones.</p>
+              <div className="grid gap-2">
+                <Label>Regiones</Label>
+                <div className="flex flex-wrap gap-1">
+                  {CAMPAIGN_REGIONS.map((region) => (
+                    <ToggleChip
+                      key={region}
+                      selected={targeting.regions.includes(region)}
+                      onClick={() => setValue("targeting.regions", toggle(targeting.regions, region), { shouldDirty: true })}
+                    >
+                      {region}
+                    </ToggleChip>
+                  ))}
+                </div>
+              </div>
+              <div className="grid gap-2">
+                <Label>Estaciones</Label>
+                <div className="flex max-h-32 flex-wrap gap-1 overflow-auto">
+                  {stations.length === 0 && <span className="text-sm text-muted-foreground">No hay estaciones disponibles.</span>}
+                  {stations.map((station) => (
+                    <ToggleChip
+                      key={station.id}
+                      selected={targeting.stationIds.includes(station.id)}
+                      onClick={() => setValue("targeting.stationIds", toggle(targeting.stationIds, station.id), { shouldDirty: true })}
+                    >
+                      {station.name}
+                    </ToggleChip>
+                  ))}
+                </div>
+              </div>
+              <div className="grid gap-2">
+                <Label>Horas del día</Label>
+                <div className="grid grid-cols-12 gap-1">
+                  {HOURS.map((hour) => (
+                    <ToggleChip
+                      key={hour}
+                      selected={targeting.hours.includes(hour)}
+                      onClick={() => setValue("targeting.hours", toggle(targeting.hours, hour), { shouldDirty: true })}
+                    >
+                      {String(hour).padStart(2, "0")}
+                    </ToggleChip>
+                  ))}
+                </div>
+              </div>
+            </TabsContent>
+
+            <TabsContent value="creatives" className="grid gap-3 py-2">
+              <p className="text-sm text-muted-foreground">
+                La duración de cada anuncio corresponde a un paso de la secuencia de anuncios de la app.
+              </p>
+              {creatives.fields.map((field, index) => {
+                const fieldErrors = errors.creatives?.[index];
+                return (
+                  <div key={field.id} className="grid gap-2 rounded-md border p-3">
+                    <div className="flex items-center gap-2">
+                      <Input placeholder="Nombre" aria-label={`Nombre del anuncio ${index + 1}`} {...register(`creatives.${index}.name`)} />
+                      <select
+                        aria-label={`Duración del anuncio ${index + 1}`}
+                        className={selectClassName}
+                        {...register(`creatives.${index}.durationSeconds`, { valueAsNumber: true })}
+                      >
+                        {AD_STEP_DURATIONS_SECONDS.map((seconds) => (
+                          <option key={seconds} value={seconds}>
+                            {formatAdDuration(seconds)} (paso {adStepForDuration(seconds)})
+                          </option>
+                        ))}
+                      </select>
+                      <Button
+                        type="button"
+                        size="icon"
+                        variant="ghost"
+                        onClick={() => creatives.remove(index)}
+                        disabled={creatives.fields.length === 1}
+                        aria-label={`Quitar anuncio ${index + 1}`}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    <Input placeholder="https://..." aria-label={`URL del anuncio ${index + 1}`} {...register(`creatives.${index}.url`)} />
+                    {[fieldErrors?.name, fieldErrors?.url, fieldErrors?.durationSeconds].map((error) => error && (
+                      <p key={error.message} className="text-red-500 text-sm">{error.message}</p>
+                    ))}
+                  </div>
+                );
+              })}
+              {errors.creatives?.root && <p className="text-red-500 text-sm">{errors.creatives.root.message}</p>}
+              {errors.creatives?.message && <p className="text-red-500 text-sm">{errors.creatives.message}</p>}
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => creatives.append({ name: "", url: "", durationSeconds: AD_STEP_DURATIONS_SECONDS[0] })}
+                disabled={creatives.fields.length >= MAX_CREATIVES}
+              >
+                <Plus className="mr-2 h-4 w-4" /> Agregar anuncio
+              </Button>
+            </TabsContent>
+
+            <TabsContent value="pacing" className="grid gap-4 py-2">
+              <div className="grid grid-cols-2 gap-4">
+                <div className="grid gap-2">
+                  <Label htmlFor="dailyBudgetCap">Límite Diario</Label>
+                  <Input id="dailyBudgetCap" type="number" step="0.01" {...register("dailyBudgetCap", { valueAsNumber: true })} />
+                  {errors.dailyBudgetCap && <p className="text-red-500 text-sm">{errors.dailyBudgetCap.message}</p>}
+                </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="pacing">Ritmo de gasto</Label>
+                  <select id="pacing" className={selectClassName} {...register("pacing")}>
+                    {Object.entries(PACING_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </div>
+              </div>
+              {pacing.days > 0 && (
+                <p className={`text-sm ${pacing.budgetReachable ? "text-muted-foreground" : "text-amber-700"}`}>
+                  {pacing.days} días: gasto uniforme de ${pacing.evenDailySpend.toFixed(2)} por día.
+                  {!pacing.budgetReachable && ` Con el límite diario solo se pueden gastar $${pacing.maxSpend.toFixed(2)} del presupuesto.`}
+                </p>
+              )}
+              <div className="grid gap-2">
+                <Label htmlFor="frequencyCap">Frecuencia máxima por usuario</Label>
+                <div className="flex items-center gap-2">
+                  <Input
+                    id="frequencyCap"
+                    type="number"
+                    step="1"
+                    className="w-24"
+                    {...register("frequencyCap.maxImpressions", { valueAsNumber: true })}
+                  />
+                  <span className="text-sm">impresiones</span>
+                  <select aria-label="Período de la frecuencia" className={selectClassName} {...register("frequencyCap.per")}>
+                    {Object.entries(FREQUENCY_PERIOD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </div>
+                {errors.frequencyCap?.maxImpressions && (
+                  <p className="text-red-500 text-sm">{errors.frequencyCap.maxImpressions.message}</p>
+                )}
+              </div>
+            </TabsContent>
+          </Tabs>
           <DialogFooter>
-            <Button variant="outline" onClick={onClose} type="button">Cancelar</Button>
-            <Button type="submit">Guardar Campaña</Button>
+            <Button variant="outline" onClick={onClose} type="button" disabled={isSaving}>Cancelar</Button>
+            <Button type="submit" disabled={isSaving}>{isSaving ? "Guardando..." : "Guardar Campaña"}</Button>
           </DialogFooter>
         </form>
       </DialogContent>
     </Dialog>
   );
-}
\ No newline at end of file
+}
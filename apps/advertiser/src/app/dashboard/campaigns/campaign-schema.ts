@@ -0,0 +1,127 @@
+import { z } from "zod";
+import { AD_STEP_DURATIONS_SECONDS, AdStepDuration, isAdStepDuration } from "@gasolinera-jsm/shared";
+import type { Campaign, CampaignInput } from "@/lib/apiClient";
+
+/** Provinces of Costa Rica, the regions campaigns can target */
+export const CAMPAIGN_REGIONS = ['San José', 'Alajuela', 'Cartago', 'Heredia', 'Guanacaste', 'Puntarenas', 'Limón'] as const;
+
+export const MAX_CREATIVES = 10;
+
+export const PACING_LABELS = {
+  EVEN: 'Uniforme durante el día',
+  ACCELERATED: 'Acelerado (lo antes posible)',
+} as const;
+
+export const FREQUENCY_PERIOD_LABELS = {
+  DAY: 'por día',
+  WEEK: 'por semana',
+  CAMPAIGN: 'en toda la campaña',
+} as const;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CreativeSchema = z.object({
+  id: z.string().optional(),
+  name: z.string().trim().min(1, "Creative name cannot be empty"),
+  url: z.string().url("Invalid URL format"),
+  durationSeconds: z.number().refine(
+    (seconds): seconds is AdStepDuration => isAdStepDuration(seconds),
+    `Duration must be one of the ad sequence steps: ${AD_STEP_DURATIONS_SECONDS.join(', ')} seconds`,
+  ),
+});
+
+// Define Zod schema for validation
+export const CampaignSchema = z.object({
+  name: z.string().min(1, "Name cannot be empty"),
+  startDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), "Invalid start date"),
+  endDate: z.string().refine((date) => !isNaN(new Date(date).getTime()), "Invalid end date"),
+  budget: z.number({ invalid_type_error: "Budget must be a number" }).positive("Budget must be positive"),
+  dailyBudgetCap: z.number({ invalid_type_error: "Daily cap must be a number" }).positive("Daily cap must be positive"),
+  pacing: z.enum(['EVEN', 'ACCELERATED']),
+  frequencyCap: z.object({
+    maxImpressions: z.number({ invalid_type_error: "Frequency cap must be a number" })
+      .int("Frequency cap must be a whole number")
+      .min(1, "Frequency cap must be at least 1")
+      .max(100, "Frequency cap cannot exceed 100"),
+    per: z.enum(['DAY', 'WEEK', 'CAMPAIGN']),
+  }),
+  targeting: z.object({
+    stationIds: z.array(z.string()),
+    regions: z.array(z.enum(CAMPAIGN_REGIONS)),
+    hours: z.array(z.number().int().min(0).max(23)),
+  }),
+  creatives: z.array(CreativeSchema)
+    .min(1, "Add at least one creative")
+    .max(MAX_CREATIVES, `A campaign can have at most ${MAX_CREATIVES} creatives`),
+}).refine((data) => new Date(data.endDate) >= new Date(data.startDate), {
+  message: "End date cannot be before start date",
+  path: ["endDate"],
+}).refine((data) => data.dailyBudgetCap <= data.budget, {
+  message: "Daily cap cannot exceed the total budget",
+  path: ["dailyBudgetCap"],
+});
+
+export type CampaignFormValues = z.infer<typeof CampaignSchema>;
+
+export const EMPTY_CAMPAIGN: CampaignFormValues = {
+  name: "",
+  startDate: "",
+  endDate: "",
+  budget: 0,
+  dailyBudgetCap: 0,
+  pacing: 'EVEN',
+  frequencyCap: { maxImpressions: 3, per: 'DAY' },
+  targeting: { stationIds: [], regions: [], hours: [] },
+  creatives: [{ name: "", url: "", durationSeconds: AD_STEP_DURATIONS_SECONDS[0] }],
+};
+
+/** Form values of a saved campaign; campaigns created before targeting get the defaults */
+export function campaignToFormValues(campaign: Campaign): CampaignFormValues {
+  return {
+    name: campaign.name,
+    startDate: campaign.startDate.slice(0, 10),
+    endDate: campaign.endDate.slice(0, 10),
+    budget: campaign.budget,
+    dailyBudgetCap: campaign.dailyBudgetCap ?? campaign.budget,
+    pacing: campaign.pacing ?? 'EVEN',
+    frequencyCap: campaign.frequencyCap ?? EMPTY_CAMPAIGN.frequencyCap,
+    targeting: {
+      stationIds: campaign.targeting?.stationIds ?? [],
+      regions: (campaign.targeting?.regions ?? []).filter((region): region is (typeof CAMPAIGN_REGIONS)[number] =>
+        (CAMPAIGN_REGIONS as readonly string[]).includes(region)),
+      hours: campaign.targeting?.hours ?? [],
+    },
+    creatives: campaign.creatives?.length
+      ? campaign.creatives
+      : [{ name: campaign.name, url: campaign.adUrl, durationSeconds: AD_STEP_DURATIONS_SECONDS[0] }],
+  };
+}
+
+export function formValuesToCampaignInput(values: CampaignFormValues): CampaignInput {
+  return {
+    ...values,
+    targeting: { ...values.targeting, hours: [...values.targeting.hours].sort((a, b) => a - b) },
+    adUrl: values.creatives[0].url,
+  };
+}
+
+/** Days the campaign runs, both dates included */
+export function campaignDays(startDate: string, endDate: string): number {
+  const days = Math.round((new Date(endDate).getTime() - new Date(startDate).getTime()) / DAY_MS) + 1;
+  return Number.isFinite(days) && days > 0 ? days : 0;
+}
+
+/**
+ * Pacing figures: the even daily spend and whether the daily cap lets the whole
+ * budget be spent before the campaign ends.
+ */
+export function pacingPlan(values: Pick<CampaignFormValues, 'startDate' | 'endDate' | 'budget' | 'dailyBudgetCap'>) {
+  const days = campaignDays(values.startDate, values.endDate);
+  const evenDailySpend = days > 0 ? values.budget / days : 0;
+  return {
+    days,
+    evenDailySpend,
+    maxSpend: values.dailyBudgetCap * days,
+    budgetReachable: days === 0 || values.dailyBudgetCap * days >= values.budget,
+  };
+}
@@ -7,13 +7,26 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
-import { getMyCampaigns, createCampaign, updateCampaign, deleteCampaign, Campaign } from "@/lib/apiClient";
+import { getMyCampaigns, getStations, createCampaign, updateCampaign, deleteCampaign, Campaign, CampaignInput, Station } from "@/lib/apiClient";
+import { formatAdDuration } from "@gasolinera-jsm/shared";
 import { CampaignForm } from "./campaign-form";
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
+function targetingSummary({ targeting }: Campaign, stations: Station[]): string {
+  if (!targeting) return 'Todas';
+  const parts = [
+    targeting.regions.length > 0 && targeting.regions.join(', '),
+    targeting.stationIds.length > 0
+      && targeting.stationIds.map((id) => stations.find((station) => station.id === id)?.name ?? id).join(', '),
+    targeting.hours.length > 0 && `${targeting.hours.length} h/día`,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : 'Todas';
+}
+
 export default function CampaignsPage() {
   const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [stations, setStations] = useState<Station[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   
@@ -36,6 +49,8 @@ export default function CampaignsPage() {
 
   useEffect(() => {
     fetchCampaigns();
+    // Only needed to target stations; the form still works without them
+    getStations().then(setStations).catch(() => setStations([]));
   }, []);
 
   const handleOpenForm = (campaign: Campaign | null) => {
@@ -48,7 +63,7 @@ export default function CampaignsPage() {
     setEditingCampaign(null);
   };
 
-  const handleSaveCampaign = async (campaignData: Campaign) => {
+  const handleSaveCampaign = async (campaignData: CampaignInput) => {
     try {
       if (editingCampaign) {
         await updateCampaign(editingCampaign.id, campaignData);
@@ -59,8 +74,8 @@ export default function CampaignsPage() {
       }
       fetchCampaigns(); // Re-fetch data after save
     } catch (err: any) {
-      setError(err.message); // Show error to user
       toast.error(`Error saving campaign: ${err.message}`);
+      throw err; // Keeps the form open with the advertiser's changes
     }
   };
 
@@ -81,6 +96,7 @@ export default function CampaignsPage() {
     <>
       <CampaignForm 
         campaign={editingCampaign}
+        stations={stations}
         isOpen={isFormOpen}
         onClose={handleCloseForm}
         onSave={handleSaveCampaign}
@@ -112,7 +128,9 @@ export default function CampaignsPage() {
                   <TableHead>Inicio</TableHead>
                   <TableHead>Fin</TableHead>
                   <TableHead>Presupuesto</TableHead>
-                  <TableHead>URL Anuncio</TableHead>
+                  <TableHead>Límite Diario</TableHead>
+                  <TableHead>Segmentación</TableHead>
+                  <TableHead>Anuncios</TableHead>
                   <TableHead><span className="sr-only">Acciones</span></TableHead>
                 </TableRow>
               </TableHeader>
@@ -123,7 +141,13 @@ export default function CampaignsPage() {
                     <TableCell>{campaign.startDate}</TableCell>
                     <TableCell>{campaign.endDate}</TableCell>
                     <TableCell>${campaign.budget.toFixed(2)}</TableCell>
-                    <TableCell><a href={campaign.adUrl} target="_blank" rel="noopener noreferrer">Ver Anuncio</a></TableCell>
+                    <TableCell>{campaign.dailyBudgetCap !== undefined ? `$${campaign.dailyBudgetCap.toFixed(2)}` : '—'}</TableCell>
+                    <TableCell className="text-xs">{targetingSummary(campaign, stations)}</TableCell>
+                    <TableCell>
+                      {campaign.creatives?.length
+                        ? `${campaign.creatives.length} (${campaign.creatives.map((creative) => formatAdDuration(creative.durationSeconds)).join(', ')})`
+                        : <a href={campaign.adUrl} target="_blank" rel="noopener noreferrer">Ver Anuncio</a>}
+                    </TableCell>
                     <TableCell>
                       <DropdownMenu>
                         <DropdownMenuTrigger asChild>
@@ -142,7 +166,7 @@ export default function CampaignsPage() {
                   </TableRow>
                 )) : (
                     <TableRow>
-                        <TableCell colSpan={6} className="text-center">No tienes campañas creadas.</TableCell>
+                        <TableCell colSpan={8} className="text-center">No tienes campañas creadas.</TableCell>
                     </TableRow>
                 )}
               </TableBody>
@@ -1,7 +1,7 @@
 "use client";
 
-import { useEffect, useState } => "react";
-import { DollarSign, Megaphone, TrendingUp } from "lucide-react";
+import { useEffect, useState } from "react";
+import Link from "next/link";
 import { DollarSign, Megaphone, TrendingUp } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Spinner } from "@/components/ui/spinner";
@@ -90,9 +90,11 @@ export default function AdvertiserDashboardPage() {
           <TrendingUp className="h-4 w-4 text-muted-foreground" />
         </CardHeader>
         <CardContent>
-          <div className="text-2xl font-bold">N/A</div>
+          <Link href="/dashboard/reports" className="text-2xl font-bold hover:underline">
+            Ver reportes
+          </Link>
           <p className="text-xs text-muted-foreground">
-            Datos no disponibles
+            Entregas diarias, costo por completado y exportación a CSV
           </p>
         </CardContent>
       </Card>
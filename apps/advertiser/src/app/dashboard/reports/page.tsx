@@ -0,0 +1,402 @@
+"use client";
+
+import { ReactNode, useEffect, useMemo, useState } from "react";
+import { Download } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Spinner } from "@/components/ui/spinner";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Campaign, CampaignReport, getCampaignReport, getMyCampaigns } from "@/lib/apiClient";
+import {
+  burnDown,
+  comparisonCsv,
+  costPerCompletion,
+  dailyCsv,
+  deliveryTotals,
+  hoursCsv,
+  stationsCsv,
+  stepsCsv,
+} from "@/lib/reports";
+import { addDays, customRange, downloadCsv, formatAdDuration, toDayInput } from "@gasolinera-jsm/shared";
+import { BurnDownChart, DailyChart } from "./report-charts";
+import { toast, ToastContainer } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const money = (value: number) => `$${value.toFixed(2)}`;
+const optionalMoney = (value: number | null) => (value === null ? '—' : money(value));
+const percent = (value: number | null) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+function ExportButton({ fileName, csv }: { fileName: string; csv: () => string }) {
+  return (
+    <Button size="sm" variant="outline" onClick={() => downloadCsv(fileName, csv())}>
+      <Download className="mr-2 h-4 w-4" /> Exportar CSV
+    </Button>
+  );
+}
+
+function ReportCard({ title, description, exportAs, children }: {
+  title: string;
+  description: string;
+  exportAs: { fileName: string; csv: () => string };
+  children: ReactNode;
+}) {
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>{title}</CardTitle>
+          <CardDescription>{description}</CardDescription>
+        </div>
+        <ExportButton {...exportAs} />
+      </CardHeader>
+      <CardContent>{children}</CardContent>
+    </Card>
+  );
+}
+
+export default function ReportsPage() {
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
+  const [detailId, setDetailId] = useState<number | null>(null);
+  const [from, setFrom] = useState(() => toDayInput(addDays(new Date(), -(DEFAULT_RANGE_DAYS - 1))));
+  const [to, setTo] = useState(() => toDayInput(new Date()));
+  const [reports, setReports] = useState<CampaignReport[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Local days: the report runs from midnight of `from` to midnight after `to`
+  const range = useMemo(() => customRange(from, to), [from, to]);
+
+  useEffect(() => {
+    getMyCampaigns()
+      .then((data) => {
+        setCampaigns(data);
+        if (data.length > 0) {
+          setSelectedIds([data[0].id]);
+          setDetailId(data[0].id);
+        } else {
+          setIsLoading(false);
+        }
+      })
+      .catch((err: any) => {
+        setError(err.message);
+        setIsLoading(false);
+        toast.error(`Error loading campaigns: ${err.message}`);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (selectedIds.length === 0 || !range) {
+      setReports([]);
+      return;
+    }
+    let cancelled = false;
+    const query = { from: range.from.toISOString(), to: range.to.toISOString() };
+    setIsLoading(true);
+    setError(null);
+    Promise.all(selectedIds.map((id) => getCampaignReport(id, query)))
+      .then((data) => !cancelled && setReports(data))
+      .catch((err: any) => {
+        if (cancelled) return;
+        setError(err.message);
+        toast.error(`Error loading reports: ${err.message}`);
+      })
+      .finally(() => !cancelled && setIsLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedIds, range]);
+
+  const toggleCampaign = (id: number) => {
+    const next = selectedIds.includes(id) ? selectedIds.filter((item) => item !== id) : [...selectedIds, id];
+    setSelectedIds(next);
+    if (!next.includes(detailId ?? -1)) setDetailId(next[0] ?? null);
+  };
+
+  const report = reports.find((item) => item.campaignId === detailId) ?? null;
+  const totals = useMemo(() => (report ? deliveryTotals(report) : null), [report]);
+  const burnDownPoints = useMemo(() => (report ? burnDown(report) : []), [report]);
+  const fileSuffix = `${from}_${to}.csv`;
+
+  return (
+    <div className="space-y-4">
+      <ToastContainer />
+      <Card>
+        <CardHeader>
+          <CardTitle>Reportes de Rendimiento</CardTitle>
+          <CardDescription>
+            Entregas, gasto y costo por anuncio completado. Selecciona varias campañas para compararlas.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="space-y-1">
+              <Label htmlFor="report-from">Desde</Label>
+              <Input id="report-from" type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="w-auto" />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="report-to">Hasta</Label>
+              <Input id="report-to" type="date" value={to} onChange={(e) => setTo(e.target.value)} className="w-auto" />
+            </div>
+            {!range && <p className="text-sm text-red-500">La fecha final no puede ser anterior a la inicial.</p>}
+          </div>
+          <div className="flex flex-wrap gap-2" role="group" aria-label="Campañas">
+            {campaigns.map((campaign) => (
+              <Button
+                key={campaign.id}
+                type="button"
+                size="sm"
+                variant={selectedIds.includes(campaign.id) ? "default" : "outline"}
+                aria-pressed={selectedIds.includes(campaign.id)}
+                onClick={() => toggleCampaign(campaign.id)}
+              >
+                {campaign.name}
+              </Button>
+            ))}
+            {campaigns.length === 0 && !isLoading && !error && (
+              <p className="text-sm text-muted-foreground">Aún no tienes campañas.</p>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <Spinner />
+        </div>
+      ) : error ? (
+        <div className="flex flex-col items-center justify-center h-64 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+          <strong className="font-bold">Error!</strong>
+          <span className="block sm:inline">{error}</span>
+        </div>
+      ) : report && totals && (
+        <Tabs defaultValue="daily" className="space-y-4">
+          <div className="flex flex-wrap items-center gap-4">
+            <TabsList>
+              <TabsTrigger value="daily">Diario</TabsTrigger>
+              <TabsTrigger value="steps">Pasos del anuncio</TabsTrigger>
+              <TabsTrigger value="budget">Presupuesto</TabsTrigger>
+              <TabsTrigger value="breakdown">Estaciones y horas</TabsTrigger>
+              <TabsTrigger value="compare">Comparar</TabsTrigger>
+            </TabsList>
+            {reports.length > 1 && (
+              <>
+                <label htmlFor="report-detail" className="sr-only">Campaña</label>
+                <select
+                  id="report-detail"
+                  value={report.campaignId}
+                  onChange={(e) => setDetailId(Number(e.target.value))}
+                  className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+                >
+                  {reports.map((item) => <option key={item.campaignId} value={item.campaignId}>{item.campaignName}</option>)}
+                </select>
+              </>
+            )}
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-4">
+            {[
+              { title: 'Impresiones', value: totals.impressions.toLocaleString() },
+              { title: 'Completados', value: `${totals.completions.toLocaleString()} (${percent(totals.completionRate)})` },
+              { title: 'Gasto', value: `${money(totals.spend)} de ${money(report.budget)}` },
+              { title: 'Costo por completado', value: optionalMoney(totals.costPerCompletion) },
+            ].map(({ title, value }) => (
+              <Card key={title}>
+                <CardHeader className="pb-2">
+                  <CardTitle className="text-sm font-medium">{title}</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <div className="text-xl font-bold">{value}</div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          <TabsContent value="daily">
+            <ReportCard
+              title="Entregas diarias"
+              description="Impresiones, anuncios completados y gasto por día."
+              exportAs={{ fileName: `campana-${report.campaignId}-diario-${fileSuffix}`, csv: () => dailyCsv(report) }}
+            >
+              <DailyChart days={report.daily} />
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Fecha</TableHead>
+                    <TableHead className="text-right">Impresiones</TableHead>
+                    <TableHead className="text-right">Completados</TableHead>
+                    <TableHead className="text-right">Gasto</TableHead>
+                    <TableHead className="text-right">Costo por completado</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {burnDownPoints.map((point) => {
+                    const day = report.daily.find((item) => item.date === point.date)!;
+                    return (
+                      <TableRow key={day.date}>
+                        <TableCell>{new Date(day.date).toLocaleDateString()}</TableCell>
+                        <TableCell className="text-right">{day.impressions.toLocaleString()}</TableCell>
+                        <TableCell className="text-right">{day.completions.toLocaleString()}</TableCell>
+                        <TableCell className="text-right">{money(day.spend)}</TableCell>
+                        <TableCell className="text-right">{optionalMoney(costPerCompletion(day))}</TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </ReportCard>
+          </TabsContent>
+
+          <TabsContent value="steps">
+            <ReportCard
+              title="Completados por paso"
+              description="Vistas iniciadas y completadas en cada paso de la secuencia de anuncios."
+              exportAs={{ fileName: `campana-${report.campaignId}-pasos-${fileSuffix}`, csv: () => stepsCsv(report) }}
+            >
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Paso</TableHead>
+                    <TableHead>Duración</TableHead>
+                    <TableHead className="text-right">Iniciados</TableHead>
+                    <TableHead className="text-right">Completados</TableHead>
+                    <TableHead className="text-right">Tasa</TableHead>
+                    <TableHead className="text-right">Gasto</TableHead>
+                    <TableHead className="text-right">Costo por completado</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.steps.length > 0 ? report.steps.map((step) => (
+                    <TableRow key={step.step}>
+                      <TableCell>{step.step}</TableCell>
+                      <TableCell>{formatAdDuration(step.durationSeconds)}</TableCell>
+                      <TableCell className="text-right">{step.started.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{step.completed.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{percent(step.started > 0 ? step.completed / step.started : null)}</TableCell>
+                      <TableCell className="text-right">{money(step.spend)}</TableCell>
+                      <TableCell className="text-right">
+                        {optionalMoney(costPerCompletion({ impressions: step.started, completions: step.completed, spend: step.spend }))}
+                      </TableCell>
+                    </TableRow>
+                  )) : (
+                    <TableRow>
+                      <TableCell colSpan={7} className="text-center">Sin vistas en el rango seleccionado.</TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </ReportCard>
+          </TabsContent>
+
+          <TabsContent value="budget">
+            <ReportCard
+              title="Consumo del presupuesto"
+              description={`Presupuesto restante de ${money(report.budget)} frente a un gasto uniforme en el rango.`}
+              exportAs={{ fileName: `campana-${report.campaignId}-presupuesto-${fileSuffix}`, csv: () => dailyCsv(report) }}
+            >
+              <BurnDownChart points={burnDownPoints} budget={report.budget} />
+            </ReportCard>
+          </TabsContent>
+
+          <TabsContent value="breakdown" className="grid gap-4 lg:grid-cols-2">
+            <ReportCard
+              title="Por estación"
+              description="Entregas y gasto en cada estación."
+              exportAs={{ fileName: `campana-${report.campaignId}-estaciones-${fileSuffix}`, csv: () => stationsCsv(report) }}
+            >
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Estación</TableHead>
+                    <TableHead className="text-right">Impresiones</TableHead>
+                    <TableHead className="text-right">Completados</TableHead>
+                    <TableHead className="text-right">Gasto</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {[...report.byStation].sort((a, b) => b.spend - a.spend).map((row) => (
+                    <TableRow key={row.stationId}>
+                      <TableCell className="font-medium">{row.stationName}</TableCell>
+                      <TableCell className="text-right">{row.impressions.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{row.completions.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{money(row.spend)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </ReportCard>
+            <ReportCard
+              title="Por hora del día"
+              description="Hora local de las estaciones."
+              exportAs={{ fileName: `campana-${report.campaignId}-horas-${fileSuffix}`, csv: () => hoursCsv(report) }}
+            >
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Hora</TableHead>
+                    <TableHead className="text-right">Impresiones</TableHead>
+                    <TableHead className="text-right">Completados</TableHead>
+                    <TableHead className="text-right">Gasto</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {[...report.byHour].sort((a, b) => a.hour - b.hour).map((row) => (
+                    <TableRow key={row.hour}>
+                      <TableCell>{`${String(row.hour).padStart(2, '0')}:00`}</TableCell>
+                      <TableCell className="text-right">{row.impressions.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{row.completions.toLocaleString()}</TableCell>
+                      <TableCell className="text-right">{money(row.spend)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </ReportCard>
+          </TabsContent>
+
+          <TabsContent value="compare">
+            <ReportCard
+              title="Comparación de campañas"
+              description="Totales de las campañas seleccionadas en el mismo rango."
+              exportAs={{ fileName: `campanas-comparacion-${fileSuffix}`, csv: () => comparisonCsv(reports) }}
+            >
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Campaña</TableHead>
+                    <TableHead className="text-right">Impresiones</TableHead>
+                    <TableHead className="text-right">Completados</TableHead>
+                    <TableHead className="text-right">Tasa</TableHead>
+                    <TableHead className="text-right">Gasto</TableHead>
+                    <TableHead className="text-right">Presupuesto usado</TableHead>
+                    <TableHead className="text-right">Costo por completado</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {reports.map((item) => {
+                    const itemTotals = deliveryTotals(item);
+                    return (
+                      <TableRow key={item.campaignId}>
+                        <TableCell className="font-medium">{item.campaignName}</TableCell>
+                        <TableCell className="text-right">{itemTotals.impressions.toLocaleString()}</TableCell>
+                        <TableCell className="text-right">{itemTotals.completions.toLocaleString()}</TableCell>
+                        <TableCell className="text-right">{percent(itemTotals.completionRate)}</TableCell>
+                        <TableCell className="text-right">{money(itemTotals.spend)}</TableCell>
+                        <TableCell className="text-right">{percent(item.budget > 0 ? itemTotals.spend / item.budget : null)}</TableCell>
+                        <TableCell className="text-right">{optionalMoney(itemTotals.costPerCompletion)}</TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </ReportCard>
+          </TabsContent>
+        </Tabs>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+"use client";
+
+// Plain SVG charts for the campaign reports.
+
+import { BurnDownPoint } from "@/lib/reports";
+
+const WIDTH = 640;
+const HEIGHT = 180;
+const PAD = { top: 10, right: 10, bottom: 22, left: 10 };
+const INNER_WIDTH = WIDTH - PAD.left - PAD.right;
+const INNER_HEIGHT = HEIGHT - PAD.top - PAD.bottom;
+
+const dayLabel = (date: string) => `${date.slice(8, 10)}/${date.slice(5, 7)}`;
+
+function xAt(index: number, count: number): number {
+  return PAD.left + (count > 1 ? (index * INNER_WIDTH) / (count - 1) : INNER_WIDTH / 2);
+}
+
+function yAt(value: number, max: number): number {
+  return PAD.top + INNER_HEIGHT - (max === 0 ? 0 : (value / max) * INNER_HEIGHT);
+}
+
+function linePath(values: number[], max: number): string {
+  return values.map((value, index) => `${index === 0 ? 'M' : 'L'}${xAt(index, values.length).toFixed(1)},${yAt(value, max).toFixed(1)}`).join(' ');
+}
+
+function XLabels({ dates }: { dates: string[] }) {
+  const step = Math.max(1, Math.ceil(dates.length / 8));
+  return (
+    <>
+      {dates.map((date, index) => index % step === 0 && (
+        <text key={date} x={xAt(index, dates.length)} y={HEIGHT - 6} textAnchor="middle" className="fill-muted-foreground text-[10px]">
+          {dayLabel(date)}
+        </text>
+      ))}
+    </>
+  );
+}
+
+/** Daily impressions as bars with completions drawn over them */
+export function DailyChart({ days }: { days: { date: string; impressions: number; completions: number }[] }) {
+  if (days.length === 0) return <p className="text-sm text-muted-foreground">Sin entregas en el rango seleccionado.</p>;
+  const max = Math.max(0, ...days.map((day) => day.impressions));
+  const barWidth = Math.max(2, (INNER_WIDTH / days.length) * 0.6);
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="h-44 w-full" role="img" aria-label={`Impresiones diarias, máximo ${max}`}>
+        {days.map((day, index) => (
+          <rect
+            key={day.date}
+            x={xAt(index, days.length) - barWidth / 2}
+            y={yAt(day.impressions, max)}
+            width={barWidth}
+            height={PAD.top + INNER_HEIGHT - yAt(day.impressions, max)}
+            className="fill-primary/30"
+          >
+            <title>{`${dayLabel(day.date)}: ${day.impressions} impresiones, ${day.completions} completados`}</title>
+          </rect>
+        ))}
+        <path d={linePath(days.map((day) => day.completions), max)} fill="none" strokeWidth={2} className="stroke-primary" />
+        <XLabels dates={days.map((day) => day.date)} />
+      </svg>
+      <figcaption className="flex gap-4 text-xs text-muted-foreground">
+        <span><span className="mr-1 inline-block h-2 w-3 bg-primary/30 align-middle" />Impresiones</span>
+        <span><span className="mr-1 inline-block h-0.5 w-4 bg-primary align-middle" />Completados</span>
+      </figcaption>
+    </figure>
+  );
+}
+
+/** Remaining budget day by day against an even spend */
+export function BurnDownChart({ points, budget }: { points: BurnDownPoint[]; budget: number }) {
+  if (points.length === 0) return <p className="text-sm text-muted-foreground">Sin gasto en el rango seleccionado.</p>;
+  const max = Math.max(budget, ...points.map((point) => point.remainingBudget));
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="h-44 w-full" role="img" aria-label={`Presupuesto restante de ${budget}`}>
+        <path d={linePath(points.map((point) => point.plannedRemaining), max)} fill="none" strokeWidth={2} strokeDasharray="4 4" className="stroke-muted-foreground/60" />
+        <path d={linePath(points.map((point) => point.remainingBudget), max)} fill="none" strokeWidth={2} className="stroke-primary" />
+        <XLabels dates={points.map((point) => point.date)} />
+      </svg>
+      <figcaption className="flex gap-4 text-xs text-muted-foreground">
+        <span><span className="mr-1 inline-block h-0.5 w-4 bg-primary align-middle" />Presupuesto restante</span>
+        <span><span className="mr-1 inline-block w-4 border-t-2 border-dashed border-muted-foreground/60 align-middle" />Gasto uniforme</span>
+      </figcaption>
+    </figure>
+  );
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import type { CampaignReport } from "@gasolinera-jsm/api-sdk";
+import { burnDown, dailyCsv } from "./reports";
+
+const day = (date: string, spend: number) => ({ date, impressions: spend * 10, completions: spend, spend });
+
+function report(overrides: Partial<CampaignReport> = {}): CampaignReport {
+  return {
+    campaignId: 1,
+    campaignName: "Verano",
+    budget: 1000,
+    from: "2024-03-11T06:00:00.000Z",
+    to: "2024-03-14T06:00:00.000Z",
+    spentBefore: 0,
+    daily: [day("2024-03-13", 50), day("2024-03-11", 100), day("2024-03-12", 150)],
+    steps: [],
+    byStation: [],
+    byHour: [],
+    ...overrides,
+  };
+}
+
+describe("burnDown", () => {
+  it("spends the budget day by day from the start of the campaign", () => {
+    const points = burnDown(report());
+    expect(points.map(({ date, cumulativeSpend, remainingBudget }) => [date, cumulativeSpend, remainingBudget])).toEqual([
+      ["2024-03-11", 100, 900],
+      ["2024-03-12", 250, 750],
+      ["2024-03-13", 300, 700],
+    ]);
+  });
+
+  it("counts the spend before a range that starts mid-campaign", () => {
+    const points = burnDown(report({ spentBefore: 400 }));
+    expect(points.map(({ cumulativeSpend, remainingBudget }) => [cumulativeSpend, remainingBudget])).toEqual([
+      [500, 500],
+      [650, 350],
+      [700, 300],
+    ]);
+    // The even pace spreads what was left when the range started
+    expect(points.map(({ plannedRemaining }) => Math.round(plannedRemaining))).toEqual([400, 200, 0]);
+  });
+
+  it("never reports a negative remaining budget", () => {
+    expect(burnDown(report({ spentBefore: 950 })).map(({ remainingBudget }) => remainingBudget)).toEqual([0, 0, 0]);
+  });
+});
+
+describe("dailyCsv", () => {
+  it("writes the budget left after the spend before the range", () => {
+    const lines = dailyCsv(report({ spentBefore: 400 })).trim().split("\r\n");
+    expect(lines[0]).toBe("date,impressions,completions,spend,cost_per_completion,cumulative_spend,remaining_budget");
+    expect(lines[1]).toBe("2024-03-11,1000,100,100.00,1.00,500.00,500.00");
+  });
+});
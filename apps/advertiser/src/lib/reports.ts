@@ -0,0 +1,146 @@
+// Figures derived from campaign reports and their CSV exports. Amounts in the CSVs keep
+// two decimals and no currency symbol, so they can be summed when reconciling invoices.
+
+import type { CampaignDelivery, CampaignReport } from "@gasolinera-jsm/api-sdk";
+import { toCsv } from "@gasolinera-jsm/shared";
+
+export type DeliveryTotals = CampaignDelivery & {
+  /** Spend per completed view, null without completions */
+  costPerCompletion: number | null;
+  completionRate: number | null;
+};
+
+export type BurnDownPoint = {
+  date: string;
+  spend: number;
+  /** Campaign spend up to and including this day, since the campaign started */
+  cumulativeSpend: number;
+  remainingBudget: number;
+  /** Remaining budget if it were spent evenly over the range */
+  plannedRemaining: number;
+};
+
+const money = (value: number) => value.toFixed(2);
+const ratio = (value: number | null) => (value === null ? '' : value.toFixed(4));
+
+export function costPerCompletion({ spend, completions }: CampaignDelivery): number | null {
+  return completions > 0 ? spend / completions : null;
+}
+
+export function deliveryTotals(report: CampaignReport): DeliveryTotals {
+  const totals = report.daily.reduce(
+    (sum, day) => ({
+      impressions: sum.impressions + day.impressions,
+      completions: sum.completions + day.completions,
+      spend: sum.spend + day.spend,
+    }),
+    { impressions: 0, completions: 0, spend: 0 },
+  );
+  return {
+    ...totals,
+    costPerCompletion: costPerCompletion(totals),
+    completionRate: totals.impressions > 0 ? totals.completions / totals.impressions : null,
+  };
+}
+
+/**
+ * Spend accumulated day by day against the campaign budget. The total starts
+ * from what was spent before the range, so a range that starts mid-campaign
+ * shows the budget actually left.
+ */
+export function burnDown(report: CampaignReport): BurnDownPoint[] {
+  const days = [...report.daily].sort((a, b) => a.date.localeCompare(b.date));
+  const budgetAtStart = Math.max(0, report.budget - report.spentBefore);
+  let cumulativeSpend = report.spentBefore;
+  return days.map((day, index) => {
+    cumulativeSpend += day.spend;
+    return {
+      date: day.date,
+      spend: day.spend,
+      cumulativeSpend,
+      remainingBudget: Math.max(0, report.budget - cumulativeSpend),
+      plannedRemaining: budgetAtStart * (1 - (index + 1) / days.length),
+    };
+  });
+}
+
+// --- CSV exports --- //
+
+export function dailyCsv(report: CampaignReport): string {
+  return toCsv(
+    ['date', 'impressions', 'completions', 'spend', 'cost_per_completion', 'cumulative_spend', 'remaining_budget'],
+    burnDown(report).map((point) => {
+      const day = report.daily.find((item) => item.date === point.date)!;
+      const cpc = costPerCompletion(day);
+      return [
+        point.date.slice(0, 10),
+        day.impressions,
+        day.completions,
+        money(day.spend),
+        cpc === null ? '' : money(cpc),
+        money(point.cumulativeSpend),
+        money(point.remainingBudget),
+      ];
+    }),
+  );
+}
+
+export function stepsCsv(report: CampaignReport): string {
+  return toCsv(
+    ['step', 'duration_seconds', 'started', 'completed', 'completion_rate', 'spend', 'cost_per_completion'],
+    report.steps.map((step) => {
+      const cpc = costPerCompletion({ impressions: step.started, completions: step.completed, spend: step.spend });
+      return [
+        step.step,
+        step.durationSeconds,
+        step.started,
+        step.completed,
+        ratio(step.started > 0 ? step.completed / step.started : null),
+        money(step.spend),
+        cpc === null ? '' : money(cpc),
+      ];
+    }),
+  );
+}
+
+export function stationsCsv(report: CampaignReport): string {
+  return toCsv(
+    ['station_id', 'station_name', 'impressions', 'completions', 'spend', 'cost_per_completion'],
+    report.byStation.map((row) => {
+      const cpc = costPerCompletion(row);
+      return [row.stationId, row.stationName, row.impressions, row.completions, money(row.spend), cpc === null ? '' : money(cpc)];
+    }),
+  );
+}
+
+export function hoursCsv(report: CampaignReport): string {
+  return toCsv(
+    ['hour', 'impressions', 'completions', 'spend', 'cost_per_completion'],
+    [...report.byHour].sort((a, b) => a.hour - b.hour).map((row) => {
+      const cpc = costPerCompletion(row);
+      return [row.hour, row.impressions, row.completions, money(row.spend), cpc === null ? '' : money(cpc)];
+    }),
+  );
+}
+
+export function comparisonCsv(reports: CampaignReport[]): string {
+  return toCsv(
+    ['campaign_id', 'campaign_name', 'from', 'to', 'impressions', 'completions', 'completion_rate', 'spend', 'budget', 'budget_used', 'cost_per_completion'],
+    reports.map((report) => {
+      const totals = deliveryTotals(report);
+      return [
+        report.campaignId,
+        report.campaignName,
+        report.from.slice(0, 10),
+        report.to.slice(0, 10),
+        totals.impressions,
+        totals.completions,
+        ratio(totals.completionRate),
+        money(totals.spend),
+        money(report.budget),
+        ratio(report.budget > 0 ? totals.spend / report.budget : null),
+        totals.costPerCompletion === null ? '' : money(totals.costPerCompletion),
+      ];
+    }),
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Redirect } from 'expo-router';
+import { EMPLOYEE_ERROR_CODES, isApiError } from '@gasolinera-jsm/api-sdk';
+import { useEmployeeStore } from './store/employeeStore';
+
+export default function ActivateScreen() {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isActivating, setIsActivating] = useState(false);
+
+  const { employee, activate, signedOutReason } = useEmployeeStore();
+
+  if (employee) {
+    return <Redirect href="/" />;
+  }
+
+  const handleActivate = async () => {
+    setIsActivating(true);
+    setError(null);
+    try {
+      await activate(code);
+    } catch (e) {
+      setError(
+        isApiError(e) && e.code === EMPLOYEE_ERROR_CODES.invalidActivationCode
+          ? 'El código no es válido o ya venció'
+          : 'No se pudo activar la cuenta, intenta de nuevo'
+      );
+    } finally {
+      setIsActivating(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name="key-outline" size={48} color="#007AFF" />
+      <Text style={styles.title}>Activar Cuenta</Text>
+      <Text style={styles.subtitle}>
+        Ingresa el código que recibiste por email o SMS al ser invitado
+      </Text>
+
+      {signedOutReason && !error && (
+        <Text style={styles.notice}>{signedOutReason}</Text>
+      )}
+
+      <TextInput
+        style={styles.input}
+        value={code}
+        onChangeText={(value) => setCode(value.replace(/\D/g, ''))}
+        placeholder="00000000"
+        keyboardType="number-pad"
+        maxLength={8}
+        autoFocus
+      />
+
+      {error && <Text style={styles.error}>{error}</Text>}
+
+      <TouchableOpacity
+        style={[
+          styles.activateButton,
+          (isActivating || code.length < 8) && styles.activateButtonDisabled,
+        ]}
+        onPress={handleActivate}
+        disabled={isActivating || code.length < 8}
+      >
+        <Text style={styles.activateButtonText}>
+          {isActivating ? 'Activando...' : 'Activar'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+    marginBottom: 30,
+  },
+  notice: {
+    fontSize: 14,
+    color: '#FF6B35',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  input: {
+    width: '100%',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    paddingVertical: 16,
+    fontSize: 28,
+    letterSpacing: 8,
+    textAlign: 'center',
+    color: '#1D1D1F',
+    marginBottom: 12,
+  },
+  error: {
+    fontSize: 14,
+    color: '#FF3B30',
+    marginBottom: 12,
+  },
+  activateButton: {
+    width: '100%',
+    backgroundColor: '#007AFF',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderRadius: 12,
+    marginTop: 8,
+  },
+  activateButtonDisabled: {
+    backgroundColor: '#C7C7CC',
+  },
+  activateButtonText: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+});
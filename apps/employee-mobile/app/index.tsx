@@ -7,10 +7,16 @@ import {
   Alert,
   Dimensions,
   Modal,
+  ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import QRCode from 'react-native-qrcode-svg';
-import { useEmployeeStore } from './store/employeeStore';
+import { Redirect } from 'expo-router';
+import {
+  isRevokedError,
+  useEmployeeStore,
+  useSessionHydrated,
+} from './store/employeeStore';
 
 const { width } = Dimensions.get('window');
 
@@ -20,11 +26,19 @@ export default function EmployeeScreen() {
   const [currentQR, setCurrentQR] = useState<any>(null);
   const [isGenerating, setIsGenerating] = useState(false);
 
-  const { employee, generateQRCoupon, todayStats, refreshStats } =
-    useEmployeeStore();
+  const {
+    employee,
+    generateQRCoupon,
+    todayStats,
+    statsError,
+    refreshProfile,
+    refreshStats,
+  } = useEmployeeStore();
+  const hydrated = useSessionHydrated();
 
   useEffect(() => {
     if (employee?.id) {
+      refreshProfile().catch(() => {});
       refreshStats(employee.id);
     }
   }, [employee?.id]);
@@ -52,7 +66,6 @@ export default function EmployeeScreen() {
     try {
       const qrData = await generateQRCoupon({
         stationId: employee.stationId,
-        employeeId: employee.id,
         amount: amount,
       });
 
@@ -62,6 +75,8 @@ export default function EmployeeScreen() {
       // Refresh stats after generating QR
       refreshStats(employee.id);
     } catch (error) {
+      // Con la sesión revocada el store ya la cerró y se vuelve a la activación
+      if (isRevokedError(error)) return;
       Alert.alert('Error', 'No se pudo generar el código QR');
     } finally {
       setIsGenerating(false);
@@ -78,6 +93,20 @@ export default function EmployeeScreen() {
     return `₡${(amount * 5000).toLocaleString()}`;
   };
 
+  // La sesión guardada se lee de forma asíncrona; sin esperarla, un empleado
+  // activado vería por un momento la pantalla de activación
+  if (!hydrated) {
+    return (
+      <View style={[styles.container, styles.loading]}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  if (!employee) {
+    return <Redirect href="/activate" />;
+  }
+
   return (
     <View style={styles.container}>
       {/* Header */}
@@ -212,6 +241,7 @@ export default function EmployeeScreen() {
               <Text style={styles.dailyStatLabel}>Conversión</Text>
             </View>
           </View>
+          {statsError && <Text style={styles.statsError}>{statsError}</Text>}
         </View>
       </View>
 
@@ -289,6 +319,10 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#F8F9FA',
   },
+  loading: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   header: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -494,6 +528,12 @@ const styles = StyleSheet.create({
     color: '#8E8E93',
     textAlign: 'center',
   },
+  statsError: {
+    fontSize: 12,
+    color: '#FF3B30',
+    textAlign: 'center',
+    marginTop: 12,
+  },
   // QR Modal Styles
   qrModalContainer: {
     flex: 1,
@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react';
+import { create } from 'zustand';
+import { createJSONStorage, persist } from 'zustand/middleware';
+import * as SecureStore from 'expo-secure-store';
+import {
+  createGasolineraApi,
+  EMPLOYEE_ERROR_CODES,
+  isApiError,
+} from '@gasolinera-jsm/api-sdk';
+import type {
+  EmployeeDayStats,
+  EmployeeProfile,
+  GeneratedCoupon,
+} from '@gasolinera-jsm/api-sdk';
+
+const API_BASE_URL =
+  process.env.EXPO_PUBLIC_API_BASE_URL || 'http://192.168.1.100:8080/api/v1'; // IP del API Gateway
+
+/**
+ * Instancia del SDK compartido para la app de empleados. El token se lee del
+ * store en cada petición; un 401 cierra la sesión.
+ */
+export const api = createGasolineraApi({
+  baseUrl: API_BASE_URL,
+  getToken: () => useEmployeeStore.getState().accessToken,
+  onUnauthorized: () =>
+    useEmployeeStore.getState().signOut('Tu sesión expiró, actívala de nuevo.'),
+});
+
+const DEACTIVATED_MESSAGE =
+  'Tu cuenta fue desactivada. Pide al dueño de la estación una nueva invitación.';
+
+/** El dueño desactivó al empleado o revocó su sesión */
+export function isRevokedError(error: unknown): boolean {
+  return (
+    isApiError(error) &&
+    (error.isUnauthorized || error.code === EMPLOYEE_ERROR_CODES.deactivated)
+  );
+}
+
+interface EmployeeState {
+  employee: EmployeeProfile | null;
+  accessToken: string | null;
+  todayStats: EmployeeDayStats | null;
+  /** Error de la última carga de estadísticas, mostrado en la tarjeta del día */
+  statsError: string | null;
+  /** Motivo del último cierre de sesión forzado, para la pantalla de activación */
+  signedOutReason: string | null;
+  activate: (activationCode: string) => Promise<void>;
+  generateQRCoupon: (coupon: {
+    stationId: string;
+    amount: number;
+  }) => Promise<GeneratedCoupon>;
+  refreshProfile: () => Promise<void>;
+  refreshStats: (employeeId: string) => Promise<void>;
+  signOut: (reason?: string) => void;
+}
+
+export const useEmployeeStore = create<EmployeeState>()(
+  persist(
+    (set, get) => {
+      // Una sesión revocada no sirve para nada más: se cierra aquí y la
+      // pantalla principal redirige a la activación
+      const guard = async <T>(request: Promise<T>): Promise<T> => {
+        try {
+          return await request;
+        } catch (error) {
+          if (
+            isApiError(error) &&
+            error.code === EMPLOYEE_ERROR_CODES.deactivated
+          ) {
+            get().signOut(DEACTIVATED_MESSAGE);
+          }
+          throw error;
+        }
+      };
+
+      return {
+        employee: null,
+        accessToken: null,
+        todayStats: null,
+        statsError: null,
+        signedOutReason: null,
+
+        activate: async (activationCode) => {
+          const session = await api.employee.activate(activationCode.trim());
+          set({
+            employee: session.user,
+            accessToken: session.accessToken,
+            todayStats: null,
+            statsError: null,
+            signedOutReason: null,
+          });
+        },
+
+        generateQRCoupon: (coupon) =>
+          guard(api.employee.generateCoupon(coupon)),
+
+        // Recoge una reasignación de estación hecha desde el panel del dueño
+        refreshProfile: async () => {
+          const employee = await guard(api.employee.me());
+          set({ employee });
+        },
+
+        refreshStats: async (employeeId) => {
+          try {
+            const todayStats = await guard(api.employee.todayStats());
+            if (get().employee?.id === employeeId)
+              set({ todayStats, statsError: null });
+          } catch {
+            if (get().employee?.id === employeeId)
+              set({ statsError: 'No se pudieron cargar las estadísticas' });
+          }
+        },
+
+        signOut: (reason) =>
+          set({
+            employee: null,
+            accessToken: null,
+            todayStats: null,
+            statsError: null,
+            signedOutReason: reason ?? null,
+          }),
+      };
+    },
+    {
+      name: 'employee-session',
+      storage: createJSONStorage(() => ({
+        getItem: SecureStore.getItemAsync,
+        setItem: SecureStore.setItemAsync,
+        removeItem: SecureStore.deleteItemAsync,
+      })),
+      // Sin token de refresco: un 401 cierra la sesión y se activa de nuevo
+      partialize: ({ employee, accessToken }) => ({ employee, accessToken }),
+    }
+  )
+);
+
+/** Si la sesión guardada ya se leyó del almacenamiento seguro */
+export function useSessionHydrated(): boolean {
+  const [hydrated, setHydrated] = useState(() =>
+    useEmployeeStore.persist.hasHydrated()
+  );
+
+  useEffect(() => {
+    const unsubscribe = useEmployeeStore.persist.onFinishHydration(() =>
+      setHydrated(true)
+    );
+    setHydrated(useEmployeeStore.persist.hasHydrated());
+    return unsubscribe;
+  }, []);
+
+  return hydrated;
+}
@@ -8,6 +8,7 @@ import ScannerScreen from './src/screens/ScannerScreen';
 import RedemptionScreen from './src/screens/RedemptionScreen';
 import AdPlayerScreen from './src/screens/AdPlayerScreen';
 import RafflesScreen from './src/screens/RafflesScreen';
+import VerifyEntryScreen from './src/screens/VerifyEntryScreen';
 import Toast from 'react-native-toast-message';
 import { useUserStore } from './src/store/userStore'; // Import the Zustand store
 
@@ -39,6 +40,7 @@ export default function App() {
           <Stack.Screen name="Redemption" component={RedemptionScreen} />
           <Stack.Screen name="AdPlayer" component={AdPlayerScreen} />
           <Stack.Screen name="Raffles" component={RafflesScreen} />
+          <Stack.Screen name="VerifyEntry" component={VerifyEntryScreen} />
         </Stack.Navigator>
         <Toast />
       </NavigationContainer>
@@ -1,112 +1,41 @@
-import { useUserStore } from '../store/userStore'; // Import the Zustand store
+import { createGasolineraApi } from '@gasolinera-jsm/api-sdk';
+import { useUserStore } from '../store/userStore';
 
-const API_BASE_URL = 'http://192.168.1.100:8080/api/v1'; // Reemplazar con la IP del API Gateway
+const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || 'http://192.168.1.100:8080/api/v1'; // IP del API Gateway
 
 /**
- * Realiza una petición fetch y maneja errores de forma centralizada.
- * @param endpoint El endpoint de la API al que llamar.
- * @param options Opciones de la petición fetch.
- * @returns La respuesta JSON.
- * @throws {Error} Si la respuesta de la red no es OK.
+ * Instancia móvil del SDK compartido. El token se lee del store de Zustand en cada petición.
  */
-async function apiFetch(endpoint: string, options: RequestInit = {}) {
-  const headers = {
-    'Content-Type': 'application/json',
-    ...options.headers,
-  };
+export const api = createGasolineraApi({
+  baseUrl: API_BASE_URL,
+  getToken: () => useUserStore.getState().accessToken,
+});
 
-  const accessToken = useUserStore.getState().accessToken; // Get token from Zustand store
-  if (accessToken) {
-    headers['Authorization'] = `Bearer ${accessToken}`;
-  }
-
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-    ...options,
-    headers,
-  });
-
-  if (!response.ok) {
-    let errorMessage = `Error: ${response.status} ${response.statusText}`;
-    try {
-      const errorBody = await response.json();
-      errorMessage = errorBody.message || errorMessage;
-    } catch (e) {
-      // El cuerpo del error no era JSON, usar el mensaje de estado
-    }
-    throw new Error(errorMessage);
-  }
-
-  // Si la respuesta no tiene contenido (ej. 204 No Content), devolver null
-  if (response.status === 204) {
-    return null;
-  }
-
-  return response.json();
-}
+export { ApiError, isApiError } from '@gasolinera-jsm/api-sdk';
+export type { Raffle, RaffleProof, RaffleWinner, RedemptionStart } from '@gasolinera-jsm/api-sdk';
 
 /**
  * Solicita un código OTP para un número de teléfono.
  */
-export const requestOtp = (phone: string): Promise<void> => {
-  return apiFetch('/auth/otp/request', {
-    method: 'POST',
-    body: JSON.stringify({ phone }),
-  });
-};
+export const requestOtp = api.auth.requestOtp;
 
 /**
  * Verifica un código OTP y devuelve un token de acceso.
  */
-export const verifyOtp = (phone: string, code: string): Promise<{ accessToken: string }> => {
-  return apiFetch('/auth/otp/verify', {
-    method: 'POST',
-    body: JSON.stringify({ phone, code }),
-  });
-};
+export const verifyOtp = api.auth.verifyOtp;
 
 /**
  * Envía un código QR para iniciar el proceso de redención.
  */
-export const redeemQrCode = (qrCode: string): Promise<{ adUrl: string; redemptionId: string }> => {
-  return apiFetch('/redemptions', {
-    method: 'POST',
-    body: JSON.stringify({ qrCode }),
-  });
-};
+export const redeemQrCode = api.redemptions.redeem;
 
 /**
  * Confirma que un anuncio ha sido visto.
  */
-export const confirmAdWatched = (redemptionId: string): Promise<void> => {
-  return apiFetch('/redemptions/confirm', {
-    method: 'POST',
-    body: JSON.stringify({ redemptionId }),
-  });
-};
+export const confirmAdWatched = api.redemptions.confirmAdWatched;
 
 // --- Raffles --- //
-export type Raffle = {
-  id: number;
-  period: string;
-  merkleRoot: string;
-  status: 'OPEN' | 'CLOSED' | 'DRAWN';
-  drawAt?: string; // ISO date string
-  externalSeed?: string;
-  winnerEntryId?: string;
-};
-
-export type RaffleWinner = {
-  id: number;
-  raffleId: number;
-  userId: string;
-  winningPointId: string;
-  prize: string;
-};
-
-export const getRaffles = (): Promise<Raffle[]> => {
-  return apiFetch('/raffles');
-};
-
-export const getRaffleWinner = (raffleId: number): Promise<RaffleWinner> => {
-  return apiFetch(`/raffles/${raffleId}/winner`);
-};
+export const getRaffles = api.raffles.list;
+export const getRaffleWinner = api.raffles.winner;
+export const getMyRaffleEntries = api.raffles.myEntries;
+export const getRaffleProof = api.raffles.proof;
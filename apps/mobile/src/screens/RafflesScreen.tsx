@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, FlatList, ActivityIndicator } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
 import { getRaffles, getRaffleWinner, Raffle, RaffleWinner } from '../api/apiClient';
 import Toast from 'react-native-toast-message';
+import { Button } from '../components/Button';
 
 export default function RafflesScreen() {
+  const navigation = useNavigation<any>();
   const [raffles, setRaffles] = useState<Raffle[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
@@ -41,7 +44,13 @@ export default function RafflesScreen() {
       {item.merkleRoot && (
         <Text style={styles.merkleRoot}>Merkle Root: {item.merkleRoot.substring(0, 10)}...</Text>
       )}
-      {/* TODO: Add button to view proof of inclusion */}
+      {item.merkleRoot && item.status !== 'OPEN' && (
+        <Button
+          title="Verificar mi participación"
+          onPress={() => navigation.navigate('VerifyEntry', { raffle: item })}
+          style={styles.verifyButton}
+        />
+      )}
     </View>
   );
 
@@ -121,6 +130,9 @@ const styles = StyleSheet.create({
     color: '#888',
     marginTop: 5,
   },
+  verifyButton: {
+    marginTop: 10,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
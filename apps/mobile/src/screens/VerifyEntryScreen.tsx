@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, FlatList, ActivityIndicator, ScrollView, TouchableOpacity } from 'react-native';
+import { verifyMerkleProof, MerkleVerification } from '@gasolinera-jsm/shared';
+import { getMyRaffleEntries, getRaffleProof, Raffle } from '../api/apiClient';
+import { Button } from '../components/Button';
+
+type EntryCheck = {
+  entryId: string;
+  status: 'pending' | 'checking' | 'done' | 'error';
+  verification?: MerkleVerification;
+  error?: string;
+};
+
+const shortHash = (hash: string) => `${hash.substring(0, 10)}…${hash.substring(hash.length - 6)}`;
+
+/**
+ * Comprueba en el teléfono que las participaciones del usuario están incluidas en el
+ * Merkle root publicado del sorteo. El servidor solo entrega la prueba; el root se
+ * recalcula aquí y se compara con el del sorteo, no con el que venga en la respuesta.
+ */
+export default function VerifyEntryScreen({ route }) {
+  const raffle: Raffle = route.params.raffle;
+  const [checks, setChecks] = useState<EntryCheck[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        setIsLoading(true);
+        const entryIds = await getMyRaffleEntries(raffle.id);
+        setChecks(entryIds.map((entryId) => ({ entryId, status: 'pending' })));
+      } catch (err: any) {
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchEntries();
+  }, [raffle.id]);
+
+  const updateCheck = (entryId: string, update: Partial<EntryCheck>) => {
+    setChecks((current) => current.map((check) => (check.entryId === entryId ? { ...check, ...update } : check)));
+  };
+
+  const verifyEntry = async (entryId: string) => {
+    updateCheck(entryId, { status: 'checking', error: undefined });
+    try {
+      const { proof } = await getRaffleProof(raffle.id, entryId);
+      const verification = verifyMerkleProof({ root: raffle.merkleRoot, entryId, proof });
+      updateCheck(entryId, { status: 'done', verification });
+    } catch (err: any) {
+      updateCheck(entryId, { status: 'error', error: err.message });
+    }
+  };
+
+  const verifyAll = async () => {
+    for (const check of checks) {
+      await verifyEntry(check.entryId);
+    }
+  };
+
+  const renderCheck = ({ item }: { item: EntryCheck }) => {
+    const { verification } = item;
+    const isWinner = raffle.status === 'DRAWN' && raffle.winnerEntryId === item.entryId;
+    return (
+      <View style={styles.entryCard}>
+        <Text style={styles.entryId}>Participación {item.entryId}</Text>
+        {isWinner && <Text style={styles.winner}>¡Participación ganadora!</Text>}
+
+        {item.status === 'pending' && (
+          <Button title="Verificar" onPress={() => verifyEntry(item.entryId)} style={styles.verifyButton} />
+        )}
+        {item.status === 'checking' && <ActivityIndicator color="#007bff" />}
+        {item.status === 'error' && (
+          <>
+            <Text style={styles.invalid}>No se pudo obtener la prueba: {item.error}</Text>
+            <Button title="Reintentar" onPress={() => verifyEntry(item.entryId)} style={styles.verifyButton} />
+          </>
+        )}
+
+        {verification && (
+          <>
+            <Text style={verification.valid ? styles.valid : styles.invalid}>
+              {verification.valid
+                ? '✓ Incluida en el sorteo: el root calculado coincide con el publicado.'
+                : '✗ La prueba no coincide con el root publicado.'}
+            </Text>
+            <TouchableOpacity onPress={() => setExpanded(expanded === item.entryId ? null : item.entryId)}>
+              <Text style={styles.link}>{expanded === item.entryId ? 'Ocultar detalles' : 'Ver detalles'}</Text>
+            </TouchableOpacity>
+            {expanded === item.entryId && (
+              <View style={styles.details}>
+                <Text style={styles.hash}>Hoja: {shortHash(verification.leaf)}</Text>
+                {verification.steps.map((step, index) => (
+                  <Text key={index} style={styles.hash}>
+                    {index + 1}. + {shortHash(step.sibling)} → {shortHash(step.result)}
+                  </Text>
+                ))}
+                <Text style={styles.hash}>Calculado: {shortHash(verification.computedRoot)}</Text>
+                <Text style={styles.hash}>Publicado: {shortHash(raffle.merkleRoot)}</Text>
+              </View>
+            )}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#0000ff" />
+        <Text>Cargando tus participaciones...</Text>
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.errorContainer}>
+        <Text style={styles.errorText}>Error: {error}</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Verificar mi participación</Text>
+      <ScrollView horizontal style={styles.rootBox}>
+        <Text style={styles.hash}>Período {raffle.period} · Merkle Root: {raffle.merkleRoot}</Text>
+      </ScrollView>
+      {checks.length === 0 ? (
+        <Text>No tienes participaciones en este sorteo.</Text>
+      ) : (
+        <>
+          <Button title="Verificar todas" onPress={verifyAll} style={styles.verifyButton} />
+          <FlatList data={checks} keyExtractor={(item) => item.entryId} renderItem={renderCheck} />
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 20,
+    backgroundColor: '#f5f5f5',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  rootBox: {
+    flexGrow: 0,
+    marginBottom: 15,
+  },
+  entryCard: {
+    backgroundColor: '#fff',
+    padding: 15,
+    borderRadius: 8,
+    marginBottom: 10,
+    elevation: 2,
+  },
+  entryId: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  winner: {
+    color: '#28a745',
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  verifyButton: {
+    marginVertical: 8,
+  },
+  valid: {
+    color: '#28a745',
+    marginTop: 5,
+  },
+  invalid: {
+    color: 'red',
+    marginTop: 5,
+  },
+  link: {
+    color: '#007bff',
+    marginTop: 5,
+  },
+  details: {
+    marginTop: 5,
+  },
+  hash: {
+    fontSize: 12,
+    color: '#888',
+    fontFamily: 'monospace',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    color: 'red',
+    fontSize: 16,
+    textAlign: 'center',
+  },
+});
@@ -20,8 +20,8 @@ const nextConfig = {
   compress: true,
   poweredByHeader: false,
   generateEtags: false,
-  // Configuración para monorepo
-  transpilePackages: [],
+  // Configuración para monorepo: el SDK compartido se publica como TypeScript sin compilar
+  transpilePackages: ['@gasolinera-jsm/api-sdk', '@gasolinera-jsm/shared'],
 }
 
 module.exports = nextConfig;
\ No newline at end of file
@@ -0,0 +1,161 @@
+'use client';
+
+import React, { useState } from 'react';
+import type { OwnerEmployee } from '@gasolinera-jsm/api-sdk';
+import { BuildingStorefrontIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import QueryStatus from './QueryStatus';
+import TimeRangeSelect from './TimeRangeSelect';
+import { useEmployeeHistory } from '@/lib/data/queries';
+import { TimeRange } from '@/lib/time-range';
+
+const formatDay = (day: string, options?: Intl.DateTimeFormatOptions) =>
+  new Date(`${day}T00:00`).toLocaleDateString('es-CR', options);
+
+/** QR coupons generated by an employee and how many customers redeemed, per day */
+export default function EmployeeHistoryPanel({
+  employee,
+  onClose,
+}: {
+  employee: OwnerEmployee;
+  onClose: () => void;
+}) {
+  const [timeRange, setTimeRange] = useState<TimeRange>('30d');
+  const history = useEmployeeHistory(employee.id, timeRange);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">
+              Historial de {employee.name}
+            </h3>
+            <p className="text-sm text-gray-500">
+              {employee.employeeCode} · {employee.stationName}
+            </p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <TimeRangeSelect
+              value={timeRange}
+              onChange={setTimeRange}
+              ranges={['7d', '30d', '90d']}
+            />
+            <button
+              onClick={onClose}
+              aria-label="Cerrar"
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <XMarkIcon className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        <QueryStatus query={history}>
+          {({ daily, totals, assignments }) => (
+            <>
+              <div className="grid grid-cols-3 gap-4 mb-6">
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <p className="text-sm text-gray-600">QRs Generados</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {totals.couponsGenerated.toLocaleString()}
+                  </p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <p className="text-sm text-gray-600">QRs Canjeados</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {totals.couponsRedeemed.toLocaleString()}
+                  </p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <p className="text-sm text-gray-600">Tasa de Canje</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {totals.redemptionRate.toFixed(1)}%
+                  </p>
+                </div>
+              </div>
+
+              {totals.couponsGenerated === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-12">
+                  Sin QRs generados en este período
+                </p>
+              ) : (
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart data={daily}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="date"
+                      tickFormatter={(value) =>
+                        formatDay(value, { month: 'short', day: 'numeric' })
+                      }
+                    />
+                    <YAxis yAxisId="coupons" />
+                    <YAxis
+                      yAxisId="rate"
+                      orientation="right"
+                      domain={[0, 100]}
+                      unit="%"
+                    />
+                    <Tooltip labelFormatter={(value) => formatDay(value)} />
+                    <Legend />
+                    <Bar
+                      yAxisId="coupons"
+                      dataKey="couponsGenerated"
+                      name="Generados"
+                      fill="#93C5FD"
+                    />
+                    <Bar
+                      yAxisId="coupons"
+                      dataKey="couponsRedeemed"
+                      name="Canjeados"
+                      fill="#3B82F6"
+                    />
+                    <Line
+                      yAxisId="rate"
+                      type="monotone"
+                      dataKey="redemptionRate"
+                      name="Tasa de canje (%)"
+                      stroke="#10B981"
+                      dot={false}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              )}
+
+              <h4 className="text-sm font-semibold text-gray-900 mt-6 mb-3">
+                Estaciones asignadas
+              </h4>
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {[...assignments].reverse().map((assignment) => (
+                  <li
+                    key={`${assignment.stationId}-${assignment.from}`}
+                    className="flex items-center justify-between px-4 py-2 text-sm"
+                  >
+                    <span className="flex items-center text-gray-900">
+                      <BuildingStorefrontIcon className="w-4 h-4 mr-2 text-gray-400" />
+                      {assignment.stationName}
+                    </span>
+                    <span className="text-gray-500">
+                      {formatDay(assignment.from)} –{' '}
+                      {assignment.to ? formatDay(assignment.to) : 'actual'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </QueryStatus>
+      </div>
+    </div>
+  );
+}
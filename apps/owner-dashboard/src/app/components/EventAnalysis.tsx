@@ -0,0 +1,305 @@
+'use client';
+
+import React, { useMemo, useState } from 'react';
+import { formatAdDuration } from '@gasolinera-jsm/shared';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import QueryStatus from './QueryStatus';
+import TimeRangeSelect from './TimeRangeSelect';
+import {
+  adStepDropOff,
+  cohorts,
+  compareStations,
+  funnel,
+  maxAdStep,
+} from '@/lib/analytics';
+import { useEventExport } from '@/lib/data/queries';
+import { TimeRange, rangeFor } from '@/lib/time-range';
+
+// Weeks shown in the cohort table, counting the first one
+const COHORT_WEEKS = 8;
+
+const retentionClass = (value: number) =>
+  value >= 60
+    ? 'bg-blue-600 text-white'
+    : value >= 40
+      ? 'bg-blue-400 text-white'
+      : value >= 20
+        ? 'bg-blue-200 text-blue-900'
+        : 'bg-blue-50 text-blue-900';
+
+/**
+ * Funnel, ad-step drop-off, cohorts and station comparison of the coupons of
+ * the period, computed from the raw event export.
+ */
+export default function EventAnalysis({
+  stations,
+}: {
+  stations: { stationId: string; name: string }[];
+}) {
+  const [timeRange, setTimeRange] = useState<TimeRange>('30d');
+  const [stationId, setStationId] = useState('');
+  const events = useEventExport(timeRange);
+
+  const analysis = useMemo(() => {
+    if (!events.data) return null;
+    const selected = stationId || undefined;
+    // Same number of steps for every station, so funnels line up
+    const steps = maxAdStep(events.data);
+    return {
+      funnel: funnel(events.data, { stationId: selected, steps }),
+      dropOff: adStepDropOff(events.data, { stationId: selected, steps }),
+      cohorts: cohorts(events.data, {
+        stationId: selected,
+        until: rangeFor(timeRange).to,
+      }),
+      stations: compareStations(events.data, { steps }),
+    };
+  }, [events.data, stationId, timeRange]);
+
+  const stationName = (id: string) =>
+    stations.find((station) => station.stationId === id)?.name ?? id;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 mb-8">
+      <div className="p-6 border-b border-gray-200 flex justify-between items-center">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">
+            Embudo de Cupones y Anuncios
+          </h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Del cupón generado a cada paso de la secuencia de anuncios
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={stationId}
+            onChange={(e) => setStationId(e.target.value)}
+            aria-label="Estación"
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">Todas las estaciones</option>
+            {stations.map((station) => (
+              <option key={station.stationId} value={station.stationId}>
+                {station.name}
+              </option>
+            ))}
+          </select>
+          <TimeRangeSelect
+            value={timeRange}
+            onChange={setTimeRange}
+            ranges={['7d', '30d', '90d']}
+          />
+        </div>
+      </div>
+
+      <div className="p-6">
+        <QueryStatus query={events}>
+          {() =>
+            analysis && (
+              <>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+                  {/* Funnel */}
+                  <div>
+                    <h4 className="text-md font-medium text-gray-900 mb-4">
+                      Embudo
+                    </h4>
+                    <div className="space-y-2">
+                      {analysis.funnel.map((stage, index) => (
+                        <div key={stage.key}>
+                          <div className="flex justify-between text-sm mb-1">
+                            <span className="text-gray-700">{stage.label}</span>
+                            <span className="text-gray-900 font-medium">
+                              {stage.count.toLocaleString()} ·{' '}
+                              {stage.conversion}%
+                              {index > 0 && (
+                                <span className="text-red-600 ml-2">
+                                  −{stage.dropOff}%
+                                </span>
+                              )}
+                            </span>
+                          </div>
+                          <div className="w-full bg-gray-100 rounded h-3">
+                            <div
+                              className="bg-blue-600 h-3 rounded"
+                              style={{ width: `${stage.conversion}%` }}
+                            />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Drop-off per ad step */}
+                  <div>
+                    <h4 className="text-md font-medium text-gray-900 mb-4">
+                      Abandono por Duración del Anuncio
+                    </h4>
+                    <ResponsiveContainer width="100%" height={250}>
+                      <BarChart
+                        data={analysis.dropOff.map((step) => ({
+                          ...step,
+                          label: `${step.step} · ${formatAdDuration(step.durationSeconds)}`,
+                        }))}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="label" />
+                        <YAxis unit="%" />
+                        <Tooltip
+                          formatter={(value) => [`${value}%`, 'Abandono']}
+                        />
+                        <Bar
+                          dataKey="dropOff"
+                          fill="#EF4444"
+                          radius={[4, 4, 0, 0]}
+                        />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+
+                {/* Cohorts */}
+                <h4 className="text-md font-medium text-gray-900 mb-4">
+                  Cohortes por Semana de Primera Visita
+                </h4>
+                {analysis.cohorts.length === 0 ? (
+                  <p className="text-sm text-gray-500 mb-8">
+                    Sin activaciones en este período
+                  </p>
+                ) : (
+                  <div className="overflow-x-auto mb-8">
+                    <table className="w-full text-sm">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Semana
+                          </th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Clientes
+                          </th>
+                          {Array.from(
+                            {
+                              length: Math.min(
+                                COHORT_WEEKS,
+                                analysis.cohorts[0].retention.length
+                              ),
+                            },
+                            (_, week) => (
+                              <th
+                                key={week}
+                                className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider"
+                              >
+                                S{week}
+                              </th>
+                            )
+                          )}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {analysis.cohorts.map((cohort) => (
+                          <tr key={cohort.week}>
+                            <td className="px-3 py-2 whitespace-nowrap text-gray-900">
+                              {new Date(
+                                `${cohort.week}T00:00`
+                              ).toLocaleDateString('es-CR', {
+                                month: 'short',
+                                day: 'numeric',
+                              })}
+                            </td>
+                            <td className="px-3 py-2 text-gray-900">
+                              {cohort.users}
+                            </td>
+                            {cohort.retention
+                              .slice(0, COHORT_WEEKS)
+                              .map((value, week) => (
+                                <td
+                                  key={week}
+                                  className={`px-3 py-2 text-center ${
+                                    value === null ? '' : retentionClass(value)
+                                  }`}
+                                >
+                                  {value === null ? '' : `${value}%`}
+                                </td>
+                              ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {/* Station comparison */}
+                <h4 className="text-md font-medium text-gray-900 mb-4">
+                  Comparación entre Estaciones
+                </h4>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {[
+                          'Estación',
+                          'Cupones',
+                          'Activación',
+                          'Anuncios por Cupón',
+                          'Secuencia Completa',
+                          'Clientes',
+                          'Recurrentes',
+                        ].map((heading) => (
+                          <th
+                            key={heading}
+                            className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                          >
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {analysis.stations.map((station) => (
+                        <tr
+                          key={station.stationId}
+                          className={
+                            station.stationId === stationId ? 'bg-blue-50' : ''
+                          }
+                        >
+                          <td className="px-3 py-2 font-medium text-gray-900">
+                            {stationName(station.stationId)}
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {station.coupons.toLocaleString()}
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {station.activationRate}%
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {station.avgSteps}
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {station.completionRate}%
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {station.users.toLocaleString()}
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {station.returningRate}%
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )
+          }
+        </QueryStatus>
+      </div>
+    </div>
+  );
+}
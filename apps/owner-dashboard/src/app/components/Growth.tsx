@@ -0,0 +1,36 @@
+'use client';
+
+import React from 'react';
+import { ArrowDownIcon, ArrowUpIcon } from '@heroicons/react/24/outline';
+
+/** Change against the previous period, in percent; null when there is none */
+export default function Growth({
+  change,
+  className = '',
+}: {
+  change: number | null;
+  className?: string;
+}) {
+  if (change === null) {
+    return (
+      <p className={`text-sm text-gray-500 ${className}`}>
+        Sin período anterior
+      </p>
+    );
+  }
+  return (
+    <div className={`flex items-center ${className}`}>
+      {change >= 0 ? (
+        <ArrowUpIcon className="w-4 h-4 text-green-500" />
+      ) : (
+        <ArrowDownIcon className="w-4 h-4 text-red-500" />
+      )}
+      <span
+        className={`text-sm ml-1 ${change >= 0 ? 'text-green-600' : 'text-red-600'}`}
+      >
+        {change > 0 ? '+' : ''}
+        {change.toFixed(1)}%
+      </span>
+    </div>
+  );
+}
@@ -1,179 +1,424 @@
 'use client'
 
-import React, { useState } from 'react'
+import React, { useMemo, useState } from 'react'
+import { BACKEND_LABELS, improveMessage } from '@/lib/messages/backends'
+import { diffWords } from '@/lib/messages/diff'
+import { MessageHistoryEntry, useMessageStore } from '@/store/messageStore'
 
-interface MessageImprovementResponse {
-  originalMessage: string
-  improvedMessage: string
-  improvements: string[]
-  confidence: number
+const BACKEND_BADGES = {
+  'ad-engine': 'bg-purple-100 text-purple-800',
+  local: 'bg-gray-100 text-gray-800',
 }
 
+const formatDate = (iso: string) =>
+  new Date(iso).toLocaleString('es-CR', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  })
+
+/** Distinct non-empty values, for the template filters */
+const distinct = (values: string[]) =>
+  [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b))
+
 export default function MessageImprover() {
   const [message, setMessage] = useState('')
   const [context, setContext] = useState('')
   const [targetAudience, setTargetAudience] = useState('')
   const [tone, setTone] = useState('')
   const [isLoading, setIsLoading] = useState(false)
-  const [result, setResult] = useState<MessageImprovementResponse | null>(null)
+  const [current, setCurrent] = useState<MessageHistoryEntry | null>(null)
+  const [fallbackReason, setFallbackReason] = useState<string | null>(null)
   const [error, setError] = useState<string | null>(null)
+  const [templateName, setTemplateName] = useState('')
+  const [audienceFilter, setAudienceFilter] = useState('')
+  const [toneFilter, setToneFilter] = useState('')
+
+  const {
+    history,
+    templates,
+    addToHistory,
+    removeFromHistory,
+    clearHistory,
+    saveTemplate,
+    removeTemplate,
+  } = useMessageStore()
+
+  const diff = useMemo(
+    () =>
+      current ? diffWords(current.result.originalMessage, current.result.improvedMessage) : [],
+    [current]
+  )
+
+  const filteredTemplates = templates.filter(
+    (template) =>
+      (!audienceFilter || template.audience === audienceFilter) &&
+      (!toneFilter || template.tone === toneFilter)
+  )
 
   const handleImprove = async () => {
     if (!message.trim()) return
 
     setIsLoading(true)
     setError(null)
-    setResult(null)
+    setFallbackReason(null)
+
+    const request = {
+      message,
+      context: context || undefined,
+      targetAudience: targetAudience || undefined,
+      tone: tone || undefined,
+    }
 
     try {
-      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8080'
-      const response = await fetch(`${apiUrl}/ad-engine/api/v1/messages/improve`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          message,
-          context: context || undefined,
-          targetAudience: targetAudience || undefined,
-          tone: tone || undefined,
-        }),
-      })
-
-      if (!response.ok) {
-        throw new Error('Error al mejorar el mensaje')
-      }
-
-      const data: MessageImprovementResponse = await response.json()
-      setResult(data)
+      const { improvement, backend, fallbackReason } = await improveMessage(request)
+      setCurrent(addToHistory({ request, result: improvement, backend }))
+      setFallbackReason(fallbackReason ?? null)
+      setTemplateName('')
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Error desconocido')
+      setError(err instanceof Error ? err.message : 'Error al mejorar el mensaje')
     } finally {
       setIsLoading(false)
     }
   }
 
-  return (
-    <div className="max-w-4xl mx-auto p-6 bg-white rounded-lg shadow-md">
-      <div className="mb-6">
-        <h2 className="text-2xl font-bold mb-2">✨ Mejorar Mensaje</h2>
-        <p className="text-gray-600">
-          Optimiza tus mensajes con IA para mayor claridad y efectividad
-        </p>
-      </div>
+  // Vuelve a mostrar una mejora anterior con los datos con que se pidió
+  const restore = (entry: MessageHistoryEntry) => {
+    setMessage(entry.request.message)
+    setContext(entry.request.context ?? '')
+    setTargetAudience(entry.request.targetAudience ?? '')
+    setTone(entry.request.tone ?? '')
+    setCurrent(entry)
+    setFallbackReason(null)
+    setError(null)
+  }
+
+  const handleSaveTemplate = () => {
+    if (!current || !templateName.trim()) return
+    saveTemplate({
+      name: templateName.trim(),
+      text: current.result.improvedMessage,
+      audience: current.request.targetAudience ?? '',
+      tone: current.request.tone ?? '',
+    })
+    setTemplateName('')
+  }
 
-      <div className="space-y-4">
-        <div>
-          <label className="block text-sm font-medium mb-2">
-            Mensaje original
-          </label>
-          <textarea
-            placeholder="Escribe tu mensaje aquí..."
-            value={message}
-            onChange={(e) => setMessage(e.target.value)}
-            rows={4}
-            className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="p-6 bg-white rounded-lg shadow-md">
+        <div className="mb-6">
+          <h2 className="text-2xl font-bold mb-2">✨ Mejorar Mensaje</h2>
+          <p className="text-gray-600">
+            Optimiza tus mensajes con IA para mayor claridad y efectividad. Sin conexión se usan
+            reglas locales.
+          </p>
         </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="space-y-4">
           <div>
-            <label className="block text-sm font-medium mb-2">
-              Contexto (opcional)
-            </label>
+            <label className="block text-sm font-medium mb-2">Mensaje original</label>
             <textarea
-              placeholder="Contexto adicional..."
-              value={context}
-              onChange={(e) => setContext(e.target.value)}
-              rows={2}
+              placeholder="Escribe tu mensaje aquí..."
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              rows={4}
               className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
           </div>
-          <div>
-            <label className="block text-sm font-medium mb-2">
-              Audiencia objetivo (opcional)
-            </label>
-            <textarea
-              placeholder="Ej: clientes, empleados..."
-              value={targetAudience}
-              onChange={(e) => setTargetAudience(e.target.value)}
-              rows={2}
-              className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium mb-2">
-              Tono deseado (opcional)
-            </label>
-            <textarea
-              placeholder="Ej: profesional, amigable..."
-              value={tone}
-              onChange={(e) => setTone(e.target.value)}
-              rows={2}
-              className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Contexto (opcional)</label>
+              <textarea
+                placeholder="Contexto adicional..."
+                value={context}
+                onChange={(e) => setContext(e.target.value)}
+                rows={2}
+                className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                Audiencia objetivo (opcional)
+              </label>
+              <textarea
+                placeholder="Ej: clientes, empleados..."
+                value={targetAudience}
+                onChange={(e) => setTargetAudience(e.target.value)}
+                rows={2}
+                className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Tono deseado (opcional)</label>
+              <textarea
+                placeholder="Ej: profesional, amigable..."
+                value={tone}
+                onChange={(e) => setTone(e.target.value)}
+                rows={2}
+                className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
           </div>
-        </div>
 
-        <button
-          onClick={handleImprove}
-          disabled={!message.trim() || isLoading}
-          className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center"
-        >
-          {isLoading ? (
-            <>
-              <span className="animate-spin mr-2">⏳</span>
-              Mejorando...
-            </>
-          ) : (
-            <>
-              <span className="mr-2">✨</span>
-              Mejorar Mensaje
-            </>
+          <button
+            onClick={handleImprove}
+            disabled={!message.trim() || isLoading}
+            className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center"
+          >
+            {isLoading ? (
+              <>
+                <span className="animate-spin mr-2">⏳</span>
+                Mejorando...
+              </>
+            ) : (
+              <>
+                <span className="mr-2">✨</span>
+                Mejorar Mensaje
+              </>
+            )}
+          </button>
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-red-600">{error}</p>
+            </div>
           )}
-        </button>
 
-        {error && (
-          <div className="p-4 bg-red-50 border border-red-200 rounded-md">
-            <p className="text-red-600">{error}</p>
-          </div>
-        )}
+          {current && (
+            <div className="space-y-4">
+              {fallbackReason && (
+                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                  <p className="text-sm text-yellow-800">
+                    {fallbackReason}. Se usaron las reglas locales.
+                  </p>
+                </div>
+              )}
 
-        {result && (
-          <div className="space-y-4">
-            <div>
-              <h3 className="text-lg font-semibold mb-2">Mensaje Mejorado</h3>
-              <div className="p-4 bg-green-50 border border-green-200 rounded-md">
-                <p className="text-green-800">{result.improvedMessage}</p>
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold">Comparación</h3>
+                <span
+                  className={`px-3 py-1 rounded-full text-xs font-medium ${BACKEND_BADGES[current.backend]}`}
+                >
+                  {BACKEND_LABELS[current.backend]}
+                </span>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-600 mb-2">Original</p>
+                  <div className="p-4 bg-gray-50 border border-gray-200 rounded-md whitespace-pre-wrap">
+                    {diff
+                      .filter((segment) => segment.kind !== 'added')
+                      .map((segment, index) =>
+                        segment.kind === 'removed' ? (
+                          <del key={index} className="bg-red-100 text-red-800">
+                            {segment.text}
+                          </del>
+                        ) : (
+                          <span key={index}>{segment.text}</span>
+                        )
+                      )}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600 mb-2">Mejorado</p>
+                  <div className="p-4 bg-green-50 border border-green-200 rounded-md whitespace-pre-wrap">
+                    {diff
+                      .filter((segment) => segment.kind !== 'removed')
+                      .map((segment, index) =>
+                        segment.kind === 'added' ? (
+                          <ins key={index} className="bg-green-200 text-green-900 no-underline">
+                            {segment.text}
+                          </ins>
+                        ) : (
+                          <span key={index}>{segment.text}</span>
+                        )
+                      )}
+                  </div>
+                </div>
               </div>
-            </div>
 
-            <div>
-              <h3 className="text-lg font-semibold mb-2">Mejoras Aplicadas</h3>
-              <div className="flex flex-wrap gap-2">
-                {result.improvements.map((improvement, index) => (
-                  <span key={index} className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm">
-                    {improvement}
-                  </span>
-                ))}
+              <div>
+                <h3 className="text-lg font-semibold mb-2">Mejoras Aplicadas</h3>
+                <div className="flex flex-wrap gap-2">
+                  {current.result.improvements.map((improvement, index) => (
+                    <span
+                      key={index}
+                      className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm"
+                    >
+                      {improvement}
+                    </span>
+                  ))}
+                </div>
               </div>
-            </div>
 
-            <div>
-              <h3 className="text-lg font-semibold mb-2">Confianza</h3>
-              <div className="w-full bg-gray-200 rounded-full h-2">
-                <div
-                  className="bg-blue-600 h-2 rounded-full"
-                  style={{ width: `${result.confidence * 100}%` }}
-                ></div>
+              <div>
+                <h3 className="text-lg font-semibold mb-2">Confianza</h3>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 h-2 rounded-full"
+                    style={{ width: `${current.result.confidence * 100}%` }}
+                  ></div>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  {Math.round(current.result.confidence * 100)}% de confianza
+                </p>
+              </div>
+
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Nombre de la plantilla"
+                  value={templateName}
+                  onChange={(e) => setTemplateName(e.target.value)}
+                  className="flex-1 p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={handleSaveTemplate}
+                  disabled={!templateName.trim()}
+                  className="bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  Guardar como plantilla
+                </button>
               </div>
-              <p className="text-sm text-gray-600 mt-1">
-                {Math.round(result.confidence * 100)}% de confianza
-              </p>
             </div>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="p-6 bg-white rounded-lg shadow-md">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">Historial</h3>
+            {history.length > 0 && (
+              <button
+                onClick={() => window.confirm('¿Borrar todo el historial?') && clearHistory()}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Borrar todo
+              </button>
+            )}
+          </div>
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500">Aún no has mejorado mensajes</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+              {history.map((entry) => (
+                <li
+                  key={entry.id}
+                  className={`py-3 ${entry.id === current?.id ? 'bg-blue-50' : ''}`}
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-xs text-gray-500">{formatDate(entry.createdAt)}</span>
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs ${BACKEND_BADGES[entry.backend]}`}
+                    >
+                      {BACKEND_LABELS[entry.backend]}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-900 line-clamp-2">
+                    {entry.result.improvedMessage}
+                  </p>
+                  <div className="flex gap-3 mt-1">
+                    <button
+                      onClick={() => restore(entry)}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Ver
+                    </button>
+                    <button
+                      onClick={() => removeFromHistory(entry.id)}
+                      className="text-sm text-red-600 hover:text-red-800"
+                    >
+                      Eliminar
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="p-6 bg-white rounded-lg shadow-md">
+          <h3 className="text-lg font-semibold mb-4">Plantillas</h3>
+          <div className="grid grid-cols-2 gap-2 mb-4">
+            <select
+              value={audienceFilter}
+              onChange={(e) => setAudienceFilter(e.target.value)}
+              aria-label="Audiencia"
+              className="border border-gray-300 rounded-md p-2 text-sm"
+            >
+              <option value="">Todas las audiencias</option>
+              {distinct(templates.map((template) => template.audience)).map((audience) => (
+                <option key={audience} value={audience}>
+                  {audience}
+                </option>
+              ))}
+            </select>
+            <select
+              value={toneFilter}
+              onChange={(e) => setToneFilter(e.target.value)}
+              aria-label="Tono"
+              className="border border-gray-300 rounded-md p-2 text-sm"
+            >
+              <option value="">Todos los tonos</option>
+              {distinct(templates.map((template) => template.tone)).map((value) => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
           </div>
-        )}
+          {filteredTemplates.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {templates.length === 0
+                ? 'Guarda un mensaje mejorado para reutilizarlo'
+                : 'Ninguna plantilla coincide con los filtros'}
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+              {filteredTemplates.map((template) => (
+                <li key={template.id} className="py-3">
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-medium text-gray-900">{template.name}</span>
+                    <div className="flex gap-1">
+                      {[template.audience, template.tone].filter(Boolean).map((tag) => (
+                        <span
+                          key={tag}
+                          className="bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full text-xs"
+                        >
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  <p className="text-sm text-gray-600 line-clamp-2">{template.text}</p>
+                  <div className="flex gap-3 mt-1">
+                    <button
+                      onClick={() => {
+                        setMessage(template.text)
+                        setTargetAudience(template.audience)
+                        setTone(template.tone)
+                      }}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      Usar
+                    </button>
+                    <button
+                      onClick={() => removeTemplate(template.id)}
+                      className="text-sm text-red-600 hover:text-red-800"
+                    >
+                      Eliminar
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
       </div>
     </div>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,63 @@
+'use client';
+
+import React from 'react';
+import {
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+import type { QueryState } from '@/lib/data/query-cache';
+
+/**
+ * Loading and error states of a query. Renders its children once there is data;
+ * an error after a successful load shows as a banner above the last good data.
+ */
+export default function QueryStatus<T>({
+  query,
+  children,
+}: {
+  query: QueryState<T>;
+  children: (data: T) => React.ReactNode;
+}) {
+  if (query.isLoading) {
+    return (
+      <div
+        className="flex items-center justify-center h-64 text-gray-500"
+        role="status"
+      >
+        <ArrowPathIcon className="w-6 h-6 mr-2 animate-spin" />
+        Cargando datos...
+      </div>
+    );
+  }
+
+  const banner = query.error && (
+    <div
+      className="flex items-center justify-between bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6"
+      role="alert"
+    >
+      <div className="flex items-center">
+        <ExclamationTriangleIcon className="w-5 h-5 mr-2" />
+        <span>
+          {query.data === undefined
+            ? 'No se pudieron cargar los datos'
+            : 'Mostrando los últimos datos disponibles'}
+          : {query.error}
+        </span>
+      </div>
+      <button
+        onClick={() => query.refetch()}
+        disabled={query.isFetching}
+        className="text-sm font-medium text-red-700 hover:text-red-900 disabled:opacity-50"
+      >
+        Reintentar
+      </button>
+    </div>
+  );
+
+  return (
+    <>
+      {banner}
+      {query.data !== undefined && children(query.data)}
+    </>
+  );
+}
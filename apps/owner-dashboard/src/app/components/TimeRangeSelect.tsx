@@ -0,0 +1,29 @@
+'use client';
+
+import React from 'react';
+import { TIME_RANGE_LABELS, TimeRange, isTimeRange } from '@/lib/time-range';
+
+export default function TimeRangeSelect({
+  value,
+  onChange,
+  ranges = ['7d', '30d', '90d', '1y'],
+}: {
+  value: TimeRange;
+  onChange: (value: TimeRange) => void;
+  ranges?: TimeRange[];
+}) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => isTimeRange(e.target.value) && onChange(e.target.value)}
+      aria-label="Período"
+      className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+    >
+      {ranges.map((range) => (
+        <option key={range} value={range}>
+          {TIME_RANGE_LABELS[range]}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -1,6 +1,12 @@
 'use client';
 
 import React, { useState } from 'react';
+import type {
+  OwnerEmployee,
+  OwnerEmployeeInvite,
+  OwnerEmployeeStatus,
+  OwnerInviteChannel,
+} from '@gasolinera-jsm/api-sdk';
 import {
   UsersIcon,
   PlusIcon,
@@ -9,168 +15,130 @@ import {
   BuildingStorefrontIcon,
   ChartBarIcon,
   TicketIcon,
+  EnvelopeIcon,
+  NoSymbolIcon,
+  PresentationChartLineIcon,
 } from '@heroicons/react/24/outline';
-
-interface Employee {
-  id: string;
-  name: string;
-  email: string;
-  phone: string;
-  employeeCode: string;
-  stationId: string;
-  stationName: string;
-  isActive: boolean;
-  todayTickets: number;
-  weeklyTickets: number;
-  conversionRate: number;
-  joinDate: string;
-}
-
-const mockEmployees: Employee[] = [
-  {
-    id: '1',
-    name: 'María González',
-    email: 'maria@gasolinera-jsm.com',
-    phone: '+506 8888-1111',
-    employeeCode: 'EMP-001',
-    stationId: '1',
-    stationName: 'Gasolinera JSM Centro',
-    isActive: true,
-    todayTickets: 45,
-    weeklyTickets: 280,
-    conversionRate: 82.3,
-    joinDate: '2024-01-15',
-  },
-  {
-    id: '2',
-    name: 'Carlos Rodríguez',
-    email: 'carlos@gasolinera-jsm.com',
-    phone: '+506 8888-2222',
-    employeeCode: 'EMP-002',
-    stationId: '2',
-    stationName: 'Gasolinera JSM Norte',
-    isActive: true,
-    todayTickets: 38,
-    weeklyTickets: 245,
-    conversionRate: 78.5,
-    joinDate: '2024-02-01',
-  },
-  {
-    id: '3',
-    name: 'Ana Jiménez',
-    email: 'ana@gasolinera-jsm.com',
-    phone: '+506 8888-3333',
-    employeeCode: 'EMP-003',
-    stationId: '3',
-    stationName: 'Gasolinera JSM Sur',
-    isActive: true,
-    todayTickets: 42,
-    weeklyTickets: 290,
-    conversionRate: 88.1,
-    joinDate: '2024-01-20',
-  },
-  {
-    id: '4',
-    name: 'Pedro Morales',
-    email: 'pedro@gasolinera-jsm.com',
-    phone: '+506 8888-4444',
-    employeeCode: 'EMP-004',
-    stationId: '1',
-    stationName: 'Gasolinera JSM Centro',
-    isActive: false,
-    todayTickets: 0,
-    weeklyTickets: 0,
-    conversionRate: 0,
-    joinDate: '2024-03-01',
-  },
-];
-
-const stations = [
-  { id: '1', name: 'Gasolinera JSM Centro' },
-  { id: '2', name: 'Gasolinera JSM Norte' },
-  { id: '3', name: 'Gasolinera JSM Sur' },
-];
+import EmployeeHistoryPanel from '../components/EmployeeHistoryPanel';
+import QueryStatus from '../components/QueryStatus';
+import {
+  deactivateEmployee,
+  inviteEmployee,
+  reassignEmployee,
+  removeEmployee,
+  resendInvite,
+  updateEmployee,
+  useEmployees,
+  useStations,
+} from '@/lib/data/queries';
+
+type Employee = OwnerEmployee;
+
+const STATUS_BADGES: Record<
+  OwnerEmployeeStatus,
+  { label: string; className: string }
+> = {
+  ACTIVE: { label: 'Activo', className: 'bg-green-100 text-green-800' },
+  INVITED: { label: 'Invitado', className: 'bg-yellow-100 text-yellow-800' },
+  DEACTIVATED: { label: 'Desactivado', className: 'bg-red-100 text-red-800' },
+};
+
+const emptyInvite = {
+  name: '',
+  email: '',
+  phone: '',
+  stationId: '',
+  channel: 'EMAIL' as OwnerInviteChannel,
+};
+
+const errorMessage = (error: unknown) =>
+  error instanceof Error ? error.message : String(error);
 
 export default function EmployeesPage() {
-  const [employees, setEmployees] = useState<Employee[]>(mockEmployees);
+  const employeesQuery = useEmployees();
+  const stationsQuery = useStations();
   const [showAddModal, setShowAddModal] = useState(false);
   const [editingEmployee, setEditingEmployee] = useState<Employee | null>(null);
+  const [historyEmployee, setHistoryEmployee] = useState<Employee | null>(null);
+  const [issuedInvite, setIssuedInvite] = useState<OwnerEmployeeInvite | null>(
+    null
+  );
   const [selectedStation, setSelectedStation] = useState<string>('all');
-  const [newEmployee, setNewEmployee] = useState({
-    name: '',
-    email: '',
-    phone: '',
-    stationId: '',
-  });
+  const [newEmployee, setNewEmployee] = useState(emptyInvite);
+
+  const employees = employeesQuery.data ?? [];
+  const stations = stationsQuery.data ?? [];
 
   const filteredEmployees =
     selectedStation === 'all'
       ? employees
       : employees.filter((emp) => emp.stationId === selectedStation);
 
-  const handleAddEmployee = () => {
-    const selectedStationData = stations.find(
-      (s) => s.id === newEmployee.stationId
-    );
-
-    const employee: Employee = {
-      id: Date.now().toString(),
-      name: newEmployee.name,
-      email: newEmployee.email,
-      phone: newEmployee.phone,
-      employeeCode: `EMP-${String(employees.length + 1).padStart(3, '0')}`,
-      stationId: newEmployee.stationId,
-      stationName: selectedStationData?.name || '',
-      isActive: true,
-      todayTickets: 0,
-      weeklyTickets: 0,
-      conversionRate: 0,
-      joinDate: new Date().toISOString().split('T')[0],
-    };
-
-    setEmployees([...employees, employee]);
-    setNewEmployee({ name: '', email: '', phone: '', stationId: '' });
-    setShowAddModal(false);
+  const handleAddEmployee = async () => {
+    try {
+      setIssuedInvite(await inviteEmployee(newEmployee));
+      setNewEmployee(emptyInvite);
+      setShowAddModal(false);
+    } catch (error) {
+      alert(`No se pudo invitar al empleado: ${errorMessage(error)}`);
+    }
+  };
+
+  const handleResendInvite = async (employee: Employee) => {
+    try {
+      setIssuedInvite(await resendInvite(employee.id));
+    } catch (error) {
+      alert(`No se pudo reenviar la invitación: ${errorMessage(error)}`);
+    }
   };
 
   const handleEditEmployee = (employee: Employee) => {
     setEditingEmployee(employee);
   };
 
-  const handleUpdateEmployee = () => {
+  const handleUpdateEmployee = async () => {
     if (!editingEmployee) return;
 
-    const selectedStationData = stations.find(
-      (s) => s.id === editingEmployee.stationId
-    );
-    const updatedEmployee = {
-      ...editingEmployee,
-      stationName: selectedStationData?.name || editingEmployee.stationName,
-    };
-
-    setEmployees(
-      employees.map((emp) =>
-        emp.id === editingEmployee.id ? updatedEmployee : emp
-      )
-    );
-    setEditingEmployee(null);
+    try {
+      const { id, name, email, phone, stationId } = editingEmployee;
+      await updateEmployee(id, { name, email, phone });
+      if (
+        stationId !==
+        employees.find((employee) => employee.id === id)?.stationId
+      ) {
+        await reassignEmployee(id, stationId);
+      }
+      setEditingEmployee(null);
+    } catch (error) {
+      alert(`No se pudo actualizar el empleado: ${errorMessage(error)}`);
+    }
   };
 
-  const handleDeleteEmployee = (id: string) => {
+  const handleDeleteEmployee = async (id: string) => {
     if (confirm('¿Estás seguro de eliminar este empleado?')) {
-      setEmployees(employees.filter((emp) => emp.id !== id));
+      try {
+        await removeEmployee(id);
+      } catch (error) {
+        alert(`No se pudo eliminar el empleado: ${errorMessage(error)}`);
+      }
     }
   };
 
-  const toggleEmployeeStatus = (id: string) => {
-    setEmployees(
-      employees.map((emp) =>
-        emp.id === id ? { ...emp, isActive: !emp.isActive } : emp
+  const handleDeactivateEmployee = async (employee: Employee) => {
+    if (
+      !confirm(
+        `¿Desactivar a ${employee.name}? Su sesión en la app se cierra y ya no podrá generar códigos QR.`
       )
-    );
+    )
+      return;
+    try {
+      await deactivateEmployee(employee.id);
+    } catch (error) {
+      alert(`No se pudo desactivar el empleado: ${errorMessage(error)}`);
+    }
   };
 
-  const activeEmployees = employees.filter((emp) => emp.isActive);
+  const activeEmployees = employees.filter((emp) => emp.status === 'ACTIVE');
   const totalTodayTickets = activeEmployees.reduce(
     (sum, emp) => sum + emp.todayTickets,
     0
@@ -200,218 +168,267 @@ export default function EmployeesPage() {
               className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center"
             >
               <PlusIcon className="w-5 h-5 mr-2" />
-              Nuevo Empleado
+              Invitar Empleado
             </button>
           </div>
         </div>
       </div>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Stats Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
-          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-200">
-            <div className="flex items-center">
-              <UsersIcon className="w-8 h-8 text-blue-600" />
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">
-                  Total Empleados
-                </p>
-                <p className="text-2xl font-bold text-gray-900">
-                  {employees.length}
-                </p>
+        <QueryStatus query={employeesQuery}>
+          {() => (
+            <>
+              {/* Stats Cards */}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+                <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-200">
+                  <div className="flex items-center">
+                    <UsersIcon className="w-8 h-8 text-blue-600" />
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        Total Empleados
+                      </p>
+                      <p className="text-2xl font-bold text-gray-900">
+                        {employees.length}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-200">
+                  <div className="flex items-center">
+                    <div className="w-8 h-8 bg-green-100 rounded-lg flex items-center justify-center">
+                      <span className="text-green-600 font-bold">✓</span>
+                    </div>
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        Empleados Activos
+                      </p>
+                      <p className="text-2xl font-bold text-gray-900">
+                        {activeEmployees.length}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-200">
+                  <div className="flex items-center">
+                    <TicketIcon className="w-8 h-8 text-orange-600" />
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        QRs Hoy
+                      </p>
+                      <p className="text-2xl font-bold text-gray-900">
+                        {totalTodayTickets}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-200">
+                  <div className="flex items-center">
+                    <ChartBarIcon className="w-8 h-8 text-purple-600" />
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        Canje Promedio
+                      </p>
+                      <p className="text-2xl font-bold text-gray-900">
+                        {avgConversionRate.toFixed(1)}%
+                      </p>
+                    </div>
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
-
-          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-200">
-            <div className="flex items-center">
-              <div className="w-8 h-8 bg-green-100 rounded-lg flex items-center justify-center">
-                <span className="text-green-600 font-bold">✓</span>
-              </div>
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">
-                  Empleados Activos
-                </p>
-                <p className="text-2xl font-bold text-gray-900">
-                  {activeEmployees.length}
-                </p>
-              </div>
-            </div>
-          </div>
 
-          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-200">
-            <div className="flex items-center">
-              <TicketIcon className="w-8 h-8 text-orange-600" />
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Tickets Hoy</p>
-                <p className="text-2xl font-bold text-gray-900">
-                  {totalTodayTickets}
-                </p>
+              {/* Filters */}
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
+                <div className="flex items-center space-x-4">
+                  <label className="text-sm font-medium text-gray-700">
+                    Filtrar por estación:
+                  </label>
+                  <select
+                    value={selectedStation}
+                    onChange={(e) => setSelectedStation(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  >
+                    <option value="all">Todas las estaciones</option>
+                    {stations.map((station) => (
+                      <option key={station.id} value={station.id}>
+                        {station.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
               </div>
-            </div>
-          </div>
 
-          <div className="bg-white rounded-xl shadow-sm p-6 border border-gray-200">
-            <div className="flex items-center">
-              <ChartBarIcon className="w-8 h-8 text-purple-600" />
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">
-                  Conversión Promedio
-                </p>
-                <p className="text-2xl font-bold text-gray-900">
-                  {avgConversionRate.toFixed(1)}%
-                </p>
+              {/* Employees Table */}
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+                <div className="p-6 border-b border-gray-200">
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Lista de Empleados ({filteredEmployees.length})
+                  </h3>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Empleado
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Código
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Estación
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          QRs Hoy
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          QRs Semana
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Canje Semana
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Estado
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Acciones
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {filteredEmployees.map((employee) => (
+                        <tr key={employee.id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div>
+                              <div className="text-sm font-medium text-gray-900">
+                                {employee.name}
+                              </div>
+                              <div className="text-sm text-gray-500">
+                                {employee.email}
+                              </div>
+                              <div className="text-sm text-gray-500">
+                                {employee.phone}
+                              </div>
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                            {employee.employeeCode}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="flex items-center text-sm text-gray-900">
+                              <BuildingStorefrontIcon className="w-4 h-4 mr-2 text-gray-400" />
+                              {employee.stationName}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            <span className="font-semibold">
+                              {employee.todayTickets}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {employee.weeklyTickets}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            <span
+                              className={`font-semibold ${
+                                employee.conversionRate >= 80
+                                  ? 'text-green-600'
+                                  : employee.conversionRate >= 70
+                                    ? 'text-yellow-600'
+                                    : 'text-red-600'
+                              }`}
+                            >
+                              {employee.conversionRate}%
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span
+                              className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                                STATUS_BADGES[employee.status].className
+                              }`}
+                            >
+                              {STATUS_BADGES[employee.status].label}
+                            </span>
+                            {employee.status === 'INVITED' &&
+                              employee.inviteExpiresAt && (
+                                <div className="text-xs text-gray-500 mt-1">
+                                  Código vence{' '}
+                                  {new Date(
+                                    employee.inviteExpiresAt
+                                  ).toLocaleString('es-CR')}
+                                </div>
+                              )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                            <div className="flex space-x-2">
+                              <button
+                                onClick={() => setHistoryEmployee(employee)}
+                                title="Historial"
+                                className="text-gray-600 hover:text-gray-900"
+                              >
+                                <PresentationChartLineIcon className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => handleEditEmployee(employee)}
+                                title="Editar o reasignar"
+                                className="text-blue-600 hover:text-blue-900"
+                              >
+                                <PencilIcon className="w-4 h-4" />
+                              </button>
+                              {employee.status !== 'ACTIVE' && (
+                                <button
+                                  onClick={() => handleResendInvite(employee)}
+                                  title={
+                                    employee.status === 'INVITED'
+                                      ? 'Reenviar invitación'
+                                      : 'Reactivar con nueva invitación'
+                                  }
+                                  className="text-yellow-600 hover:text-yellow-900"
+                                >
+                                  <EnvelopeIcon className="w-4 h-4" />
+                                </button>
+                              )}
+                              {employee.status !== 'DEACTIVATED' && (
+                                <button
+                                  onClick={() =>
+                                    handleDeactivateEmployee(employee)
+                                  }
+                                  title="Desactivar"
+                                  className="text-orange-600 hover:text-orange-900"
+                                >
+                                  <NoSymbolIcon className="w-4 h-4" />
+                                </button>
+                              )}
+                              <button
+                                onClick={() =>
+                                  handleDeleteEmployee(employee.id)
+                                }
+                                title="Eliminar"
+                                className="text-red-600 hover:text-red-900"
+                              >
+                                <TrashIcon className="w-4 h-4" />
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
               </div>
-            </div>
-          </div>
-        </div>
-
-        {/* Filters */}
-        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
-          <div className="flex items-center space-x-4">
-            <label className="text-sm font-medium text-gray-700">
-              Filtrar por estación:
-            </label>
-            <select
-              value={selectedStation}
-              onChange={(e) => setSelectedStation(e.target.value)}
-              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
-            >
-              <option value="all">Todas las estaciones</option>
-              {stations.map((station) => (
-                <option key={station.id} value={station.id}>
-                  {station.name}
-                </option>
-              ))}
-            </select>
-          </div>
-        </div>
-
-        {/* Employees Table */}
-        <div className="bg-white rounded-xl shadow-sm border border-gray-200">
-          <div className="p-6 border-b border-gray-200">
-            <h3 className="text-lg font-semibold text-gray-900">
-              Lista de Empleados ({filteredEmployees.length})
-            </h3>
-          </div>
-
-          <div className="overflow-x-auto">
-            <table className="w-full">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Empleado
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Código
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Estación
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Tickets Hoy
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Tickets Semana
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Conversión
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Estado
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Acciones
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {filteredEmployees.map((employee) => (
-                  <tr key={employee.id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div>
-                        <div className="text-sm font-medium text-gray-900">
-                          {employee.name}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {employee.email}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {employee.phone}
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
-                      {employee.employeeCode}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center text-sm text-gray-900">
-                        <BuildingStorefrontIcon className="w-4 h-4 mr-2 text-gray-400" />
-                        {employee.stationName}
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      <span className="font-semibold">
-                        {employee.todayTickets}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {employee.weeklyTickets}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      <span
-                        className={`font-semibold ${
-                          employee.conversionRate >= 80
-                            ? 'text-green-600'
-                            : employee.conversionRate >= 70
-                            ? 'text-yellow-600'
-                            : 'text-red-600'
-                        }`}
-                      >
-                        {employee.conversionRate}%
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <button
-                        onClick={() => toggleEmployeeStatus(employee.id)}
-                        className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                          employee.isActive
-                            ? 'bg-green-100 text-green-800'
-                            : 'bg-red-100 text-red-800'
-                        }`}
-                      >
-                        {employee.isActive ? 'Activo' : 'Inactivo'}
-                      </button>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex space-x-2">
-                        <button
-                          onClick={() => handleEditEmployee(employee)}
-                          className="text-blue-600 hover:text-blue-900"
-                        >
-                          <PencilIcon className="w-4 h-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDeleteEmployee(employee.id)}
-                          className="text-red-600 hover:text-red-900"
-                        >
-                          <TrashIcon className="w-4 h-4" />
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </div>
+            </>
+          )}
+        </QueryStatus>
       </div>
 
       {/* Add Employee Modal */}
       {showAddModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 w-full max-w-md">
-            <h3 className="text-lg font-semibold mb-4">Nuevo Empleado</h3>
+            <h3 className="text-lg font-semibold mb-4">Invitar Empleado</h3>
 
             <div className="space-y-4">
               <div>
@@ -481,6 +498,33 @@ export default function EmployeesPage() {
                   ))}
                 </select>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Enviar código de activación por
+                </label>
+                <div className="flex space-x-4">
+                  {(
+                    [
+                      ['EMAIL', 'Email'],
+                      ['SMS', 'SMS'],
+                    ] as const
+                  ).map(([channel, label]) => (
+                    <label key={channel} className="flex items-center text-sm">
+                      <input
+                        type="radio"
+                        name="invite-channel"
+                        checked={newEmployee.channel === channel}
+                        onChange={() =>
+                          setNewEmployee({ ...newEmployee, channel })
+                        }
+                        className="mr-2"
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </div>
             </div>
 
             <div className="flex justify-end space-x-3 mt-6">
@@ -494,12 +538,14 @@ export default function EmployeesPage() {
                 onClick={handleAddEmployee}
                 disabled={
                   !newEmployee.name ||
-                  !newEmployee.email ||
-                  !newEmployee.stationId
+                  !newEmployee.stationId ||
+                  (newEmployee.channel === 'EMAIL'
+                    ? !newEmployee.email
+                    : !newEmployee.phone)
                 }
                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
               >
-                Crear Empleado
+                Enviar Invitación
               </button>
             </div>
           </div>
@@ -570,6 +616,7 @@ export default function EmployeesPage() {
                 </label>
                 <select
                   value={editingEmployee.stationId}
+                  disabled={editingEmployee.status === 'DEACTIVATED'}
                   onChange={(e) =>
                     setEditingEmployee({
                       ...editingEmployee,
@@ -604,6 +651,43 @@ export default function EmployeesPage() {
           </div>
         </div>
       )}
+
+      {/* Issued Invite */}
+      {issuedInvite && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md text-center">
+            <h3 className="text-lg font-semibold mb-2">Invitación Enviada</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {issuedInvite.employee.name} recibió el código por{' '}
+              {issuedInvite.channel === 'EMAIL'
+                ? `email (${issuedInvite.employee.email})`
+                : `SMS (${issuedInvite.employee.phone})`}
+              . Lo ingresa en la app de empleados para activar su cuenta.
+            </p>
+            <p className="text-3xl font-mono font-bold tracking-widest text-gray-900 bg-gray-50 rounded-lg py-4 mb-2">
+              {issuedInvite.activationCode}
+            </p>
+            <p className="text-xs text-gray-500 mb-6">
+              Vence el{' '}
+              {new Date(issuedInvite.expiresAt).toLocaleString('es-CR')}. No se
+              vuelve a mostrar.
+            </p>
+            <button
+              onClick={() => setIssuedInvite(null)}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              Listo
+            </button>
+          </div>
+        </div>
+      )}
+
+      {historyEmployee && (
+        <EmployeeHistoryPanel
+          employee={historyEmployee}
+          onClose={() => setHistoryEmployee(null)}
+        />
+      )}
     </div>
   );
 }
@@ -9,9 +9,41 @@ import {
   GlobeAltIcon,
   UserIcon,
   KeyIcon,
+  CircleStackIcon,
 } from '@heroicons/react/24/outline';
+import { isApiError } from '@gasolinera-jsm/api-sdk';
+import { useDataSourceStore } from '@/store/dataSourceStore';
+import { useSessionStore } from '@/store/sessionStore';
+import { api } from '@/lib/data/provider';
 
 export default function SettingsPage() {
+  const { source, setSource } = useDataSourceStore();
+  const session = useSessionStore();
+  const [credentials, setCredentials] = useState({ email: '', password: '' });
+  const [signingIn, setSigningIn] = useState(false);
+  const [signInError, setSignInError] = useState<string | null>(null);
+
+  const handleSignIn = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setSignInError(null);
+    try {
+      const { accessToken } = await api.auth.login(
+        credentials.email,
+        credentials.password
+      );
+      session.signIn(accessToken, credentials.email);
+      setCredentials({ email: '', password: '' });
+    } catch (error) {
+      setSignInError(
+        isApiError(error) && error.isUnauthorized
+          ? 'Correo o contraseña incorrectos'
+          : 'No se pudo iniciar sesión, inténtalo de nuevo'
+      );
+    } finally {
+      setSigningIn(false);
+    }
+  };
   const [settings, setSettings] = useState({
     notifications: {
       email: true,
@@ -98,6 +130,7 @@ export default function SettingsPage() {
                   icon: CurrencyDollarIcon,
                 },
                 { id: 'security', name: 'Seguridad', icon: ShieldCheckIcon },
+                { id: 'data', name: 'Fuente de Datos', icon: CircleStackIcon },
               ].map((item) => (
                 <a
                   key={item.id}
@@ -487,6 +520,112 @@ export default function SettingsPage() {
                 </div>
               </div>
             </div>
+
+            {/* Data Source */}
+            <div
+              id="data"
+              className="bg-white rounded-xl shadow-sm border border-gray-200"
+            >
+              <div className="p-6 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <CircleStackIcon className="w-5 h-5 mr-2" />
+                  Fuente de Datos
+                </h3>
+              </div>
+
+              <div className="p-6 space-y-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900">
+                      Datos de Demostración
+                    </h4>
+                    <p className="text-sm text-gray-500">
+                      Usa datos locales de ejemplo en lugar de la API, para
+                      demostraciones y pruebas sin conexión. Se aplica de
+                      inmediato en este navegador.
+                    </p>
+                  </div>
+                  <label className="relative inline-flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={source === 'fixtures'}
+                      onChange={(e) =>
+                        setSource(e.target.checked ? 'fixtures' : 'api')
+                      }
+                      className="sr-only peer"
+                    />
+                    <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                  </label>
+                </div>
+
+                {source === 'api' && (
+                  <div className="pt-4 border-t border-gray-200">
+                    <h4 className="text-sm font-medium text-gray-900">
+                      Sesión en la API
+                    </h4>
+                    {session.accessToken ? (
+                      <div className="mt-2 flex items-center justify-between">
+                        <p className="text-sm text-gray-500">
+                          Conectado como {session.email}
+                        </p>
+                        <button
+                          onClick={session.signOut}
+                          className="px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+                        >
+                          Cerrar sesión
+                        </button>
+                      </div>
+                    ) : (
+                      <form onSubmit={handleSignIn} className="mt-2 space-y-3">
+                        <p className="text-sm text-gray-500">
+                          Inicia sesión para leer los datos de tus estaciones
+                          desde la API. La sesión se cierra al recargar la
+                          página.
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <input
+                            type="email"
+                            required
+                            placeholder="Correo"
+                            value={credentials.email}
+                            onChange={(e) =>
+                              setCredentials({
+                                ...credentials,
+                                email: e.target.value,
+                              })
+                            }
+                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                          />
+                          <input
+                            type="password"
+                            required
+                            placeholder="Contraseña"
+                            value={credentials.password}
+                            onChange={(e) =>
+                              setCredentials({
+                                ...credentials,
+                                password: e.target.value,
+                              })
+                            }
+                            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                          />
+                        </div>
+                        {signInError && (
+                          <p className="text-sm text-red-600">{signInError}</p>
+                        )}
+                        <button
+                          type="submit"
+                          disabled={signingIn}
+                          className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          {signingIn ? 'Iniciando sesión...' : 'Iniciar sesión'}
+                        </button>
+                      </form>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
           </div>
         </div>
       </div>
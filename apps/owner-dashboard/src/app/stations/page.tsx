@@ -1,6 +1,7 @@
 'use client';
 
 import React, { useState } from 'react';
+import type { OwnerStation } from '@gasolinera-jsm/api-sdk';
 import {
   BuildingStorefrontIcon,
   PlusIcon,
@@ -11,19 +12,15 @@ import {
   CheckIcon,
   ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
+import QueryStatus from '../components/QueryStatus';
+import {
+  createStation,
+  removeStation,
+  updateStation,
+  useStations,
+} from '@/lib/data/queries';
 
-interface Station {
-  id: string;
-  name: string;
-  address: string;
-  latitude: number;
-  longitude: number;
-  isActive: boolean;
-  employeeCount: number;
-  todayTickets: number;
-  todayRevenue: number;
-  conversionRate: number;
-}
+type Station = OwnerStation;
 
 interface NewStationForm {
   name: string;
@@ -32,47 +29,11 @@ interface NewStationForm {
   longitude: string;
 }
 
-const mockStations: Station[] = [
-  {
-    id: '1',
-    name: 'Gasolinera JSM Centro',
-    address: 'Avenida Central, San José, Costa Rica',
-    latitude: 9.9281,
-    longitude: -84.0907,
-    isActive: true,
-    employeeCount: 8,
-    todayTickets: 245,
-    todayRevenue: 612500,
-    conversionRate: 78.5,
-  },
-  {
-    id: '2',
-    name: 'Gasolinera JSM Norte',
-    address: 'Barrio Escalante, San José, Costa Rica',
-    latitude: 9.935,
-    longitude: -84.085,
-    isActive: true,
-    employeeCount: 6,
-    todayTickets: 198,
-    todayRevenue: 495000,
-    conversionRate: 82.3,
-  },
-  {
-    id: '3',
-    name: 'Gasolinera JSM Sur',
-    address: 'Desamparados, San José, Costa Rica',
-    latitude: 9.9,
-    longitude: -84.07,
-    isActive: true,
-    employeeCount: 5,
-    todayTickets: 167,
-    todayRevenue: 417500,
-    conversionRate: 75.2,
-  },
-];
+const errorMessage = (error: unknown) =>
+  error instanceof Error ? error.message : String(error);
 
 export default function StationsPage() {
-  const [stations, setStations] = useState<Station[]>(mockStations);
+  const stationsQuery = useStations('today');
   const [showAddModal, setShowAddModal] = useState(false);
   const [editingStation, setEditingStation] = useState<Station | null>(null);
   const [newStation, setNewStation] = useState<NewStationForm>({
@@ -108,31 +69,25 @@ export default function StationsPage() {
     if (!validateForm(newStation)) return;
 
     setIsSubmitting(true);
-
-    // Simular llamada a API
-    await new Promise((resolve) => setTimeout(resolve, 1000));
-
-    const station: Station = {
-      id: Date.now().toString(),
-      name: newStation.name,
-      address: newStation.address,
-      latitude: parseFloat(newStation.latitude),
-      longitude: parseFloat(newStation.longitude),
-      isActive: true,
-      employeeCount: 0,
-      todayTickets: 0,
-      todayRevenue: 0,
-      conversionRate: 0,
-    };
-
-    setStations([...stations, station]);
-    setNewStation({ name: '', address: '', latitude: '', longitude: '' });
-    setErrors({});
-    setShowAddModal(false);
-    setIsSubmitting(false);
-
-    // Mostrar notificación de éxito
-    alert('¡Estación creada exitosamente!');
+    try {
+      await createStation({
+        name: newStation.name,
+        address: newStation.address,
+        latitude: parseFloat(newStation.latitude),
+        longitude: parseFloat(newStation.longitude),
+      });
+
+      setNewStation({ name: '', address: '', latitude: '', longitude: '' });
+      setErrors({});
+      setShowAddModal(false);
+
+      // Mostrar notificación de éxito
+      alert('¡Estación creada exitosamente!');
+    } catch (error) {
+      alert(`No se pudo crear la estación: ${errorMessage(error)}`);
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   const handleEditStation = (station: Station) => {
@@ -143,17 +98,22 @@ export default function StationsPage() {
     if (!editingStation) return;
 
     setIsSubmitting(true);
-
-    // Simular llamada a API
-    await new Promise((resolve) => setTimeout(resolve, 800));
-
-    setStations(
-      stations.map((s) => (s.id === editingStation.id ? editingStation : s))
-    );
-    setEditingStation(null);
-    setIsSubmitting(false);
-
-    alert('¡Estación actualizada exitosamente!');
+    try {
+      const { name, address, latitude, longitude } = editingStation;
+      await updateStation(editingStation.id, {
+        name,
+        address,
+        latitude,
+        longitude,
+      });
+      setEditingStation(null);
+
+      alert('¡Estación actualizada exitosamente!');
+    } catch (error) {
+      alert(`No se pudo actualizar la estación: ${errorMessage(error)}`);
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   const handleDeleteStation = async (id: string) => {
@@ -165,20 +125,20 @@ export default function StationsPage() {
       return;
     }
 
-    // Simular llamada a API
-    await new Promise((resolve) => setTimeout(resolve, 500));
-
-    setStations(stations.filter((s) => s.id !== id));
-    alert('Estación eliminada exitosamente');
+    try {
+      await removeStation(id);
+      alert('Estación eliminada exitosamente');
+    } catch (error) {
+      alert(`No se pudo eliminar la estación: ${errorMessage(error)}`);
+    }
   };
 
-  const toggleStationStatus = async (id: string) => {
-    // Simular llamada a API
-    await new Promise((resolve) => setTimeout(resolve, 300));
-
-    setStations(
-      stations.map((s) => (s.id === id ? { ...s, isActive: !s.isActive } : s))
-    );
+  const toggleStationStatus = async (station: Station) => {
+    try {
+      await updateStation(station.id, { isActive: !station.isActive });
+    } catch (error) {
+      alert(`No se pudo cambiar el estado: ${errorMessage(error)}`);
+    }
   };
 
   const resetForm = () => {
@@ -213,185 +173,193 @@ export default function StationsPage() {
       </div>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Stats Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
-          <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
-            <div className="flex items-center">
-              <div className="p-3 bg-blue-100 rounded-lg">
-                <BuildingStorefrontIcon className="w-8 h-8 text-blue-600" />
-              </div>
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">
-                  Total Estaciones
-                </p>
-                <p className="text-3xl font-bold text-gray-900">
-                  {stations.length}
-                </p>
-              </div>
-            </div>
-          </div>
+        <QueryStatus query={stationsQuery}>
+          {(stations) => (
+            <>
+              {/* Stats Cards */}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+                <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
+                  <div className="flex items-center">
+                    <div className="p-3 bg-blue-100 rounded-lg">
+                      <BuildingStorefrontIcon className="w-8 h-8 text-blue-600" />
+                    </div>
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        Total Estaciones
+                      </p>
+                      <p className="text-3xl font-bold text-gray-900">
+                        {stations.length}
+                      </p>
+                    </div>
+                  </div>
+                </div>
 
-          <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
-            <div className="flex items-center">
-              <div className="p-3 bg-green-100 rounded-lg">
-                <CheckIcon className="w-8 h-8 text-green-600" />
-              </div>
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">
-                  Estaciones Activas
-                </p>
-                <p className="text-3xl font-bold text-gray-900">
-                  {stations.filter((s) => s.isActive).length}
-                </p>
-              </div>
-            </div>
-          </div>
+                <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
+                  <div className="flex items-center">
+                    <div className="p-3 bg-green-100 rounded-lg">
+                      <CheckIcon className="w-8 h-8 text-green-600" />
+                    </div>
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        Estaciones Activas
+                      </p>
+                      <p className="text-3xl font-bold text-gray-900">
+                        {stations.filter((s) => s.isActive).length}
+                      </p>
+                    </div>
+                  </div>
+                </div>
 
-          <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
-            <div className="flex items-center">
-              <div className="p-3 bg-orange-100 rounded-lg">
-                <span className="text-2xl">👥</span>
-              </div>
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">
-                  Total Empleados
-                </p>
-                <p className="text-3xl font-bold text-gray-900">
-                  {stations.reduce((sum, s) => sum + s.employeeCount, 0)}
-                </p>
-              </div>
-            </div>
-          </div>
+                <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
+                  <div className="flex items-center">
+                    <div className="p-3 bg-orange-100 rounded-lg">
+                      <span className="text-2xl">👥</span>
+                    </div>
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        Total Empleados
+                      </p>
+                      <p className="text-3xl font-bold text-gray-900">
+                        {stations.reduce((sum, s) => sum + s.employeeCount, 0)}
+                      </p>
+                    </div>
+                  </div>
+                </div>
 
-          <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
-            <div className="flex items-center">
-              <div className="p-3 bg-purple-100 rounded-lg">
-                <span className="text-2xl">🎫</span>
-              </div>
-              <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Tickets Hoy</p>
-                <p className="text-3xl font-bold text-gray-900">
-                  {stations.reduce((sum, s) => sum + s.todayTickets, 0)}
-                </p>
+                <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100 hover:shadow-xl transition-shadow duration-200">
+                  <div className="flex items-center">
+                    <div className="p-3 bg-purple-100 rounded-lg">
+                      <span className="text-2xl">🎫</span>
+                    </div>
+                    <div className="ml-4">
+                      <p className="text-sm font-medium text-gray-600">
+                        Tickets Hoy
+                      </p>
+                      <p className="text-3xl font-bold text-gray-900">
+                        {stations.reduce((sum, s) => sum + s.tickets, 0)}
+                      </p>
+                    </div>
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
-        </div>
 
-        {/* Stations Table */}
-        <div className="bg-white rounded-xl shadow-lg border border-gray-100">
-          <div className="p-6 border-b border-gray-200">
-            <h3 className="text-lg font-semibold text-gray-900">
-              Lista de Estaciones ({stations.length})
-            </h3>
-          </div>
+              {/* Stations Table */}
+              <div className="bg-white rounded-xl shadow-lg border border-gray-100">
+                <div className="p-6 border-b border-gray-200">
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Lista de Estaciones ({stations.length})
+                  </h3>
+                </div>
 
-          <div className="overflow-x-auto">
-            <table className="w-full">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Estación
-                  </th>
-                  <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Empleados
-                  </th>
-                  <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Tickets Hoy
-                  </th>
-                  <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Ingresos Hoy
-                  </th>
-                  <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Conversión
-                  </th>
-                  <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Estado
-                  </th>
-                  <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Acciones
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {stations.map((station) => (
-                  <tr
-                    key={station.id}
-                    className="hover:bg-gray-50 transition-colors duration-150"
-                  >
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div>
-                        <div className="text-sm font-medium text-gray-900">
-                          {station.name}
-                        </div>
-                        <div className="text-sm text-gray-500 flex items-center">
-                          <MapPinIcon className="w-4 h-4 mr-1" />
-                          {station.address}
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="text-sm font-semibold text-gray-900 bg-gray-100 px-2 py-1 rounded-full">
-                        {station.employeeCount}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="text-sm font-semibold text-blue-600 bg-blue-50 px-2 py-1 rounded-full">
-                        {station.todayTickets}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-green-600">
-                      ₡{station.todayRevenue.toLocaleString()}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span
-                        className={`text-sm font-semibold px-2 py-1 rounded-full ${
-                          station.conversionRate >= 80
-                            ? 'text-green-700 bg-green-100'
-                            : station.conversionRate >= 70
-                            ? 'text-yellow-700 bg-yellow-100'
-                            : 'text-red-700 bg-red-100'
-                        }`}
-                      >
-                        {station.conversionRate}%
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <button
-                        onClick={() => toggleStationStatus(station.id)}
-                        className={`inline-flex px-3 py-1 text-xs font-semibold rounded-full transition-colors duration-200 ${
-                          station.isActive
-                            ? 'bg-green-100 text-green-800 hover:bg-green-200'
-                            : 'bg-red-100 text-red-800 hover:bg-red-200'
-                        }`}
-                      >
-                        {station.isActive ? 'Activa' : 'Inactiva'}
-                      </button>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex space-x-3">
-                        <button
-                          onClick={() => handleEditStation(station)}
-                          className="text-blue-600 hover:text-blue-900 hover:bg-blue-50 p-2 rounded-lg transition-all duration-200"
-                          title="Editar estación"
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Estación
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Empleados
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Tickets Hoy
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Ingresos Hoy
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Conversión
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Estado
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Acciones
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {stations.map((station) => (
+                        <tr
+                          key={station.id}
+                          className="hover:bg-gray-50 transition-colors duration-150"
                         >
-                          <PencilIcon className="w-4 h-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDeleteStation(station.id)}
-                          className="text-red-600 hover:text-red-900 hover:bg-red-50 p-2 rounded-lg transition-all duration-200"
-                          title="Eliminar estación"
-                        >
-                          <TrashIcon className="w-4 h-4" />
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </div>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div>
+                              <div className="text-sm font-medium text-gray-900">
+                                {station.name}
+                              </div>
+                              <div className="text-sm text-gray-500 flex items-center">
+                                <MapPinIcon className="w-4 h-4 mr-1" />
+                                {station.address}
+                              </div>
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className="text-sm font-semibold text-gray-900 bg-gray-100 px-2 py-1 rounded-full">
+                              {station.employeeCount}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className="text-sm font-semibold text-blue-600 bg-blue-50 px-2 py-1 rounded-full">
+                              {station.tickets}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-green-600">
+                            ₡{station.revenue.toLocaleString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span
+                              className={`text-sm font-semibold px-2 py-1 rounded-full ${
+                                station.conversionRate >= 80
+                                  ? 'text-green-700 bg-green-100'
+                                  : station.conversionRate >= 70
+                                    ? 'text-yellow-700 bg-yellow-100'
+                                    : 'text-red-700 bg-red-100'
+                              }`}
+                            >
+                              {station.conversionRate}%
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <button
+                              onClick={() => toggleStationStatus(station)}
+                              className={`inline-flex px-3 py-1 text-xs font-semibold rounded-full transition-colors duration-200 ${
+                                station.isActive
+                                  ? 'bg-green-100 text-green-800 hover:bg-green-200'
+                                  : 'bg-red-100 text-red-800 hover:bg-red-200'
+                              }`}
+                            >
+                              {station.isActive ? 'Activa' : 'Inactiva'}
+                            </button>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                            <div className="flex space-x-3">
+                              <button
+                                onClick={() => handleEditStation(station)}
+                                className="text-blue-600 hover:text-blue-900 hover:bg-blue-50 p-2 rounded-lg transition-all duration-200"
+                                title="Editar estación"
+                              >
+                                <PencilIcon className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => handleDeleteStation(station.id)}
+                                className="text-red-600 hover:text-red-900 hover:bg-red-50 p-2 rounded-lg transition-all duration-200"
+                                title="Eliminar estación"
+                              >
+                                <TrashIcon className="w-4 h-4" />
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+        </QueryStatus>
       </div>
 
       {/* Add Station Modal */}
@@ -0,0 +1,204 @@
+import { describe, expect, it } from 'vitest';
+import type { OwnerEvent } from '@gasolinera-jsm/api-sdk';
+import {
+  adStepDropOff,
+  cohorts,
+  compareStations,
+  funnel,
+  maxAdStep,
+} from './analytics';
+
+// Local time, as the export is grouped by local day and week
+const at = (day: string, hour = 10) =>
+  new Date(`${day}T${String(hour).padStart(2, '0')}:00`).toISOString();
+
+/** Events of one coupon: created, then optionally activated and `steps` ads watched */
+function coupon(
+  couponId: string,
+  {
+    stationId = 's1',
+    day = '2024-03-04',
+    userId = null,
+    steps = 0,
+    created = true,
+  }: {
+    stationId?: string;
+    day?: string;
+    userId?: string | null;
+    steps?: number;
+    created?: boolean;
+  } = {}
+): OwnerEvent[] {
+  const base = { stationId, couponId };
+  const events: OwnerEvent[] = [];
+  if (created) {
+    events.push({
+      ...base,
+      type: 'COUPON_CREATED',
+      occurredAt: at(day, 9),
+      userId: null,
+    });
+  }
+  if (!userId) return events;
+  events.push({
+    ...base,
+    type: 'COUPON_ACTIVATED',
+    occurredAt: at(day, 10),
+    userId,
+  });
+  for (let step = 1; step <= steps; step++) {
+    events.push({
+      ...base,
+      type: 'AD_STEP_COMPLETED',
+      occurredAt: at(day, 10 + step),
+      userId,
+      step,
+    });
+  }
+  return events;
+}
+
+const EVENTS: OwnerEvent[] = [
+  ...coupon('c1', { userId: 'u1', steps: 3 }),
+  ...coupon('c2', { userId: 'u2', steps: 1 }),
+  ...coupon('c3', { userId: 'u1' }),
+  ...coupon('c4'),
+  ...coupon('c5', { stationId: 's2', userId: 'u3', steps: 2 }),
+  // Created before the export started: only its later events are in it
+  ...coupon('c0', { userId: 'u9', steps: 3, created: false }),
+];
+
+describe('funnel', () => {
+  it('counts the coupons created in the export at every stage', () => {
+    expect(
+      funnel(EVENTS, { stationId: 's1' }).map(({ key, count }) => [key, count])
+    ).toEqual([
+      ['created', 4],
+      ['activated', 3],
+      ['step-1', 2],
+      ['step-2', 1],
+      ['step-3', 1],
+    ]);
+  });
+
+  it('never counts more coupons at a stage than at the one before', () => {
+    const stages = funnel(EVENTS);
+    stages.slice(1).forEach((stage, index) => {
+      expect(stage.count).toBeLessThanOrEqual(stages[index].count);
+      expect(stage.dropOff).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  it('gives conversion against the coupons and drop-off against the previous stage', () => {
+    const [, activated, firstAd] = funnel(EVENTS, { stationId: 's1' });
+    expect(activated).toMatchObject({ conversion: 75, dropOff: 25 });
+    expect(firstAd).toMatchObject({ conversion: 50, dropOff: 33.3 });
+  });
+
+  it('keeps the requested number of ad steps for every station', () => {
+    const stages = funnel(EVENTS, {
+      stationId: 's2',
+      steps: maxAdStep(EVENTS),
+    });
+    expect(stages).toHaveLength(5);
+    expect(stages[4]).toMatchObject({ key: 'step-3', count: 0, conversion: 0 });
+  });
+
+  it('is all zeros without events', () => {
+    expect(
+      funnel([]).map(({ count, conversion }) => count + conversion)
+    ).toEqual([0, 0]);
+  });
+});
+
+describe('adStepDropOff', () => {
+  it('starts the first ad with every activated coupon', () => {
+    const [first] = adStepDropOff(EVENTS, { stationId: 's1' });
+    const activated = funnel(EVENTS, { stationId: 's1' })[1].count;
+    expect(first).toMatchObject({ step: 1, started: activated, completed: 2 });
+    expect(first.dropOff).toBe(33.3);
+  });
+
+  it('starts each later ad with the coupons that completed the previous one', () => {
+    const steps = adStepDropOff(EVENTS);
+    steps.slice(1).forEach((step, index) => {
+      expect(step.started).toBe(steps[index].completed);
+    });
+  });
+
+  it('carries the duration of the ad at each step', () => {
+    const steps = adStepDropOff(EVENTS);
+    expect(steps.every(({ durationSeconds }) => durationSeconds > 0)).toBe(
+      true
+    );
+  });
+});
+
+describe('cohorts', () => {
+  // Monday 2024-03-04 and the two weeks after it
+  const WEEKLY: OwnerEvent[] = [
+    ...coupon('a1', { userId: 'u1', day: '2024-03-04' }),
+    ...coupon('a2', { userId: 'u2', day: '2024-03-06' }),
+    ...coupon('a3', { userId: 'u1', day: '2024-03-12' }),
+    ...coupon('a4', { userId: 'u1', day: '2024-03-19' }),
+    ...coupon('a5', { userId: 'u3', day: '2024-03-13' }),
+    ...coupon('a6', { userId: 'u4', day: '2024-03-20' }),
+  ];
+  // Exclusive end of the export, on Thursday of the third week
+  const UNTIL = new Date('2024-03-21T00:00').toISOString();
+
+  it('groups users by the week of their first activation', () => {
+    expect(
+      cohorts(WEEKLY, { until: UNTIL }).map(({ week, users }) => [week, users])
+    ).toEqual([
+      ['2024-03-04', 2],
+      ['2024-03-11', 1],
+      ['2024-03-18', 1],
+    ]);
+  });
+
+  it('gives the share of the cohort active in every later week', () => {
+    const [first] = cohorts(WEEKLY, { until: UNTIL });
+    expect(first.retention).toEqual([100, 50, 50]);
+  });
+
+  it('leaves the weeks after `until` empty', () => {
+    const [, second, third] = cohorts(WEEKLY, { until: UNTIL });
+    expect(second.retention).toEqual([100, 0, null]);
+    expect(third.retention).toEqual([100, null, null]);
+  });
+
+  it('ignores coupons that were never activated', () => {
+    expect(cohorts(coupon('x'), { until: UNTIL })).toEqual([]);
+  });
+});
+
+describe('compareStations', () => {
+  it('gives the share of users that activated more than one coupon', () => {
+    const [s1, s2] = compareStations(EVENTS);
+    // u1 activated twice; u2 and u9, whose coupon predates the export, once
+    expect(s1).toMatchObject({
+      stationId: 's1',
+      users: 3,
+      returningRate: 33.3,
+    });
+    expect(s2).toMatchObject({ stationId: 's2', users: 1, returningRate: 0 });
+  });
+
+  it('compares the funnel of every station on the same number of steps', () => {
+    const [s1, s2] = compareStations(EVENTS, { steps: 3 });
+    expect(s1).toMatchObject({
+      coupons: 4,
+      activated: 3,
+      activationRate: 75,
+      avgSteps: 1.3,
+      completionRate: 33.3,
+    });
+    expect(s2).toMatchObject({
+      coupons: 1,
+      activated: 1,
+      avgSteps: 2,
+      completionRate: 0,
+    });
+  });
+});
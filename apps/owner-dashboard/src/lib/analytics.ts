@@ -0,0 +1,272 @@
+// Funnel, cohort and ad-step analysis computed from the raw event export, so the
+// same functions run against the API and the fixture data.
+
+import type { OwnerEvent } from '@gasolinera-jsm/api-sdk';
+import {
+  AD_STEP_DURATIONS_SECONDS,
+  addDays,
+  toDayInput,
+} from '@gasolinera-jsm/shared';
+
+export type FunnelStage = {
+  key: string;
+  label: string;
+  count: number;
+  /** Percentage of the coupons created */
+  conversion: number;
+  /** Percentage lost since the previous stage */
+  dropOff: number;
+};
+
+export type AdStepDropOff = {
+  step: number;
+  durationSeconds: number;
+  /** Coupons that got to this ad: activated, or the previous ad completed */
+  started: number;
+  completed: number;
+  dropOff: number;
+};
+
+export type Cohort = {
+  /** Monday of the week of the users' first activation, YYYY-MM-DD */
+  week: string;
+  users: number;
+  /** Percentage of the cohort active in each week since; null past the export */
+  retention: (number | null)[];
+};
+
+export type StationComparison = {
+  stationId: string;
+  coupons: number;
+  activated: number;
+  activationRate: number;
+  /** Ads completed per activated coupon */
+  avgSteps: number;
+  /** Percentage of activated coupons that completed every step */
+  completionRate: number;
+  users: number;
+  /** Percentage of users that activated more than one coupon */
+  returningRate: number;
+};
+
+type CouponProgress = {
+  stationId: string;
+  created: boolean;
+  activated: boolean;
+  maxStep: number;
+};
+
+const percent = (part: number, whole: number) =>
+  whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+/** Last ad step present in the export, so stations are compared on the same funnel */
+export function maxAdStep(events: OwnerEvent[]): number {
+  return events.reduce(
+    (max, event) =>
+      event.type === 'AD_STEP_COMPLETED' && event.step
+        ? Math.max(max, event.step)
+        : max,
+    0
+  );
+}
+
+/**
+ * Furthest point each coupon created inside the export reached; ad steps are
+ * watched in order. Coupons created before the export started are left out, so
+ * no stage can count more coupons than the one before it.
+ */
+function progressByCoupon(events: OwnerEvent[]): CouponProgress[] {
+  const coupons = new Map<string, CouponProgress>();
+  for (const event of events) {
+    let coupon = coupons.get(event.couponId);
+    if (!coupon) {
+      coupon = {
+        stationId: event.stationId,
+        created: false,
+        activated: false,
+        maxStep: 0,
+      };
+      coupons.set(event.couponId, coupon);
+    }
+    if (event.type === 'COUPON_CREATED') coupon.created = true;
+    if (event.type === 'COUPON_ACTIVATED') coupon.activated = true;
+    if (event.type === 'AD_STEP_COMPLETED' && event.step) {
+      coupon.maxStep = Math.max(coupon.maxStep, event.step);
+    }
+  }
+  return [...coupons.values()].filter((coupon) => coupon.created);
+}
+
+const ofStation = (events: OwnerEvent[], stationId?: string) =>
+  stationId ? events.filter((event) => event.stationId === stationId) : events;
+
+/** Coupon → activation → ad step 1..`steps`, over the coupons created in the export */
+export function funnel(
+  events: OwnerEvent[],
+  {
+    stationId,
+    steps = maxAdStep(events),
+  }: { stationId?: string; steps?: number } = {}
+): FunnelStage[] {
+  const coupons = progressByCoupon(ofStation(events, stationId));
+  const counts = [
+    {
+      key: 'created',
+      label: 'Cupones',
+      count: coupons.length,
+    },
+    {
+      key: 'activated',
+      label: 'Activados',
+      count: coupons.filter((coupon) => coupon.activated).length,
+    },
+    ...Array.from({ length: steps }, (_, index) => ({
+      key: `step-${index + 1}`,
+      label: `Anuncio ${index + 1}`,
+      count: coupons.filter((coupon) => coupon.maxStep > index).length,
+    })),
+  ];
+  return counts.map((stage, index) => ({
+    ...stage,
+    conversion: percent(stage.count, counts[0].count),
+    dropOff:
+      index === 0
+        ? 0
+        : percent(
+            counts[index - 1].count - stage.count,
+            counts[index - 1].count
+          ),
+  }));
+}
+
+/** Where customers stop watching, by the duration of the ad at each step */
+export function adStepDropOff(
+  events: OwnerEvent[],
+  {
+    stationId,
+    steps = maxAdStep(events),
+  }: { stationId?: string; steps?: number } = {}
+): AdStepDropOff[] {
+  const coupons = progressByCoupon(ofStation(events, stationId));
+  return Array.from({ length: steps }, (_, index) => {
+    const started = coupons.filter((coupon) =>
+      index === 0 ? coupon.activated : coupon.maxStep >= index
+    ).length;
+    const completed = coupons.filter((coupon) => coupon.maxStep > index).length;
+    return {
+      step: index + 1,
+      durationSeconds: AD_STEP_DURATIONS_SECONDS[index],
+      started,
+      completed,
+      dropOff: percent(started - completed, started),
+    };
+  });
+}
+
+/** Monday of the local week of `date`, YYYY-MM-DD */
+export function weekOf(date: Date): string {
+  return toDayInput(addDays(date, -((date.getDay() + 6) % 7)));
+}
+
+const weeksBetween = (from: string, to: string) =>
+  Math.round(
+    (new Date(`${to}T00:00`).getTime() - new Date(`${from}T00:00`).getTime()) /
+      (7 * 24 * 60 * 60 * 1000)
+  );
+
+/**
+ * Users grouped by the week of their first activation in the export, with the
+ * share of each cohort that activated a coupon again in every later week.
+ * `until` is the exclusive end of the export: weeks after it are null.
+ */
+export function cohorts(
+  events: OwnerEvent[],
+  { stationId, until }: { stationId?: string; until: string }
+): Cohort[] {
+  const lastWeek = weekOf(new Date(new Date(until).getTime() - 1));
+  const weeksByUser = new Map<string, Set<string>>();
+  for (const event of ofStation(events, stationId)) {
+    if (event.type !== 'COUPON_ACTIVATED' || !event.userId) continue;
+    const weeks = weeksByUser.get(event.userId) ?? new Set<string>();
+    weeks.add(weekOf(new Date(event.occurredAt)));
+    weeksByUser.set(event.userId, weeks);
+  }
+
+  const byCohort = new Map<string, Set<string>[]>();
+  weeksByUser.forEach((weeks) => {
+    const first = [...weeks].sort()[0];
+    const members = byCohort.get(first) ?? [];
+    members.push(weeks);
+    byCohort.set(first, members);
+  });
+
+  const sorted = [...byCohort.entries()].sort(([a], [b]) => a.localeCompare(b));
+  // Same number of columns for every cohort, the oldest one sets it
+  const columns =
+    sorted.length > 0 ? weeksBetween(sorted[0][0], lastWeek) + 1 : 0;
+  return sorted.map(([week, members]) => {
+    const observed = weeksBetween(week, lastWeek);
+    return {
+      week,
+      users: members.length,
+      retention: Array.from({ length: columns }, (_, offset) => {
+        if (offset > observed) return null;
+        const target = toDayInput(
+          addDays(new Date(`${week}T00:00`), offset * 7)
+        );
+        return percent(
+          members.filter((weeks) => weeks.has(target)).length,
+          members.length
+        );
+      }),
+    };
+  });
+}
+
+/** Funnel and loyalty figures side by side, one row per station in the export */
+export function compareStations(
+  events: OwnerEvent[],
+  { steps = maxAdStep(events) }: { steps?: number } = {}
+): StationComparison[] {
+  const coupons = progressByCoupon(events);
+  const activationsByUser = new Map<string, Map<string, number>>();
+  for (const event of events) {
+    if (event.type !== 'COUPON_ACTIVATED' || !event.userId) continue;
+    const users = activationsByUser.get(event.stationId) ?? new Map();
+    users.set(event.userId, (users.get(event.userId) ?? 0) + 1);
+    activationsByUser.set(event.stationId, users);
+  }
+
+  const stationIds = [
+    ...new Set(events.map((event) => event.stationId)),
+  ].sort();
+  return stationIds.map((stationId) => {
+    const ofThis = coupons.filter((coupon) => coupon.stationId === stationId);
+    const activated = ofThis.filter((coupon) => coupon.activated);
+    const users = [...(activationsByUser.get(stationId)?.values() ?? [])];
+    return {
+      stationId,
+      coupons: ofThis.length,
+      activated: activated.length,
+      activationRate: percent(activated.length, ofThis.length),
+      avgSteps:
+        activated.length > 0
+          ? Math.round(
+              (activated.reduce((sum, coupon) => sum + coupon.maxStep, 0) /
+                activated.length) *
+                10
+            ) / 10
+          : 0,
+      completionRate: percent(
+        activated.filter((coupon) => steps > 0 && coupon.maxStep >= steps)
+          .length,
+        activated.length
+      ),
+      users: users.length,
+      returningRate: percent(
+        users.filter((count) => count > 1).length,
+        users.length
+      ),
+    };
+  });
+}
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { OWNER_EVENT_EXPORT_MAX_DAYS } from '@gasolinera-jsm/api-sdk';
+import { rangeFor } from '../time-range';
+import { createFixtureProvider } from './fixtures';
+
+describe('fixture event export', () => {
+  const provider = createFixtureProvider({ latencyMs: 0 });
+
+  it('refuses ranges longer than the API accepts', async () => {
+    await expect(provider.exportEvents(rangeFor('1y'))).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+
+  it(`exports up to ${OWNER_EVENT_EXPORT_MAX_DAYS} days, oldest first`, async () => {
+    const events = await provider.exportEvents(rangeFor('7d'), '1');
+    expect(events.length).toBeGreaterThan(0);
+    expect(events.every((event) => event.stationId === '1')).toBe(true);
+    expect(
+      events.every(
+        (event, index) =>
+          index === 0 || events[index - 1].occurredAt <= event.occurredAt
+      )
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,791 @@
+// Local fixture provider: the owner endpoints answered from memory, so the dashboard
+// runs offline for demos and tests. Figures are generated per station and day from a
+// fixed seed, so every range gives the same numbers on every run and all pages agree.
+
+import {
+  ApiError,
+  API_ERROR_CODES,
+  OwnerAnalytics,
+  OwnerDailyStat,
+  OwnerEmployee,
+  OwnerEmployeeDay,
+  OwnerEmployeeInvite,
+  OwnerEvent,
+  OwnerRaffle,
+  OwnerRange,
+  OwnerStation,
+  OwnerStationAssignment,
+  OwnerTotals,
+  OWNER_EVENT_EXPORT_MAX_DAYS,
+} from '@gasolinera-jsm/api-sdk';
+import {
+  AD_STEP_DURATIONS_SECONDS,
+  addDays,
+  percentChange,
+  toDayInput,
+} from '@gasolinera-jsm/shared';
+import { previousRangeOf, rangeFor } from '../time-range';
+import type { OwnerDataProvider } from './provider';
+
+type StationFixture = Omit<
+  OwnerStation,
+  'employeeCount' | 'tickets' | 'revenue' | 'conversionRate'
+> & {
+  baseTickets: number;
+  baseConversion: number;
+};
+
+type EmployeeFixture = Pick<
+  OwnerEmployee,
+  | 'id'
+  | 'name'
+  | 'email'
+  | 'phone'
+  | 'employeeCode'
+  | 'status'
+  | 'joinDate'
+  | 'inviteExpiresAt'
+  | 'deactivatedAt'
+> & {
+  baseCoupons: number;
+  baseRedemption: number;
+  assignments: OwnerStationAssignment[];
+  /** Days the employee could generate coupons: `from` inclusive, `to` exclusive */
+  activeSpans: { from: string; to: string | null }[];
+  activationCode?: string;
+};
+
+const REVENUE_PER_TICKET = 2500;
+// Monday to Sunday
+const WEEKDAY_FACTORS = [0.8, 0.9, 0.85, 1, 1.15, 1.3, 1.1];
+// Share of the daily tickets issued at each hour, 0-23
+const HOUR_WEIGHTS = [
+  0, 0, 0, 0, 0, 1, 3, 5, 6, 7, 8, 9, 11, 10, 9, 10, 12, 11, 10, 8, 6, 4, 3, 1,
+];
+// Percentage of activated coupons whose customer watched each ad to the end
+const AD_STEP_COMPLETION = [95, 78, 62, 45, 28];
+// Customers of each station; the draw is skewed so the first ones are regulars
+const USERS_PER_STATION = 4000;
+const TICKETS_PER_COUPON = 2;
+const INVITE_TTL_MS = 72 * 60 * 60 * 1000;
+
+const STATIONS: StationFixture[] = [
+  {
+    id: '1',
+    name: 'Gasolinera JSM Centro',
+    address: 'Avenida Central, San José, Costa Rica',
+    latitude: 9.9281,
+    longitude: -84.0907,
+    isActive: true,
+    baseTickets: 245,
+    baseConversion: 78.5,
+  },
+  {
+    id: '2',
+    name: 'Gasolinera JSM Norte',
+    address: 'Barrio Escalante, San José, Costa Rica',
+    latitude: 9.935,
+    longitude: -84.085,
+    isActive: true,
+    baseTickets: 198,
+    baseConversion: 82.3,
+  },
+  {
+    id: '3',
+    name: 'Gasolinera JSM Sur',
+    address: 'Desamparados, San José, Costa Rica',
+    latitude: 9.9,
+    longitude: -84.07,
+    isActive: true,
+    baseTickets: 167,
+    baseConversion: 75.2,
+  },
+  {
+    id: '4',
+    name: 'Gasolinera JSM Este',
+    address: 'Curridabat, San José, Costa Rica',
+    latitude: 9.9137,
+    longitude: -84.0336,
+    isActive: true,
+    baseTickets: 134,
+    baseConversion: 80.1,
+  },
+];
+
+/** Deterministic value in [0, 1) for a seed string */
+function noise(seed: string): number {
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+function stationDay(station: StationFixture, day: Date): OwnerDailyStat {
+  const date = toDayInput(day);
+  const weekday = (day.getDay() + 6) % 7;
+  const tickets = Math.round(
+    station.baseTickets *
+      WEEKDAY_FACTORS[weekday] *
+      (0.85 + 0.3 * noise(`${station.id}:${date}:t`))
+  );
+  return {
+    date,
+    tickets,
+    revenue: tickets * REVENUE_PER_TICKET,
+    users: Math.round(
+      tickets * (0.75 + 0.1 * noise(`${station.id}:${date}:u`))
+    ),
+    conversion:
+      Math.round(
+        (station.baseConversion - 5 + 10 * noise(`${station.id}:${date}:c`)) *
+          10
+      ) / 10,
+  };
+}
+
+/** Hour of the day drawn from HOUR_WEIGHTS */
+function hourFor(value: number): number {
+  const total = HOUR_WEIGHTS.reduce((sum, weight) => sum + weight, 0);
+  let remaining = value * total;
+  const hour = HOUR_WEIGHTS.findIndex((weight) => (remaining -= weight) < 0);
+  return hour === -1 ? HOUR_WEIGHTS.length - 1 : hour;
+}
+
+/**
+ * Raw events of the coupons a station issued on a day: one coupon per
+ * TICKETS_PER_COUPON tickets, activated at about the station's conversion rate,
+ * then ads watched in order with AD_STEP_COMPLETION as the overall completion.
+ */
+function stationDayEvents(station: StationFixture, day: Date): OwnerEvent[] {
+  const { date, tickets } = stationDay(station, day);
+  const events: OwnerEvent[] = [];
+  const coupons = Math.round(tickets / TICKETS_PER_COUPON);
+  const activationRate = Math.min(0.98, (station.baseConversion + 10) / 100);
+  for (let i = 0; i < coupons; i++) {
+    const seed = `${station.id}:${date}:${i}`;
+    const couponId = `c-${station.id}-${date}-${i}`;
+    const createdAt = new Date(day);
+    createdAt.setHours(
+      hourFor(noise(`${seed}:h`)),
+      Math.floor(60 * noise(`${seed}:m`))
+    );
+    events.push({
+      type: 'COUPON_CREATED',
+      occurredAt: createdAt.toISOString(),
+      stationId: station.id,
+      couponId,
+      userId: null,
+    });
+    if (noise(`${seed}:a`) >= activationRate) continue;
+
+    const customer = Math.floor(USERS_PER_STATION * noise(`${seed}:u`) ** 3);
+    const userId = `u-${station.id}-${customer}`;
+    let at = createdAt.getTime() + (1 + 19 * noise(`${seed}:d`)) * 60 * 1000;
+    events.push({
+      type: 'COUPON_ACTIVATED',
+      occurredAt: new Date(at).toISOString(),
+      stationId: station.id,
+      couponId,
+      userId,
+    });
+    for (let step = 0; step < AD_STEP_COMPLETION.length; step++) {
+      const reached = step === 0 ? 100 : AD_STEP_COMPLETION[step - 1];
+      // Each station loses a little more or less at every step
+      const keeps =
+        (AD_STEP_COMPLETION[step] / reached) *
+        (0.95 + 0.1 * noise(`${station.id}:step${step}`));
+      if (noise(`${seed}:s${step}`) >= keeps) break;
+      at += AD_STEP_DURATIONS_SECONDS[step] * 1000;
+      events.push({
+        type: 'AD_STEP_COMPLETED',
+        occurredAt: new Date(at).toISOString(),
+        stationId: station.id,
+        couponId,
+        userId,
+        step: step + 1,
+      });
+    }
+  }
+  return events;
+}
+
+function daysOf({ from, to }: OwnerRange): Date[] {
+  const days: Date[] = [];
+  const end = new Date(to);
+  for (let day = new Date(from); day < end; day = addDays(day, 1))
+    days.push(day);
+  return days;
+}
+
+function totalsOf(days: OwnerDailyStat[]): OwnerTotals {
+  const tickets = days.reduce((sum, day) => sum + day.tickets, 0);
+  return {
+    tickets,
+    revenue: days.reduce((sum, day) => sum + day.revenue, 0),
+    users: days.reduce((sum, day) => sum + day.users, 0),
+    // Weighted by tickets, as the backend does
+    conversion:
+      tickets > 0
+        ? Math.round(
+            (days.reduce((sum, day) => sum + day.conversion * day.tickets, 0) /
+              tickets) *
+              10
+          ) / 10
+        : 0,
+  };
+}
+
+function upcomingSunday(now: Date): Date {
+  return addDays(now, (7 - now.getDay()) % 7);
+}
+
+function initialRaffles(now: Date): OwnerRaffle[] {
+  const sunday = upcomingSunday(now);
+  const week = Math.ceil(
+    (sunday.getTime() - new Date(sunday.getFullYear(), 0, 1).getTime()) /
+      (7 * 24 * 60 * 60 * 1000)
+  );
+  return [
+    {
+      id: '1',
+      name: `Sorteo Semanal #${week}`,
+      description: 'Sorteo semanal de efectivo',
+      prizeDescription: 'Cuarenta mil colones en efectivo',
+      prizeValue: 40000,
+      type: 'WEEKLY',
+      status: 'ACTIVE',
+      drawDate: toDayInput(sunday),
+      drawTime: '15:00',
+      totalParticipants: 1247,
+      totalTickets: 3891,
+      createdAt: toDayInput(addDays(sunday, -7)),
+    },
+    {
+      id: '2',
+      name: `Gran Sorteo Anual ${now.getFullYear()}`,
+      description: 'Sorteo anual del automóvil',
+      prizeDescription: `Toyota Corolla ${now.getFullYear()} 0km`,
+      prizeValue: 15000000,
+      type: 'ANNUAL',
+      status: 'ACTIVE',
+      drawDate: `${now.getFullYear()}-12-31`,
+      drawTime: '20:00',
+      totalParticipants: 5432,
+      totalTickets: 18765,
+      createdAt: `${now.getFullYear()}-01-01`,
+    },
+    {
+      id: '3',
+      name: `Sorteo Semanal #${week - 1}`,
+      description: 'Sorteo semanal de efectivo',
+      prizeDescription: 'Cuarenta mil colones en efectivo',
+      prizeValue: 40000,
+      type: 'WEEKLY',
+      status: 'COMPLETED',
+      drawDate: toDayInput(addDays(sunday, -7)),
+      drawTime: '15:00',
+      winnerId: 'u-2231',
+      winnerName: 'Laura Vargas',
+      totalParticipants: 1189,
+      totalTickets: 3702,
+      createdAt: toDayInput(addDays(sunday, -14)),
+    },
+  ];
+}
+
+function initialEmployees(now: Date): EmployeeFixture[] {
+  const assignment = (stationId: string, from: string, to: string | null) => ({
+    stationId,
+    stationName: STATIONS.find((station) => station.id === stationId)!.name,
+    from,
+    to,
+  });
+  const deactivatedOn = toDayInput(addDays(now, -20));
+  return [
+    {
+      id: '1',
+      name: 'María González',
+      email: 'maria@gasolinera-jsm.com',
+      phone: '+506 8888-1111',
+      employeeCode: 'EMP-001',
+      status: 'ACTIVE',
+      joinDate: '2024-01-15',
+      baseCoupons: 45,
+      baseRedemption: 82,
+      assignments: [assignment('1', '2024-01-15', null)],
+      activeSpans: [{ from: '2024-01-15', to: null }],
+    },
+    {
+      id: '2',
+      name: 'Carlos Rodríguez',
+      email: 'carlos@gasolinera-jsm.com',
+      phone: '+506 8888-2222',
+      employeeCode: 'EMP-002',
+      status: 'ACTIVE',
+      joinDate: '2024-02-01',
+      baseCoupons: 38,
+      baseRedemption: 78,
+      assignments: [
+        assignment('1', '2024-02-01', '2024-06-01'),
+        assignment('2', '2024-06-01', null),
+      ],
+      activeSpans: [{ from: '2024-02-01', to: null }],
+    },
+    {
+      id: '3',
+      name: 'Ana Jiménez',
+      email: 'ana@gasolinera-jsm.com',
+      phone: '+506 8888-3333',
+      employeeCode: 'EMP-003',
+      status: 'ACTIVE',
+      joinDate: '2024-01-20',
+      baseCoupons: 42,
+      baseRedemption: 88,
+      assignments: [assignment('3', '2024-01-20', null)],
+      activeSpans: [{ from: '2024-01-20', to: null }],
+    },
+    {
+      id: '4',
+      name: 'Pedro Morales',
+      email: 'pedro@gasolinera-jsm.com',
+      phone: '+506 8888-4444',
+      employeeCode: 'EMP-004',
+      status: 'DEACTIVATED',
+      joinDate: '2024-03-01',
+      deactivatedAt: new Date(`${deactivatedOn}T18:00`).toISOString(),
+      baseCoupons: 30,
+      baseRedemption: 70,
+      assignments: [assignment('1', '2024-03-01', deactivatedOn)],
+      activeSpans: [{ from: '2024-03-01', to: deactivatedOn }],
+    },
+    {
+      id: '5',
+      name: 'Sofía Vargas',
+      email: 'sofia@gasolinera-jsm.com',
+      phone: '+506 8888-5555',
+      employeeCode: 'EMP-005',
+      status: 'INVITED',
+      joinDate: toDayInput(addDays(now, -1)),
+      inviteExpiresAt: new Date(
+        now.getTime() + INVITE_TTL_MS / 3
+      ).toISOString(),
+      baseCoupons: 35,
+      baseRedemption: 80,
+      assignments: [assignment('4', toDayInput(addDays(now, -1)), null)],
+      activeSpans: [],
+      activationCode: '40318827',
+    },
+  ];
+}
+
+function employeeDay(employee: EmployeeFixture, day: Date): OwnerEmployeeDay {
+  const date = toDayInput(day);
+  const active = employee.activeSpans.some(
+    (span) => span.from <= date && (span.to === null || date < span.to)
+  );
+  if (!active) {
+    return { date, couponsGenerated: 0, couponsRedeemed: 0, redemptionRate: 0 };
+  }
+  const weekday = (day.getDay() + 6) % 7;
+  const couponsGenerated = Math.round(
+    employee.baseCoupons *
+      WEEKDAY_FACTORS[weekday] *
+      (0.7 + 0.6 * noise(`e${employee.id}:${date}:g`))
+  );
+  const couponsRedeemed = Math.round(
+    (couponsGenerated *
+      (employee.baseRedemption - 8 + 16 * noise(`e${employee.id}:${date}:r`))) /
+      100
+  );
+  return {
+    date,
+    couponsGenerated,
+    couponsRedeemed,
+    redemptionRate: redemptionRate(couponsGenerated, couponsRedeemed),
+  };
+}
+
+function redemptionRate(generated: number, redeemed: number): number {
+  return generated > 0 ? Math.round((redeemed / generated) * 1000) / 10 : 0;
+}
+
+function employeeTotals(days: OwnerEmployeeDay[]) {
+  const couponsGenerated = days.reduce(
+    (sum, day) => sum + day.couponsGenerated,
+    0
+  );
+  const couponsRedeemed = days.reduce(
+    (sum, day) => sum + day.couponsRedeemed,
+    0
+  );
+  return {
+    couponsGenerated,
+    couponsRedeemed,
+    redemptionRate: redemptionRate(couponsGenerated, couponsRedeemed),
+  };
+}
+
+const badRequest = (message: string) =>
+  new ApiError(message, 400, API_ERROR_CODES.http);
+const notFound = (message: string) =>
+  new ApiError(message, 404, API_ERROR_CODES.http);
+
+/**
+ * Provider with the same methods as the owner endpoints of the SDK. Each provider
+ * keeps its own copy of the fixtures, so mutations last until the page is reloaded.
+ */
+export function createFixtureProvider({
+  latencyMs = 150,
+  now = () => new Date(),
+} = {}): OwnerDataProvider {
+  const stations = STATIONS.map((station) => ({ ...station }));
+  const employees = initialEmployees(now());
+  const raffles = initialRaffles(now());
+
+  // Copies, so callers never hold a reference into the fixtures
+  const respond = <T>(value: T) =>
+    new Promise<T>((resolve) =>
+      setTimeout(
+        () =>
+          resolve(
+            value === undefined ? value : JSON.parse(JSON.stringify(value))
+          ),
+        latencyMs
+      )
+    );
+
+  const activeStations = () => stations.filter((station) => station.isActive);
+  const stationDays = (station: StationFixture, range: OwnerRange) =>
+    daysOf(range).map((day) => stationDay(station, day));
+
+  function dailyOf(range: OwnerRange): OwnerDailyStat[] {
+    return daysOf(range).map((day) => {
+      const perStation = activeStations().map((station) =>
+        stationDay(station, day)
+      );
+      return { ...totalsOf(perStation), date: toDayInput(day) };
+    });
+  }
+
+  function stationRows(range: OwnerRange) {
+    const previous = previousRangeOf(range);
+    return activeStations().map((station) => {
+      const current = totalsOf(stationDays(station, range));
+      const before = totalsOf(stationDays(station, previous));
+      return {
+        stationId: station.id,
+        name: station.name,
+        ...current,
+        growth: percentChange(current.tickets, before.tickets),
+      };
+    });
+  }
+
+  function toOwnerStation(
+    station: StationFixture,
+    range: OwnerRange
+  ): OwnerStation {
+    const totals = station.isActive
+      ? totalsOf(stationDays(station, range))
+      : totalsOf([]);
+    return {
+      id: station.id,
+      name: station.name,
+      address: station.address,
+      latitude: station.latitude,
+      longitude: station.longitude,
+      isActive: station.isActive,
+      employeeCount: employees.filter(
+        (employee) =>
+          employee.status === 'ACTIVE' &&
+          currentStationId(employee) === station.id
+      ).length,
+      tickets: totals.tickets,
+      revenue: totals.revenue,
+      conversionRate: totals.conversion,
+    };
+  }
+
+  function findStation(stationId: string): StationFixture {
+    const station = stations.find((item) => item.id === stationId);
+    if (!station) throw notFound('Estación no encontrada');
+    return station;
+  }
+
+  const currentStationId = (employee: EmployeeFixture) =>
+    employee.assignments[employee.assignments.length - 1].stationId;
+
+  const employeeDays = (employee: EmployeeFixture, range: OwnerRange) =>
+    daysOf(range).map((day) => employeeDay(employee, day));
+
+  function toOwnerEmployee(employee: EmployeeFixture): OwnerEmployee {
+    const current = employee.assignments[employee.assignments.length - 1];
+    const today = employeeDays(employee, rangeFor('today', now()));
+    const week = employeeTotals(employeeDays(employee, rangeFor('7d', now())));
+    return {
+      id: employee.id,
+      name: employee.name,
+      email: employee.email,
+      phone: employee.phone,
+      employeeCode: employee.employeeCode,
+      stationId: current.stationId,
+      stationName:
+        stations.find((station) => station.id === current.stationId)?.name ??
+        current.stationName,
+      status: employee.status,
+      todayTickets: employeeTotals(today).couponsGenerated,
+      weeklyTickets: week.couponsGenerated,
+      conversionRate: week.redemptionRate,
+      joinDate: employee.joinDate,
+      inviteExpiresAt: employee.inviteExpiresAt,
+      deactivatedAt: employee.deactivatedAt,
+    };
+  }
+
+  function issueInvite(
+    employee: EmployeeFixture,
+    channel: OwnerEmployeeInvite['channel']
+  ): OwnerEmployeeInvite {
+    const issuedAt = now();
+    employee.status = 'INVITED';
+    employee.activationCode = String(
+      Math.floor(noise(`${employee.id}:${issuedAt.getTime()}`) * 1e8)
+    ).padStart(8, '0');
+    employee.inviteExpiresAt = new Date(
+      issuedAt.getTime() + INVITE_TTL_MS
+    ).toISOString();
+    return {
+      employee: toOwnerEmployee(employee),
+      activationCode: employee.activationCode,
+      channel,
+      expiresAt: employee.inviteExpiresAt,
+    };
+  }
+
+  function findEmployee(employeeId: string): EmployeeFixture {
+    const employee = employees.find((item) => item.id === employeeId);
+    if (!employee) throw notFound('Empleado no encontrado');
+    return employee;
+  }
+
+  const nextId = (items: { id: string }[]) =>
+    String(Math.max(0, ...items.map((item) => Number(item.id) || 0)) + 1);
+
+  return {
+    overview: async (range) =>
+      respond({
+        totalStations: stations.length,
+        totalEmployees: employees.length,
+        totals: totalsOf(dailyOf(range)),
+        previousTotals: totalsOf(dailyOf(previousRangeOf(range))),
+        daily: dailyOf(range),
+        topStations: stationRows(range)
+          .sort((a, b) => b.tickets - a.tickets)
+          .map(({ stationId, name, tickets, revenue, growth }) => ({
+            stationId,
+            name,
+            tickets,
+            revenue,
+            growth,
+          })),
+        topEmployees: employees
+          .filter((employee) => employee.status === 'ACTIVE')
+          .map((employee) => {
+            const totals = employeeTotals(employeeDays(employee, range));
+            return {
+              employeeId: employee.id,
+              name: employee.name,
+              stationName: toOwnerEmployee(employee).stationName,
+              tickets: totals.couponsGenerated,
+              conversion: totals.redemptionRate,
+            };
+          })
+          .sort((a, b) => b.tickets - a.tickets),
+        upcomingRaffles: raffles
+          .filter((raffle) => raffle.status === 'ACTIVE')
+          .sort((a, b) => a.drawDate.localeCompare(b.drawDate)),
+      }),
+
+    analytics: async (range): Promise<OwnerAnalytics> => {
+      const daily = dailyOf(range);
+      const totals = totalsOf(daily);
+      const hourWeightSum = HOUR_WEIGHTS.reduce(
+        (sum, weight) => sum + weight,
+        0
+      );
+      return respond({
+        ...range,
+        daily,
+        totals,
+        previousTotals: totalsOf(dailyOf(previousRangeOf(range))),
+        hourly: HOUR_WEIGHTS.map((weight, hour) => ({
+          hour,
+          tickets: Math.round((totals.tickets * weight) / hourWeightSum),
+        })),
+        stations: stationRows(range).map(
+          ({ stationId, name, tickets, revenue, growth }) => ({
+            stationId,
+            name,
+            tickets,
+            revenue,
+            share:
+              totals.tickets > 0
+                ? Math.round((tickets / totals.tickets) * 1000) / 10
+                : 0,
+            growth,
+          })
+        ),
+      });
+    },
+
+    stations: async (range) =>
+      respond(stations.map((station) => toOwnerStation(station, range))),
+
+    createStation: async (input) => {
+      const station: StationFixture = {
+        ...input,
+        id: nextId(stations),
+        isActive: true,
+        baseTickets: 120,
+        baseConversion: 75,
+      };
+      stations.push(station);
+      return respond(toOwnerStation(station, rangeFor('today', now())));
+    },
+
+    updateStation: async (stationId, changes) => {
+      const station = findStation(stationId);
+      Object.assign(station, changes);
+      return respond(toOwnerStation(station, rangeFor('today', now())));
+    },
+
+    removeStation: async (stationId) => {
+      stations.splice(stations.indexOf(findStation(stationId)), 1);
+      return respond(undefined);
+    },
+
+    employees: async () => respond(employees.map(toOwnerEmployee)),
+
+    inviteEmployee: async ({ channel, ...input }) => {
+      if (channel === 'EMAIL' && !input.email)
+        throw badRequest('El correo es obligatorio para invitar por email');
+      if (channel === 'SMS' && !input.phone)
+        throw badRequest('El teléfono es obligatorio para invitar por SMS');
+      const today = toDayInput(now());
+      const employee: EmployeeFixture = {
+        id: nextId(employees),
+        name: input.name,
+        email: input.email,
+        phone: input.phone,
+        employeeCode: `EMP-${nextId(employees).padStart(3, '0')}`,
+        status: 'INVITED',
+        joinDate: today,
+        baseCoupons: 35,
+        baseRedemption: 78,
+        assignments: [
+          {
+            stationId: input.stationId,
+            stationName: findStation(input.stationId).name,
+            from: today,
+            to: null,
+          },
+        ],
+        activeSpans: [],
+      };
+      employees.push(employee);
+      return respond(issueInvite(employee, channel));
+    },
+
+    resendInvite: async (employeeId) => {
+      const employee = findEmployee(employeeId);
+      if (employee.status === 'ACTIVE')
+        throw badRequest('El empleado ya activó su cuenta');
+      return respond(issueInvite(employee, employee.email ? 'EMAIL' : 'SMS'));
+    },
+
+    updateEmployee: async (employeeId, { name, email, phone }) => {
+      const employee = findEmployee(employeeId);
+      Object.assign(
+        employee,
+        name !== undefined && { name },
+        email !== undefined && { email },
+        phone !== undefined && { phone }
+      );
+      return respond(toOwnerEmployee(employee));
+    },
+
+    reassignEmployee: async (employeeId, stationId) => {
+      const employee = findEmployee(employeeId);
+      const station = findStation(stationId);
+      const current = employee.assignments[employee.assignments.length - 1];
+      if (current.stationId !== stationId) {
+        const today = toDayInput(now());
+        current.to = today;
+        employee.assignments.push({
+          stationId,
+          stationName: station.name,
+          from: today,
+          to: null,
+        });
+      }
+      return respond(toOwnerEmployee(employee));
+    },
+
+    deactivateEmployee: async (employeeId) => {
+      const employee = findEmployee(employeeId);
+      if (employee.status !== 'DEACTIVATED') {
+        // Coupons generated earlier today still count
+        const until = toDayInput(addDays(now(), 1));
+        employee.activeSpans
+          .filter((span) => span.to === null)
+          .forEach((span) => {
+            span.to = until;
+          });
+        employee.status = 'DEACTIVATED';
+        employee.deactivatedAt = now().toISOString();
+        employee.activationCode = undefined;
+        employee.inviteExpiresAt = undefined;
+      }
+      return respond(toOwnerEmployee(employee));
+    },
+
+    removeEmployee: async (employeeId) => {
+      employees.splice(employees.indexOf(findEmployee(employeeId)), 1);
+      return respond(undefined);
+    },
+
+    employeeHistory: async (employeeId, range) => {
+      const employee = findEmployee(employeeId);
+      const daily = employeeDays(employee, range);
+      return respond({
+        ...range,
+        employeeId,
+        daily,
+        totals: employeeTotals(daily),
+        assignments: employee.assignments,
+      });
+    },
+
+    raffles: async () => respond(raffles),
+
+    exportEvents: async (range, stationId) => {
+      const days = daysOf(range);
+      // Same limit as the API; every event is built in the browser
+      if (days.length > OWNER_EVENT_EXPORT_MAX_DAYS) {
+        throw badRequest(
+          `La exportación de eventos admite hasta ${OWNER_EVENT_EXPORT_MAX_DAYS} días`
+        );
+      }
+      return respond(
+        activeStations()
+          .filter((station) => !stationId || station.id === stationId)
+          .flatMap((station) =>
+            days.flatMap((day) => stationDayEvents(station, day))
+          )
+          .sort((a, b) => a.occurredAt.localeCompare(b.occurredAt))
+      );
+    },
+  };
+}
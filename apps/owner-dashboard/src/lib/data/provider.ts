@@ -0,0 +1,35 @@
+// Where the owner dashboard reads its data from: the API gateway or the local fixtures.
+
+import { createGasolineraApi, OwnerApi } from '@gasolinera-jsm/api-sdk';
+import { DataSource, useDataSourceStore } from '@/store/dataSourceStore';
+import { useSessionStore } from '@/store/sessionStore';
+import { createFixtureProvider } from './fixtures';
+
+/** The owner endpoints of the SDK; the fixture provider implements the same methods */
+export type OwnerDataProvider = OwnerApi;
+
+// Relative by default so next.config.js rewrites it to the gateway
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || '/api/v1';
+
+/**
+ * Gateway client, also used by the tools that are not owner data. Sends the
+ * token of the signed-in owner and drops it once the gateway rejects it.
+ */
+export const api = createGasolineraApi({
+  baseUrl: API_BASE_URL,
+  getToken: () => useSessionStore.getState().accessToken,
+  onUnauthorized: () => useSessionStore.getState().signOut(),
+});
+
+let fixtureProvider: OwnerDataProvider | null = null;
+
+export function providerFor(source: DataSource): OwnerDataProvider {
+  if (source === 'api') return api.owner;
+  fixtureProvider = fixtureProvider ?? createFixtureProvider();
+  return fixtureProvider;
+}
+
+/** Provider of the data source selected in the settings, read on every call */
+export function currentProvider(): OwnerDataProvider {
+  return providerFor(useDataSourceStore.getState().source);
+}
@@ -0,0 +1,134 @@
+// Typed queries and mutations of the owner dashboard pages.
+
+import type {
+  OwnerAnalytics,
+  OwnerEmployee,
+  OwnerEmployeeHistory,
+  OwnerEmployeeInput,
+  OwnerEmployeeInviteInput,
+  OwnerEvent,
+  OwnerOverview,
+  OwnerRaffle,
+  OwnerStation,
+  OwnerStationInput,
+} from '@gasolinera-jsm/api-sdk';
+import { useDataSourceStore } from '@/store/dataSourceStore';
+import { TimeRange, rangeFor } from '../time-range';
+import { clearQueries, invalidateQueries, useQuery } from './query-cache';
+import { currentProvider } from './provider';
+
+// Nothing cached from one source may show up after switching to the other
+useDataSourceStore.subscribe((state, previous) => {
+  if (state.source !== previous.source) clearQueries();
+});
+
+export function useOverview(timeRange: TimeRange) {
+  return useQuery<OwnerOverview>(['overview', timeRange], () =>
+    currentProvider().overview(rangeFor(timeRange))
+  );
+}
+
+export function useAnalytics(timeRange: TimeRange) {
+  return useQuery<OwnerAnalytics>(['analytics', timeRange], () =>
+    currentProvider().analytics(rangeFor(timeRange))
+  );
+}
+
+/** Raw events of every station; the analysis slices them by station locally */
+export function useEventExport(timeRange: TimeRange) {
+  return useQuery<OwnerEvent[]>(['events', timeRange], () =>
+    currentProvider().exportEvents(rangeFor(timeRange))
+  );
+}
+
+export function useStations(timeRange: TimeRange = 'today') {
+  return useQuery<OwnerStation[]>(['stations', timeRange], () =>
+    currentProvider().stations(rangeFor(timeRange))
+  );
+}
+
+export function useEmployees() {
+  return useQuery<OwnerEmployee[]>(['employees'], () =>
+    currentProvider().employees()
+  );
+}
+
+export function useEmployeeHistory(employeeId: string, timeRange: TimeRange) {
+  return useQuery<OwnerEmployeeHistory>(
+    ['employeeHistory', employeeId, timeRange],
+    () => currentProvider().employeeHistory(employeeId, rangeFor(timeRange))
+  );
+}
+
+export function useRaffles() {
+  return useQuery<OwnerRaffle[]>(['raffles'], () =>
+    currentProvider().raffles()
+  );
+}
+
+// Station and employee changes move the figures of every page that counts them
+const afterStationChange = () =>
+  invalidateQueries('stations', 'employees', 'overview', 'analytics', 'events');
+const afterEmployeeChange = () =>
+  invalidateQueries('employees', 'employeeHistory', 'stations', 'overview');
+
+export async function createStation(station: OwnerStationInput) {
+  const created = await currentProvider().createStation(station);
+  afterStationChange();
+  return created;
+}
+
+export async function updateStation(
+  stationId: string,
+  station: Partial<OwnerStationInput> & { isActive?: boolean }
+) {
+  const updated = await currentProvider().updateStation(stationId, station);
+  afterStationChange();
+  return updated;
+}
+
+export async function removeStation(stationId: string) {
+  await currentProvider().removeStation(stationId);
+  afterStationChange();
+}
+
+export async function inviteEmployee(invite: OwnerEmployeeInviteInput) {
+  const created = await currentProvider().inviteEmployee(invite);
+  afterEmployeeChange();
+  return created;
+}
+
+export async function resendInvite(employeeId: string) {
+  const invite = await currentProvider().resendInvite(employeeId);
+  afterEmployeeChange();
+  return invite;
+}
+
+export async function updateEmployee(
+  employeeId: string,
+  employee: Partial<Omit<OwnerEmployeeInput, 'stationId'>>
+) {
+  const updated = await currentProvider().updateEmployee(employeeId, employee);
+  afterEmployeeChange();
+  return updated;
+}
+
+export async function reassignEmployee(employeeId: string, stationId: string) {
+  const updated = await currentProvider().reassignEmployee(
+    employeeId,
+    stationId
+  );
+  afterEmployeeChange();
+  return updated;
+}
+
+export async function deactivateEmployee(employeeId: string) {
+  const updated = await currentProvider().deactivateEmployee(employeeId);
+  afterEmployeeChange();
+  return updated;
+}
+
+export async function removeEmployee(employeeId: string) {
+  await currentProvider().removeEmployee(employeeId);
+  afterEmployeeChange();
+}
@@ -0,0 +1,166 @@
+// Small query cache shared by every page: one request per key at a time, cached
+// results reused across pages, and invalidation after mutations.
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+
+/** The first element names the resource and is what invalidation matches on */
+export type QueryKey = readonly [string, ...unknown[]];
+
+export type QueryEntry<T> = {
+  data: T | undefined;
+  error: string | null;
+  /** When `data` was fetched, null before the first success */
+  updatedAt: number | null;
+  isFetching: boolean;
+};
+
+export type QueryState<T> = QueryEntry<T> & {
+  /** True until the first answer, successful or not */
+  isLoading: boolean;
+  refetch: () => Promise<void>;
+};
+
+const DEFAULT_STALE_TIME_MS = 30_000;
+
+const EMPTY_ENTRY: QueryEntry<never> = {
+  data: undefined,
+  error: null,
+  updatedAt: null,
+  isFetching: false,
+};
+
+const entries = new Map<string, QueryEntry<unknown>>();
+const inflight = new Map<string, Promise<void>>();
+// Fetchers and observer counts of the keys some mounted component is reading
+const fetchers = new Map<string, () => Promise<unknown>>();
+const observers = new Map<string, number>();
+const listeners = new Set<() => void>();
+
+const hashKey = (key: QueryKey) => JSON.stringify(key);
+const resourceOf = (hash: string): string => (JSON.parse(hash) as QueryKey)[0];
+
+function setEntry(hash: string, patch: Partial<QueryEntry<unknown>>) {
+  entries.set(hash, { ...(entries.get(hash) ?? EMPTY_ENTRY), ...patch });
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener: () => void) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+function fetchQuery(
+  hash: string,
+  fetcher: () => Promise<unknown>
+): Promise<void> {
+  const running = inflight.get(hash);
+  if (running) return running;
+
+  setEntry(hash, { isFetching: true });
+  // Answers of a request replaced by a refetch or dropped by clearQueries are ignored
+  const request: Promise<void> = fetcher()
+    .then(
+      (data) => {
+        if (inflight.get(hash) === request)
+          setEntry(hash, {
+            data,
+            error: null,
+            updatedAt: Date.now(),
+            isFetching: false,
+          });
+      },
+      (error) => {
+        // The last good data stays on screen next to the error
+        if (inflight.get(hash) === request)
+          setEntry(hash, { error: errorMessage(error), isFetching: false });
+      }
+    )
+    .finally(() => {
+      if (inflight.get(hash) === request) inflight.delete(hash);
+    });
+  inflight.set(hash, request);
+  return request;
+}
+
+/**
+ * Marks every query of the given resources as outdated: the ones on screen are
+ * fetched again, the rest are dropped and fetched when next needed.
+ */
+export function invalidateQueries(...resources: string[]) {
+  Array.from(entries.keys())
+    .filter((hash) => resources.includes(resourceOf(hash)))
+    .forEach((hash) => {
+      const fetcher = fetchers.get(hash);
+      if (fetcher) {
+        inflight.delete(hash);
+        fetchQuery(hash, fetcher);
+      } else {
+        entries.delete(hash);
+      }
+    });
+}
+
+/** Forgets everything, e.g. when the data source changes, and refetches what is on screen */
+export function clearQueries() {
+  entries.clear();
+  inflight.clear();
+  listeners.forEach((listener) => listener());
+  fetchers.forEach((fetcher, hash) => fetchQuery(hash, fetcher));
+}
+
+/**
+ * Reads a query from the cache, fetching it when missing or older than
+ * `staleTimeMs`. Components reading the same key share one request.
+ */
+export function useQuery<T>(
+  key: QueryKey,
+  fetcher: () => Promise<T>,
+  { staleTimeMs = DEFAULT_STALE_TIME_MS }: { staleTimeMs?: number } = {}
+): QueryState<T> {
+  const hash = hashKey(key);
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const entry = useSyncExternalStore(
+    subscribe,
+    () => (entries.get(hash) ?? EMPTY_ENTRY) as QueryEntry<T>,
+    () => EMPTY_ENTRY as QueryEntry<T>
+  );
+
+  useEffect(() => {
+    const run = () => fetcherRef.current();
+    fetchers.set(hash, run);
+    observers.set(hash, (observers.get(hash) ?? 0) + 1);
+
+    const cached = entries.get(hash);
+    if (!cached?.updatedAt || Date.now() - cached.updatedAt > staleTimeMs)
+      fetchQuery(hash, run);
+
+    return () => {
+      const remaining = (observers.get(hash) ?? 1) - 1;
+      if (remaining > 0) {
+        observers.set(hash, remaining);
+      } else {
+        observers.delete(hash);
+        fetchers.delete(hash);
+      }
+    };
+  }, [hash, staleTimeMs]);
+
+  const refetch = useCallback(() => {
+    inflight.delete(hash);
+    return fetchQuery(hash, () => fetcherRef.current());
+  }, [hash]);
+
+  return {
+    ...entry,
+    isLoading: entry.updatedAt === null && entry.error === null,
+    refetch,
+  };
+}
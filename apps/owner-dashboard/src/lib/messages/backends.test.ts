@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { API_ERROR_CODES, ApiError } from '@gasolinera-jsm/api-sdk';
+import type { MessageImprovementRequest } from '@gasolinera-jsm/api-sdk';
+import {
+  improveMessage,
+  localBackend,
+  MessageImproverBackend,
+} from './backends';
+
+const REQUEST: MessageImprovementRequest = {
+  message: 'Gana un cupón por cada carga',
+};
+
+const failingWith = (status: number): MessageImproverBackend => ({
+  id: 'ad-engine',
+  label: 'Motor de anuncios (IA)',
+  improve: async () => {
+    throw new ApiError('Request failed', status, API_ERROR_CODES.http);
+  },
+});
+
+describe('improveMessage', () => {
+  it('falls back to the local rules without a valid session', async () => {
+    const result = await improveMessage(REQUEST, [
+      failingWith(401),
+      localBackend,
+    ]);
+    expect(result.backend).toBe('local');
+    expect(result.fallbackReason).toContain('inicia sesión');
+  });
+
+  it('throws a rejected request instead of falling back', async () => {
+    await expect(
+      improveMessage(REQUEST, [failingWith(400), localBackend])
+    ).rejects.toMatchObject({ status: 400 });
+  });
+});
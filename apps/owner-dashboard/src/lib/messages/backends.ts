@@ -0,0 +1,105 @@
+// Where message improvements come from: the ad engine when it answers, the
+// local rules otherwise, so the tool also works offline.
+
+import { isApiError } from '@gasolinera-jsm/api-sdk';
+import type {
+  MessageImprovement,
+  MessageImprovementRequest,
+  MessagesApi,
+} from '@gasolinera-jsm/api-sdk';
+import { DataSource, useDataSourceStore } from '@/store/dataSourceStore';
+import { api } from '../data/provider';
+import { improveLocally } from './rules';
+
+export type ImproverBackendId = 'ad-engine' | 'local';
+
+export interface MessageImproverBackend {
+  id: ImproverBackendId;
+  label: string;
+  improve: (request: MessageImprovementRequest) => Promise<MessageImprovement>;
+}
+
+export type ImproveResult = {
+  improvement: MessageImprovement;
+  backend: ImproverBackendId;
+  /** Why the preferred backend was skipped, when another one answered */
+  fallbackReason?: string;
+};
+
+export const BACKEND_LABELS: Record<ImproverBackendId, string> = {
+  'ad-engine': 'Motor de anuncios (IA)',
+  local: 'Reglas locales',
+};
+
+export function adEngineBackend(messages: MessagesApi): MessageImproverBackend {
+  return {
+    id: 'ad-engine',
+    label: BACKEND_LABELS['ad-engine'],
+    improve: async (request) => {
+      const improvement = await messages.improve(request);
+      // The ad engine answers 200 with the message unchanged and no confidence
+      // when its model fails, which is an outage for us
+      if (improvement.confidence <= 0) {
+        throw new Error('El motor de anuncios no pudo procesar el mensaje');
+      }
+      return improvement;
+    },
+  };
+}
+
+export const localBackend: MessageImproverBackend = {
+  id: 'local',
+  label: BACKEND_LABELS.local,
+  improve: async (request) => improveLocally(request),
+};
+
+/** Backends in order of preference; the fixtures data source never goes online */
+export function backendsFor(source: DataSource): MessageImproverBackend[] {
+  return source === 'api'
+    ? [adEngineBackend(api.messages), localBackend]
+    : [localBackend];
+}
+
+/** The request itself is wrong: another backend would not fix it */
+const isRejected = (error: unknown) =>
+  isApiError(error) &&
+  error.status >= 400 &&
+  error.status < 500 &&
+  !error.isUnauthorized &&
+  error.status !== 408 &&
+  error.status !== 429;
+
+const describeFailure = (error: unknown) =>
+  isApiError(error) && error.isUnauthorized
+    ? 'inicia sesión en Configuración para usarlo'
+    : error instanceof Error
+      ? error.message
+      : 'error desconocido';
+
+/**
+ * Improves `request` with the first backend that answers. Network failures,
+ * timeouts, server errors and a missing or expired session fall through to
+ * the next backend; a rejected request is thrown as is.
+ */
+export async function improveMessage(
+  request: MessageImprovementRequest,
+  backends: MessageImproverBackend[] = backendsFor(
+    useDataSourceStore.getState().source
+  )
+): Promise<ImproveResult> {
+  let fallbackReason: string | undefined;
+  let lastError: unknown;
+  for (const backend of backends) {
+    try {
+      const improvement = await backend.improve(request);
+      return { improvement, backend: backend.id, fallbackReason };
+    } catch (error) {
+      if (isRejected(error)) throw error;
+      lastError = error;
+      fallbackReason =
+        fallbackReason ??
+        `${backend.label} no disponible: ${describeFailure(error)}`;
+    }
+  }
+  throw lastError ?? new Error('No hay ningún backend configurado');
+}
@@ -0,0 +1,55 @@
+// Word-level diff between the original and the improved message.
+
+export type DiffSegment = {
+  kind: 'same' | 'added' | 'removed';
+  text: string;
+};
+
+/** Words and the whitespace after them, so joining the tokens gives the text back */
+const tokenize = (text: string) => text.match(/\S+\s*|\s+/g) ?? [];
+
+// Trailing whitespace does not make two words different
+const sameWord = (a: string, b: string) => a.trimEnd() === b.trimEnd();
+
+/**
+ * Segments of `original` and `improved` by longest common subsequence of their
+ * words. Messages are short, so the quadratic table is fine.
+ */
+export function diffWords(original: string, improved: string): DiffSegment[] {
+  const a = tokenize(original);
+  const b = tokenize(improved);
+  // lengths[i][j]: common words between a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array<number>(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = sameWord(a[i], b[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const segments: DiffSegment[] = [];
+  const push = (kind: DiffSegment['kind'], text: string) => {
+    const last = segments[segments.length - 1];
+    if (last?.kind === kind) last.text += text;
+    else segments.push({ kind, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (sameWord(a[i], b[j])) {
+      push('same', b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return segments;
+}
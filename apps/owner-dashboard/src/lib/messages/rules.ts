@@ -0,0 +1,145 @@
+// Rule-based message improver, used when the ad engine cannot be reached.
+
+import type {
+  MessageImprovement,
+  MessageImprovementRequest,
+} from '@gasolinera-jsm/api-sdk';
+
+type Rule = {
+  /** Shown in the improvements list when the rule changed the text */
+  description: string;
+  apply: (text: string, request: MessageImprovementRequest) => string;
+};
+
+// Informal spellings common in chat messages
+const ABBREVIATIONS: [RegExp, string][] = [
+  [/\b(xq|pq)\b/gi, 'porque'],
+  [/\bq\b/gi, 'que'],
+  [/\b(tb|tmb)\b/gi, 'también'],
+  [/\bx favor\b/gi, 'por favor'],
+  [/\bdcto\b/gi, 'descuento'],
+  [/\bgasol\b/gi, 'gasolinera'],
+];
+
+const GREETING = /^\s*[¡¿]?\s*(hola|buen[oa]s?|saludos|estimad[oa]s?)\b/i;
+const CALL_TO_ACTION =
+  /\b(visít|visit|ven|aprovech|descarg|escane|participa|te esperamos)/i;
+const EMOJI = /\p{Extended_Pictographic}️?/gu;
+
+const matches = (value: string | undefined, pattern: RegExp) =>
+  !!value && pattern.test(value);
+
+/** Sentences with their closing marks; text without a closing mark is one sentence */
+const sentences = (text: string) => text.match(/[^.!?]+[.!?]*\s*/g) ?? [];
+
+const RULES: Rule[] = [
+  {
+    description: 'Espacios sobrantes eliminados',
+    apply: (text) =>
+      text
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([,.;:!?])/g, '$1')
+        .replace(/([,;:])(?=\p{L})/gu, '$1 ')
+        .trim(),
+  },
+  {
+    description: 'Emojis quitados para un tono profesional',
+    apply: (text, { tone }) =>
+      matches(tone, /profesional|formal/i)
+        ? text.replace(EMOJI, '').replace(/\s+/g, ' ').trim()
+        : text,
+  },
+  {
+    description: 'Abreviaturas escritas completas',
+    apply: (text) =>
+      ABBREVIATIONS.reduce(
+        (result, [pattern, replacement]) =>
+          result.replace(pattern, replacement),
+        // En una pregunta "xq" es "por qué", no "porque"
+        sentences(text)
+          .map((sentence) =>
+            /\?\s*$/.test(sentence)
+              ? sentence.replace(/\b(xq|pq)\b/gi, 'por qué')
+              : sentence
+          )
+          .join('')
+      ),
+  },
+  {
+    description: 'Palabras en mayúsculas suavizadas',
+    // Siglas de hasta tres letras, como JSM, se dejan igual
+    apply: (text) =>
+      text.replace(/\b\p{Lu}{4,}\b/gu, (word) => word.toLowerCase()),
+  },
+  {
+    description: 'Signos repetidos reducidos',
+    apply: (text) => text.replace(/([!?¡¿])\1+/g, '$1'),
+  },
+  {
+    description: 'Signos de apertura agregados',
+    apply: (text) =>
+      sentences(text)
+        .map((sentence) => {
+          const trimmed = sentence.trimStart();
+          const lead = sentence.slice(0, sentence.length - trimmed.length);
+          if (/!\s*$/.test(trimmed) && !trimmed.startsWith('¡'))
+            return `${lead}¡${trimmed}`;
+          if (/\?\s*$/.test(trimmed) && !trimmed.startsWith('¿'))
+            return `${lead}¿${trimmed}`;
+          return sentence;
+        })
+        .join(''),
+  },
+  {
+    description: 'Mayúscula al inicio de cada oración',
+    apply: (text) =>
+      sentences(text)
+        .map((sentence) =>
+          sentence.replace(
+            /^(\s*[¡¿]?)(\p{Ll})/u,
+            (_, lead, letter) => `${lead}${letter.toUpperCase()}`
+          )
+        )
+        .join(''),
+  },
+  {
+    description: 'Punto final agregado',
+    apply: (text) => (text && !/[.!?…]$/.test(text) ? `${text}.` : text),
+  },
+  {
+    description: 'Saludo agregado para un tono cercano',
+    apply: (text, { tone }) =>
+      matches(tone, /amig|cercan|casual/i) && !GREETING.test(text)
+        ? `¡Hola! ${text}`
+        : text,
+  },
+  {
+    description: 'Invitación a la acción agregada para clientes',
+    apply: (text, { targetAudience }) =>
+      matches(targetAudience, /client/i) && !CALL_TO_ACTION.test(text)
+        ? `${text} ¡Te esperamos en tu estación Gasolinera JSM!`
+        : text,
+  },
+];
+
+// Rules only fix form, they never understand the message as the ad engine does
+const LOCAL_CONFIDENCE = 0.5;
+
+export function improveLocally(
+  request: MessageImprovementRequest
+): MessageImprovement {
+  const improvements: string[] = [];
+  const improvedMessage = RULES.reduce((text, rule) => {
+    const next = rule.apply(text, request);
+    if (next !== text) improvements.push(rule.description);
+    return next;
+  }, request.message);
+
+  return {
+    originalMessage: request.message,
+    improvedMessage,
+    improvements:
+      improvements.length > 0 ? improvements : ['Sin cambios necesarios'],
+    confidence: LOCAL_CONFIDENCE,
+  };
+}
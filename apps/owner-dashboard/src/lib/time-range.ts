@@ -0,0 +1,44 @@
+// Time ranges of the owner dashboard, as sent to the owner endpoints.
+
+import type { OwnerRange } from '@gasolinera-jsm/api-sdk';
+import { addDays, previousRange, startOfDay } from '@gasolinera-jsm/shared';
+
+export type TimeRange = 'today' | '7d' | '30d' | '90d' | '1y';
+
+export const TIME_RANGE_LABELS: Record<TimeRange, string> = {
+  today: 'Hoy',
+  '7d': 'Últimos 7 días',
+  '30d': 'Últimos 30 días',
+  '90d': 'Últimos 90 días',
+  '1y': 'Último año',
+};
+
+const TIME_RANGE_DAYS: Record<TimeRange, number> = {
+  today: 1,
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+};
+
+export function isTimeRange(value: string): value is TimeRange {
+  return value in TIME_RANGE_DAYS;
+}
+
+/** Ranges end at the start of tomorrow, so today is always included */
+export function rangeFor(timeRange: TimeRange, now = new Date()): OwnerRange {
+  const to = addDays(startOfDay(now), 1);
+  return {
+    from: addDays(to, -TIME_RANGE_DAYS[timeRange]).toISOString(),
+    to: to.toISOString(),
+  };
+}
+
+/** The range of the same length right before `range` */
+export function previousRangeOf(range: OwnerRange): OwnerRange {
+  const previous = previousRange({
+    from: new Date(range.from),
+    to: new Date(range.to),
+  });
+  return { from: previous.from.toISOString(), to: range.from };
+}
@@ -0,0 +1,27 @@
+// Ruta: apps/owner-dashboard/src/store/dataSourceStore.ts
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+
+/** `api` lee del API gateway, `fixtures` usa los datos locales de demostración (sin conexión) */
+export type DataSource = 'api' | 'fixtures';
+
+export const DEFAULT_DATA_SOURCE: DataSource =
+  process.env.NEXT_PUBLIC_OWNER_DATA_SOURCE === 'fixtures' ? 'fixtures' : 'api';
+
+interface DataSourceState {
+  source: DataSource;
+  setSource: (source: DataSource) => void;
+}
+
+export const useDataSourceStore = create<DataSourceState>()(
+  persist(
+    (set) => ({
+      source: DEFAULT_DATA_SOURCE,
+      setSource: (source) => set({ source }),
+    }),
+    {
+      name: 'owner-data-source', // Nombre de la clave en localStorage
+      storage: createJSONStorage(() => localStorage),
+    }
+  )
+);
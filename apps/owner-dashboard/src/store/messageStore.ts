@@ -0,0 +1,96 @@
+// Ruta: apps/owner-dashboard/src/store/messageStore.ts
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+import type {
+  MessageImprovement,
+  MessageImprovementRequest,
+} from '@gasolinera-jsm/api-sdk';
+import type { ImproverBackendId } from '@/lib/messages/backends';
+
+// Las entradas más viejas se descartan para no llenar localStorage
+const HISTORY_LIMIT = 50;
+
+export interface MessageHistoryEntry {
+  id: string;
+  createdAt: string;
+  request: MessageImprovementRequest;
+  result: MessageImprovement;
+  /** Qué backend respondió: el motor de anuncios o las reglas locales */
+  backend: ImproverBackendId;
+}
+
+export interface MessageTemplate {
+  id: string;
+  name: string;
+  text: string;
+  /** Etiquetas para filtrar; vacías si la plantilla sirve para cualquiera */
+  audience: string;
+  tone: string;
+  createdAt: string;
+}
+
+interface MessageState {
+  history: MessageHistoryEntry[];
+  templates: MessageTemplate[];
+  addToHistory: (
+    entry: Omit<MessageHistoryEntry, 'id' | 'createdAt'>
+  ) => MessageHistoryEntry;
+  removeFromHistory: (id: string) => void;
+  clearHistory: () => void;
+  saveTemplate: (
+    template: Omit<MessageTemplate, 'id' | 'createdAt'>
+  ) => MessageTemplate;
+  removeTemplate: (id: string) => void;
+}
+
+const newId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const useMessageStore = create<MessageState>()(
+  persist(
+    (set) => ({
+      history: [],
+      templates: [],
+
+      addToHistory: (entry) => {
+        const saved = {
+          ...entry,
+          id: newId(),
+          createdAt: new Date().toISOString(),
+        };
+        set((state) => ({
+          history: [saved, ...state.history].slice(0, HISTORY_LIMIT),
+        }));
+        return saved;
+      },
+
+      removeFromHistory: (id) =>
+        set((state) => ({
+          history: state.history.filter((entry) => entry.id !== id),
+        })),
+
+      clearHistory: () => set({ history: [] }),
+
+      saveTemplate: (template) => {
+        const saved = {
+          ...template,
+          audience: template.audience.trim(),
+          tone: template.tone.trim(),
+          id: newId(),
+          createdAt: new Date().toISOString(),
+        };
+        set((state) => ({ templates: [saved, ...state.templates] }));
+        return saved;
+      },
+
+      removeTemplate: (id) =>
+        set((state) => ({
+          templates: state.templates.filter((template) => template.id !== id),
+        })),
+    }),
+    {
+      name: 'owner-messages', // Nombre de la clave en localStorage
+      storage: createJSONStorage(() => localStorage),
+    }
+  )
+);
@@ -0,0 +1,20 @@
+// Ruta: apps/owner-dashboard/src/store/sessionStore.ts
+import { create } from 'zustand';
+
+/**
+ * Sesión del propietario contra el API gateway. Solo vive en memoria: el token
+ * no se guarda en localStorage y hay que volver a iniciar sesión al recargar.
+ */
+interface SessionState {
+  accessToken: string | null;
+  email: string | null;
+  signIn: (accessToken: string, email: string) => void;
+  signOut: () => void;
+}
+
+export const useSessionStore = create<SessionState>()((set) => ({
+  accessToken: null,
+  email: null,
+  signIn: (accessToken, email) => set({ accessToken, email }),
+  signOut: () => set({ accessToken: null, email: null }),
+}));
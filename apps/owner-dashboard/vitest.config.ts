@@ -0,0 +1,23 @@
+import path from 'path';
+import { defineConfig } from 'vitest/config';
+
+// Same aliases as tsconfig.json; the shared packages are used as TypeScript sources
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@gasolinera-jsm/shared': path.resolve(
+        __dirname,
+        '../../packages/shared/src/index.ts'
+      ),
+      '@gasolinera-jsm/api-sdk': path.resolve(
+        __dirname,
+        '../../packages/api-sdk/src/index.ts'
+      ),
+      '@': path.resolve(__dirname, 'src'),
+    },
+  },
+  test: {
+    include: ['src/**/*.test.ts'],
+    environment: 'node',
+  },
+});
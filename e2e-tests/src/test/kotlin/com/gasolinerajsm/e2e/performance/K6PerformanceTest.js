@@ -3,479 +3,263 @@
  * Tests critical endpoints under load to validate scalability
  */
 
-import http from 'k6/http';
-import { check, sleep } from 'k6';
-import { Rate, Trend, Counter } from 'k6/metrics';
+import { sleep } from 'k6';
+import {
+  authClient,
+  couponClient,
+  dashboardClient,
+  raffleClient,
+  stationClient,
+  checkResponse,
+  parseJson,
+  has,
+  createTokenPool,
+  stationFeed,
+  generateCouponPurchase,
+  generateCouponRedemption,
+  randomItem,
+  randomFloat,
+  randomInt,
+  buildOptions,
+  describePlan,
+  dryRun,
+} from '../../../../../../../../performance-tests/k6/lib/index.js';
+
+// Test profiles, selected with TEST_TYPE (e.g. "stress" or "load,spike")
+const PROFILES = {
+  load: {
+    description: 'User journeys ramping up to 50 users',
+    scenario: {
+      executor: 'ramping-vus',
+      exec: 'userJourney',
+      startVUs: 0,
+      stages: [
+        { duration: '2m', target: 10 },   // Ramp up to 10 users
+        { duration: '5m', target: 10 },   // Stay at 10 users
+        { duration: '2m', target: 20 },   // Ramp up to 20 users
+        { duration: '5m', target: 20 },   // Stay at 20 users
+        { duration: '2m', target: 50 },   // Ramp up to 50 users
+        { duration: '5m', target: 50 },   // Stay at 50 users
+        { duration: '5m', target: 0 },    // Ramp down to 0 users
+      ],
+    },
+    thresholds: {
+      http_req_duration: ['p(95)<2000'], // 95% of requests should be below 2s
+      http_req_failed: ['rate<0.05'],    // Error rate should be below 5%
+      error_rate: ['rate<0.05'],         // Custom error rate should be below 5%
+    },
+  },
 
-// Custom metrics
-const errorRate = new Rate('error_rate');
-const responseTime = new Trend('response_time');
-const requestCount = new Counter('request_count');
+  stress: {
+    description: 'User journeys ramping up to 300 users',
+    scenario: {
+      executor: 'ramping-vus',
+      exec: 'userJourney',
+      startVUs: 0,
+      stages: [
+        { duration: '1m', target: 100 },   // Ramp up to 100 users
+        { duration: '5m', target: 100 },   // Stay at 100 users
+        { duration: '1m', target: 200 },   // Ramp up to 200 users
+        { duration: '5m', target: 200 },   // Stay at 200 users
+        { duration: '1m', target: 300 },   // Ramp up to 300 users
+        { duration: '5m', target: 300 },   // Stay at 300 users
+        { duration: '5m', target: 0 },     // Ramp down to 0 users
+      ],
+    },
+    thresholds: {
+      http_req_duration: ['p(95)<5000'], // 95% of requests should be below 5s
+      http_req_failed: ['rate<0.10'],    // Error rate should be below 10%
+    },
+  },
 
-// Test configuration
-export const options = {
-  stages: [
-    { duration: '2m', target: 10 },   // Ramp up to 10 users
-    { duration: '5m', target: 10 },   // Stay at 10 users
-    { duration: '2m', target: 20 },   // Ramp up to 20 users
-    { duration: '5m', target: 20 },   // Stay at 20 users
-    { duration: '2m', target: 50 },   // Ramp up to 50 users
-    { duration: '5m', target: 50 },   // Stay at 50 users
-    { duration: '5m', target: 0 },    // Ramp down to 0 users
-  ],
-  thresholds: {
-    http_req_duration: ['p(95)<2000'], // 95% of requests should be below 2s
-    http_req_failed: ['rate<0.05'],    // Error rate should be below 5%
-    error_rate: ['rate<0.05'],         // Custom error rate should be below 5%
+  spike: {
+    description: 'Sudden spike to 500 users and recovery',
+    scenario: {
+      executor: 'ramping-vus',
+      exec: 'userJourney',
+      startVUs: 0,
+      stages: [
+        { duration: '2m', target: 10 },    // Normal load
+        { duration: '1m', target: 500 },   // Spike to 500 users
+        { duration: '2m', target: 500 },   // Stay at spike
+        { duration: '1m', target: 10 },    // Return to normal
+        { duration: '2m', target: 10 },    // Stay at normal
+      ],
+    },
+    thresholds: {
+      http_req_duration: ['p(95)<10000'], // 95% of requests should be below 10s
+      http_req_failed: ['rate<0.15'],     // Error rate should be below 15%
+    },
   },
 };
 
-// Test data
-const BASE_URL = __ENV.BASE_URL || 'http://localhost:8080/api/v1';
-const TEST_USERS = generateTestUsers(100);
-const TEST_STATIONS = generateTestStations(20);
+const COMMON_THRESHOLDS = {
+  auth_failures: ['rate<0.01'],      // Login/refresh failures, tracked apart from backend errors
+};
 
-let userTokens = new Map();
+const DRY_RUN = __ENV.DRY_RUN === 'true';
 
-export function setup() {
-  console.log('Setting up performance test environment...');
+const { options: profileOptions, selected: SELECTED_PROFILES } = buildOptions(PROFILES, {
+  testType: __ENV.TEST_TYPE,
+  defaultType: 'load',
+  dryRun: DRY_RUN,
+  thresholds: COMMON_THRESHOLDS,
+});
 
-  // Pre-create test users and get their tokens
-  const setupUsers = TEST_USERS.slice(0, 10);
-  const tokens = {};
-
-  setupUsers.forEach((user, index) => {
-    const registrationResponse = registerUser(user);
-    if (registrationResponse.status === 201) {
-      const loginResponse = loginUser(user);
-      if (loginResponse.status === 200) {
-        tokens[user.email] = JSON.parse(loginResponse.body).accessToken;
-      }
-    }
-    sleep(0.1); // Small delay to avoid overwhelming the system during setup
-  });
+// Test configuration
+export const options = profileOptions;
 
-  console.log(`Setup completed. Created ${Object.keys(tokens).length} test users.`);
-  return { tokens };
-}
+export { dryRun };
+
+// Test data
+const TEST_STATIONS = stationFeed;
 
-export default function(data) {
-  const user = TEST_USERS[Math.floor(Math.random() * TEST_USERS.length)];
-  const station = TEST_STATIONS[Math.floor(Math.random() * TEST_STATIONS.length)];
-
-  // Get or create user token
-  let token = data.tokens[user.email];
-  if (!token) {
-    token = getOrCreateUserToken(user);
-    if (token) {
-      data.tokens[user.email] = token;
-    }
+// Each VU logs in with its own accounts and keeps their tokens fresh
+const tokens = createTokenPool();
+
+export function setup() {
+  if (DRY_RUN) {
+    console.log(describePlan(PROFILES, SELECTED_PROFILES, COMMON_THRESHOLDS));
+    return;
   }
 
-  if (!token) {
-    console.log(`Failed to get token for user ${user.email}`);
+  console.log('Setting up performance test environment...');
+}
+
+export function userJourney() {
+  const session = tokens.acquire();
+  if (!session) {
+    console.log(`VU ${__VU} could not authenticate, skipping iteration`);
     return;
   }
 
+  const station = randomItem(TEST_STATIONS);
+
   // Execute test scenario
-  executeUserJourneyScenario(user, station, token);
+  executeUserJourneyScenario(station, session);
 }
 
-export function teardown(data) {
+export function teardown() {
   console.log('Cleaning up performance test environment...');
   // Cleanup logic if needed
 }
 
 // Test Scenarios
-function executeUserJourneyScenario(user, station, token) {
-  const scenario = Math.random();
+function executeUserJourneyScenario(station, session) {
+  const scenario = randomFloat();
 
   if (scenario < 0.4) {
     // 40% - Complete coupon flow
-    executeCouponFlow(user, station, token);
+    executeCouponFlow(station, session);
   } else if (scenario < 0.7) {
     // 30% - Browse and search
-    executeBrowsingFlow(user, token);
+    executeBrowsingFlow(session);
   } else if (scenario < 0.9) {
     // 20% - Dashboard and profile
-    executeDashboardFlow(user, token);
+    executeDashboardFlow(session);
   } else {
     // 10% - Raffle participation
-    executeRaffleFlow(user, token);
+    executeRaffleFlow(session);
   }
 }
 
-function executeCouponFlow(user, station, token) {
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json',
-  };
-
+function executeCouponFlow(station, session) {
   // Step 1: Search for stations
-  const stationSearchResponse = http.get(
-    `${BASE_URL}/stations/nearby?latitude=${station.latitude}&longitude=${station.longitude}&radius=10`,
-    { headers }
-  );
-
-  check(stationSearchResponse, {
-    'station search status is 200': (r) => r.status === 200,
-    'station search response time < 1s': (r) => r.timings.duration < 1000,
-  });
+  const search = { latitude: station.latitude, longitude: station.longitude, radius: 10 };
+  const stationSearchResponse = tokens.request((token, extra) => stationClient.nearby(token, search, extra), session);
 
-  errorRate.add(stationSearchResponse.status !== 200);
-  responseTime.add(stationSearchResponse.timings.duration);
-  requestCount.add(1);
-
-  if (stationSearchResponse.status !== 200) return;
+  if (!stationSearchResponse) return;
+  const searchSuccess = checkResponse(stationSearchResponse, 'station search', { maxDuration: 1000 });
+  if (!searchSuccess) return;
 
   sleep(1);
 
   // Step 2: Purchase coupon
-  const couponPurchasePayload = {
-    stationId: station.id,
-    amount: 500.00,
-    fuelType: 'REGULAR',
-    paymentMethod: 'CREDIT_CARD',
-    paymentToken: `test_token_${Date.now()}`
-  };
-
-  const couponPurchaseResponse = http.post(
-    `${BASE_URL}/coupons/purchase`,
-    JSON.stringify(couponPurchasePayload),
-    { headers }
-  );
-
-  check(couponPurchaseResponse, {
-    'coupon purchase status is 201': (r) => r.status === 201,
-    'coupon purchase response time < 2s': (r) => r.timings.duration < 2000,
-    'coupon has QR code': (r) => {
-      try {
-        const body = JSON.parse(r.body);
-        return body.qrCode && body.qrCode.length > 0;
-      } catch (e) {
-        return false;
-      }
-    },
+  const purchase = generateCouponPurchase(station);
+  const couponPurchaseResponse = tokens.request((token, extra) => couponClient.purchase(token, purchase, extra), session);
+
+  if (!couponPurchaseResponse) return;
+  const purchaseSuccess = checkResponse(couponPurchaseResponse, 'coupon purchase', {
+    status: 201,
+    maxDuration: 2000,
+    body: { 'has QR code': has.qrCode },
   });
+  if (!purchaseSuccess) return;
 
-  errorRate.add(couponPurchaseResponse.status !== 201);
-  responseTime.add(couponPurchaseResponse.timings.duration);
-  requestCount.add(1);
-
-  if (couponPurchaseResponse.status !== 201) return;
-
-  const couponData = JSON.parse(couponPurchaseResponse.body);
+  const couponData = parseJson(couponPurchaseResponse);
   sleep(2);
 
   // Step 3: Redeem coupon
-  const redemptionPayload = {
-    qrCode: couponData.qrCode,
-    stationId: station.id,
-    fuelAmount: 25.5,
-    pricePerLiter: 22.50
-  };
-
-  const redemptionResponse = http.post(
-    `${BASE_URL}/coupons/redeem`,
-    JSON.stringify(redemptionPayload),
-    { headers }
-  );
-
-  check(redemptionResponse, {
-    'coupon redemption status is 200': (r) => r.status === 200,
-    'coupon redemption response time < 3s': (r) => r.timings.duration < 3000,
-    'redemption generates tickets': (r) => {
-      try {
-        const body = JSON.parse(r.body);
-        return body.ticketsGenerated && body.ticketsGenerated > 0;
-      } catch (e) {
-        return false;
-      }
-    },
-  });
+  const redemption = generateCouponRedemption(couponData.qrCode, station, purchase);
+  const redemptionResponse = tokens.request((token, extra) => couponClient.redeem(token, redemption, extra), session);
 
-  errorRate.add(redemptionResponse.status !== 200);
-  responseTime.add(redemptionResponse.timings.duration);
-  requestCount.add(1);
+  if (!redemptionResponse) return;
+  checkResponse(redemptionResponse, 'coupon redemption', {
+    maxDuration: 3000,
+    body: { 'generates tickets': has.ticketsGenerated },
+  });
 
   sleep(1);
 }
 
-function executeBrowsingFlow(user, token) {
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json',
-  };
-
+function executeBrowsingFlow(session) {
   // Browse user's coupons
-  const couponsResponse = http.get(
-    `${BASE_URL}/coupons?page=0&size=10&sort=createdAt,desc`,
-    { headers }
-  );
-
-  check(couponsResponse, {
-    'coupons list status is 200': (r) => r.status === 200,
-    'coupons list response time < 1s': (r) => r.timings.duration < 1000,
-  });
-
-  errorRate.add(couponsResponse.status !== 200);
-  responseTime.add(couponsResponse.timings.duration);
-  requestCount.add(1);
+  checkAuthorized(session, (token, extra) => couponClient.list(token, {}, extra), 'coupons list', { maxDuration: 1000 });
 
   sleep(1);
 
   // Browse stations
-  const stationsResponse = http.get(
-    `${BASE_URL}/stations?page=0&size=20`,
-    { headers }
-  );
-
-  check(stationsResponse, {
-    'stations list status is 200': (r) => r.status === 200,
-    'stations list response time < 1s': (r) => r.timings.duration < 1000,
-  });
-
-  errorRate.add(stationsResponse.status !== 200);
-  responseTime.add(stationsResponse.timings.duration);
-  requestCount.add(1);
+  checkAuthorized(session, (token, extra) => stationClient.list(token, {}, extra), 'stations list', { maxDuration: 1000 });
 
   sleep(1);
 }
 
-function executeDashboardFlow(user, token) {
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json',
-  };
-
+function executeDashboardFlow(session) {
   // Get dashboard data
-  const dashboardResponse = http.get(
-    `${BASE_URL}/dashboard/user`,
-    { headers }
-  );
-
-  check(dashboardResponse, {
-    'dashboard status is 200': (r) => r.status === 200,
-    'dashboard response time < 1s': (r) => r.timings.duration < 1000,
-    'dashboard has required fields': (r) => {
-      try {
-        const body = JSON.parse(r.body);
-        return body.totalCoupons !== undefined &&
-               body.totalTickets !== undefined &&
-               body.totalSpent !== undefined;
-      } catch (e) {
-        return false;
-      }
-    },
+  checkAuthorized(session, (token, extra) => dashboardClient.user(token, extra), 'dashboard', {
+    maxDuration: 1000,
+    body: { 'has required fields': has.dashboardTotals },
   });
 
-  errorRate.add(dashboardResponse.status !== 200);
-  responseTime.add(dashboardResponse.timings.duration);
-  requestCount.add(1);
-
   sleep(1);
 
   // Get user profile
-  const profileResponse = http.get(
-    `${BASE_URL}/auth/profile`,
-    { headers }
-  );
-
-  check(profileResponse, {
-    'profile status is 200': (r) => r.status === 200,
-    'profile response time < 500ms': (r) => r.timings.duration < 500,
-  });
-
-  errorRate.add(profileResponse.status !== 200);
-  responseTime.add(profileResponse.timings.duration);
-  requestCount.add(1);
+  checkAuthorized(session, (token, extra) => authClient.profile(token, extra), 'profile', { maxDuration: 500 });
 
   sleep(1);
 
   // Get statistics
-  const statsResponse = http.get(
-    `${BASE_URL}/coupons/statistics`,
-    { headers }
-  );
-
-  check(statsResponse, {
-    'statistics status is 200': (r) => r.status === 200,
-    'statistics response time < 1s': (r) => r.timings.duration < 1000,
-  });
-
-  errorRate.add(statsResponse.status !== 200);
-  responseTime.add(statsResponse.timings.duration);
-  requestCount.add(1);
+  checkAuthorized(session, (token, extra) => couponClient.statistics(token, extra), 'statistics', { maxDuration: 1000 });
 }
 
-function executeRaffleFlow(user, token) {
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json',
-  };
-
+function executeRaffleFlow(session) {
   // Get active raffles
-  const rafflesResponse = http.get(
-    `${BASE_URL}/raffles/active`,
-    { headers }
-  );
-
-  check(rafflesResponse, {
-    'raffles status is 200': (r) => r.status === 200,
-    'raffles response time < 1s': (r) => r.timings.duration < 1000,
-  });
-
-  errorRate.add(rafflesResponse.status !== 200);
-  responseTime.add(rafflesResponse.timings.duration);
-  requestCount.add(1);
-
-  if (rafflesResponse.status === 200) {
-    try {
-      const raffles = JSON.parse(rafflesResponse.body).raffles;
-      if (raffles && raffles.length > 0) {
-        const raffle = raffles[0];
-
-        sleep(1);
-
-        // Participate in raffle (if user has tickets)
-        const participationPayload = {
-          raffleId: raffle.id,
-          ticketsToUse: Math.floor(Math.random() * 5) + 1
-        };
-
-        const participationResponse = http.post(
-          `${BASE_URL}/raffles/participate`,
-          JSON.stringify(participationPayload),
-          { headers }
-        );
-
-        check(participationResponse, {
-          'raffle participation response time < 2s': (r) => r.timings.duration < 2000,
-        });
-
-        responseTime.add(participationResponse.timings.duration);
-        requestCount.add(1);
-      }
-    } catch (e) {
-      console.log('Error parsing raffles response:', e);
-    }
-  }
-}
-
-// Helper functions
-function getOrCreateUserToken(user) {
-  // Try to login first
-  const loginResponse = loginUser(user);
-  if (loginResponse.status === 200) {
-    return JSON.parse(loginResponse.body).accessToken;
-  }
+  const rafflesResponse = tokens.request((token, extra) => raffleClient.active(token, extra), session);
+  if (!rafflesResponse) return;
+  const success = checkResponse(rafflesResponse, 'raffles', { maxDuration: 1000 });
+  if (!success) return;
 
-  // If login fails, try to register
-  const registrationResponse = registerUser(user);
-  if (registrationResponse.status === 201) {
-    sleep(0.5); // Brief delay after registration
-    const loginResponse = loginUser(user);
-    if (loginResponse.status === 200) {
-      return JSON.parse(loginResponse.body).accessToken;
-    }
-  }
-
-  return null;
-}
+  const body = parseJson(rafflesResponse);
+  const raffles = body ? body.raffles : null;
+  if (!raffles || raffles.length === 0) return;
 
-function registerUser(user) {
-  const payload = {
-    email: user.email,
-    phone: user.phone,
-    firstName: user.firstName,
-    lastName: user.lastName,
-    password: user.password
-  };
-
-  return http.post(
-    `${BASE_URL}/auth/register`,
-    JSON.stringify(payload),
-    {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: '10s'
-    }
-  );
-}
+  sleep(1);
 
-function loginUser(user) {
-  const payload = {
-    identifier: user.email,
-    password: user.password
-  };
-
-  return http.post(
-    `${BASE_URL}/auth/login`,
-    JSON.stringify(payload),
-    {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: '10s'
-    }
-  );
-}
+  // Participate in raffle (if user has tickets)
+  const participation = { raffleId: raffles[0].id, ticketsToUse: randomInt(1, 5) };
+  const participationResponse = tokens.request((token, extra) => raffleClient.participate(token, participation, extra), session);
+  if (!participationResponse) return;
 
-function generateTestUsers(count) {
-  const users = [];
-  for (let i = 0; i < count; i++) {
-    users.push({
-      email: `perftest.user.${i}@gasolinera-test.com`,
-      phone: `555${String(1000000 + i).padStart(7, '0')}`,
-      firstName: `PerfTest${i}`,
-      lastName: 'User',
-      password: 'PerfTestPassword123!'
-    });
-  }
-  return users;
+  // Participation may legitimately be rejected when the user has no tickets
+  checkResponse(participationResponse, 'raffle participation', {
+    status: [200, 201, 400, 409],
+    maxDuration: 2000,
+  });
 }
 
-function generateTestStations(count) {
-  const stations = [];
-  const baseLatitude = 19.4326;
-  const baseLongitude = -99.1332;
-
-  for (let i = 0; i < count; i++) {
-    stations.push({
-      id: `station-${i}`,
-      name: `Test Station ${i}`,
-      latitude: baseLatitude + (Math.random() - 0.5) * 0.1,
-      longitude: baseLongitude + (Math.random() - 0.5) * 0.1
-    });
-  }
-  return stations;
+// Helper functions
+// Sends an authenticated request through the token pool and checks the result
+function checkAuthorized(session, send, label, expectations) {
+  const response = tokens.request(send, session);
+  return response ? checkResponse(response, label, expectations) : false;
 }
-
-// Stress test configuration
-export const stressTestOptions = {
-  stages: [
-    { duration: '1m', target: 100 },   // Ramp up to 100 users
-    { duration: '5m', target: 100 },   // Stay at 100 users
-    { duration: '1m', target: 200 },   // Ramp up to 200 users
-    { duration: '5m', target: 200 },   // Stay at 200 users
-    { duration: '1m', target: 300 },   // Ramp up to 300 users
-    { duration: '5m', target: 300 },   // Stay at 300 users
-    { duration: '5m', target: 0 },     // Ramp down to 0 users
-  ],
-  thresholds: {
-    http_req_duration: ['p(95)<5000'], // 95% of requests should be below 5s
-    http_req_failed: ['rate<0.10'],    // Error rate should be below 10%
-  },
-};
-
-// Spike test configuration
-export const spikeTestOptions = {
-  stages: [
-    { duration: '2m', target: 10 },    // Normal load
-    { duration: '1m', target: 500 },   // Spike to 500 users
-    { duration: '2m', target: 500 },   // Stay at spike
-    { duration: '1m', target: 10 },    // Return to normal
-    { duration: '2m', target: 10 },    // Stay at normal
-  ],
-  thresholds: {
-    http_req_duration: ['p(95)<10000'], // 95% of requests should be below 10s
-    http_req_failed: ['rate<0.15'],     // Error rate should be below 15%
-  },
-};
\ No newline at end of file
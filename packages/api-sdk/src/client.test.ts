@@ -0,0 +1,181 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createApiClient, ApiClientConfig } from './client';
+import { API_ERROR_CODES } from './errors';
+
+const json = (status: number, body: unknown, headers: Record<string, string> = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+/** fetch that answers with `responses` in order, then repeats the last one */
+function fakeFetch(...responses: Array<() => Response | Promise<Response>>) {
+  let call = 0;
+  return vi.fn((_input: RequestInfo | URL, _init?: RequestInit) => {
+    const next = responses[Math.min(call++, responses.length - 1)];
+    return Promise.resolve(next());
+  });
+}
+
+/** fetch that never answers until its signal is aborted, like a hung server */
+const hangingFetch = () =>
+  vi.fn(
+    (_input: RequestInfo | URL, init?: RequestInit) =>
+      new Promise<Response>((_, reject) => {
+        init?.signal?.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+      })
+  );
+
+const client = (fetch: ApiClientConfig['fetch'], config: Partial<ApiClientConfig> = {}) =>
+  createApiClient({ baseUrl: 'http://api.test/api/v1', fetch, retryDelayMs: 100, ...config });
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('retries', () => {
+  it('retries a 503 and returns the answer of the next attempt', async () => {
+    vi.useFakeTimers();
+    const fetch = fakeFetch(
+      () => json(503, { message: 'down' }),
+      () => json(200, { ok: true })
+    );
+    const result = client(fetch).get('/stations');
+
+    await vi.advanceTimersByTimeAsync(100);
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('waits for Retry-After before retrying a 429', async () => {
+    vi.useFakeTimers();
+    const fetch = fakeFetch(
+      () => json(429, { message: 'slow down' }, { 'Retry-After': '2' }),
+      () => json(200, { ok: true })
+    );
+    const result = client(fetch).get('/stations');
+
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('throws the last error once the retries run out', async () => {
+    const fetch = fakeFetch(() => json(502, { message: 'bad gateway' }));
+    await expect(client(fetch, { retries: 2, retryDelayMs: 0 }).get('/stations')).rejects.toMatchObject({
+      status: 502,
+      message: 'bad gateway',
+    });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry a 4xx answer', async () => {
+    const fetch = fakeFetch(() => json(404, { message: 'Station not found', code: 'NOT_FOUND' }));
+    await expect(client(fetch).get('/stations/1')).rejects.toMatchObject({ status: 404, code: 'NOT_FOUND' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry a POST without an idempotency flag', async () => {
+    const fetch = fakeFetch(() => json(503, { message: 'down' }));
+    await expect(client(fetch).post('/coupons', { amount: 1000 })).rejects.toMatchObject({ status: 503 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('timeouts', () => {
+  it('gives up on a server that never answers', async () => {
+    vi.useFakeTimers();
+    const fetch = hangingFetch();
+    const result = client(fetch, { timeoutMs: 1000, retries: 0 }).get('/stations');
+    const assertion = expect(result).rejects.toMatchObject({ status: 0, code: API_ERROR_CODES.timeout });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await assertion;
+  });
+
+  it('also times out a body that never finishes', async () => {
+    vi.useFakeTimers();
+    const fetch = vi.fn(async (_input: RequestInfo | URL, init?: RequestInit) => {
+      const body = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('{"partial":'));
+          init?.signal?.addEventListener('abort', () => controller.error(new Error('The operation was aborted')));
+        },
+      });
+      return new Response(body, { status: 200 });
+    });
+    const result = client(fetch, { timeoutMs: 1000, retries: 0 }).get('/stations');
+    const assertion = expect(result).rejects.toMatchObject({ code: API_ERROR_CODES.timeout });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await assertion;
+  });
+});
+
+describe('aborting', () => {
+  it('makes no call with an already aborted signal', async () => {
+    const fetch = fakeFetch(() => json(200, {}));
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(client(fetch).get('/stations', { signal: controller.signal })).rejects.toMatchObject({
+      code: API_ERROR_CODES.aborted,
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('stops retrying when the caller aborts during the backoff', async () => {
+    vi.useFakeTimers();
+    const fetch = fakeFetch(() => json(503, { message: 'down' }));
+    const controller = new AbortController();
+    const result = client(fetch, { retries: 5 }).get('/stations', { signal: controller.signal });
+    const assertion = expect(result).rejects.toMatchObject({ code: API_ERROR_CODES.aborted });
+
+    await vi.advanceTimersByTimeAsync(50);
+    controller.abort();
+    await assertion;
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('responses', () => {
+  it('unwraps a successful ApiResponse envelope', async () => {
+    const fetch = fakeFetch(() => json(200, { success: true, data: { id: 's1' } }));
+    await expect(client(fetch).get('/stations/s1')).resolves.toEqual({ id: 's1' });
+  });
+
+  it('throws the error of a failed envelope, even on a 200', async () => {
+    const fetch = fakeFetch(() =>
+      json(200, { success: false, data: null, error: { code: 'COUPON_EXPIRED', message: 'El cupón expiró' } })
+    );
+    await expect(client(fetch).get('/coupons/c1')).rejects.toMatchObject({
+      status: 200,
+      code: 'COUPON_EXPIRED',
+      message: 'El cupón expiró',
+    });
+  });
+
+  it('reads the code and message of an error envelope', async () => {
+    const fetch = fakeFetch(() =>
+      json(409, { success: false, data: null, error: { code: 'ALREADY_REDEEMED', message: 'Ya canjeado' } })
+    );
+    await expect(client(fetch).post('/redemptions', {})).rejects.toMatchObject({
+      status: 409,
+      code: 'ALREADY_REDEEMED',
+      message: 'Ya canjeado',
+    });
+  });
+
+  it('reports a 401 to onUnauthorized before throwing it', async () => {
+    const onUnauthorized = vi.fn();
+    const fetch = fakeFetch(() => json(401, { message: 'Token expired' }));
+    await expect(client(fetch, { onUnauthorized }).get('/me')).rejects.toMatchObject({ status: 401 });
+    expect(onUnauthorized).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+  });
+
+  it('sends the current token', async () => {
+    const fetch = fakeFetch(() => json(200, {}));
+    await client(fetch, { getToken: () => 'abc' }).get('/me');
+    expect(fetch.mock.calls[0][1]?.headers).toMatchObject({ Authorization: 'Bearer abc' });
+  });
+});
@@ -0,0 +1,240 @@
+import type { ApiResponse } from '@gasolinera-jsm/shared';
+import { ApiError, API_ERROR_CODES } from './errors';
+
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+
+type QueryValue = string | number | boolean | null | undefined;
+
+export interface ApiClientConfig {
+  /** Base URL of the API gateway, e.g. http://localhost:8080/api/v1 */
+  baseUrl: string;
+  /** Returns the current access token, read on every request */
+  getToken?: () => string | null | undefined;
+  /** Per-attempt timeout, default 15s */
+  timeoutMs?: number;
+  /** Extra attempts for idempotent calls, default 2 */
+  retries?: number;
+  /** First backoff delay, doubled on every retry, default 300ms */
+  retryDelayMs?: number;
+  /** Headers sent with every request */
+  headers?: Record<string, string>;
+  /** fetch implementation, defaults to the global one */
+  fetch?: typeof fetch;
+  /** Called before a 401 answer is thrown, e.g. to end the session */
+  onUnauthorized?: (error: ApiError) => void;
+}
+
+export interface RequestOptions {
+  method?: HttpMethod;
+  /** Serialized as JSON */
+  body?: unknown;
+  query?: Record<string, QueryValue>;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+  timeoutMs?: number;
+  retries?: number;
+  /** Overrides the method-based default, e.g. to retry a POST that carries an idempotency key */
+  idempotent?: boolean;
+}
+
+export interface ApiClient {
+  request<T>(path: string, options?: RequestOptions): Promise<T>;
+  get<T>(path: string, options?: Omit<RequestOptions, 'method' | 'body'>): Promise<T>;
+  post<T>(path: string, body?: unknown, options?: Omit<RequestOptions, 'method' | 'body'>): Promise<T>;
+  put<T>(path: string, body?: unknown, options?: Omit<RequestOptions, 'method' | 'body'>): Promise<T>;
+  delete<T>(path: string, options?: Omit<RequestOptions, 'method' | 'body'>): Promise<T>;
+}
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 300;
+const MAX_RETRY_DELAY_MS = 5000;
+
+const IDEMPOTENT_METHODS: HttpMethod[] = ['GET', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+function buildUrl(baseUrl: string, path: string, query?: Record<string, QueryValue>): string {
+  const url = `${baseUrl.replace(/\/+$/, '')}${path.startsWith('/') ? path : `/${path}`}`;
+  if (!query) return url;
+
+  const params = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`);
+  return params.length > 0 ? `${url}?${params.join('&')}` : url;
+}
+
+function isEnvelope(body: unknown): body is ApiResponse<unknown> {
+  return typeof body === 'object' && body !== null && typeof (body as ApiResponse<unknown>).success === 'boolean' && 'data' in body;
+}
+
+async function readBody(response: Response): Promise<unknown> {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Builds the error for a non-2xx answer. Both the `{ message, code }` bodies of
+ * the services and the `ApiResponse` envelope are understood.
+ */
+function httpError(response: Response, body: unknown): ApiError {
+  let message = `Error: ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+  let code: string = API_ERROR_CODES.http;
+
+  if (isEnvelope(body) && body.error) {
+    message = body.error.message || message;
+    code = body.error.code || code;
+  } else if (typeof body === 'object' && body !== null) {
+    const { message: bodyMessage, code: bodyCode, error } = body as { message?: string; code?: string; error?: string };
+    message = bodyMessage || error || message;
+    code = bodyCode || code;
+  }
+  return new ApiError(message, response.status, code, body);
+}
+
+function retryDelay(attempt: number, retryAfter: string | null, baseMs: number): number {
+  const seconds = retryAfter === null ? NaN : parseFloat(retryAfter);
+  if (!Number.isNaN(seconds) && seconds >= 0) {
+    return Math.min(seconds * 1000, MAX_RETRY_DELAY_MS);
+  }
+  return Math.min(baseMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+const abortedError = () => new ApiError('Request aborted', 0, API_ERROR_CODES.aborted);
+
+/** Backoff between retries; the caller's signal cuts it short */
+function wait(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortedError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortedError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Creates a client for the API gateway. The token is read on every request,
+ * so a store can be wired in once and stay current.
+ *
+ * Successful bodies wrapped in an `ApiResponse` envelope are unwrapped; an
+ * envelope with `success: false` is thrown as an ApiError like any HTTP error.
+ */
+export function createApiClient(config: ApiClientConfig): ApiClient {
+  const fetchImpl = config.fetch || ((input: RequestInfo | URL, init?: RequestInit) => fetch(input, init));
+  const defaultTimeout = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const defaultRetries = config.retries ?? DEFAULT_RETRIES;
+  const retryDelayMs = config.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+
+  /** One try; the timeout covers reading the body as well as the headers */
+  async function attempt(url: string, init: RequestInit, timeoutMs: number, signal?: AbortSignal): Promise<{ response: Response; body: unknown }> {
+    // Cancelled before this attempt started, e.g. while a retry was pending
+    if (signal?.aborted) {
+      throw abortedError();
+    }
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener('abort', forwardAbort);
+
+    try {
+      const response = await fetchImpl(url, { ...init, signal: controller.signal });
+      const body = response.status === 204 ? null : await readBody(response);
+      return { response, body };
+    } catch (e) {
+      if (timedOut) {
+        throw new ApiError(`Request timed out after ${timeoutMs}ms`, 0, API_ERROR_CODES.timeout);
+      }
+      if (signal?.aborted) {
+        throw abortedError();
+      }
+      throw new ApiError(e instanceof Error ? e.message : 'Network error', 0, API_ERROR_CODES.network);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+
+  async function request<T>(path: string, options: RequestOptions = {}): Promise<T> {
+    const method = options.method || 'GET';
+    const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const maxRetries = idempotent ? options.retries ?? defaultRetries : 0;
+    const timeoutMs = options.timeoutMs ?? defaultTimeout;
+
+    const headers: Record<string, string> = { Accept: 'application/json', ...config.headers, ...options.headers };
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const token = config.getToken?.();
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    const url = buildUrl(config.baseUrl, path, options.query);
+    const init: RequestInit = {
+      method,
+      headers,
+      body: options.body === undefined ? undefined : JSON.stringify(options.body),
+    };
+
+    for (let retry = 0; ; retry++) {
+      let response: Response;
+      let body: unknown;
+      try {
+        ({ response, body } = await attempt(url, init, timeoutMs, options.signal));
+      } catch (e) {
+        const retryable = e instanceof ApiError && e.code !== API_ERROR_CODES.aborted;
+        if (!retryable || retry >= maxRetries) throw e;
+        await wait(retryDelay(retry, null, retryDelayMs), options.signal);
+        continue;
+      }
+
+      if (!response.ok && RETRYABLE_STATUSES.includes(response.status) && retry < maxRetries) {
+        await wait(retryDelay(retry, response.headers.get('Retry-After'), retryDelayMs), options.signal);
+        continue;
+      }
+
+      if (!response.ok) {
+        const error = httpError(response, body);
+        if (error.isUnauthorized) {
+          config.onUnauthorized?.(error);
+        }
+        throw error;
+      }
+      if (isEnvelope(body)) {
+        if (!body.success) {
+          throw new ApiError(body.error?.message || 'Request failed', response.status, body.error?.code || API_ERROR_CODES.http, body);
+        }
+        return body.data as T;
+      }
+      if (typeof body === 'string') {
+        throw new ApiError('Response is not valid JSON', response.status, API_ERROR_CODES.invalidResponse, body);
+      }
+      return body as T;
+    }
+  }
+
+  return {
+    request,
+    get: <T>(path: string, options?: RequestOptions) => request<T>(path, { ...options, method: 'GET' }),
+    post: <T>(path: string, body?: unknown, options?: RequestOptions) => request<T>(path, { ...options, method: 'POST', body }),
+    put: <T>(path: string, body?: unknown, options?: RequestOptions) => request<T>(path, { ...options, method: 'PUT', body }),
+    delete: <T>(path: string, options?: RequestOptions) => request<T>(path, { ...options, method: 'DELETE' }),
+  };
+}
@@ -0,0 +1,17 @@
+import type { ApiClient } from '../client';
+import type { AnalyticsQuery, AnalyticsSummary, StationSummary, TodaySummary } from '../types';
+
+export function analyticsApi(client: ApiClient) {
+  return {
+    todaySummary: () => client.get<TodaySummary>('/analytics/summary/today'),
+
+    /** Totals and a time series for a date range, optionally for a single station */
+    summary: (query: AnalyticsQuery) => client.get<AnalyticsSummary>('/analytics/summary', { query }),
+
+    /** Totals per station for a date range */
+    stations: ({ from, to }: Pick<AnalyticsQuery, 'from' | 'to'>) =>
+      client.get<StationSummary[]>('/analytics/summary/stations', { query: { from, to } }),
+  };
+}
+
+export type AnalyticsApi = ReturnType<typeof analyticsApi>;
@@ -0,0 +1,34 @@
+import type { ApiClient } from '../client';
+import type { RefreshResponse, SessionResponse, TokenResponse } from '../types';
+
+export function authApi(client: ApiClient) {
+  return {
+    /** Email login of the admin panel */
+    login: <U = unknown>(email: string, password: string) =>
+      client.post<SessionResponse<U>>('/auth/login', { email, password }),
+
+    /** Trades a refresh token for a new access token */
+    refresh: (refreshToken: string) => client.post<RefreshResponse>('/auth/refresh', { refreshToken }),
+
+    /** Revokes the tokens of the authenticated user */
+    logout: () => client.post<void>('/auth/logout'),
+
+    register: (name: string, email: string, password: string) =>
+      client.post<void>('/auth/register', { name, email, password }),
+
+    loginAdmin: (email: string, pass: string) =>
+      client.post<TokenResponse>('/auth/login/admin', { email, pass }),
+
+    loginAdvertiser: (email: string, pass: string) =>
+      client.post<TokenResponse>('/auth/login/advertiser', { email, pass }),
+
+    /** Sends an OTP code to the phone number */
+    requestOtp: (phone: string) => client.post<void>('/auth/otp/request', { phone }),
+
+    /** Trades an OTP code for an access token */
+    verifyOtp: (phone: string, code: string) =>
+      client.post<{ accessToken: string; refreshToken?: string }>('/auth/otp/verify', { phone, code }),
+  };
+}
+
+export type AuthApi = ReturnType<typeof authApi>;
@@ -0,0 +1,24 @@
+import type { ApiClient } from '../client';
+import type { Campaign, CampaignInput, CampaignPerformanceSummary, CampaignReport } from '../types';
+
+export function campaignsApi(client: ApiClient) {
+  return {
+    /** Campaigns of the signed-in advertiser */
+    list: () => client.get<Campaign[]>('/campaigns'),
+
+    create: (campaign: CampaignInput) => client.post<Campaign>('/campaigns', campaign),
+
+    update: (campaignId: number, campaign: Partial<CampaignInput>) =>
+      client.put<Campaign>(`/campaigns/${campaignId}`, campaign),
+
+    remove: (campaignId: number) => client.delete<void>(`/campaigns/${campaignId}`),
+
+    summary: () => client.get<CampaignPerformanceSummary>('/campaigns/summary'),
+
+    /** Delivery of a campaign between two dates, by day, ad step, station and hour */
+    report: (campaignId: number, range: { from: string; to: string }) =>
+      client.get<CampaignReport>(`/campaigns/${campaignId}/report`, { query: range }),
+  };
+}
+
+export type CampaignsApi = ReturnType<typeof campaignsApi>;
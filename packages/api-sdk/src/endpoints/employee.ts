@@ -0,0 +1,28 @@
+import type { ApiClient } from '../client';
+import type { EmployeeCouponRequest, EmployeeDayStats, EmployeeProfile, GeneratedCoupon, SessionResponse } from '../types';
+
+/** Codes the employee endpoints send next to the HTTP status */
+export const EMPLOYEE_ERROR_CODES = {
+  /** 400 on activation: unknown, used or expired code */
+  invalidActivationCode: 'INVALID_ACTIVATION_CODE',
+  /** 403: the owner deactivated the employee, the session is no longer valid */
+  deactivated: 'EMPLOYEE_DEACTIVATED',
+} as const;
+
+/** Endpoints of the employee app, scoped to the employee of the token */
+export function employeeApi(client: ApiClient) {
+  return {
+    /** Trades the activation code of an owner invite for the employee's session */
+    activate: (activationCode: string) =>
+      client.post<SessionResponse<EmployeeProfile>>('/employee/activate', { activationCode }),
+
+    /** Current profile, with the station after any reassignment */
+    me: () => client.get<EmployeeProfile>('/employee/me'),
+
+    generateCoupon: (coupon: EmployeeCouponRequest) => client.post<GeneratedCoupon>('/employee/coupons', coupon),
+
+    todayStats: () => client.get<EmployeeDayStats>('/employee/stats/today'),
+  };
+}
+
+export type EmployeeApi = ReturnType<typeof employeeApi>;
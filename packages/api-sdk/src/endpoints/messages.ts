@@ -0,0 +1,11 @@
+import type { ApiClient } from '../client';
+import type { MessageImprovement, MessageImprovementRequest } from '../types';
+
+export function messagesApi(client: ApiClient) {
+  return {
+    /** Rewrites a message for clarity with the message improver of the ad engine */
+    improve: (request: MessageImprovementRequest) => client.post<MessageImprovement>('/messages/improve', request),
+  };
+}
+
+export type MessagesApi = ReturnType<typeof messagesApi>;
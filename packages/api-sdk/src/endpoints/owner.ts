@@ -0,0 +1,76 @@
+import type { ApiClient } from '../client';
+import type {
+  OwnerAnalytics,
+  OwnerEmployee,
+  OwnerEmployeeHistory,
+  OwnerEmployeeInput,
+  OwnerEmployeeInvite,
+  OwnerEmployeeInviteInput,
+  OwnerEvent,
+  OwnerOverview,
+  OwnerRaffle,
+  OwnerRange,
+  OwnerStation,
+  OwnerStationInput,
+} from '../types';
+
+/** Longest range `exportEvents` accepts, in days: the export has one event per coupon and ad step */
+export const OWNER_EVENT_EXPORT_MAX_DAYS = 90;
+
+/** Endpoints of the owner dashboard, scoped to the stations of the signed-in owner */
+export function ownerApi(client: ApiClient) {
+  return {
+    overview: (range: OwnerRange) => client.get<OwnerOverview>('/owner/overview', { query: range }),
+
+    analytics: (range: OwnerRange) => client.get<OwnerAnalytics>('/owner/analytics', { query: range }),
+
+    stations: (range: OwnerRange) => client.get<OwnerStation[]>('/owner/stations', { query: range }),
+
+    createStation: (station: OwnerStationInput) => client.post<OwnerStation>('/owner/stations', station),
+
+    updateStation: (stationId: string, station: Partial<OwnerStationInput> & { isActive?: boolean }) =>
+      client.put<OwnerStation>(`/owner/stations/${encodeURIComponent(stationId)}`, station),
+
+    removeStation: (stationId: string) => client.delete<void>(`/owner/stations/${encodeURIComponent(stationId)}`),
+
+    employees: () => client.get<OwnerEmployee[]>('/owner/employees'),
+
+    /** Creates the employee as INVITED and sends an activation code for the employee app */
+    inviteEmployee: (invite: OwnerEmployeeInviteInput) =>
+      client.post<OwnerEmployeeInvite>('/owner/employees/invites', invite),
+
+    /**
+     * Issues a new activation code; the previous one stops working. A DEACTIVATED
+     * employee is INVITED again and comes back once the code is used.
+     */
+    resendInvite: (employeeId: string) =>
+      client.post<OwnerEmployeeInvite>(`/owner/employees/${encodeURIComponent(employeeId)}/invites`),
+
+    updateEmployee: (employeeId: string, employee: Partial<Omit<OwnerEmployeeInput, 'stationId'>>) =>
+      client.put<OwnerEmployee>(`/owner/employees/${encodeURIComponent(employeeId)}`, employee),
+
+    /** Moves the employee to another station; their coupons count for it from now on */
+    reassignEmployee: (employeeId: string, stationId: string) =>
+      client.put<OwnerEmployee>(`/owner/employees/${encodeURIComponent(employeeId)}/station`, { stationId }),
+
+    /**
+     * Revokes the employee's sessions. Coupon requests made with a token issued
+     * before are answered with 403 `EMPLOYEE_DEACTIVATED`.
+     */
+    deactivateEmployee: (employeeId: string) =>
+      client.post<OwnerEmployee>(`/owner/employees/${encodeURIComponent(employeeId)}/deactivate`),
+
+    removeEmployee: (employeeId: string) => client.delete<void>(`/owner/employees/${encodeURIComponent(employeeId)}`),
+
+    employeeHistory: (employeeId: string, range: OwnerRange) =>
+      client.get<OwnerEmployeeHistory>(`/owner/employees/${encodeURIComponent(employeeId)}/history`, { query: range }),
+
+    raffles: () => client.get<OwnerRaffle[]>('/owner/raffles'),
+
+    /** Raw coupon and ad events of the range, oldest first; optionally of one station. At most OWNER_EVENT_EXPORT_MAX_DAYS days */
+    exportEvents: (range: OwnerRange, stationId?: string) =>
+      client.get<OwnerEvent[]>('/owner/events/export', { query: { ...range, stationId } }),
+  };
+}
+
+export type OwnerApi = ReturnType<typeof ownerApi>;
@@ -0,0 +1,48 @@
+import type { ApiClient } from '../client';
+import type {
+  ActionConfirmation,
+  Raffle,
+  RaffleActionRecord,
+  RaffleInput,
+  RafflePeriodPreview,
+  RaffleProof,
+  RaffleWinner,
+} from '../types';
+
+export function rafflesApi(client: ApiClient) {
+  return {
+    list: () => client.get<Raffle[]>('/raffles'),
+
+    get: (raffleId: number) => client.get<Raffle>(`/raffles/${raffleId}`),
+
+    create: (raffle: RaffleInput, confirmation: ActionConfirmation) =>
+      client.post<Raffle>('/raffles', { ...raffle, confirmation }),
+
+    /** Entries and participants that closing the period would include */
+    previewPeriod: (period: string) => client.get<RafflePeriodPreview>(`/raffles/${encodeURIComponent(period)}/preview`),
+
+    /** Irreversible actions performed on raffles, newest first */
+    actions: (raffleId?: number) =>
+      client.get<RaffleActionRecord[]>('/raffles/actions', { query: raffleId === undefined ? undefined : { raffleId } }),
+
+    winner: (raffleId: number) => client.get<RaffleWinner>(`/raffles/${raffleId}/winner`),
+
+    /** Closes the period and publishes its Merkle root */
+    closePeriod: (period: string, confirmation: ActionConfirmation) =>
+      client.post<Raffle>(`/raffles/${encodeURIComponent(period)}/close`, { confirmation }),
+
+    /** Entry ids in the order they were committed to the Merkle tree */
+    entries: (raffleId: number) => client.get<string[]>(`/raffles/${raffleId}/entries`),
+
+    /** Entry ids of the signed-in user in this raffle */
+    myEntries: (raffleId: number) => client.get<string[]>(`/raffles/${raffleId}/entries/me`),
+
+    proof: (raffleId: number, entryId: string) =>
+      client.get<RaffleProof>(`/raffles/${raffleId}/proof/${encodeURIComponent(entryId)}`),
+
+    draw: (raffleId: number, confirmation: ActionConfirmation) =>
+      client.post<RaffleWinner>(`/raffles/${raffleId}/draw`, { confirmation }),
+  };
+}
+
+export type RafflesApi = ReturnType<typeof rafflesApi>;
@@ -0,0 +1,14 @@
+import type { ApiClient } from '../client';
+import type { RedemptionStart } from '../types';
+
+export function redemptionsApi(client: ApiClient) {
+  return {
+    /** Starts a redemption from a scanned dispenser QR code */
+    redeem: (qrCode: string) => client.post<RedemptionStart>('/redemptions', { qrCode }),
+
+    /** Confirms the ad was watched, which credits the points */
+    confirmAdWatched: (redemptionId: string) => client.post<void>('/redemptions/confirm', { redemptionId }),
+  };
+}
+
+export type RedemptionsApi = ReturnType<typeof redemptionsApi>;
@@ -0,0 +1,19 @@
+import type { ApiClient } from '../client';
+import type { Station, StationInput } from '../types';
+
+export function stationsApi(client: ApiClient) {
+  return {
+    list: () => client.get<Station[]>('/stations'),
+
+    get: (stationId: string) => client.get<Station>(`/stations/${encodeURIComponent(stationId)}`),
+
+    create: (station: StationInput) => client.post<Station>('/stations', station),
+
+    update: (stationId: string, station: Partial<Omit<Station, 'id'>>) =>
+      client.put<Station>(`/stations/${encodeURIComponent(stationId)}`, station),
+
+    remove: (stationId: string) => client.delete<void>(`/stations/${encodeURIComponent(stationId)}`),
+  };
+}
+
+export type StationsApi = ReturnType<typeof stationsApi>;
@@ -0,0 +1,41 @@
+/**
+ * Codes for failures that never got an HTTP answer, next to whatever code the
+ * backend sent in its error body.
+ */
+export const API_ERROR_CODES = {
+  network: 'NETWORK_ERROR',
+  timeout: 'TIMEOUT',
+  aborted: 'ABORTED',
+  invalidResponse: 'INVALID_RESPONSE',
+  http: 'HTTP_ERROR',
+} as const;
+
+/**
+ * Error thrown by every SDK call. `status` is 0 when the request got no answer.
+ */
+export class ApiError extends Error {
+  readonly status: number;
+  readonly code: string;
+  readonly details?: unknown;
+
+  constructor(message: string, status: number, code: string, details?: unknown) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    Object.setPrototypeOf(this, ApiError.prototype);
+  }
+
+  get isUnauthorized(): boolean {
+    return this.status === 401;
+  }
+
+  get isTimeout(): boolean {
+    return this.code === API_ERROR_CODES.timeout;
+  }
+}
+
+export function isApiError(error: unknown): error is ApiError {
+  return error instanceof ApiError;
+}
@@ -0,0 +1,46 @@
+// Typed client for the Gasolinera JSM API gateway, used by the admin, advertiser, owner, employee and mobile apps.
+
+import { createApiClient, ApiClientConfig } from './client';
+import { authApi } from './endpoints/auth';
+import { stationsApi } from './endpoints/stations';
+import { rafflesApi } from './endpoints/raffles';
+import { campaignsApi } from './endpoints/campaigns';
+import { redemptionsApi } from './endpoints/redemptions';
+import { analyticsApi } from './endpoints/analytics';
+import { ownerApi } from './endpoints/owner';
+import { employeeApi } from './endpoints/employee';
+import { messagesApi } from './endpoints/messages';
+
+export * from './client';
+export * from './errors';
+export * from './types';
+export * from './endpoints/auth';
+export * from './endpoints/stations';
+export * from './endpoints/raffles';
+export * from './endpoints/campaigns';
+export * from './endpoints/redemptions';
+export * from './endpoints/analytics';
+export * from './endpoints/owner';
+export * from './endpoints/employee';
+export * from './endpoints/messages';
+
+/**
+ * One configured client with every endpoint module bound to it.
+ */
+export function createGasolineraApi(config: ApiClientConfig) {
+  const client = createApiClient(config);
+  return {
+    client,
+    auth: authApi(client),
+    stations: stationsApi(client),
+    raffles: rafflesApi(client),
+    campaigns: campaignsApi(client),
+    redemptions: redemptionsApi(client),
+    analytics: analyticsApi(client),
+    owner: ownerApi(client),
+    employee: employeeApi(client),
+    messages: messagesApi(client),
+  };
+}
+
+export type GasolineraApi = ReturnType<typeof createGasolineraApi>;
@@ -0,0 +1,420 @@
+// Resource shapes returned by the API gateway, shared by the admin, advertiser, owner, employee and mobile apps.
+
+import type { AdStepDuration } from '@gasolinera-jsm/shared';
+
+export type Station = {
+  id: string;
+  name: string;
+  latitude: number;
+  longitude: number;
+  status: string;
+};
+
+export type StationInput = Omit<Station, 'id' | 'status'> & { status?: string };
+
+export type RaffleStatus = 'OPEN' | 'CLOSED' | 'DRAWN';
+
+export type RaffleType = 'WEEKLY' | 'MONTHLY' | 'ANNUAL';
+
+export type Raffle = {
+  id: number;
+  period: string;
+  merkleRoot: string;
+  status: RaffleStatus;
+  type?: RaffleType;
+  prizeDescription?: string;
+  prizeValue?: number;
+  scheduledDrawAt?: string; // ISO date string
+  drawAt?: string; // ISO date string
+  externalSeed?: string;
+  winnerEntryId?: string;
+};
+
+export type RaffleInput = {
+  type: RaffleType;
+  /** YYYY-Www for weekly raffles, YYYY-MM for monthly ones, YYYY for annual ones */
+  period: string;
+  prizeDescription: string;
+  prizeValue: number;
+  scheduledDrawAt: string; // ISO date string
+};
+
+/** What closing a period would commit to the Merkle tree */
+export type RafflePeriodPreview = {
+  period: string;
+  entryCount: number;
+  participantCount: number;
+};
+
+export type RaffleActionType = 'CREATE' | 'CLOSE_PERIOD' | 'DRAW';
+
+/**
+ * Confirmation sent with every irreversible raffle action. The gateway also
+ * receives the actor from the session, so the body is a record, not the proof.
+ */
+export type ActionConfirmation = {
+  performedBy: { id: string; email: string; name?: string };
+  reason?: string;
+  confirmedAt: string; // ISO date string
+};
+
+export type RaffleActionRecord = {
+  action: RaffleActionType;
+  raffleId?: number;
+  period: string;
+  performedBy: { id: string; email: string; name?: string };
+  reason?: string;
+  performedAt: string; // ISO date string
+};
+
+/** Inclusion proof of an entry: sibling hashes from its leaf up to the root */
+export type RaffleProof = {
+  raffleId: number;
+  entryId: string;
+  merkleRoot: string;
+  proof: string[];
+};
+
+export type RaffleWinner = {
+  id: number;
+  raffleId: number;
+  userId: string;
+  winningPointId: string;
+  prize: string;
+};
+
+/** Empty lists mean no restriction */
+export type CampaignTargeting = {
+  stationIds: string[];
+  regions: string[];
+  /** Hours of the day, 0-23, in the stations' local time */
+  hours: number[];
+};
+
+export type CampaignCreative = {
+  id?: string;
+  name: string;
+  url: string;
+  /** One of the ad sequence step durations, see AD_STEP_DURATIONS_SECONDS */
+  durationSeconds: AdStepDuration;
+};
+
+/** EVEN spreads the daily budget over the targeted hours, ACCELERATED spends it as soon as possible */
+export type CampaignPacing = 'EVEN' | 'ACCELERATED';
+
+export type FrequencyCapPeriod = 'DAY' | 'WEEK' | 'CAMPAIGN';
+
+export type FrequencyCap = {
+  /** Impressions of the campaign a single user can get per period */
+  maxImpressions: number;
+  per: FrequencyCapPeriod;
+};
+
+export interface Campaign {
+  id: number;
+  name: string;
+  startDate: string;
+  endDate: string;
+  budget: number;
+  /** URL of the first creative, kept for clients that only know a single ad */
+  adUrl: string;
+  targeting?: CampaignTargeting;
+  creatives?: CampaignCreative[];
+  dailyBudgetCap?: number;
+  pacing?: CampaignPacing;
+  frequencyCap?: FrequencyCap;
+}
+
+export type CampaignInput = Omit<Campaign, 'id'>;
+
+export type CampaignPerformanceSummary = {
+  totalImpressions: number;
+  totalBudgetSpent: number;
+};
+
+/** Impressions, completed views and spend of a slice of a campaign report */
+export type CampaignDelivery = {
+  impressions: number;
+  completions: number;
+  spend: number;
+};
+
+export type CampaignReport = {
+  campaignId: number;
+  campaignName: string;
+  budget: number;
+  from: string; // ISO date string, inclusive
+  to: string; // ISO date string, exclusive
+  /** Campaign spend before `from`, for the budget left at the start of the range */
+  spentBefore: number;
+  daily: (CampaignDelivery & { date: string })[];
+  /** Views started and completed at each step of the ad sequence */
+  steps: { step: number; durationSeconds: number; started: number; completed: number; spend: number }[];
+  byStation: (CampaignDelivery & { stationId: string; stationName: string })[];
+  /** Hour of the day, 0-23, in the stations' local time */
+  byHour: (CampaignDelivery & { hour: number })[];
+};
+
+export type RedemptionStart = {
+  redemptionId: string;
+  adUrl: string;
+};
+
+export type TodaySummary = {
+  totalRevenue: number;
+  pointsRedeemed: number;
+  adImpressions: number;
+};
+
+export type SummaryMetric = keyof TodaySummary;
+
+export type AnalyticsBucket = 'hour' | 'day';
+
+export type AnalyticsQuery = {
+  from: string; // ISO date string, inclusive
+  to: string; // ISO date string, exclusive
+  bucket?: AnalyticsBucket;
+  stationId?: string;
+};
+
+export type AnalyticsSeriesPoint = TodaySummary & {
+  /** Start of the bucket, ISO date string */
+  date: string;
+};
+
+export type AnalyticsSummary = {
+  from: string;
+  to: string;
+  bucket: AnalyticsBucket;
+  totals: TodaySummary;
+  series: AnalyticsSeriesPoint[];
+};
+
+export type StationSummary = TodaySummary & {
+  stationId: string;
+  stationName: string;
+};
+
+// --- Owner dashboard --- //
+
+/** Date range of the owner endpoints, ISO date strings: `from` inclusive, `to` exclusive */
+export type OwnerRange = {
+  from: string;
+  to: string;
+};
+
+export type OwnerDailyStat = {
+  date: string; // YYYY-MM-DD
+  tickets: number;
+  revenue: number;
+  /** Distinct customers that redeemed a ticket that day */
+  users: number;
+  /** Percentage of tickets whose ad sequence was completed */
+  conversion: number;
+};
+
+export type OwnerTotals = Omit<OwnerDailyStat, 'date'>;
+
+export type OwnerOverview = {
+  totalStations: number;
+  totalEmployees: number;
+  totals: OwnerTotals;
+  /** Totals of the range just before the requested one, for growth figures */
+  previousTotals: OwnerTotals;
+  daily: OwnerDailyStat[];
+  topStations: { stationId: string; name: string; tickets: number; revenue: number; growth: number | null }[];
+  topEmployees: { employeeId: string; name: string; stationName: string; tickets: number; conversion: number }[];
+  upcomingRaffles: OwnerRaffle[];
+};
+
+export type OwnerStation = {
+  id: string;
+  name: string;
+  address: string;
+  latitude: number;
+  longitude: number;
+  isActive: boolean;
+  employeeCount: number;
+  /** Figures for the requested range */
+  tickets: number;
+  revenue: number;
+  conversionRate: number;
+};
+
+export type OwnerStationInput = Pick<OwnerStation, 'name' | 'address' | 'latitude' | 'longitude'>;
+
+export type OwnerEmployeeStatus = 'INVITED' | 'ACTIVE' | 'DEACTIVATED';
+
+export type OwnerEmployee = {
+  id: string;
+  name: string;
+  email: string;
+  phone: string;
+  employeeCode: string;
+  stationId: string;
+  stationName: string;
+  /** INVITED until the activation code is used in the employee app */
+  status: OwnerEmployeeStatus;
+  /** QR coupons generated today and in the last 7 days */
+  todayTickets: number;
+  weeklyTickets: number;
+  /** Percentage of the last 7 days' coupons that customers redeemed */
+  conversionRate: number;
+  joinDate: string; // YYYY-MM-DD
+  /** Expiry of the pending activation code, while INVITED */
+  inviteExpiresAt?: string;
+  deactivatedAt?: string;
+};
+
+export type OwnerEmployeeInput = Pick<OwnerEmployee, 'name' | 'email' | 'phone' | 'stationId'>;
+
+export type OwnerInviteChannel = 'EMAIL' | 'SMS';
+
+export type OwnerEmployeeInviteInput = OwnerEmployeeInput & {
+  /** Where the activation code is sent: `email` for EMAIL, `phone` for SMS */
+  channel: OwnerInviteChannel;
+};
+
+/** A new activation code; it is only ever returned here, never listed again */
+export type OwnerEmployeeInvite = {
+  employee: OwnerEmployee;
+  activationCode: string;
+  channel: OwnerInviteChannel;
+  expiresAt: string;
+};
+
+export type OwnerEmployeeDay = {
+  date: string; // YYYY-MM-DD
+  couponsGenerated: number;
+  couponsRedeemed: number;
+  /** Percentage of the day's coupons that were redeemed */
+  redemptionRate: number;
+};
+
+export type OwnerStationAssignment = {
+  stationId: string;
+  stationName: string;
+  from: string; // YYYY-MM-DD
+  /** Null for the current assignment */
+  to: string | null;
+};
+
+export type OwnerEmployeeHistory = OwnerRange & {
+  employeeId: string;
+  daily: OwnerEmployeeDay[];
+  totals: Omit<OwnerEmployeeDay, 'date'>;
+  /** Every station the employee has worked at, oldest first */
+  assignments: OwnerStationAssignment[];
+};
+
+export type OwnerRaffleStatus = 'ACTIVE' | 'COMPLETED' | 'CANCELLED';
+
+export type OwnerRaffle = {
+  id: string;
+  name: string;
+  description: string;
+  prizeDescription: string;
+  prizeValue: number;
+  type: RaffleType;
+  status: OwnerRaffleStatus;
+  drawDate: string; // YYYY-MM-DD
+  drawTime: string; // HH:mm
+  winnerId?: string;
+  winnerName?: string;
+  totalParticipants: number;
+  totalTickets: number;
+  createdAt: string;
+};
+
+export type OwnerAnalytics = OwnerRange & {
+  daily: OwnerDailyStat[];
+  totals: OwnerTotals;
+  previousTotals: OwnerTotals;
+  /** Tickets by hour of the day, 0-23 */
+  hourly: { hour: number; tickets: number }[];
+  stations: { stationId: string; name: string; tickets: number; revenue: number; share: number; growth: number | null }[];
+};
+
+/**
+ * Steps of a coupon's life: created by an employee, activated by a customer in
+ * the app, then one event per ad of the sequence the customer watched to the end.
+ */
+export type OwnerEventType = 'COUPON_CREATED' | 'COUPON_ACTIVATED' | 'AD_STEP_COMPLETED';
+
+/** One row of the raw event export, the input of the funnel and cohort analysis */
+export type OwnerEvent = {
+  type: OwnerEventType;
+  occurredAt: string;
+  stationId: string;
+  couponId: string;
+  /** Null until a customer activates the coupon */
+  userId: string | null;
+  /** Sequence step, 1-based, on AD_STEP_COMPLETED */
+  step?: number;
+};
+
+// --- Message improver --- //
+
+export type MessageImprovementRequest = {
+  message: string;
+  context?: string;
+  targetAudience?: string;
+  tone?: string;
+};
+
+export type MessageImprovement = {
+  originalMessage: string;
+  improvedMessage: string;
+  /** Short description of each change made */
+  improvements: string[];
+  /** 0 to 1 */
+  confidence: number;
+};
+
+// --- Employee app --- //
+
+export type EmployeeProfile = {
+  id: string;
+  name: string;
+  employeeCode: string;
+  stationId: string;
+  stationName: string;
+};
+
+export type EmployeeCouponRequest = {
+  stationId: string;
+  /** Purchase amount in multiples of ₡5,000, one base ticket each */
+  amount: number;
+};
+
+export type GeneratedCoupon = {
+  id: string;
+  token: string;
+  qrCode: string;
+  baseTickets: number;
+  expiresAt: string;
+};
+
+export type EmployeeDayStats = {
+  totalCoupons: number;
+  scannedCoupons: number;
+  conversionRate: number;
+};
+
+export type TokenResponse = {
+  token: string;
+};
+
+export type SessionResponse<U = unknown> = {
+  user: U;
+  accessToken: string;
+  refreshToken?: string;
+  /** Access token lifetime in seconds */
+  expiresIn?: number;
+};
+
+export type RefreshResponse = {
+  accessToken: string;
+  refreshToken?: string;
+  expiresIn?: number;
+};
@@ -0,0 +1,27 @@
+// Ad sequence rules shared by the advertiser portal and the client apps.
+
+/**
+ * Duration in seconds of the ad shown at each step of an ad sequence, mirroring
+ * AdDurationConfig in the ad engine: step 1 lasts 10s, step 10 lasts 10 minutes.
+ */
+export const AD_STEP_DURATIONS_SECONDS = [10, 15, 30, 60, 120, 180, 240, 300, 420, 600] as const;
+
+export type AdStepDuration = (typeof AD_STEP_DURATIONS_SECONDS)[number];
+
+export function isAdStepDuration(seconds: number): seconds is AdStepDuration {
+  return (AD_STEP_DURATIONS_SECONDS as readonly number[]).includes(seconds);
+}
+
+/** Sequence step whose ads last `seconds`, or null when no step uses that duration */
+export function adStepForDuration(seconds: number): number | null {
+  const index = (AD_STEP_DURATIONS_SECONDS as readonly number[]).indexOf(seconds);
+  return index === -1 ? null : index + 1;
+}
+
+/** 90 -> "1m 30s", the format the client apps show */
+export function formatAdDuration(seconds: number): string {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = seconds % 60;
+  return remainingSeconds > 0 ? `${minutes}m ${remainingSeconds}s` : `${minutes}m`;
+}
@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest';
+import { toCsv } from './csv';
+
+describe('toCsv', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    expect(toCsv(['name', 'notes'], [['Sabana, Norte', 'say "hi"\nbye']])).toBe(
+      'name,notes\r\n"Sabana, Norte","say ""hi""\nbye"\r\n'
+    );
+  });
+
+  it('writes null and undefined as empty cells', () => {
+    expect(toCsv(['a', 'b', 'c'], [[null, undefined, 0]])).toBe('a,b,c\r\n,,0\r\n');
+  });
+});
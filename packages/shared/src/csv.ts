@@ -0,0 +1,30 @@
+// CSV files written by the dashboards, meant to be opened in spreadsheets.
+
+function csvCell(value: unknown): string {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** RFC 4180 CSV with CRLF line breaks; null and undefined become empty cells */
+export function toCsv(header: readonly string[], rows: unknown[][]): string {
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Saves generated text as a file through a temporary link. Browser only.
+ */
+export function downloadFile(fileName: string, content: string, mimeType: string) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/** Saves a CSV; the byte order mark makes Excel read it as UTF-8 */
+export function downloadCsv(fileName: string, csv: string) {
+  downloadFile(fileName, `\uFEFF${csv}`, 'text/csv');
+}
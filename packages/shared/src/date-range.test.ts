@@ -0,0 +1,62 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { addDays, customRange, percentChange, previousRange, toDayInput } from './date-range';
+
+// West of UTC, where reading the picked days as UTC midnights moves them a day back
+const originalTimeZone = process.env.TZ;
+beforeAll(() => {
+  process.env.TZ = 'America/Costa_Rica';
+});
+afterAll(() => {
+  process.env.TZ = originalTimeZone;
+});
+
+describe('toDayInput', () => {
+  it('gives the local day, also late in the evening', () => {
+    // 03:30 UTC on the 5th is still the 4th in Costa Rica (UTC-6)
+    expect(toDayInput(new Date('2024-03-05T03:30:00Z'))).toBe('2024-03-04');
+  });
+});
+
+describe('customRange', () => {
+  it('runs from local midnight of the first day to local midnight after the last', () => {
+    const range = customRange('2024-03-01', '2024-03-07');
+    expect(range?.from.toISOString()).toBe('2024-03-01T06:00:00.000Z');
+    expect(range?.to.toISOString()).toBe('2024-03-08T06:00:00.000Z');
+  });
+
+  it('accepts a single day', () => {
+    const range = customRange('2024-03-01', '2024-03-01');
+    expect(range && toDayInput(range.to)).toBe('2024-03-02');
+  });
+
+  it('is null for reversed or empty days', () => {
+    expect(customRange('2024-03-07', '2024-03-01')).toBeNull();
+    expect(customRange('', '2024-03-01')).toBeNull();
+  });
+});
+
+describe('addDays', () => {
+  it('lands on local midnight across month ends', () => {
+    expect(toDayInput(addDays(new Date(2024, 1, 28, 22), 2))).toBe('2024-03-01');
+    expect(addDays(new Date(2024, 1, 28, 22), 2).getHours()).toBe(0);
+  });
+});
+
+describe('previousRange', () => {
+  it('is the same number of days right before the range', () => {
+    const previous = previousRange(customRange('2024-03-01', '2024-03-07')!);
+    expect([toDayInput(previous.from), toDayInput(previous.to)]).toEqual(['2024-02-23', '2024-03-01']);
+  });
+});
+
+describe('percentChange', () => {
+  it('is relative to the previous value', () => {
+    expect(percentChange(150, 100)).toBe(50);
+    expect(percentChange(50, 100)).toBe(-50);
+  });
+
+  it('is null when only the previous value is zero', () => {
+    expect(percentChange(0, 0)).toBe(0);
+    expect(percentChange(10, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+// Calendar day ranges picked in the dashboards. Days are local: a range from the
+// 1st to the 7th starts and ends at local midnight, wherever the browser is.
+
+export type DateRange = { from: Date; to: Date };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function startOfDay(date: Date): Date {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/** Local midnight `days` days after the day of `date` */
+export function addDays(date: Date, days: number): Date {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/** YYYY-MM-DD of the local day, the value of an `<input type="date">` */
+export function toDayInput(date: Date): string {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/** Range from two YYYY-MM-DD inputs, both days included; null when they do not form one */
+export function customRange(fromDay: string, toDay: string): DateRange | null {
+  const from = new Date(`${fromDay}T00:00`);
+  const to = new Date(`${toDay}T00:00`);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) return null;
+  return { from, to: addDays(to, 1) };
+}
+
+/** The range of the same length right before `range` */
+export function previousRange({ from, to }: DateRange): DateRange {
+  const days = Math.round((to.getTime() - from.getTime()) / DAY_MS);
+  return { from: addDays(from, -days), to: from };
+}
+
+/** Relative change in percent, or null when there is nothing to compare with */
+export function percentChange(current: number, previous: number): number | null {
+  if (previous === 0) return current === 0 ? 0 : null;
+  return ((current - previous) / previous) * 100;
+}
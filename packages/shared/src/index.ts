@@ -38,3 +38,8 @@ export type ApiResponse<T> = {
     code?: string;
   };
 };
+
+export * from './ads';
+export * from './merkle';
+export * from './csv';
+export * from './date-range';
@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import { drawWinnerIndex, hashPair, merkleProof, merkleRoot, reproduceDraw, sha256Hex, verifyMerkleProof } from './merkle';
+
+// Expected values come from the raffle service's algorithm (HashingUtil.sha256 with
+// MessageDigest, winner = BigInteger(drawHash, 16) mod entries), not from this module.
+const ENTRIES = ['entry-1', 'entry-2', 'entry-3', 'entry-4', 'entry-5'];
+const ROOT_OF_5 = '2491fec990d52f482ab6e74956270c5a010cbce7875b3f79fe5a926b13e583fb';
+const SEED = '00000000000000000002a7c4c1e48d76c5a37902165a270156b7a8d72728a054';
+
+describe('sha256Hex', () => {
+  it.each([
+    ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+    ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+    // Two blocks of padding
+    ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'],
+    ['a'.repeat(1000), '41edece42d63e8d9bf515a9ba6932e1c20cbc9f5a5d134645adb5db1b9737ea3'],
+    // Two-, three- and four-byte UTF-8
+    ['gasolinera ñandú ⛽', '9f30da2e5254cc175b9ce74c7310967f73b6972dcf5cac45a714858b57891a37'],
+    ['cupón 🎟 #42', '75f917eb2a7bdd0a54b0cb08eb73e4353ba7ced205dfba650ed2c399332b3a70'],
+  ])('hashes %j', (input, expected) => {
+    expect(sha256Hex(input)).toBe(expected);
+  });
+});
+
+describe('merkleRoot', () => {
+  it.each([
+    [1, '5e2d5d1e58e94d7607e0745cd3e612c4a358fc93f37fc5ab1fed8d04bbf7ce77'],
+    [2, '7f6d1ba420564e6214a9d3d2f3fae6936750ddea87a8c4ffdd4b0f433db2a944'],
+    [3, 'd75336e727451bdb425116890cbeef0c1e18a92a3ceb77aa86f85ca3e9398888'],
+    [5, ROOT_OF_5],
+  ])('matches the raffle service for %i entries', (count, expected) => {
+    expect(merkleRoot(ENTRIES.slice(0, count))).toBe(expected);
+  });
+
+  it('is the leaf hash for a single entry', () => {
+    expect(merkleRoot(['entry-1'])).toBe(sha256Hex('entry-1'));
+  });
+
+  it('pairs the last node of an odd level with itself', () => {
+    const [a, b, c] = ENTRIES.slice(0, 3).map(sha256Hex);
+    expect(merkleRoot(ENTRIES.slice(0, 3))).toBe(hashPair(hashPair(a, b), hashPair(c, c)));
+  });
+
+  it('refuses an empty list', () => {
+    expect(() => merkleRoot([])).toThrow();
+  });
+});
+
+describe('merkleProof and verifyMerkleProof', () => {
+  it.each([1, 2, 3, 5, 6, 7])('proves every entry of a %i-entry tree', (count) => {
+    const entries = Array.from({ length: count }, (_, i) => `entry-${i + 1}`);
+    const root = merkleRoot(entries);
+    entries.forEach((entryId, index) => {
+      const verification = verifyMerkleProof({ root, entryId, proof: merkleProof(entries, index) });
+      expect(verification.valid).toBe(true);
+      expect(verification.computedRoot).toBe(root);
+    });
+  });
+
+  it('uses one sibling per level', () => {
+    expect(merkleProof(ENTRIES, 4)).toHaveLength(3);
+    expect(merkleProof(['entry-1'], 0)).toEqual([]);
+  });
+
+  it('accepts an uppercase root and proof', () => {
+    const proof = merkleProof(ENTRIES, 2).map((hash) => hash.toUpperCase());
+    expect(verifyMerkleProof({ root: ROOT_OF_5.toUpperCase(), entryId: 'entry-3', proof }).valid).toBe(true);
+  });
+
+  it('fails with a tampered proof', () => {
+    const proof = merkleProof(ENTRIES, 1);
+    const tampered = [proof[0], proof[1].replace(/^./, (digit) => (digit === '0' ? '1' : '0')), ...proof.slice(2)];
+    const verification = verifyMerkleProof({ root: ROOT_OF_5, entryId: 'entry-2', proof: tampered });
+    expect(verification.valid).toBe(false);
+    expect(verification.computedRoot).not.toBe(ROOT_OF_5);
+  });
+
+  it('fails for an entry that is not in the tree', () => {
+    expect(verifyMerkleProof({ root: ROOT_OF_5, entryId: 'entry-9', proof: merkleProof(ENTRIES, 1) }).valid).toBe(false);
+  });
+
+  it('fails with a proof missing its last step', () => {
+    expect(verifyMerkleProof({ root: ROOT_OF_5, entryId: 'entry-2', proof: merkleProof(ENTRIES, 1).slice(0, -1) }).valid).toBe(false);
+  });
+
+  it('refuses an index outside the entries', () => {
+    expect(() => merkleProof(ENTRIES, 5)).toThrow();
+    expect(() => merkleProof(ENTRIES, -1)).toThrow();
+  });
+});
+
+describe('drawWinnerIndex', () => {
+  it.each([
+    [1, 0],
+    [5, 2],
+    [7, 2],
+    [1000, 917],
+    [123457, 37638],
+  ])('matches the raffle service with %i entries', (count, expected) => {
+    expect(drawWinnerIndex(ROOT_OF_5, SEED, count)).toBe(expected);
+  });
+
+  it('matches the raffle service for its placeholder root', () => {
+    expect(drawWinnerIndex('mockMerkleRoot', SEED, 7)).toBe(1);
+  });
+
+  it('refuses a draw without entries', () => {
+    expect(() => drawWinnerIndex(ROOT_OF_5, SEED, 0)).toThrow();
+  });
+});
+
+describe('reproduceDraw', () => {
+  it('reproduces the published root and winner', () => {
+    const draw = reproduceDraw({ merkleRoot: ROOT_OF_5, externalSeed: SEED, entryIds: ENTRIES, winnerEntryId: 'entry-3' });
+    expect(draw).toMatchObject({ rootMatches: true, winnerIndex: 2, winnerEntryId: 'entry-3', winnerMatches: true });
+    expect(draw.drawHash).toBe('916b9407af0ac6df4924ddcc8f2a19870d9fe410d69f17d6fa78b6b3d6220eb5');
+  });
+
+  it('flags a list of entries that does not hash to the root', () => {
+    const draw = reproduceDraw({ merkleRoot: ROOT_OF_5, externalSeed: SEED, entryIds: ENTRIES.slice(0, 4), winnerEntryId: 'entry-3' });
+    expect(draw.rootMatches).toBe(false);
+  });
+});
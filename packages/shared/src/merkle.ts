@@ -0,0 +1,207 @@
+// Merkle proof checking and draw reproduction for raffles, for the admin and mobile apps.
+//
+// Mirrors the raffle service (domain/service/MerkleTree.kt and util/HashingUtil.kt):
+// - a leaf is the SHA-256 of the entry id, as lowercase hex
+// - a parent is the SHA-256 of its two child hashes concatenated in lexicographic order,
+//   so proofs need no left/right flags
+// - the last node of an odd level is paired with itself
+// - the winner is entries[sha256(sorted(merkleRoot, externalSeed)) mod entries.length]
+//
+// SHA-256 is implemented here because React Native has no WebCrypto.
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+function utf8Bytes(input: string): number[] {
+  const bytes: number[] = [];
+  for (let i = 0; i < input.length; i++) {
+    let code = input.charCodeAt(i);
+    if (code >= 0xd800 && code < 0xdc00 && i + 1 < input.length) {
+      code = 0x10000 + ((code - 0xd800) << 10) + (input.charCodeAt(++i) - 0xdc00);
+    }
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return bytes;
+}
+
+const rotr = (value: number, bits: number) => (value >>> bits) | (value << (32 - bits));
+
+/** SHA-256 of the UTF-8 bytes of a string, as lowercase hex */
+export function sha256Hex(input: string): string {
+  const bytes = utf8Bytes(input);
+  const bitLength = bytes.length * 8;
+  bytes.push(0x80);
+  while (bytes.length % 64 !== 56) bytes.push(0);
+  // Message length as a 64-bit big-endian integer
+  const high = Math.floor(bitLength / 0x100000000);
+  for (let shift = 24; shift >= 0; shift -= 8) bytes.push((high >>> shift) & 0xff);
+  for (let shift = 24; shift >= 0; shift -= 8) bytes.push((bitLength >>> shift) & 0xff);
+
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Array<number>(64);
+
+  for (let offset = 0; offset < bytes.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+
+  return hash.map((value) => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+export function hashLeaf(entryId: string): string {
+  return sha256Hex(entryId);
+}
+
+/** Hash of two sibling nodes, independent of their order */
+export function hashPair(a: string, b: string): string {
+  return sha256Hex(a < b ? a + b : b + a);
+}
+
+function nextLevel(level: string[]): string[] {
+  const next: string[] = [];
+  for (let i = 0; i < level.length; i += 2) {
+    next.push(hashPair(level[i], i + 1 < level.length ? level[i + 1] : level[i]));
+  }
+  return next;
+}
+
+/** Root of the tree over the entries, in the order the raffle service committed them */
+export function merkleRoot(entryIds: string[]): string {
+  if (entryIds.length === 0) {
+    throw new Error('A Merkle tree cannot be built from an empty list of entries');
+  }
+  let level = entryIds.map(hashLeaf);
+  while (level.length > 1) level = nextLevel(level);
+  return level[0];
+}
+
+/** Sibling hashes from the leaf of `entryIds[index]` up to the root */
+export function merkleProof(entryIds: string[], index: number): string[] {
+  if (index < 0 || index >= entryIds.length) {
+    throw new Error(`Entry index ${index} is outside the ${entryIds.length} entries`);
+  }
+  const proof: string[] = [];
+  let level = entryIds.map(hashLeaf);
+  let position = index;
+  while (level.length > 1) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    proof.push(level[sibling < level.length ? sibling : position]);
+    level = nextLevel(level);
+    position = Math.floor(position / 2);
+  }
+  return proof;
+}
+
+export type MerkleProofStep = { sibling: string; result: string };
+
+export type MerkleVerification = {
+  valid: boolean;
+  leaf: string;
+  computedRoot: string;
+  /** Every hashing step, so the check can be shown and followed by hand */
+  steps: MerkleProofStep[];
+};
+
+/**
+ * Recomputes the root from an entry and its proof and compares it with the
+ * published root.
+ */
+export function verifyMerkleProof({ root, entryId, proof }: { root: string; entryId: string; proof: string[] }): MerkleVerification {
+  const leaf = hashLeaf(entryId);
+  const steps: MerkleProofStep[] = [];
+  let current = leaf;
+  for (const sibling of proof) {
+    current = hashPair(current, sibling.toLowerCase());
+    steps.push({ sibling, result: current });
+  }
+  return { valid: current === root.toLowerCase(), leaf, computedRoot: current, steps };
+}
+
+/** Remainder of a hex number, computed digit by digit to stay within safe integers */
+function hexMod(hex: string, modulus: number): number {
+  let remainder = 0;
+  for (const digit of hex) {
+    remainder = (remainder * 16 + parseInt(digit, 16)) % modulus;
+  }
+  return remainder;
+}
+
+export function drawWinnerIndex(root: string, externalSeed: string, entryCount: number): number {
+  if (entryCount <= 0) {
+    throw new Error('The draw needs at least one entry');
+  }
+  return hexMod(hashPair(root, externalSeed), entryCount);
+}
+
+export type DrawReproduction = {
+  /** Whether the entries hash to the published root */
+  rootMatches: boolean;
+  computedRoot: string;
+  drawHash: string;
+  winnerIndex: number;
+  winnerEntryId: string;
+  /** Whether the reproduced winner is the published one (null when none was published) */
+  winnerMatches: boolean | null;
+};
+
+/**
+ * Runs the draw again from the published root, the external seed and the full
+ * list of entries.
+ */
+export function reproduceDraw({ merkleRoot: root, externalSeed, entryIds, winnerEntryId }: {
+  merkleRoot: string;
+  externalSeed: string;
+  entryIds: string[];
+  winnerEntryId?: string | null;
+}): DrawReproduction {
+  const computedRoot = merkleRoot(entryIds);
+  const winnerIndex = drawWinnerIndex(root, externalSeed, entryIds.length);
+  return {
+    rootMatches: computedRoot === root.toLowerCase(),
+    computedRoot,
+    drawHash: hashPair(root, externalSeed),
+    winnerIndex,
+    winnerEntryId: entryIds[winnerIndex],
+    winnerMatches: winnerEntryId ? entryIds[winnerIndex] === winnerEntryId : null,
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * Resilience mode: the coupon and raffle flows run through the chaos proxy
+ * (mock-server/chaos-proxy.js), which injects throttling, unavailability,
+ * slow answers, connection resets and truncated JSON inside a fault window.
+ *
+ * Every write goes through the client retry policy of lib/retry.js. After
+ * each step the backend state is read back past the proxy to tell whether a
+ * retried redemption credited its tickets twice or a retried participation
+ * was booked twice. Run it with scripts/run-k6-chaos.sh.
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { Counter, Trend } from 'k6/metrics';
+import {
+  BASE_URL,
+  couponClient,
+  dashboardClient,
+  healthClient,
+  raffleClient,
+  checkResponse,
+  parseJson,
+  has,
+  createTokenPool,
+  stationFeed,
+  generateCouponPurchase,
+  generateCouponRedemption,
+  randomItem,
+  randomInt,
+  ENDPOINT_TAGS,
+  sendWithRetry,
+  RETRY_POLICY,
+  chaosPhase,
+  windowEnd,
+  resilienceThresholds,
+  resilienceSummary,
+  resilienceMarkdown,
+  CHAOS_BYPASS_HEADER,
+  CHAOS_CONTROL_PATH,
+  junitXml,
+} from './lib/index.js';
+
+const journeys = new Counter('chaos_journeys');
+const recoveryTime = new Trend('chaos_time_to_recovery', true);
+const doubleRedemptions = new Counter('chaos_double_redemptions');
+const duplicateParticipations = new Counter('chaos_duplicate_participations');
+const unverifiedJourneys = new Counter('chaos_unverified_journeys');
+
+// Longest acceptable wait, after the fault window, for a VU's first clean journey
+const MAX_RECOVERY_MS = parseInt(__ENV.CHAOS_MAX_RECOVERY_MS || '30000', 10);
+
+// Verification reads skip the fault injection
+const BYPASS = { headers: { [CHAOS_BYPASS_HEADER]: 'true' } };
+
+// Tracking-only thresholds keep the per-reason and per-phase figures in the summary
+const TRACKING_THRESHOLDS = resilienceThresholds();
+
+const CHAOS_THRESHOLDS = {
+  chaos_double_redemptions: ['count==0'],
+  chaos_duplicate_participations: ['count==0'],
+  chaos_time_to_recovery: [`max<${MAX_RECOVERY_MS}`],
+  // Outside the fault window the flows must be as healthy as without the proxy
+  'http_req_failed{chaos_phase:before}': ['rate<0.01'],
+  'http_req_failed{chaos_phase:after}': ['rate<0.01'],
+};
+
+export const options = {
+  scenarios: {
+    chaos: {
+      executor: 'constant-vus',
+      exec: 'chaosJourney',
+      vus: parseInt(__ENV.CHAOS_VUS || '10', 10),
+      duration: __ENV.CHAOS_DURATION || '5m',
+    },
+  },
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'count'],
+  thresholds: { ...TRACKING_THRESHOLDS, ...CHAOS_THRESHOLDS },
+};
+
+// Per-VU pool of test accounts with automatic token refresh
+const tokens = createTokenPool();
+
+// Set once this VU completed a clean journey after the fault window
+let recovered = false;
+
+// Sends a request of the flow with retries, tagged with the phase it ran in
+function retried(endpoint, send, session, phase, idempotent = false) {
+  const tags = { chaos_phase: phase };
+  return sendWithRetry(
+    () => tokens.request((token, extra) => send(token, { ...extra, tags }), session),
+    { endpoint, idempotent, tags }
+  );
+}
+
+// Dashboard totals read past the proxy, or null when they cannot be read
+function snapshot(session) {
+  const response = tokens.request((token, extra) => dashboardClient.user(token, { ...extra, ...BYPASS }), session);
+  return response && response.status === 200 ? parseJson(response) : null;
+}
+
+// Tickets the redemption generated, from its answer or, when that was lost, from the coupon itself
+function ticketsOf(response, qrCode, session) {
+  const body = response.status === 200 ? parseJson(response) : null;
+  if (body && body.ticketsGenerated !== undefined) return body.ticketsGenerated;
+
+  const listed = tokens.request((token, extra) => couponClient.list(token, { size: 50 }, { ...extra, ...BYPASS }), session);
+  const page = listed && listed.status === 200 ? parseJson(listed) : null;
+  const coupon = page && Array.isArray(page.content) ? page.content.find((item) => item.qrCode === qrCode) : null;
+  return coupon && coupon.ticketsGenerated !== undefined ? coupon.ticketsGenerated : null;
+}
+
+// One purchase, redemption and raffle participation. Returns whether it went through without a retry.
+function journey(session, phase) {
+  const tags = { chaos_phase: phase };
+  const station = randomItem(stationFeed);
+  let clean = true;
+
+  const before = snapshot(session);
+  if (!before) {
+    unverifiedJourneys.add(1, tags);
+    return false;
+  }
+
+  const purchase = generateCouponPurchase(station);
+  const bought = retried(ENDPOINT_TAGS.couponCreation, (token, extra) => couponClient.purchase(token, purchase, extra), session, phase);
+  if (!bought.response) return false;
+  clean = clean && bought.attempts === 1;
+  if (!checkResponse(bought.response, 'coupon creation', { status: [200, 201], body: { 'returns coupon': has.qrCode } })) {
+    return false;
+  }
+  const coupon = parseJson(bought.response);
+
+  const redemption = generateCouponRedemption(coupon.qrCode, station, coupon);
+  const redeemed = retried(ENDPOINT_TAGS.couponRedemption, (token, extra) => couponClient.redeem(token, redemption, extra), session, phase);
+  if (!redeemed.response) return false;
+  clean = clean && redeemed.attempts === 1;
+  // When the first answer was lost, the retry finds the coupon already redeemed
+  const redeemStatuses = redeemed.attempts > 1 ? [200, 409] : [200];
+  if (!checkResponse(redeemed.response, 'coupon redemption', { status: redeemStatuses })) return false;
+
+  const afterRedemption = snapshot(session);
+  const ticketsGenerated = ticketsOf(redeemed.response, coupon.qrCode, session);
+  if (!afterRedemption || ticketsGenerated === null) {
+    unverifiedJourneys.add(1, tags);
+    return false;
+  }
+  if (afterRedemption.totalTickets - before.totalTickets > ticketsGenerated) {
+    doubleRedemptions.add(1, tags);
+  }
+
+  const active = retried(ENDPOINT_TAGS.rafflesActive, (token, extra) => raffleClient.active(token, extra), session, phase, true);
+  if (!active.response) return false;
+  clean = clean && active.attempts === 1;
+  if (!checkResponse(active.response, 'active raffles', { body: { 'returns raffles': has.raffles } })) return false;
+
+  const raffle = parseJson(active.response).raffles
+    .find((candidate) => (candidate.ticketCost || 1) <= afterRedemption.availableTickets);
+  if (!raffle) return clean;
+
+  const participation = { raffleId: raffle.id, ticketsToUse: raffle.ticketCost || 1 };
+  const joined = retried(ENDPOINT_TAGS.raffleParticipation, (token, extra) => raffleClient.participate(token, participation, extra), session, phase);
+  if (!joined.response) return false;
+  clean = clean && joined.attempts === 1;
+  const participated = checkResponse(joined.response, 'raffle participation');
+
+  const afterParticipation = snapshot(session);
+  if (!afterParticipation) {
+    unverifiedJourneys.add(1, tags);
+    return false;
+  }
+  const spent = afterRedemption.availableTickets - afterParticipation.availableTickets;
+  if (spent > participation.ticketsToUse) {
+    duplicateParticipations.add(Math.round(spent / participation.ticketsToUse) - 1, tags);
+  }
+
+  return clean && participated;
+}
+
+export function chaosJourney(data) {
+  const armedAt = data.armedAt;
+  const phase = chaosPhase(data.window, armedAt, Date.now());
+  const session = tokens.acquire();
+
+  if (session) {
+    journeys.add(1, { chaos_phase: phase });
+    const clean = journey(session, phase);
+
+    // Time to recovery: from the end of the fault window to this VU's first clean journey
+    if (clean && phase === 'after' && !recovered) {
+      recoveryTime.add(Date.now() - windowEnd(data.window, armedAt));
+      recovered = true;
+    }
+  }
+
+  sleep(randomInt(1, 3));
+}
+
+// Setup and teardown
+export function setup() {
+  console.log('Starting resilience tests...');
+  console.log(`Base URL: ${BASE_URL}`);
+  console.log(`Retry policy: ${RETRY_POLICY.maxAttempts} attempts, backoff ${RETRY_POLICY.baseMs}-${RETRY_POLICY.maxMs}ms`);
+
+  const health = healthClient.check();
+  if (health.status !== 200) {
+    console.error('Application is not healthy behind the proxy');
+  }
+
+  // Starts the fault window now; its settings come from the proxy
+  const armed = http.post(`${BASE_URL}${CHAOS_CONTROL_PATH}/arm`, null, { tags: { endpoint: 'chaos_control' } });
+  const state = armed.status === 200 ? parseJson(armed) : null;
+  if (!state) {
+    console.warn(`No chaos proxy answered at ${BASE_URL}${CHAOS_CONTROL_PATH}, faults are not injected`);
+    return { armedAt: Date.now(), window: null };
+  }
+
+  const window = state.window;
+  console.log(window
+    ? `Fault window: ${window.startSeconds}s to ${window.endSeconds}s from now`
+    : 'Fault window: whole run');
+  return { armedAt: Date.now(), window };
+}
+
+export function teardown() {
+  const response = http.get(`${BASE_URL}${CHAOS_CONTROL_PATH}`, { tags: { endpoint: 'chaos_control' } });
+  const state = response.status === 200 ? parseJson(response) : null;
+  if (state) {
+    console.log(`Injected faults: ${JSON.stringify(state.injected)}, forwarded requests: ${state.forwarded}`);
+  }
+  console.log('Resilience tests completed');
+}
+
+export function handleSummary(data) {
+  const window = data.setup_data ? data.setup_data.window : null;
+  const summary = resilienceSummary(data, { window });
+  const markdown = resilienceMarkdown(summary);
+  const hideThreshold = (metric) => metric in TRACKING_THRESHOLDS && !(metric in CHAOS_THRESHOLDS);
+
+  return {
+    stdout: `\n${markdown}\n`,
+    'chaos-test-results.json': JSON.stringify(data, null, 2),
+    'chaos-resilience-report.json': JSON.stringify(summary, null, 2),
+    'chaos-resilience-report.md': markdown,
+    'chaos-test-junit.xml': junitXml(data, { name: 'chaos-test-suite', hideThreshold }),
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Per-VU token pool.
+ *
+ * Every k6 VU runs its own copy of this module, so module state is private to
+ * the VU. Each VU owns a disjoint slice of the deterministic test accounts,
+ * keeps their tokens fresh (refreshing shortly before expiry) and logs in
+ * again when a business endpoint answers 401.
+ */
+
+import http from 'k6/http';
+import exec from 'k6/execution';
+import encoding from 'k6/encoding';
+import { authClient } from './clients.js';
+import { parseJson } from './checks.js';
+import { testUser } from './data.js';
+import { authFailureRate, tokenRefreshes, reLogins } from './metrics.js';
+
+const ACCOUNTS_PER_VU = parseInt(__ENV.ACCOUNTS_PER_VU || '3', 10);
+// Refresh this long before the token actually expires
+const REFRESH_MARGIN_MS = parseInt(__ENV.TOKEN_REFRESH_MARGIN_SECONDS || '60', 10) * 1000;
+// Used when neither `expiresIn` nor a JWT `exp` claim is available
+const DEFAULT_TOKEN_TTL_MS = parseInt(__ENV.TOKEN_TTL_SECONDS || '900', 10) * 1000;
+
+// A 401 on the first attempt is retried after re-login, so it must not count
+// towards http_req_failed. Declared in the init context as k6 requires.
+const FIRST_ATTEMPT_CALLBACK = http.expectedStatuses({ min: 200, max: 399 }, 401);
+// Same for the first login of an account that has not been registered yet
+const FIRST_LOGIN_CALLBACK = http.expectedStatuses({ min: 200, max: 399 }, 401, 404);
+
+const AUTH_TAGS = { tags: { token_pool: 'true' } };
+
+/**
+ * @typedef {Object} Session
+ * @property {import('./endpoints.js').TestUser} user
+ * @property {string|null} accessToken
+ * @property {string|null} refreshToken
+ * @property {number} expiresAt - Epoch millis
+ * @property {boolean} registered - Whether registration was already attempted
+ */
+
+/**
+ * Reads the `exp` claim of a JWT, in epoch millis.
+ * @param {string} token
+ * @returns {number|null}
+ */
+function jwtExpiry(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const claims = JSON.parse(encoding.b64decode(parts[1], 'rawurl', 's'));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Works out when a token issued by a login/refresh response expires.
+ * @param {Object} body - Parsed auth response
+ */
+function expiryOf(body) {
+  if (body.expiresIn) {
+    return Date.now() + body.expiresIn * 1000;
+  }
+  return jwtExpiry(body.accessToken) || Date.now() + DEFAULT_TOKEN_TTL_MS;
+}
+
+/**
+ * Stores the tokens of a successful auth response in the session.
+ * @param {Session} session
+ * @param {import('k6/http').RefinedResponse} response
+ * @returns {boolean}
+ */
+function applyTokens(session, response) {
+  const body = response.status === 200 ? parseJson(response) : null;
+  const ok = Boolean(body && body.accessToken);
+
+  authFailureRate.add(!ok);
+  if (!ok) return false;
+
+  session.accessToken = body.accessToken;
+  session.refreshToken = body.refreshToken || session.refreshToken;
+  session.expiresAt = expiryOf(body);
+  return true;
+}
+
+/**
+ * @param {Session} session
+ * @returns {boolean}
+ */
+function login(session) {
+  if (session.registered) {
+    return applyTokens(session, authClient.login(session.user, AUTH_TAGS));
+  }
+
+  // First login of this account: it may not exist yet, which is not a failure
+  const response = authClient.login(session.user, { ...AUTH_TAGS, responseCallback: FIRST_LOGIN_CALLBACK });
+  session.registered = true;
+  if (response.status === 200) {
+    return applyTokens(session, response);
+  }
+
+  const registration = authClient.register(session.user, AUTH_TAGS);
+  authFailureRate.add(registration.status !== 201 && registration.status !== 409);
+  return applyTokens(session, authClient.login(session.user, AUTH_TAGS));
+}
+
+/**
+ * @param {Session} session
+ * @returns {boolean}
+ */
+function refresh(session) {
+  if (!session.refreshToken) return login(session);
+
+  tokenRefreshes.add(1);
+  if (applyTokens(session, authClient.refresh(session.refreshToken, AUTH_TAGS))) {
+    return true;
+  }
+  return login(session);
+}
+
+/**
+ * @param {Session} session
+ */
+function invalidate(session) {
+  session.accessToken = null;
+  session.refreshToken = null;
+  session.expiresAt = 0;
+}
+
+/**
+ * Creates the token pool for the current VU.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.accountsPerVu] - Accounts owned by each VU
+ * @param {import('./endpoints.js').TestUser[]} [options.accounts] - Explicit accounts, overrides the generated slice
+ */
+export function createTokenPool(options = {}) {
+  const accountsPerVu = options.accountsPerVu || ACCOUNTS_PER_VU;
+  let sessions = null;
+  let cursor = 0;
+
+  // Built lazily: the VU id is not known in the init context
+  function getSessions() {
+    if (sessions) return sessions;
+
+    let accounts = options.accounts;
+    if (!accounts) {
+      const vuIndex = Math.max(exec.vu.idInTest - 1, 0);
+      accounts = [];
+      for (let i = 0; i < accountsPerVu; i++) {
+        accounts.push(testUser(vuIndex * accountsPerVu + i));
+      }
+    }
+
+    sessions = accounts.map((user) => ({
+      user,
+      accessToken: null,
+      refreshToken: null,
+      expiresAt: 0,
+      registered: false,
+    }));
+    return sessions;
+  }
+
+  /**
+   * Makes sure the session holds a token that is not about to expire.
+   * @param {Session} session
+   * @returns {Session|null} null when authentication failed
+   */
+  function ready(session) {
+    if (!session.accessToken) {
+      return login(session) ? session : null;
+    }
+    if (Date.now() >= session.expiresAt - REFRESH_MARGIN_MS) {
+      return refresh(session) ? session : null;
+    }
+    return session;
+  }
+
+  /**
+   * Returns the next account of this VU with a usable access token.
+   * @returns {Session|null} null when authentication failed
+   */
+  function acquire() {
+    const all = getSessions();
+    const session = all[cursor];
+    cursor = (cursor + 1) % all.length;
+    return ready(session);
+  }
+
+  /**
+   * Runs an authenticated request. `send(token, extra)` must pass `extra`
+   * through to the endpoint client. A 401 triggers a single re-login and retry.
+   * Pass `session` to keep several calls of one journey on the same account.
+   *
+   * @param {function(string, Object): import('k6/http').RefinedResponse} send
+   * @param {Session} [session]
+   * @returns {import('k6/http').RefinedResponse|null} null when no token could be obtained
+   */
+  function request(send, session) {
+    const current = session ? ready(session) : acquire();
+    if (!current) return null;
+
+    const response = send(current.accessToken, { responseCallback: FIRST_ATTEMPT_CALLBACK });
+    if (response.status !== 401) return response;
+
+    reLogins.add(1);
+    invalidate(current);
+    if (!login(current)) return response;
+
+    return send(current.accessToken, {});
+  }
+
+  /**
+   * Access token of the next account, for code paths that cannot retry.
+   * @returns {string|null}
+   */
+  function token() {
+    const session = acquire();
+    return session ? session.accessToken : null;
+  }
+
+  return { acquire, request, token };
+}
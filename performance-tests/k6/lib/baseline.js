@@ -0,0 +1,254 @@
+/**
+ * Baseline comparison for k6 summaries.
+ *
+ * Per-endpoint statistics only exist in the end-of-test summary when the
+ * matching sub-metrics are referenced by a threshold, so suites register
+ * no-op tracking thresholds with `endpointThresholds()`. The comparison then
+ * reads `http_req_duration{endpoint:<tag>}` and `http_req_failed{endpoint:<tag>}`
+ * from the current and the baseline summary.
+ *
+ * k6 cannot change its exit code from handleSummary, so the verdict is
+ * written to a JSON file for CI to gate on (e.g. `jq -e '.verdict != "fail"'`).
+ *
+ * This module has no k6 imports so it can be exercised with plain Node.
+ */
+
+/**
+ * @typedef {Object} EndpointStats
+ * @property {number|null} p95 - Milliseconds
+ * @property {number|null} p99 - Milliseconds
+ * @property {number|null} errorRate - 0..1
+ * @property {number|null} requests
+ */
+
+/**
+ * @typedef {Object} Tolerances
+ * @property {number} p95 - Allowed relative p95 increase (0.2 = +20%)
+ * @property {number} p99 - Allowed relative p99 increase
+ * @property {number} errorRate - Allowed absolute error-rate increase (0.01 = +1 point)
+ * @property {number} minDeltaMs - Latency increases smaller than this are noise
+ */
+
+// Trend stats needed in the summary for the comparison
+export const SUMMARY_TREND_STATS = ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'];
+
+/** @type {Tolerances} */
+export const DEFAULT_TOLERANCES = {
+  p95: 0.2,
+  p99: 0.25,
+  errorRate: 0.01,
+  minDeltaMs: 5,
+};
+
+const LATENCY_FIELDS = [
+  { field: 'p95', stat: 'p(95)' },
+  { field: 'p99', stat: 'p(99)' },
+];
+
+/**
+ * Thresholds that always pass but make k6 keep per-endpoint sub-metrics.
+ * @param {string[]} endpoints - Values of the `endpoint` tag
+ * @returns {Object<string, string[]>}
+ */
+export function endpointThresholds(endpoints) {
+  const thresholds = {};
+  endpoints.forEach((endpoint) => {
+    thresholds[`http_req_duration{endpoint:${endpoint}}`] = ['max>=0'];
+    thresholds[`http_req_failed{endpoint:${endpoint}}`] = ['rate>=0'];
+    thresholds[`http_reqs{endpoint:${endpoint}}`] = ['count>=0'];
+  });
+  return thresholds;
+}
+
+/**
+ * Reads tolerances from environment-style settings, falling back to the defaults.
+ * @param {Object<string, string|undefined>} env
+ * @returns {Tolerances}
+ */
+export function tolerancesFromEnv(env) {
+  const read = (name, fallback) => (env[name] !== undefined && env[name] !== '' ? parseFloat(env[name]) : fallback);
+  return {
+    p95: read('BASELINE_TOLERANCE_P95', DEFAULT_TOLERANCES.p95),
+    p99: read('BASELINE_TOLERANCE_P99', DEFAULT_TOLERANCES.p99),
+    errorRate: read('BASELINE_TOLERANCE_ERROR_RATE', DEFAULT_TOLERANCES.errorRate),
+    minDeltaMs: read('BASELINE_MIN_DELTA_MS', DEFAULT_TOLERANCES.minDeltaMs),
+  };
+}
+
+// Summary values live under `values` in k6 >= 0.30 and at the top level in older exports
+function metricValues(metric) {
+  if (!metric) return null;
+  return metric.values || metric;
+}
+
+function valueOrNull(value) {
+  return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+}
+
+/**
+ * Extracts per-endpoint statistics from a k6 summary (`handleSummary` data or
+ * a `performance-test-results.json` export). Also accepts a previous
+ * `performance-baseline-verdict.json`, so either file can be promoted to baseline.
+ *
+ * @param {Object} summary
+ * @returns {Object<string, EndpointStats>}
+ */
+export function extractEndpointStats(summary) {
+  if (!summary) return {};
+  if (!summary.metrics && summary.current) return summary.current.endpoints || {};
+
+  const stats = {};
+  const ensure = (endpoint) => {
+    stats[endpoint] = stats[endpoint] || { p95: null, p99: null, errorRate: null, requests: null };
+    return stats[endpoint];
+  };
+
+  Object.entries(summary.metrics || {}).forEach(([name, metric]) => {
+    const match = /^(http_req_duration|http_req_failed|http_reqs)\{endpoint:([^,}]+)\}$/.exec(name);
+    if (!match) return;
+
+    const values = metricValues(metric);
+    const entry = ensure(match[2]);
+    if (match[1] === 'http_req_duration') {
+      LATENCY_FIELDS.forEach(({ field, stat }) => {
+        entry[field] = valueOrNull(values[stat]);
+      });
+    } else if (match[1] === 'http_req_failed') {
+      entry.errorRate = valueOrNull(values.rate);
+    } else {
+      entry.requests = valueOrNull(values.count);
+    }
+  });
+
+  return stats;
+}
+
+function compareLatency(field, baseline, current, tolerances) {
+  const delta = current - baseline;
+  const deltaPct = baseline > 0 ? delta / baseline : null;
+  const regressed = delta > tolerances.minDeltaMs && deltaPct !== null && deltaPct > tolerances[field];
+  return { metric: field, baseline, current, delta, deltaPct, tolerance: tolerances[field], regressed };
+}
+
+function compareErrorRate(baseline, current, tolerances) {
+  const delta = current - baseline;
+  return {
+    metric: 'errorRate',
+    baseline,
+    current,
+    delta,
+    deltaPct: baseline > 0 ? delta / baseline : null,
+    tolerance: tolerances.errorRate,
+    regressed: delta > tolerances.errorRate,
+  };
+}
+
+/**
+ * Compares the current run to a baseline.
+ *
+ * @param {Object<string, EndpointStats>} current
+ * @param {Object<string, EndpointStats>|null} baseline - null when no baseline was provided
+ * @param {Tolerances} [tolerances]
+ * @returns {{ verdict: 'pass'|'fail'|'no-baseline', tolerances: Tolerances, regressions: Object[], endpoints: Object[] }}
+ */
+export function compareToBaseline(current, baseline, tolerances = DEFAULT_TOLERANCES) {
+  if (!baseline) {
+    return { verdict: 'no-baseline', tolerances, regressions: [], endpoints: [] };
+  }
+
+  // An endpoint only counts when it actually received traffic
+  const exercised = (stats) => Boolean(stats && stats.requests !== 0 && stats.p95 !== null);
+
+  const names = Object.keys({ ...baseline, ...current })
+    .filter((endpoint) => exercised(baseline[endpoint]) || exercised(current[endpoint]))
+    .sort();
+  const endpoints = names.map((endpoint) => {
+    const before = baseline[endpoint];
+    const after = current[endpoint];
+    const hasBefore = exercised(before);
+    const hasAfter = exercised(after);
+
+    if (!hasBefore || !hasAfter) {
+      return { endpoint, status: hasAfter ? 'new' : 'missing', comparisons: [] };
+    }
+
+    const comparisons = LATENCY_FIELDS
+      .filter(({ field }) => before[field] !== null && after[field] !== null)
+      .map(({ field }) => compareLatency(field, before[field], after[field], tolerances));
+    if (before.errorRate !== null && after.errorRate !== null) {
+      comparisons.push(compareErrorRate(before.errorRate, after.errorRate, tolerances));
+    }
+
+    const status = comparisons.some((comparison) => comparison.regressed) ? 'regression' : 'ok';
+    return { endpoint, status, comparisons };
+  });
+
+  const regressions = [];
+  endpoints.forEach(({ endpoint, comparisons }) => {
+    comparisons
+      .filter((comparison) => comparison.regressed)
+      .forEach((comparison) => regressions.push({ endpoint, ...comparison }));
+  });
+
+  return { verdict: regressions.length > 0 ? 'fail' : 'pass', tolerances, regressions, endpoints };
+}
+
+function formatMs(value) {
+  return value === null || value === undefined ? '-' : `${value.toFixed(1)}ms`;
+}
+
+function formatRate(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(2)}%`;
+}
+
+function formatDelta(comparison) {
+  if (comparison.metric === 'errorRate') {
+    const points = comparison.delta * 100;
+    return `${points >= 0 ? '+' : ''}${points.toFixed(2)} pts`;
+  }
+  if (comparison.deltaPct === null) return formatMs(comparison.delta);
+  const pct = comparison.deltaPct * 100;
+  return `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`;
+}
+
+const METRIC_LABELS = { p95: 'p95', p99: 'p99', errorRate: 'error rate' };
+
+/**
+ * Renders the comparison as a Markdown report with one row per endpoint metric.
+ * @param {ReturnType<typeof compareToBaseline>} comparison
+ * @returns {string}
+ */
+export function markdownDiff(comparison) {
+  if (comparison.verdict === 'no-baseline') {
+    return '## Baseline comparison\n\nNo baseline provided (set BASELINE_FILE), nothing to compare.\n';
+  }
+
+  const { tolerances } = comparison;
+  const lines = [
+    '## Baseline comparison',
+    '',
+    `**Verdict:** ${comparison.verdict === 'fail' ? `FAIL (${comparison.regressions.length} regression(s))` : 'PASS'}`,
+    '',
+    `Tolerances: p95 +${(tolerances.p95 * 100).toFixed(0)}%, p99 +${(tolerances.p99 * 100).toFixed(0)}%, ` +
+      `error rate +${(tolerances.errorRate * 100).toFixed(2)} pts, latency deltas under ${tolerances.minDeltaMs}ms ignored`,
+    '',
+    '| Endpoint | Metric | Baseline | Current | Delta | Status |',
+    '| --- | --- | ---: | ---: | ---: | --- |',
+  ];
+
+  comparison.endpoints.forEach(({ endpoint, status, comparisons }) => {
+    if (comparisons.length === 0) {
+      lines.push(`| ${endpoint} | - | - | - | - | ${status} |`);
+      return;
+    }
+    comparisons.forEach((entry) => {
+      const format = entry.metric === 'errorRate' ? formatRate : formatMs;
+      lines.push(
+        `| ${endpoint} | ${METRIC_LABELS[entry.metric]} | ${format(entry.baseline)} | ${format(entry.current)} | ` +
+          `${formatDelta(entry)} | ${entry.regressed ? '**regression**' : 'ok'} |`
+      );
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
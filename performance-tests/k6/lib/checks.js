@@ -0,0 +1,67 @@
+/**
+ * Check helpers. They keep the check names consistent across suites
+ * ("<label> status is 200", "<label> response time < 300ms") and record
+ * the shared custom metrics for every checked response.
+ */
+
+import { check } from 'k6';
+import { recordRequest } from './metrics.js';
+
+/**
+ * Parses a JSON body, returning null instead of throwing.
+ * @param {import('k6/http').RefinedResponse} response
+ */
+export function parseJson(response) {
+  try {
+    return JSON.parse(response.body);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Runs the standard checks for a response and records it in the custom metrics.
+ *
+ * @param {import('k6/http').RefinedResponse} response
+ * @param {string} label - Human readable endpoint name used in check names
+ * @param {Object} [expectations]
+ * @param {number|number[]} [expectations.status=200] - Accepted status code(s)
+ * @param {number} [expectations.maxDuration] - Response time budget in ms
+ * @param {Object<string, function(Object): boolean>} [expectations.body] - Named predicates on the parsed JSON body
+ * @returns {boolean} Whether every check passed
+ */
+export function checkResponse(response, label, expectations = {}) {
+  const statuses = [].concat(expectations.status || 200);
+  const checks = {
+    [`${label} status is ${statuses.join(' or ')}`]: (r) => statuses.indexOf(r.status) !== -1,
+  };
+
+  if (expectations.maxDuration) {
+    checks[`${label} response time < ${expectations.maxDuration}ms`] = (r) => r.timings.duration < expectations.maxDuration;
+  }
+
+  if (expectations.body) {
+    const data = parseJson(response);
+    Object.entries(expectations.body).forEach(([name, predicate]) => {
+      checks[`${label} ${name}`] = () => data !== null && Boolean(predicate(data));
+    });
+  }
+
+  const success = check(response, checks);
+  recordRequest(response, success);
+  return success;
+}
+
+// Reusable body predicates
+export const has = {
+  accessToken: (data) => typeof data.accessToken === 'string' && data.accessToken.length > 0,
+  qrCode: (data) => typeof data.qrCode === 'string' && data.qrCode.length > 0,
+  ticketsGenerated: (data) => data.ticketsGenerated > 0,
+  redemptionId: (data) => typeof data.redemptionId === 'string' && data.redemptionId.length > 0,
+  adUrl: (data) => typeof data.adUrl === 'string' && data.adUrl.length > 0,
+  stations: (data) => Array.isArray(data.stations),
+  raffles: (data) => Array.isArray(data.raffles),
+  dashboardTotals: (data) => data.totalCoupons !== undefined &&
+    data.totalTickets !== undefined &&
+    data.totalSpent !== undefined,
+};
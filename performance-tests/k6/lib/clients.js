@@ -0,0 +1,162 @@
+/**
+ * Endpoint clients for the gateway. Every call is tagged with its
+ * `endpoint` name so thresholds and reports can be sliced per endpoint.
+ *
+ * The optional trailing `extra` argument is merged into the k6 request
+ * params (extra tags and headers, responseCallback, timeout...).
+ */
+
+import http from 'k6/http';
+import { API_URL, BASE_URL, REQUEST_TIMEOUT } from './config.js';
+import { PATHS, ENDPOINT_TAGS, payloads, stationSearchQuery } from './endpoints.js';
+
+/**
+ * Builds request headers, adding the bearer token when one is given.
+ * @param {string|null} [token]
+ */
+export function authHeaders(token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return headers;
+}
+
+function params(token, endpoint, extra = {}) {
+  return {
+    timeout: REQUEST_TIMEOUT,
+    ...extra,
+    headers: { ...(extra.headers || {}), ...authHeaders(token) },
+    tags: { ...(extra.tags || {}), endpoint },
+  };
+}
+
+function get(path, token, endpoint, extra) {
+  return http.get(`${API_URL}${path}`, params(token, endpoint, extra));
+}
+
+function post(path, body, token, endpoint, extra) {
+  return http.post(`${API_URL}${path}`, JSON.stringify(body), params(token, endpoint, extra));
+}
+
+export const healthClient = {
+  check(extra) {
+    return http.get(`${BASE_URL}${PATHS.health}`, params(null, ENDPOINT_TAGS.health, extra));
+  },
+};
+
+export const authClient = {
+  /** @param {import('./endpoints.js').TestUser} user */
+  register(user, extra) {
+    return post(PATHS.auth.register, payloads.register(user), null, ENDPOINT_TAGS.register, extra);
+  },
+
+  /** @param {import('./endpoints.js').TestUser} user */
+  login(user, extra) {
+    return post(PATHS.auth.login, payloads.login(user), null, ENDPOINT_TAGS.login, extra);
+  },
+
+  /** @param {string} refreshToken */
+  refresh(refreshToken, extra) {
+    return post(PATHS.auth.refresh, payloads.refresh(refreshToken), null, ENDPOINT_TAGS.refresh, extra);
+  },
+
+  /** @param {string} token */
+  profile(token, extra) {
+    return get(PATHS.auth.profile, token, ENDPOINT_TAGS.profile, extra);
+  },
+};
+
+export const stationClient = {
+  /**
+   * @param {string} token
+   * @param {{page?: number, size?: number}} [paging]
+   */
+  list(token, { page = 0, size = 20 } = {}, extra) {
+    return get(`${PATHS.stations.list}?page=${page}&size=${size}`, token, ENDPOINT_TAGS.stationList, extra);
+  },
+
+  /**
+   * @param {string} token
+   * @param {import('./endpoints.js').StationSearch} search
+   */
+  nearby(token, search, extra) {
+    return get(`${PATHS.stations.nearby}?${stationSearchQuery(search)}`, token, ENDPOINT_TAGS.stationSearch, extra);
+  },
+};
+
+export const couponClient = {
+  /**
+   * @param {string} token
+   * @param {{page?: number, size?: number}} [paging]
+   */
+  list(token, { page = 0, size = 10 } = {}, extra) {
+    return get(`${PATHS.coupons.list}?page=${page}&size=${size}&sort=createdAt,desc`, token, ENDPOINT_TAGS.couponList, extra);
+  },
+
+  /**
+   * @param {string} token
+   * @param {import('./endpoints.js').CouponPurchase} purchase
+   */
+  purchase(token, purchase, extra) {
+    return post(PATHS.coupons.purchase, payloads.couponPurchase(purchase), token, ENDPOINT_TAGS.couponCreation, extra);
+  },
+
+  /**
+   * @param {string} token
+   * @param {import('./endpoints.js').CouponRedemption} redemption
+   */
+  redeem(token, redemption, extra) {
+    return post(PATHS.coupons.redeem, payloads.couponRedemption(redemption), token, ENDPOINT_TAGS.couponRedemption, extra);
+  },
+
+  /** @param {string} token */
+  statistics(token, extra) {
+    return get(PATHS.coupons.statistics, token, ENDPOINT_TAGS.couponStatistics, extra);
+  },
+};
+
+export const raffleClient = {
+  /** @param {string} token */
+  active(token, extra) {
+    return get(PATHS.raffles.active, token, ENDPOINT_TAGS.rafflesActive, extra);
+  },
+
+  /**
+   * @param {string} token
+   * @param {import('./endpoints.js').RaffleParticipation} participation
+   */
+  participate(token, participation, extra) {
+    return post(PATHS.raffles.participate, payloads.raffleParticipation(participation), token, ENDPOINT_TAGS.raffleParticipation, extra);
+  },
+};
+
+export const dashboardClient = {
+  /** @param {string} token */
+  user(token, extra) {
+    return get(PATHS.dashboard.user, token, ENDPOINT_TAGS.dashboard, extra);
+  },
+};
+
+export const redemptionClient = {
+  /**
+   * Starts a redemption by scanning a dispenser QR. Negative cases pass their
+   * own `endpoint` tag so they are reported apart from the happy path.
+   * @param {string} token
+   * @param {string} qrCode
+   * @param {Object} [extra]
+   * @param {string} [endpoint]
+   */
+  redeemQr(token, qrCode, extra, endpoint = ENDPOINT_TAGS.qrRedemption) {
+    return post(PATHS.redemptions.create, payloads.qrRedemption(qrCode), token, endpoint, extra);
+  },
+
+  /**
+   * Confirms that the ad shown after a redemption was watched.
+   * @param {string} token
+   * @param {string} redemptionId
+   */
+  confirmAdWatched(token, redemptionId, extra) {
+    return post(PATHS.redemptions.confirm, payloads.adWatchConfirmation(redemptionId), token, ENDPOINT_TAGS.adWatch, extra);
+  },
+};
@@ -0,0 +1,13 @@
+/**
+ * Runtime configuration shared by every k6 suite.
+ *
+ * BASE_URL always points at the gateway root (no /api/v1 suffix) so the
+ * suites can reach both the versioned API and the actuator endpoints.
+ */
+
+export const BASE_URL = (__ENV.BASE_URL || 'http://localhost:8080').replace(/\/+$/, '');
+export const API_VERSION = '/api/v1';
+export const API_URL = `${BASE_URL}${API_VERSION}`;
+
+// Default per-request timeout used by the endpoint clients
+export const REQUEST_TIMEOUT = __ENV.REQUEST_TIMEOUT || '10s';
@@ -0,0 +1,72 @@
+/**
+ * Minimal CSV support for the fixture files: comma separated, first line is
+ * the header, fields may be double-quoted (with "" as an escaped quote).
+ *
+ * This module has no k6 imports so the fixture generator can use it too.
+ */
+
+function splitLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * Parses CSV text into one object per row, keyed by the header names.
+ * @param {string} text
+ * @returns {Object<string, string>[]}
+ */
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const headers = splitLine(lines[0]).map((header) => header.trim());
+  return lines.slice(1).map((line) => {
+    const fields = splitLine(line);
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = fields[index] !== undefined ? fields[index] : '';
+    });
+    return row;
+  });
+}
+
+function quote(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows to CSV using the given column order.
+ * @param {Object[]} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach((row) => lines.push(columns.map((column) => quote(row[column])).join(',')));
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,183 @@
+/**
+ * Test data generators shared by the k6 suites.
+ *
+ * Stations, users, fuel types and coupon amounts come from the fixture feeds.
+ * Every random choice goes through a per-VU generator seeded from DATA_SEED,
+ * so two runs with the same seed and VU count pick the same data.
+ */
+
+import exec from 'k6/execution';
+import { createRandom } from './random.js';
+import { stationFeed, userFeed, fuelTypeFeed, couponAmountFeed } from './feeds.js';
+import { buildQrPayload, DEFAULT_QR_TTL_SECONDS } from './qr.js';
+
+export const TEST_PASSWORD = 'PerfTestPassword123!';
+
+// Without DATA_SEED every run gets its own seed
+const DATA_SEED = __ENV.DATA_SEED || `${Date.now()}-${Math.floor(Math.random() * 1e9)}`;
+
+// Keeps throw-away registrations unique across runs even with a fixed seed
+const RUN_STAMP = Date.now().toString(36);
+
+// Dispensers per station, numbered D01, D02...
+const DISPENSERS_PER_STATION = 8;
+
+// Search points are taken within this distance (in degrees, ~2km) of a station
+const SEARCH_JITTER = 0.02;
+
+let random = null;
+
+// Created lazily: the VU id is not known in the init context
+function rng() {
+  if (!random) {
+    random = createRandom(`${DATA_SEED}:${exec.vu.idInTest}`);
+  }
+  return random;
+}
+
+/**
+ * Seeded float in [0, 1), for picking scenario mixes.
+ */
+export function randomFloat() {
+  return rng().next();
+}
+
+/**
+ * Seeded integer in [min, max], both inclusive.
+ * @param {number} min
+ * @param {number} max
+ */
+export function randomInt(min, max) {
+  return rng().int(min, max);
+}
+
+/**
+ * @template T
+ * @param {ArrayLike<T>} items
+ * @returns {T}
+ */
+export function randomItem(items) {
+  return rng().pick(items);
+}
+
+/**
+ * Generates a throw-away user with a unique email.
+ * @returns {import('./endpoints.js').TestUser}
+ */
+export function generateUser() {
+  const suffix = rng().string(8);
+  return {
+    email: `test-${RUN_STAMP}-${exec.vu.idInTest}-${suffix}@gasolinera-test.com`,
+    phone: `+5066${String(rng().int(0, 9999999)).padStart(7, '0')}`,
+    firstName: `Test${rng().string(5)}`,
+    lastName: `User${rng().string(5)}`,
+    password: TEST_PASSWORD,
+  };
+}
+
+/**
+ * Deterministic test account number `index`, from the user feed when it has
+ * enough rows and synthesized with the same pattern beyond that.
+ * @param {number} index
+ * @returns {import('./endpoints.js').TestUser}
+ */
+export function testUser(index) {
+  const row = index < userFeed.length ? userFeed[index] : null;
+  return {
+    email: row ? row.email : `perftest.user.${index}@gasolinera-test.com`,
+    phone: row ? row.phone : `+5067${String(7770000 + index).padStart(7, '0')}`,
+    firstName: row ? row.firstName : `PerfTest${index}`,
+    lastName: row ? row.lastName : 'User',
+    password: TEST_PASSWORD,
+  };
+}
+
+/**
+ * Generates a stable pool of users; the same index always yields the same account.
+ * @param {number} count
+ * @returns {import('./endpoints.js').TestUser[]}
+ */
+export function generateTestUsers(count) {
+  const users = [];
+  for (let i = 0; i < count; i++) {
+    users.push(testUser(i));
+  }
+  return users;
+}
+
+/**
+ * A search point close to one of the seeded stations.
+ * @returns {import('./endpoints.js').StationSearch}
+ */
+export function generateStationSearch() {
+  const station = randomItem(stationFeed);
+  return {
+    latitude: Number((station.latitude + (rng().next() - 0.5) * SEARCH_JITTER).toFixed(6)),
+    longitude: Number((station.longitude + (rng().next() - 0.5) * SEARCH_JITTER).toFixed(6)),
+    radius: rng().int(1, 10),
+  };
+}
+
+/**
+ * @param {string} code
+ * @returns {import('./feeds.js').FuelType}
+ */
+function fuelType(code) {
+  for (let i = 0; i < fuelTypeFeed.length; i++) {
+    if (fuelTypeFeed[i].code === code) return fuelTypeFeed[i];
+  }
+  return fuelTypeFeed[0];
+}
+
+/**
+ * @param {import('./endpoints.js').TestStation} station
+ */
+export function generateCouponPurchase(station) {
+  return {
+    stationId: station.id,
+    amount: randomItem(couponAmountFeed),
+    fuelType: randomItem(fuelTypeFeed).code,
+  };
+}
+
+/**
+ * Redemption of a purchased coupon. With the purchase at hand the litres are
+ * worked out from its amount and the fuel price, otherwise they are random.
+ *
+ * @param {string} qrCode
+ * @param {import('./endpoints.js').TestStation} station
+ * @param {{ amount: number, fuelType: string }} [purchase]
+ */
+export function generateCouponRedemption(qrCode, station, purchase) {
+  const fuel = fuelType(purchase ? purchase.fuelType : randomItem(fuelTypeFeed).code);
+  const fuelAmount = purchase
+    ? Number((purchase.amount / fuel.pricePerLiter).toFixed(2))
+    : rng().int(5, 40);
+
+  return {
+    qrCode,
+    stationId: station.id,
+    fuelAmount,
+    pricePerLiter: fuel.pricePerLiter,
+  };
+}
+
+/**
+ * QR payload of a random dispenser of the station. The nonce is not seeded:
+ * the backend rejects a nonce it has seen before, even from an earlier run.
+ *
+ * @param {import('./endpoints.js').TestStation} station
+ * @param {Object} [options]
+ * @param {number} [options.issuedAt] - Epoch seconds, defaults to now
+ * @param {number} [options.ttlSeconds]
+ * @returns {import('./qr.js').QrPayload}
+ */
+export function generateQrPayload(station, { issuedAt = Math.floor(Date.now() / 1000), ttlSeconds = DEFAULT_QR_TTL_SECONDS } = {}) {
+  return buildQrPayload({
+    stationId: station.id,
+    dispenserId: `D${String(rng().int(1, DISPENSERS_PER_STATION)).padStart(2, '0')}`,
+    nonce: crypto.randomUUID(),
+    issuedAt,
+    ttlSeconds,
+  });
+}
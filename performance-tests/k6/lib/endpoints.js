@@ -0,0 +1,196 @@
+/**
+ * Single source of truth for the gateway contract exercised by the k6 suites.
+ * Paths, endpoint tags and request payload shapes live here so that the
+ * suites cannot drift apart again.
+ */
+
+/**
+ * @typedef {Object} TestUser
+ * @property {string} email
+ * @property {string} phone
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} TestStation
+ * @property {string} id
+ * @property {string} name
+ * @property {number} latitude
+ * @property {number} longitude
+ */
+
+/**
+ * @typedef {Object} StationSearch
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number} radius - Search radius in kilometres
+ */
+
+/**
+ * @typedef {Object} CouponPurchase
+ * @property {string} stationId
+ * @property {number} amount
+ * @property {string} fuelType
+ * @property {string} paymentMethod
+ * @property {string} paymentToken
+ */
+
+/**
+ * @typedef {Object} CouponRedemption
+ * @property {string} qrCode
+ * @property {string} stationId
+ * @property {number} fuelAmount
+ * @property {number} pricePerLiter
+ */
+
+/**
+ * @typedef {Object} RaffleParticipation
+ * @property {string} raffleId
+ * @property {number} ticketsToUse
+ */
+
+// Paths relative to API_URL, except `health` which is relative to BASE_URL
+export const PATHS = {
+  health: '/actuator/health',
+  auth: {
+    register: '/auth/register',
+    login: '/auth/login',
+    refresh: '/auth/refresh',
+    profile: '/auth/profile',
+  },
+  stations: {
+    list: '/stations',
+    nearby: '/stations/nearby',
+  },
+  coupons: {
+    list: '/coupons',
+    purchase: '/coupons/purchase',
+    redeem: '/coupons/redeem',
+    statistics: '/coupons/statistics',
+  },
+  raffles: {
+    active: '/raffles/active',
+    participate: '/raffles/participate',
+  },
+  dashboard: {
+    user: '/dashboard/user',
+  },
+  redemptions: {
+    create: '/redemptions',
+    confirm: '/redemptions/confirm',
+  },
+};
+
+// Values of the `endpoint` tag, used by thresholds and reports
+export const ENDPOINT_TAGS = {
+  health: 'health_check',
+  register: 'user_registration',
+  login: 'user_login',
+  refresh: 'token_refresh',
+  profile: 'user_profile',
+  stationList: 'station_list',
+  stationSearch: 'station_search',
+  couponList: 'coupon_list',
+  couponCreation: 'coupon_creation',
+  couponRedemption: 'coupon_redemption',
+  couponStatistics: 'coupon_statistics',
+  rafflesActive: 'raffles_active',
+  raffleParticipation: 'raffle_participation',
+  dashboard: 'user_dashboard',
+  adWatch: 'ad_watch_confirmation',
+  qrRedemption: 'qr_redemption',
+  // Negative cases of the QR redemption, each sliced on its own
+  qrRedemptionExpired: 'qr_redemption_expired',
+  qrRedemptionReplayed: 'qr_redemption_replayed',
+  qrRedemptionMalformed: 'qr_redemption_malformed',
+};
+
+export const FUEL_TYPES = ['REGULAR', 'PREMIUM', 'DIESEL'];
+
+/**
+ * Request body builders. Each one maps domain values onto the exact
+ * field names the gateway expects.
+ */
+export const payloads = {
+  /** @param {TestUser} user */
+  register(user) {
+    return {
+      email: user.email,
+      phone: user.phone,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      password: user.password,
+    };
+  },
+
+  /** @param {TestUser} user */
+  login(user) {
+    return {
+      identifier: user.email,
+      password: user.password,
+    };
+  },
+
+  /** @param {string} refreshToken */
+  refresh(refreshToken) {
+    return { refreshToken };
+  },
+
+  /**
+   * @param {Omit<CouponPurchase, 'paymentMethod' | 'paymentToken'> & Partial<CouponPurchase>} purchase
+   * @returns {CouponPurchase}
+   */
+  couponPurchase(purchase) {
+    return {
+      stationId: purchase.stationId,
+      amount: purchase.amount,
+      fuelType: purchase.fuelType,
+      paymentMethod: purchase.paymentMethod || 'CREDIT_CARD',
+      paymentToken: purchase.paymentToken || `test_token_${Date.now()}`,
+    };
+  },
+
+  /**
+   * @param {CouponRedemption} redemption
+   * @returns {CouponRedemption}
+   */
+  couponRedemption(redemption) {
+    return {
+      qrCode: redemption.qrCode,
+      stationId: redemption.stationId,
+      fuelAmount: redemption.fuelAmount,
+      pricePerLiter: redemption.pricePerLiter,
+    };
+  },
+
+  /**
+   * @param {RaffleParticipation} participation
+   * @returns {RaffleParticipation}
+   */
+  raffleParticipation(participation) {
+    return {
+      raffleId: participation.raffleId,
+      ticketsToUse: participation.ticketsToUse,
+    };
+  },
+
+  /** @param {string} qrCode - Signed dispenser QR token */
+  qrRedemption(qrCode) {
+    return { qrCode };
+  },
+
+  /** @param {string} redemptionId */
+  adWatchConfirmation(redemptionId) {
+    return { redemptionId };
+  },
+};
+
+/**
+ * Builds the query string for a nearby-stations search.
+ * @param {StationSearch} search
+ */
+export function stationSearchQuery(search) {
+  return `latitude=${search.latitude}&longitude=${search.longitude}&radius=${search.radius}`;
+}
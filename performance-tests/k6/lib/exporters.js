@@ -0,0 +1,161 @@
+/**
+ * Machine-readable exports of the k6 end-of-test summary.
+ *
+ *  - JUnit XML: every threshold and every check becomes a testcase, so CI
+ *    shows pass/fail natively.
+ *  - Prometheus exposition format: the final metric values as gauges, labelled
+ *    with the run id, scenario and git SHA. Push it to a Pushgateway with
+ *    `curl --data-binary @performance-metrics.prom http://localhost:9091/metrics/job/k6`.
+ *
+ * This module has no k6 imports so it can be exercised with plain Node.
+ */
+
+import { groupChecks, thresholdRows } from './report.js';
+
+const METRIC_PREFIX = 'k6_';
+
+/**
+ * Escapes text for XML content and attributes.
+ * @param {*} value
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function testcase(classname, name, failure) {
+  const start = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}"`;
+  if (!failure) return `${start}/>`;
+  return `${start}>\n      <failure message="${escapeXml(failure)}"/>\n    </testcase>`;
+}
+
+function testsuite(name, cases, failures, timeSeconds) {
+  return `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" time="${timeSeconds}">\n` +
+    `${cases.join('\n')}${cases.length > 0 ? '\n' : ''}  </testsuite>`;
+}
+
+/**
+ * Renders thresholds and checks as JUnit XML.
+ *
+ * @param {Object} data - handleSummary data
+ * @param {Object} [settings]
+ * @param {string} [settings.name] - Name of the test run, used as suite prefix
+ * @param {function(string): boolean} [settings.hideThreshold] - Hides bookkeeping thresholds by metric name
+ * @returns {string}
+ */
+export function junitXml(data, settings = {}) {
+  const name = settings.name || 'k6';
+  const hidden = settings.hideThreshold || (() => false);
+  const time = (data.state.testRunDurationMs / 1000).toFixed(3);
+
+  const thresholds = thresholdRows(data).filter((row) => !hidden(row.metric));
+  const thresholdCases = thresholds.map((row) => testcase(
+    `${name}.thresholds.${row.metric}`,
+    row.expression,
+    row.ok ? null : `${row.metric} ${row.expression} failed, observed ${row.observed}`
+  ));
+
+  const checks = groupChecks(data.root_group);
+  const checkCases = checks.map((entry) => testcase(
+    `${name}.checks`,
+    entry.name,
+    entry.fails > 0 ? `${entry.fails} of ${entry.passes + entry.fails} checks failed` : null
+  ));
+
+  const thresholdFailures = thresholds.filter((row) => !row.ok).length;
+  const checkFailures = checks.filter((entry) => entry.fails > 0).length;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="${escapeXml(name)}" tests="${thresholdCases.length + checkCases.length}" ` +
+    `failures="${thresholdFailures + checkFailures}" time="${time}">\n` +
+    `${testsuite(`${name}.thresholds`, thresholdCases, thresholdFailures, time)}\n` +
+    `${testsuite(`${name}.checks`, checkCases, checkFailures, time)}\n` +
+    '</testsuites>\n';
+}
+
+/**
+ * Escapes a Prometheus label value.
+ * @param {*} value
+ */
+export function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function sanitizeName(name) {
+  return name.replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
+// "p(95)" -> "p95", "avg" stays "avg"
+function statLabel(stat) {
+  return stat.replace(/[()]/g, '');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${sanitizeName(key)}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Splits "http_req_duration{endpoint:station_search,scenario:load}" into the
+ * metric name and its tag filter.
+ * @param {string} name
+ */
+function parseMetricName(name) {
+  const brace = name.indexOf('{');
+  if (brace === -1) return { base: name, tags: {} };
+
+  const tags = {};
+  name.slice(brace + 1, -1).split(',').forEach((pair) => {
+    const separator = pair.indexOf(':');
+    if (separator > 0) tags[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  });
+  return { base: name.slice(0, brace), tags };
+}
+
+/**
+ * Renders the final metric values in the Prometheus text exposition format.
+ * Time metrics are converted from milliseconds to seconds.
+ *
+ * @param {Object} data - handleSummary data
+ * @param {Object<string, string>} [labels] - Added to every sample (run_id, scenario, git_sha...)
+ * @returns {string}
+ */
+export function prometheusText(data, labels = {}) {
+  const families = {};
+  const add = (family, help, sampleLabels, value) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) return;
+    families[family] = families[family] || { help, samples: [] };
+    families[family].samples.push(`${family}${formatLabels({ ...labels, ...sampleLabels })} ${value}`);
+  };
+
+  Object.entries(data.metrics).forEach(([name, metric]) => {
+    const { base, tags } = parseMetricName(name);
+    const isTime = metric.contains === 'time';
+    const family = `${METRIC_PREFIX}${sanitizeName(base)}${isTime ? '_seconds' : ''}`;
+
+    Object.entries(metric.values).forEach(([stat, value]) => {
+      add(family, `k6 ${metric.type} metric ${base}`, { ...tags, stat: statLabel(stat) }, isTime ? value / 1000 : value);
+    });
+  });
+
+  thresholdRows(data).forEach((row) => {
+    add(`${METRIC_PREFIX}threshold_ok`, 'Whether a k6 threshold passed (1) or failed (0)',
+      { metric: row.metric, threshold: row.expression }, row.ok ? 1 : 0);
+  });
+
+  groupChecks(data.root_group).forEach((entry) => {
+    add(`${METRIC_PREFIX}check_passes`, 'Passed k6 checks by name', { check: entry.name }, entry.passes);
+    add(`${METRIC_PREFIX}check_fails`, 'Failed k6 checks by name', { check: entry.name }, entry.fails);
+  });
+
+  add(`${METRIC_PREFIX}test_run_duration_seconds`, 'Wall-clock duration of the k6 run', {}, data.state.testRunDurationMs / 1000);
+
+  return Object.entries(families)
+    .map(([family, { help, samples }]) => `# HELP ${family} ${help}\n# TYPE ${family} gauge\n${samples.join('\n')}`)
+    .join('\n') + '\n';
+}
@@ -0,0 +1,32 @@
+/**
+ * SharedArray-backed data feeds loaded from the fixtures directory.
+ *
+ * Fixtures are produced by scripts/generate-fixtures.js from the database
+ * seed. SharedArray keeps a single read-only copy for all VUs; it has to be
+ * created in the init context, which importing this module guarantees.
+ * Set FIXTURES_DIR to load another fixture set.
+ */
+
+import { SharedArray } from 'k6/data';
+import { parseCsv } from './csv.js';
+
+const FIXTURES_DIR = (__ENV.FIXTURES_DIR || '../fixtures').replace(/\/+$/, '');
+
+/**
+ * @typedef {Object} FuelType
+ * @property {string} code - Value sent as `fuelType`
+ * @property {string} name
+ * @property {number} pricePerLiter - Colones
+ */
+
+/** @type {import('./endpoints.js').TestStation[]} */
+export const stationFeed = new SharedArray('stations', () => JSON.parse(open(`${FIXTURES_DIR}/stations.json`)));
+
+/** @type {{ email: string, phone: string, firstName: string, lastName: string }[]} */
+export const userFeed = new SharedArray('users', () => parseCsv(open(`${FIXTURES_DIR}/users.csv`)));
+
+/** @type {FuelType[]} */
+export const fuelTypeFeed = new SharedArray('fuel types', () => JSON.parse(open(`${FIXTURES_DIR}/fuel-types.json`)));
+
+/** @type {number[]} Coupon amounts in colones, multiples of ₡5000 */
+export const couponAmountFeed = new SharedArray('coupon amounts', () => JSON.parse(open(`${FIXTURES_DIR}/coupon-amounts.json`)));
@@ -0,0 +1,62 @@
+/**
+ * gRPC client for the RedemptionService of packages/proto/redemption.proto.
+ *
+ * The proto has to be loaded in the init context, which creating the client
+ * there guarantees. Each VU connects on its first call and keeps the
+ * connection for the rest of the test.
+ */
+
+import grpc from 'k6/net/grpc';
+
+// host:port of the RedemptionService, no scheme
+export const GRPC_ADDR = __ENV.GRPC_ADDR || 'localhost:9090';
+export const GRPC_TLS = __ENV.GRPC_TLS === 'true';
+
+export const REDEEM_METHOD = 'redemption.RedemptionService/Redeem';
+
+// Value of the `endpoint` tag, kept apart from the REST qr_redemption
+export const GRPC_REDEEM_TAG = 'grpc_redeem';
+
+/**
+ * @typedef {Object} GrpcRedeemRequest
+ * @property {string} qr_token - Signed dispenser QR token
+ * @property {string} gps - "latitude,longitude" of the customer
+ */
+
+/**
+ * Formats a position the way RedeemRequest.gps carries it.
+ * @param {number} latitude
+ * @param {number} longitude
+ */
+export function gpsString(latitude, longitude) {
+  return `${latitude.toFixed(6)},${longitude.toFixed(6)}`;
+}
+
+/**
+ * Creates the RedemptionService client. Must be called in the init context.
+ *
+ * @param {Object} options
+ * @param {string} options.protoDir - Directory of redemption.proto, relative to the main script
+ */
+export function createRedemptionGrpcClient({ protoDir }) {
+  const client = new grpc.Client();
+  client.load([protoDir], 'redemption.proto');
+  let connected = false;
+
+  return {
+    /**
+     * Calls Redeem, connecting first when this VU has no connection yet.
+     * @param {GrpcRedeemRequest} request
+     * @param {Object} [tags] - Extra tags; `endpoint` is always GRPC_REDEEM_TAG
+     */
+    redeem(request, tags = {}) {
+      if (!connected) {
+        client.connect(GRPC_ADDR, { plaintext: !GRPC_TLS, timeout: '10s' });
+        connected = true;
+      }
+      return client.invoke(REDEEM_METHOD, request, {
+        tags: { ...tags, endpoint: GRPC_REDEEM_TAG },
+      });
+    },
+  };
+}
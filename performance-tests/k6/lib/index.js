@@ -0,0 +1,21 @@
+/**
+ * Shared k6 library for the Gasolinera JSM load-test suites.
+ */
+
+export * from './config.js';
+export * from './endpoints.js';
+export * from './clients.js';
+export * from './feeds.js';
+export * from './data.js';
+export * from './metrics.js';
+export * from './checks.js';
+export * from './auth.js';
+export * from './profiles.js';
+export * from './traffic.js';
+export * from './qr.js';
+export * from './grpc.js';
+export * from './resilience.js';
+export * from './retry.js';
+export * from './baseline.js';
+export * from './report.js';
+export * from './exporters.js';
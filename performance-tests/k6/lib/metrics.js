@@ -0,0 +1,43 @@
+/**
+ * Custom metrics shared by the k6 suites. Metrics must be declared in the
+ * init context, which importing this module guarantees.
+ */
+
+import { Rate, Trend, Counter } from 'k6/metrics';
+
+// Business endpoint health
+export const errorRate = new Rate('error_rate');
+export const responseTime = new Trend('response_time', true);
+export const requestCount = new Counter('request_count');
+
+// Authentication health, kept apart so expired tokens never show up as backend errors
+export const authFailureRate = new Rate('auth_failures');
+export const authRejections = new Counter('auth_rejected_requests');
+export const tokenRefreshes = new Counter('auth_token_refreshes');
+export const reLogins = new Counter('auth_relogins');
+
+const AUTH_REJECTED_STATUSES = [401, 403];
+
+/**
+ * Whether a response was refused because of the caller's credentials.
+ * @param {import('k6/http').RefinedResponse} response
+ */
+export function isAuthRejection(response) {
+  return AUTH_REJECTED_STATUSES.indexOf(response.status) !== -1;
+}
+
+/**
+ * Records the outcome of a business request. Requests rejected for
+ * credential reasons are counted as auth rejections instead of errors.
+ * @param {import('k6/http').RefinedResponse} response
+ * @param {boolean} success
+ */
+export function recordRequest(response, success) {
+  requestCount.add(1);
+  if (isAuthRejection(response)) {
+    authRejections.add(1);
+    return;
+  }
+  errorRate.add(!success);
+  responseTime.add(response.timings.duration);
+}
@@ -0,0 +1,182 @@
+/**
+ * Test profiles: named scenarios that are only enabled when selected through
+ * TEST_TYPE (a single name, a comma-separated list or "all").
+ *
+ * Each profile carries its own k6 scenario (with an `exec` function) and its
+ * own thresholds. Profile thresholds are scoped to the profile's scenario via
+ * the built-in `scenario` tag, so a relaxed stress budget never hides a smoke
+ * regression when both run together.
+ *
+ * This module has no k6 imports so the selection logic can be inspected with
+ * plain Node.
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} description
+ * @property {Object} scenario - k6 scenario definition, including `exec`
+ * @property {Object<string, string[]>} [thresholds] - Thresholds scoped to this scenario
+ */
+
+export const DRY_RUN_EXEC = 'dryRun';
+
+const DURATION_UNITS = { ms: 0.001, s: 1, m: 60, h: 3600 };
+
+/**
+ * Converts a k6 duration string ("1m30s", "45s", "2h") to seconds.
+ * @param {string} [value]
+ */
+export function durationSeconds(value) {
+  if (!value) return 0;
+  let total = 0;
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+  }
+  return total;
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m${rest ? `${rest}s` : ''}` : `${rest}s`;
+}
+
+// Approximate wall-clock length of a scenario
+function scenarioDuration(scenario) {
+  const start = durationSeconds(scenario.startTime);
+  if (scenario.stages) {
+    return start + scenario.stages.reduce((sum, stage) => sum + durationSeconds(stage.duration), 0);
+  }
+  return start + durationSeconds(scenario.duration || scenario.maxDuration);
+}
+
+// Peak VUs a scenario may use
+function scenarioMaxVus(scenario) {
+  if (scenario.maxVUs) return scenario.maxVUs;
+  if (scenario.stages && scenario.executor === 'ramping-vus') {
+    return Math.max(scenario.startVUs || 0, ...scenario.stages.map((stage) => stage.target));
+  }
+  return scenario.vus || scenario.preAllocatedVUs || 1;
+}
+
+/**
+ * Adds a `scenario:<name>` filter to a threshold metric name, keeping any
+ * existing tag filter ("http_req_duration{endpoint:x}").
+ * @param {string} metric
+ * @param {string} scenarioName
+ */
+export function scopeMetric(metric, scenarioName) {
+  const brace = metric.indexOf('{');
+  if (brace === -1) {
+    return `${metric}{scenario:${scenarioName}}`;
+  }
+  return `${metric.slice(0, -1)},scenario:${scenarioName}}`;
+}
+
+/**
+ * Parses TEST_TYPE into profile names, validating them against `profiles`.
+ * @param {Object<string, Profile>} profiles
+ * @param {string} [testType]
+ * @param {string} [fallback] - Used when TEST_TYPE is empty
+ * @returns {string[]}
+ */
+export function parseTestType(profiles, testType, fallback) {
+  const available = Object.keys(profiles);
+  const raw = (testType || fallback || available[0]).trim();
+  if (raw === 'all') return available;
+
+  const names = raw.split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !profiles[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown TEST_TYPE "${unknown.join(', ')}". Available: ${available.join(', ')}, all`);
+  }
+  return names.filter((name, index) => names.indexOf(name) === index);
+}
+
+/**
+ * Builds the k6 options for the selected profiles.
+ *
+ * @param {Object<string, Profile>} profiles
+ * @param {Object} [settings]
+ * @param {string} [settings.testType] - Raw TEST_TYPE value
+ * @param {string} [settings.defaultType] - Profile used when TEST_TYPE is not set
+ * @param {boolean} [settings.dryRun] - Replace the selection by a single no-op iteration
+ * @param {Object<string, string[]>} [settings.thresholds] - Thresholds applied to every profile
+ * @returns {{ options: Object, selected: string[] }}
+ */
+export function buildOptions(profiles, settings = {}) {
+  const selected = parseTestType(profiles, settings.testType, settings.defaultType);
+
+  if (settings.dryRun) {
+    return {
+      selected,
+      options: {
+        scenarios: {
+          dry_run: { executor: 'shared-iterations', vus: 1, iterations: 1, exec: DRY_RUN_EXEC },
+        },
+        thresholds: {},
+      },
+    };
+  }
+
+  const scenarios = {};
+  const thresholds = { ...(settings.thresholds || {}) };
+
+  selected.forEach((name) => {
+    const profile = profiles[name];
+    scenarios[name] = {
+      ...profile.scenario,
+      tags: { test_type: name, ...(profile.scenario.tags || {}) },
+    };
+    Object.entries(profile.thresholds || {}).forEach(([metric, rules]) => {
+      thresholds[scopeMetric(metric, name)] = rules;
+    });
+  });
+
+  return { selected, options: { scenarios, thresholds } };
+}
+
+/**
+ * Human readable listing of what the selected profiles would execute.
+ *
+ * @param {Object<string, Profile>} profiles
+ * @param {string[]} selected
+ * @param {Object<string, string[]>} [commonThresholds]
+ * @returns {string}
+ */
+export function describePlan(profiles, selected, commonThresholds = {}) {
+  const lines = [`Dry run: ${selected.length} scenario(s) would execute`];
+  let longest = 0;
+
+  selected.forEach((name) => {
+    const { scenario, description, thresholds = {} } = profiles[name];
+    const duration = scenarioDuration(scenario);
+    longest = Math.max(longest, duration);
+
+    lines.push('');
+    lines.push(`  ${name} - ${description}`);
+    lines.push(`    executor: ${scenario.executor}, exec: ${scenario.exec}`);
+    lines.push(`    duration: ~${formatDuration(duration)}, max VUs: ${scenarioMaxVus(scenario)}`);
+    Object.entries(thresholds).forEach(([metric, rules]) => {
+      lines.push(`    threshold ${scopeMetric(metric, name)}: ${rules.join(', ')}`);
+    });
+  });
+
+  const common = Object.entries(commonThresholds);
+  if (common.length > 0) {
+    lines.push('');
+    lines.push('  Common thresholds:');
+    common.forEach(([metric, rules]) => lines.push(`    ${metric}: ${rules.join(', ')}`));
+  }
+
+  lines.push('');
+  lines.push(`Estimated wall-clock time: ~${formatDuration(longest)} (scenarios run concurrently)`);
+  return lines.join('\n');
+}
+
+/**
+ * No-op iteration used by the dry-run scenario.
+ */
+export function dryRun() {}
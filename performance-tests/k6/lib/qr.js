@@ -0,0 +1,213 @@
+/**
+ * Signed dispenser QR tokens, as printed on the pumps and scanned by the app.
+ *
+ * A token is `base64url(payload).base64url(signature)`. The payload has the
+ * `QrPayload` shape of packages/shared ({ s, d, n, t, exp }) and the signature
+ * covers the payload JSON bytes, which is what QrSecurityService in the
+ * redemption service verifies. Two algorithms are supported:
+ *
+ *   HS256  HMAC-SHA256 with a shared secret, verified by the mock backend
+ *   ES256  ECDSA P-256 with a dispenser private key (PKCS#8 PEM), DER encoded
+ *          like Java's SHA256withECDSA
+ *
+ * Signing goes through the WebCrypto `crypto.subtle` global of k6 1.x and
+ * Node, so it is async and this module has no k6 imports.
+ */
+
+export const QR_ALGORITHMS = ['HS256', 'ES256'];
+
+// Same default as ops/scripts/qr/generate.ts
+export const DEFAULT_QR_SECRET = 'qr-code-super-secret-key-for-signing';
+
+// Dispenser tokens are rotated every five minutes
+export const DEFAULT_QR_TTL_SECONDS = 300;
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * @typedef {Object} QrPayload
+ * @property {string} s - Station id
+ * @property {string} d - Dispenser id
+ * @property {string} n - Single-use nonce
+ * @property {number} t - Issue time, epoch seconds
+ * @property {number} exp - Expiry, epoch seconds
+ */
+
+/**
+ * @typedef {Object} QrSigner
+ * @property {string} algorithm
+ * @property {function(QrPayload): Promise<string>} sign - Signs a payload into a QR token
+ * @property {function(string): Promise<string>} signText - Signs arbitrary JSON text, for broken payloads
+ */
+
+function utf8Bytes(text) {
+  const binary = unescape(encodeURIComponent(text));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Unpadded base64url encoding.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base64url(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const chars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    for (let c = 0; c < chars; c++) {
+      out += BASE64_ALPHABET[(chunk >> (18 - c * 6)) & 63];
+    }
+  }
+  return out.replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Decodes standard or url-safe base64, ignoring whitespace and padding.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function base64Decode(text) {
+  const clean = text.replace(/[\s=]/g, '').replace(/-/g, '+').replace(/_/g, '/');
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (let i = 0; i < clean.length; i++) {
+    const value = BASE64_ALPHABET.indexOf(clean[i]);
+    if (value === -1) {
+      throw new Error(`Invalid base64 character "${clean[i]}"`);
+    }
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Builds a dispenser QR payload.
+ *
+ * @param {Object} values
+ * @param {string} values.stationId
+ * @param {string} values.dispenserId
+ * @param {string} values.nonce
+ * @param {number} values.issuedAt - Epoch seconds
+ * @param {number} [values.ttlSeconds]
+ * @returns {QrPayload}
+ */
+export function buildQrPayload({ stationId, dispenserId, nonce, issuedAt, ttlSeconds = DEFAULT_QR_TTL_SECONDS }) {
+  return { s: stationId, d: dispenserId, n: nonce, t: issuedAt, exp: issuedAt + ttlSeconds };
+}
+
+function derInteger(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  const value = Array.from(bytes.slice(start));
+  // A set high bit would make the integer negative
+  if (value[0] & 0x80) value.unshift(0);
+  return [0x02, value.length, ...value];
+}
+
+/**
+ * Converts a WebCrypto ECDSA signature (r || s) to the ASN.1 DER form Java expects.
+ * @param {Uint8Array} raw
+ * @returns {Uint8Array}
+ */
+export function ecdsaRawToDer(raw) {
+  const half = raw.length / 2;
+  const body = [...derInteger(raw.slice(0, half)), ...derInteger(raw.slice(half))];
+  return Uint8Array.from([0x30, body.length, ...body]);
+}
+
+function pemBody(pem) {
+  return base64Decode(pem.replace(/-----(BEGIN|END) [A-Z ]+-----/g, ''));
+}
+
+/**
+ * Creates a QR signer. The key is imported on first use, so the signer can be
+ * created in the k6 init context.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.algorithm='HS256'] - One of QR_ALGORITHMS
+ * @param {string} [options.secret] - HS256 shared secret
+ * @param {string} [options.privateKeyPem] - ES256 PKCS#8 private key
+ * @returns {QrSigner}
+ */
+export function createQrSigner({ algorithm = 'HS256', secret = DEFAULT_QR_SECRET, privateKeyPem } = {}) {
+  if (QR_ALGORITHMS.indexOf(algorithm) === -1) {
+    throw new Error(`Unknown QR signing algorithm "${algorithm}", expected one of ${QR_ALGORITHMS.join(', ')}`);
+  }
+  if (algorithm === 'ES256' && !privateKeyPem) {
+    throw new Error('ES256 QR signing needs a PKCS#8 private key');
+  }
+
+  const hmac = algorithm === 'HS256';
+  let key = null;
+
+  function importKey() {
+    if (!key) {
+      key = hmac
+        ? crypto.subtle.importKey('raw', utf8Bytes(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+        : crypto.subtle.importKey('pkcs8', pemBody(privateKeyPem), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+    }
+    return key;
+  }
+
+  async function signText(json) {
+    const bytes = utf8Bytes(json);
+    const params = hmac ? { name: 'HMAC' } : { name: 'ECDSA', hash: 'SHA-256' };
+    const signature = new Uint8Array(await crypto.subtle.sign(params, await importKey(), bytes));
+    return `${base64url(bytes)}.${base64url(hmac ? signature : ecdsaRawToDer(signature))}`;
+  }
+
+  return {
+    algorithm,
+    sign: (payload) => signText(JSON.stringify(payload)),
+    signText,
+  };
+}
+
+/**
+ * Reads the signer settings from environment-style variables:
+ * QR_SIGNING_ALG (HS256 or ES256) and QR_SIGNATURE_SECRET.
+ *
+ * @param {Object<string, string|undefined>} env
+ * @param {string} [privateKeyPem] - Contents of QR_PRIVATE_KEY_FILE, read by the caller
+ * @returns {QrSigner}
+ */
+export function qrSignerFromEnv(env, privateKeyPem) {
+  return createQrSigner({
+    algorithm: env.QR_SIGNING_ALG || (privateKeyPem ? 'ES256' : 'HS256'),
+    secret: env.QR_SIGNATURE_SECRET || DEFAULT_QR_SECRET,
+    privateKeyPem,
+  });
+}
+
+/**
+ * Tokens a dispenser could never have produced, one per way of breaking the
+ * format. Every entry must be rejected with 400.
+ *
+ * @param {QrSigner} signer
+ * @param {QrPayload} payload - A valid, unexpired payload to derive them from
+ * @returns {Promise<{ name: string, qrCode: string }[]>}
+ */
+export async function malformedQrCodes(signer, payload) {
+  const [encoded, signature] = (await signer.sign(payload)).split('.');
+  const tampered = base64url(utf8Bytes(JSON.stringify({ ...payload, d: `${payload.d}X` })));
+
+  return [
+    { name: 'not a token', qrCode: 'not-a-signed-qr-token' },
+    { name: 'missing signature', qrCode: encoded },
+    { name: 'tampered payload', qrCode: `${tampered}.${signature}` },
+    { name: 'invalid base64', qrCode: `${encoded}*!.${signature}` },
+    { name: 'invalid json', qrCode: await signer.signText('{"s":') },
+    { name: 'missing fields', qrCode: await signer.sign({ s: payload.s, d: payload.d }) },
+  ];
+}
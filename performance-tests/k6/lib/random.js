@@ -0,0 +1,71 @@
+/**
+ * Seeded pseudo-random generator shared by the k6 suites and the fixture
+ * generator, so a given seed always produces the same data.
+ *
+ * This module has no k6 imports so it also runs under plain Node.
+ */
+
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Hashes any string into a 32-bit seed (FNV-1a).
+ * @param {string} value
+ * @returns {number}
+ */
+export function hashSeed(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a generator (mulberry32) from a numeric or string seed.
+ * @param {number|string} seed
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+
+  /** @returns {number} Float in [0, 1) */
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [min, max], both inclusive.
+   * @param {number} min
+   * @param {number} max
+   */
+  function int(min, max) {
+    return min + Math.floor(next() * (max - min + 1));
+  }
+
+  /**
+   * @template T
+   * @param {ArrayLike<T>} items
+   * @returns {T}
+   */
+  function pick(items) {
+    return items[Math.floor(next() * items.length)];
+  }
+
+  /**
+   * Lowercase alphanumeric string.
+   * @param {number} length
+   */
+  function string(length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += ALPHANUMERIC[Math.floor(next() * ALPHANUMERIC.length)];
+    }
+    return result;
+  }
+
+  return { next, int, pick, string };
+}
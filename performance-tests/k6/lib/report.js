@@ -0,0 +1,394 @@
+/**
+ * Offline HTML report for k6 end-of-test summaries.
+ *
+ * Produces a single self-contained file (inline CSS and SVG, no external
+ * assets) with per-endpoint latency tables, percentile charts, checks grouped
+ * by name, thresholds with their observed values and the scenario setup.
+ *
+ * Works on the `handleSummary` data format, where every metric looks like
+ * `{ type, contains, values: { ... }, thresholds: { 'p(95)<500': { ok } } }`.
+ * This module has no k6 imports so it can be exercised with plain Node.
+ */
+
+const PERCENTILES = ['med', 'p(90)', 'p(95)', 'p(99)'];
+const PERCENTILE_COLORS = ['#8ecae6', '#219ebc', '#ffb703', '#fb8500'];
+
+const ENDPOINT_METRIC = /^http_req_duration\{endpoint:([^,}]+)\}$/;
+
+/**
+ * Escapes text for use in HTML content and attributes.
+ * @param {*} value
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value);
+}
+
+function formatMs(value) {
+  return isNumber(value) ? `${value.toFixed(2)} ms` : 'n/a';
+}
+
+function formatRate(value) {
+  return isNumber(value) ? `${(value * 100).toFixed(2)}%` : 'n/a';
+}
+
+function formatBytes(value) {
+  if (!isNumber(value)) return 'n/a';
+  if (value >= 1024 * 1024) return `${(value / (1024 * 1024)).toFixed(2)} MB`;
+  if (value >= 1024) return `${(value / 1024).toFixed(2)} kB`;
+  return `${value} B`;
+}
+
+function formatNumber(value) {
+  if (!isNumber(value)) return 'n/a';
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Formats a single summary value according to the metric it belongs to.
+ * Zero is a real value and is printed as such.
+ * @param {Object} metric
+ * @param {string} stat - Key of `metric.values`
+ */
+function formatStat(metric, stat) {
+  const value = metric.values[stat];
+  if (stat === 'rate' && metric.type === 'rate') return formatRate(value);
+  if (stat === 'rate') return isNumber(value) ? `${value.toFixed(2)}/s` : 'n/a';
+  if (stat === 'count' || stat === 'passes' || stat === 'fails') return formatNumber(value);
+  if (metric.contains === 'time') return formatMs(value);
+  if (metric.contains === 'data') return formatBytes(value);
+  return formatNumber(value);
+}
+
+function valuesOf(data, name) {
+  const metric = data.metrics[name];
+  return metric ? metric.values : {};
+}
+
+/**
+ * Per-endpoint latency and error statistics, from the `endpoint`-tagged sub-metrics.
+ * @param {Object} data - handleSummary data
+ */
+export function endpointRows(data) {
+  return Object.keys(data.metrics)
+    .map((name) => ENDPOINT_METRIC.exec(name))
+    .filter(Boolean)
+    .map(([name, endpoint]) => {
+      const duration = data.metrics[name].values;
+      const failed = valuesOf(data, `http_req_failed{endpoint:${endpoint}}`);
+      const requests = valuesOf(data, `http_reqs{endpoint:${endpoint}}`);
+      return { endpoint, duration, errorRate: failed.rate, requests: requests.count };
+    })
+    // Endpoints the selected scenarios never called have no samples
+    .filter((row) => row.requests !== 0 && isNumber(row.duration.max) && row.duration.max > 0)
+    .sort((a, b) => a.endpoint.localeCompare(b.endpoint));
+}
+
+/**
+ * Check results aggregated by check name across all groups.
+ * @param {Object} group - `data.root_group`
+ * @returns {{ name: string, passes: number, fails: number }[]}
+ */
+export function groupChecks(group) {
+  const byName = {};
+  const visit = (current) => {
+    (current.checks || []).forEach((entry) => {
+      const total = byName[entry.name] || { name: entry.name, passes: 0, fails: 0 };
+      total.passes += entry.passes;
+      total.fails += entry.fails;
+      byName[entry.name] = total;
+    });
+    (current.groups || []).forEach(visit);
+  };
+  if (group) visit(group);
+
+  // Failing checks first, most failures on top
+  return Object.values(byName).sort((a, b) => b.fails - a.fails || a.name.localeCompare(b.name));
+}
+
+/**
+ * Threshold results with the value each expression was evaluated against.
+ * @param {Object} data - handleSummary data
+ * @returns {{ metric: string, expression: string, ok: boolean, observed: string }[]}
+ */
+export function thresholdRows(data) {
+  const rows = [];
+  Object.entries(data.metrics).forEach(([name, metric]) => {
+    Object.entries(metric.thresholds || {}).forEach(([expression, result]) => {
+      // "p(95)<500" is evaluated against values["p(95)"]
+      const stat = expression.split(/[<>=!]/)[0].trim();
+      const observed = stat in metric.values ? formatStat(metric, stat) : 'n/a';
+      rows.push({ metric: name, expression, ok: result.ok, observed });
+    });
+  });
+  // Failures first
+  return rows.sort((a, b) => Number(a.ok) - Number(b.ok) || a.metric.localeCompare(b.metric));
+}
+
+/**
+ * Horizontal grouped bar chart of latency percentiles, as inline SVG.
+ * @param {{ label: string, values: Object }[]} series
+ */
+export function percentileChart(series) {
+  const rowHeight = 14;
+  const groupGap = 12;
+  const labelWidth = 170;
+  const chartWidth = 480;
+  const max = Math.max(1, ...series.flatMap((entry) => PERCENTILES.map((stat) => entry.values[stat] || 0)));
+  const groupHeight = PERCENTILES.length * rowHeight + groupGap;
+  const height = series.length * groupHeight + 30;
+
+  const groups = series.map((entry, index) => {
+    const top = index * groupHeight;
+    const bars = PERCENTILES.map((stat, position) => {
+      const value = entry.values[stat];
+      if (!isNumber(value)) return '';
+      const y = top + position * rowHeight;
+      const width = Math.max(1, (value / max) * chartWidth);
+      return `<rect x="${labelWidth}" y="${y}" width="${width.toFixed(1)}" height="${rowHeight - 2}" fill="${PERCENTILE_COLORS[position]}"></rect>` +
+        `<text x="${(labelWidth + width + 4).toFixed(1)}" y="${y + rowHeight - 4}" class="value">${value.toFixed(1)}</text>`;
+    }).join('');
+    const labelY = top + (PERCENTILES.length * rowHeight) / 2 + 4;
+    return `<text x="${labelWidth - 8}" y="${labelY}" text-anchor="end" class="label">${escapeHtml(entry.label)}</text>${bars}`;
+  }).join('');
+
+  const legendY = series.length * groupHeight + 12;
+  const legend = PERCENTILES.map((stat, position) => {
+    const x = labelWidth + position * 90;
+    return `<rect x="${x}" y="${legendY}" width="10" height="10" fill="${PERCENTILE_COLORS[position]}"></rect>` +
+      `<text x="${x + 14}" y="${legendY + 9}" class="value">${stat === 'med' ? 'p(50)' : stat} ms</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${labelWidth + chartWidth + 80}" height="${height}" role="img">${groups}${legend}</svg>`;
+}
+
+function table(headers, rows) {
+  const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows.map((cells) => `<tr>${cells.join('')}</tr>`).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function cell(value, className) {
+  return `<td${className ? ` class="${className}"` : ''}>${escapeHtml(value)}</td>`;
+}
+
+function describeScenario(scenario) {
+  if (scenario.stages) {
+    return scenario.stages.map((stage) => `${stage.duration} → ${stage.target}`).join(', ');
+  }
+  const parts = [];
+  if (scenario.vus !== undefined) parts.push(`${scenario.vus} VUs`);
+  if (scenario.duration) parts.push(scenario.duration);
+  if (scenario.iterations !== undefined) parts.push(`${scenario.iterations} iterations`);
+  if (scenario.rate !== undefined) parts.push(`${scenario.rate}/${scenario.timeUnit || '1s'}`);
+  return parts.join(', ');
+}
+
+function summarySection(data) {
+  const requests = valuesOf(data, 'http_reqs');
+  const failed = valuesOf(data, 'http_req_failed');
+  const duration = valuesOf(data, 'http_req_duration');
+  const iterations = valuesOf(data, 'iterations');
+  const vus = valuesOf(data, 'vus_max');
+
+  const items = [
+    ['Test duration', `${(data.state.testRunDurationMs / 1000).toFixed(1)} s`],
+    ['Total requests', formatNumber(requests.count)],
+    // http_req_failed is a Rate: `passes` counts the requests that failed
+    ['Failed requests', `${formatNumber(failed.passes)} (${formatRate(failed.rate)})`],
+    ['Iterations', formatNumber(iterations.count)],
+    ['Max VUs', formatNumber(vus.max)],
+    ['Average response time', formatMs(duration.avg)],
+    ['95th percentile', formatMs(duration['p(95)'])],
+    ['99th percentile', formatMs(duration['p(99)'])],
+  ];
+
+  return `<div class="cards">${items.map(([label, value]) =>
+    `<div class="card"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join('')}</div>`;
+}
+
+function scenarioSection(meta) {
+  const scenarios = Object.entries(meta.scenarios || {});
+  if (scenarios.length === 0) return '<p>No scenario metadata.</p>';
+  return table(
+    ['Scenario', 'Executor', 'Exec', 'Load'],
+    scenarios.map(([name, scenario]) => [
+      cell(name),
+      cell(scenario.executor),
+      cell(scenario.exec || 'default'),
+      cell(describeScenario(scenario)),
+    ])
+  );
+}
+
+function endpointSection(data) {
+  const rows = endpointRows(data);
+  if (rows.length === 0) {
+    return '<p>No endpoint-tagged requests were recorded.</p>';
+  }
+
+  const chart = percentileChart(rows.map((row) => ({ label: row.endpoint, values: row.duration })));
+  const latencyTable = table(
+    ['Endpoint', 'Requests', 'Avg', 'p(50)', 'p(90)', 'p(95)', 'p(99)', 'Max', 'Error rate'],
+    rows.map((row) => [
+      cell(row.endpoint),
+      cell(formatNumber(row.requests)),
+      cell(formatMs(row.duration.avg)),
+      cell(formatMs(row.duration.med)),
+      cell(formatMs(row.duration['p(90)'])),
+      cell(formatMs(row.duration['p(95)'])),
+      cell(formatMs(row.duration['p(99)'])),
+      cell(formatMs(row.duration.max)),
+      cell(formatRate(row.errorRate), row.errorRate > 0 ? 'fail' : ''),
+    ])
+  );
+  return `<div class="chart">${chart}</div>${latencyTable}`;
+}
+
+function checkSection(data) {
+  const checks = groupChecks(data.root_group);
+  if (checks.length === 0) return '<p>No checks were run.</p>';
+
+  return table(
+    ['Check', 'Passed', 'Failed', 'Pass rate'],
+    checks.map((entry) => {
+      const total = entry.passes + entry.fails;
+      return [
+        cell(entry.name),
+        cell(entry.passes),
+        cell(entry.fails, entry.fails > 0 ? 'fail' : ''),
+        cell(formatRate(total > 0 ? entry.passes / total : null), entry.fails > 0 ? 'fail' : 'pass'),
+      ];
+    })
+  );
+}
+
+function thresholdSection(data, hidden) {
+  const rows = thresholdRows(data).filter((row) => !hidden(row.metric));
+  if (rows.length === 0) return '<p>No thresholds configured.</p>';
+
+  return table(
+    ['Metric', 'Threshold', 'Observed', 'Result'],
+    rows.map((row) => [
+      cell(row.metric),
+      cell(row.expression),
+      cell(row.observed),
+      cell(row.ok ? 'PASS' : 'FAIL', row.ok ? 'pass' : 'fail'),
+    ])
+  );
+}
+
+function metricSection(data) {
+  const names = Object.keys(data.metrics).filter((name) => name.indexOf('{') === -1).sort();
+  return table(
+    ['Metric', 'Type', 'Values'],
+    names.map((name) => {
+      const metric = data.metrics[name];
+      const values = Object.keys(metric.values)
+        .map((stat) => `${stat}=${formatStat(metric, stat)}`)
+        .join(', ');
+      return [cell(name), cell(metric.type), cell(values)];
+    })
+  );
+}
+
+function baselineSection(comparison) {
+  if (!comparison || comparison.verdict === 'no-baseline') {
+    return '<p>No baseline provided.</p>';
+  }
+  if (comparison.regressions.length === 0) {
+    return '<p class="pass">No regressions against the baseline.</p>';
+  }
+  return table(
+    ['Endpoint', 'Metric', 'Baseline', 'Current', 'Tolerance'],
+    comparison.regressions.map((entry) => [
+      cell(entry.endpoint),
+      cell(entry.metric),
+      cell(entry.metric === 'errorRate' ? formatRate(entry.baseline) : formatMs(entry.baseline)),
+      cell(entry.metric === 'errorRate' ? formatRate(entry.current) : formatMs(entry.current), 'fail'),
+      cell(entry.metric === 'errorRate' ? `+${formatRate(entry.tolerance)}` : `+${(entry.tolerance * 100).toFixed(0)}%`),
+    ])
+  );
+}
+
+/**
+ * Renders the HTML report.
+ *
+ * @param {Object} data - handleSummary data
+ * @param {Object} [meta]
+ * @param {string} [meta.title]
+ * @param {string} [meta.baseUrl]
+ * @param {string[]} [meta.selected] - Selected profile names
+ * @param {Object} [meta.scenarios] - The suite's `options.scenarios`
+ * @param {Object} [meta.comparison] - Result of compareToBaseline()
+ * @param {function(string): boolean} [meta.hideThreshold] - Hides bookkeeping thresholds by metric name
+ * @returns {string}
+ */
+export function generateHtmlReport(data, meta = {}) {
+  const title = meta.title || 'Gasolinera JSM Performance Test Results';
+  const hidden = meta.hideThreshold || (() => false);
+  const failedThresholds = thresholdRows(data).filter((row) => !row.ok).length;
+  const details = [
+    ['Base URL', meta.baseUrl],
+    ['Profiles', (meta.selected || []).join(', ')],
+    ['Thresholds', failedThresholds === 0 ? 'all passed' : `${failedThresholds} failed`],
+    ['Baseline', meta.comparison ? meta.comparison.verdict : 'n/a'],
+  ].filter(([, value]) => value);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 20px; color: #212529; }
+  h2 { margin-top: 32px; border-bottom: 1px solid #dee2e6; padding-bottom: 4px; }
+  table { border-collapse: collapse; margin: 10px 0; font-size: 13px; }
+  th, td { border: 1px solid #dee2e6; padding: 4px 8px; text-align: left; }
+  th { background-color: #f8f9fa; }
+  .cards { display: flex; flex-wrap: wrap; gap: 10px; }
+  .card { background-color: #f8f9fa; border-left: 4px solid #007cba; padding: 10px 14px; min-width: 160px; }
+  .card span { display: block; font-size: 12px; color: #6c757d; }
+  .pass { color: #28a745; }
+  .fail { color: #dc3545; font-weight: bold; }
+  .chart svg { font-size: 11px; }
+  .chart .label { fill: #212529; }
+  .chart .value { fill: #6c757d; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${details.map(([label, value]) => `<strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}`).join(' &middot; ')}</p>
+
+<h2>Summary</h2>
+${summarySection(data)}
+
+<h2>Scenarios</h2>
+${scenarioSection(meta)}
+
+<h2>Endpoints</h2>
+${endpointSection(data)}
+
+<h2>Checks</h2>
+${checkSection(data)}
+
+<h2>Thresholds</h2>
+${thresholdSection(data, hidden)}
+
+<h2>Baseline comparison</h2>
+${baselineSection(meta.comparison)}
+
+<h2>All metrics</h2>
+${metricSection(data)}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,251 @@
+/**
+ * Resilience mode helpers: the fault window, retry decisions and the
+ * resilience report built from the k6 summary.
+ *
+ * The chaos proxy (mock-server/chaos-proxy.js) only injects faults inside the
+ * window given by CHAOS_WINDOW, counted from the moment the suite arms it.
+ * Requests are tagged with the phase they ran in (before, during or after the
+ * window), so recovery can be judged on the `after` phase alone.
+ *
+ * This module has no k6 imports so it can be shared with the Node proxy.
+ */
+
+import { durationSeconds } from './profiles.js';
+
+export const CHAOS_PHASES = ['before', 'during', 'after'];
+
+// Requests carrying this header pass the proxy untouched, used to verify backend state
+export const CHAOS_BYPASS_HEADER = 'X-Chaos-Bypass';
+
+// Proxy control endpoints: GET for the state, POST <path>/arm to start the window
+export const CHAOS_CONTROL_PATH = '/__chaos';
+
+// Why a request was retried, value of the `reason` tag of chaos_retries
+export const RETRY_REASONS = ['reset', 'throttled', 'unavailable', 'truncated'];
+
+const THROTTLED_STATUSES = [429];
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+
+/**
+ * @typedef {Object} ChaosWindow
+ * @property {number} startSeconds - Offset from arming
+ * @property {number} endSeconds
+ */
+
+/**
+ * Parses "1m-3m" or "30s-90s". Without a window, faults apply for the whole run.
+ * @param {string} [value]
+ * @returns {ChaosWindow|null}
+ */
+export function parseChaosWindow(value) {
+  if (!value) return null;
+
+  const parts = value.split('-');
+  if (parts.length !== 2) {
+    throw new Error(`CHAOS_WINDOW must look like "1m-3m", got "${value}"`);
+  }
+  const [startSeconds, endSeconds] = parts.map((part) => durationSeconds(part.trim()));
+  if (!(endSeconds > startSeconds)) {
+    throw new Error(`CHAOS_WINDOW must end after it starts, got "${value}"`);
+  }
+  return { startSeconds, endSeconds };
+}
+
+/**
+ * Phase of the run at a point in time.
+ * @param {ChaosWindow|null} window
+ * @param {number} armedAt - Epoch millis
+ * @param {number} now - Epoch millis
+ * @returns {'before'|'during'|'after'}
+ */
+export function chaosPhase(window, armedAt, now) {
+  if (!window) return 'during';
+
+  const elapsed = (now - armedAt) / 1000;
+  if (elapsed < window.startSeconds) return 'before';
+  return elapsed < window.endSeconds ? 'during' : 'after';
+}
+
+/**
+ * Epoch millis at which the window closes, or null without a window.
+ * @param {ChaosWindow|null} window
+ * @param {number} armedAt
+ */
+export function windowEnd(window, armedAt) {
+  return window ? armedAt + window.endSeconds * 1000 : null;
+}
+
+/**
+ * Whether a successful response carries a body that does not parse.
+ * @param {{ status: number, body: string|null }} response
+ */
+export function isTruncated(response) {
+  if (response.status < 200 || response.status >= 300 || !response.body) return false;
+  try {
+    JSON.parse(response.body);
+    return false;
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Why a response should be retried, or null when it should not.
+ *
+ * Writes are retried after a lost connection too: the client cannot tell
+ * whether the backend processed them, which is what the duplicate checks are
+ * for. A truncated body is only retried for reads, since the write succeeded.
+ *
+ * @param {{ status: number, body: string|null }} response
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=false]
+ * @returns {string|null} One of RETRY_REASONS
+ */
+export function retryReason(response, { idempotent = false } = {}) {
+  if (response.status === 0) return 'reset';
+  if (THROTTLED_STATUSES.indexOf(response.status) !== -1) return 'throttled';
+  if (UNAVAILABLE_STATUSES.indexOf(response.status) !== -1) return 'unavailable';
+  if (idempotent && isTruncated(response)) return 'truncated';
+  return null;
+}
+
+/**
+ * Wait before the next attempt: the server's Retry-After when given, otherwise
+ * exponential backoff with full jitter.
+ *
+ * @param {number} attempt - Attempt that just failed, from 1
+ * @param {string|undefined} retryAfter - Retry-After header, in seconds
+ * @param {Object} policy
+ * @param {number} policy.baseMs
+ * @param {number} policy.maxMs
+ * @param {number} random - Value in [0, 1)
+ * @returns {number} Milliseconds
+ */
+export function backoffMs(attempt, retryAfter, { baseMs, maxMs }, random) {
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds) && seconds >= 0) {
+    return Math.min(seconds * 1000, maxMs);
+  }
+  return Math.floor(random * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+}
+
+/**
+ * Tracking-only thresholds that keep the per-reason and per-phase sub-metrics
+ * in the summary, where the resilience report reads them.
+ * @returns {Object<string, string[]>}
+ */
+export function resilienceThresholds() {
+  const thresholds = {};
+  RETRY_REASONS.forEach((reason) => {
+    thresholds[`chaos_retries{reason:${reason}}`] = ['count>=0'];
+  });
+  CHAOS_PHASES.forEach((phase) => {
+    thresholds[`http_req_failed{chaos_phase:${phase}}`] = ['rate>=0'];
+    thresholds[`chaos_retried_requests{chaos_phase:${phase}}`] = ['rate>=0'];
+  });
+  return thresholds;
+}
+
+function metricValues(data, name) {
+  const metric = data.metrics[name];
+  return metric ? metric.values : null;
+}
+
+function count(data, name) {
+  const values = metricValues(data, name);
+  return values ? values.count : 0;
+}
+
+function rate(data, name) {
+  const values = metricValues(data, name);
+  return values ? values.rate : null;
+}
+
+/**
+ * Reduces a k6 summary to the resilience figures.
+ *
+ * @param {Object} data - handleSummary() data
+ * @param {Object} [meta]
+ * @param {ChaosWindow|null} [meta.window]
+ */
+export function resilienceSummary(data, { window = null } = {}) {
+  const recovery = metricValues(data, 'chaos_time_to_recovery');
+  const thresholdsOk = Object.values(data.metrics).every((metric) =>
+    Object.values(metric.thresholds || {}).every((threshold) => threshold.ok));
+
+  const retriesByReason = {};
+  RETRY_REASONS.forEach((reason) => {
+    retriesByReason[reason] = count(data, `chaos_retries{reason:${reason}}`);
+  });
+
+  const phases = {};
+  CHAOS_PHASES.forEach((phase) => {
+    phases[phase] = {
+      failedRequests: rate(data, `http_req_failed{chaos_phase:${phase}}`),
+      retriedRequests: rate(data, `chaos_retried_requests{chaos_phase:${phase}}`),
+    };
+  });
+
+  return {
+    verdict: thresholdsOk ? 'pass' : 'fail',
+    window,
+    journeys: count(data, 'chaos_journeys'),
+    retries: {
+      total: count(data, 'chaos_retries'),
+      byReason: retriesByReason,
+      exhausted: count(data, 'chaos_retries_exhausted'),
+      retriedShare: rate(data, 'chaos_retried_requests'),
+    },
+    truncatedResponses: count(data, 'chaos_truncated_responses'),
+    recovery: recovery && recovery.count > 0
+      ? { vus: recovery.count, minMs: recovery.min, medianMs: recovery.med, maxMs: recovery.max }
+      : null,
+    phases,
+    integrity: {
+      doubleRedemptions: count(data, 'chaos_double_redemptions'),
+      duplicateParticipations: count(data, 'chaos_duplicate_participations'),
+      unverified: count(data, 'chaos_unverified_journeys'),
+    },
+  };
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(2)}%`;
+}
+
+/**
+ * Markdown version of resilienceSummary(), for stdout and CI comments.
+ * @param {ReturnType<typeof resilienceSummary>} summary
+ */
+export function resilienceMarkdown(summary) {
+  const lines = [
+    `## Resilience: ${summary.verdict.toUpperCase()}`,
+    '',
+    summary.window
+      ? `Fault window: ${summary.window.startSeconds}s to ${summary.window.endSeconds}s after arming`
+      : 'Fault window: whole run',
+    `Journeys: ${summary.journeys}`,
+    '',
+    '| Retries | Count |',
+    '| --- | ---: |',
+    ...RETRY_REASONS.map((reason) => `| ${reason} | ${summary.retries.byReason[reason]} |`),
+    `| **total** | **${summary.retries.total}** |`,
+    `| exhausted | ${summary.retries.exhausted} |`,
+    '',
+    `Requests needing a retry: ${percent(summary.retries.retriedShare)}`,
+    `Truncated responses: ${summary.truncatedResponses}`,
+    summary.recovery
+      ? `Time to recovery: median ${Math.round(summary.recovery.medianMs)}ms, max ${Math.round(summary.recovery.maxMs)}ms (${summary.recovery.vus} VUs)`
+      : 'Time to recovery: n/a (no clean journey after the fault window)',
+    '',
+    '| Phase | Failed requests | Retried requests |',
+    '| --- | ---: | ---: |',
+    ...CHAOS_PHASES.map((phase) =>
+      `| ${phase} | ${percent(summary.phases[phase].failedRequests)} | ${percent(summary.phases[phase].retriedRequests)} |`),
+    '',
+    `Double redemptions: ${summary.integrity.doubleRedemptions}`,
+    `Duplicate raffle participations: ${summary.integrity.duplicateParticipations}`,
+    `Journeys that could not be verified: ${summary.integrity.unverified}`,
+  ];
+  return `${lines.join('\n')}\n`;
+}
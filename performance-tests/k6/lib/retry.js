@@ -0,0 +1,62 @@
+/**
+ * Client retry policy used by the resilience suite, with the metrics that
+ * show how often it had to step in. Metrics must be declared in the init
+ * context, which importing this module guarantees.
+ */
+
+import { sleep } from 'k6';
+import { Counter, Rate } from 'k6/metrics';
+import { retryReason, isTruncated, backoffMs } from './resilience.js';
+
+export const retries = new Counter('chaos_retries');
+export const retriesExhausted = new Counter('chaos_retries_exhausted');
+export const retriedRequests = new Rate('chaos_retried_requests');
+export const truncatedResponses = new Counter('chaos_truncated_responses');
+
+export const RETRY_POLICY = {
+  maxAttempts: parseInt(__ENV.RETRY_MAX_ATTEMPTS || '4', 10),
+  baseMs: parseInt(__ENV.RETRY_BASE_MS || '200', 10),
+  maxMs: parseInt(__ENV.RETRY_MAX_MS || '3000', 10),
+};
+
+/**
+ * Sends a request until it gets an answer worth keeping or the attempts run
+ * out. `send()` is called once per attempt and may return null when no
+ * request could be made (e.g. no token), which ends the retries.
+ *
+ * @param {function(): import('k6/http').RefinedResponse|null} send
+ * @param {Object} options
+ * @param {string} options.endpoint - Endpoint tag of the retry metrics
+ * @param {boolean} [options.idempotent=false] - Whether a truncated body may be fetched again
+ * @param {Object} [options.tags] - Extra metric tags, e.g. the chaos phase
+ * @returns {{ response: import('k6/http').RefinedResponse|null, attempts: number }}
+ */
+export function sendWithRetry(send, { endpoint, idempotent = false, tags = {} }) {
+  const metricTags = { ...tags, endpoint };
+  let response = null;
+  let attempts = 0;
+
+  while (attempts < RETRY_POLICY.maxAttempts) {
+    attempts++;
+    response = send();
+    if (!response) break;
+
+    if (isTruncated(response)) {
+      truncatedResponses.add(1, metricTags);
+    }
+    const reason = retryReason(response, { idempotent });
+    if (!reason) break;
+
+    if (attempts === RETRY_POLICY.maxAttempts) {
+      retriesExhausted.add(1, { ...metricTags, reason });
+      break;
+    }
+    retries.add(1, { ...metricTags, reason });
+    sleep(backoffMs(attempts, response.headers['Retry-After'], RETRY_POLICY, Math.random()) / 1000);
+  }
+
+  if (response) {
+    retriedRequests.add(attempts > 1, metricTags);
+  }
+  return { response, attempts };
+}
@@ -0,0 +1,131 @@
+/**
+ * Open-model traffic shaped like a fuel-station day.
+ *
+ * A 24-hour curve gives the tickets per hour of a single station. The curve is
+ * compressed into a test window (by default one minute per hour) and turned
+ * into `ramping-arrival-rate` stages whose targets are real arrivals per hour
+ * across all simulated stations, so the request rate does not collapse when
+ * the backend slows down.
+ *
+ * This module has no k6 imports so it can be exercised with plain Node.
+ */
+
+import { durationSeconds } from './profiles.js';
+
+/**
+ * Tickets per hour for one station, hour 0 to 23. Follows the owner
+ * dashboard's hourly distribution, with its peaks at 12:00 and 16:00.
+ */
+export const DEFAULT_HOURLY_CURVE = [
+  5, 3, 2, 2, 4, 15,
+  45, 60, 78, 85, 92, 120,
+  156, 145, 134, 160, 189, 178,
+  167, 130, 98, 75, 56, 25,
+];
+
+/**
+ * @typedef {Object} TrafficSettings
+ * @property {number[]} curve - 24 hourly values, tickets per hour per station
+ * @property {string} window - Test time the selected hours are compressed into
+ * @property {number} stations - Simulated stations the curve is multiplied by
+ * @property {number} scale - Extra multiplier, e.g. 2 for a double-traffic day
+ * @property {number} startHour - First hour of the day to play
+ * @property {number} hours - Number of hours to play
+ */
+
+/**
+ * Parses a curve given as 24 comma-separated numbers.
+ * @param {string} [value]
+ * @returns {number[]}
+ */
+export function parseCurve(value) {
+  if (!value) return DEFAULT_HOURLY_CURVE;
+
+  const curve = value.split(',').map((part) => parseFloat(part.trim()));
+  if (curve.length !== 24 || curve.some((point) => Number.isNaN(point) || point < 0)) {
+    throw new Error(`TRAFFIC_CURVE must have 24 non-negative numbers, got "${value}"`);
+  }
+  return curve;
+}
+
+/**
+ * Reads the traffic settings from environment-style variables.
+ * @param {Object<string, string|undefined>} env
+ * @param {number} defaultStations
+ * @returns {TrafficSettings}
+ */
+export function trafficFromEnv(env, defaultStations) {
+  const startHour = parseInt(env.TRAFFIC_START_HOUR || '0', 10);
+  const hours = parseInt(env.TRAFFIC_HOURS || String(24 - startHour), 10);
+  if (startHour < 0 || startHour > 23 || hours < 1 || hours > 24) {
+    throw new Error('TRAFFIC_START_HOUR must be 0-23 and TRAFFIC_HOURS 1-24');
+  }
+
+  return {
+    curve: parseCurve(env.TRAFFIC_CURVE),
+    window: env.TRAFFIC_WINDOW || `${hours}m`,
+    stations: parseInt(env.TRAFFIC_STATIONS || String(defaultStations), 10),
+    scale: parseFloat(env.TRAFFIC_SCALE || '1'),
+    startHour,
+    hours,
+  };
+}
+
+/**
+ * Arrivals per hour across all stations for an hour of the day.
+ * @param {TrafficSettings} settings
+ * @param {number} hour - May exceed 23, wraps around midnight
+ */
+export function hourlyArrivals(settings, hour) {
+  return Math.round(settings.curve[hour % 24] * settings.stations * settings.scale);
+}
+
+/**
+ * Builds a `ramping-arrival-rate` scenario that plays the curve.
+ *
+ * Each played hour becomes one linear stage towards the next hour's rate. Rates
+ * use a one-hour time unit so the targets are plain arrivals per hour.
+ *
+ * @param {TrafficSettings} settings
+ * @param {Object} scenario
+ * @param {string} scenario.exec - Function run for each arrival
+ * @param {number} scenario.iterationSeconds - Expected length of one arrival, used to size the VU pool
+ * @returns {Object} k6 scenario definition
+ */
+export function arrivalRateScenario(settings, { exec, iterationSeconds }) {
+  const stageSeconds = Math.max(1, Math.round(durationSeconds(settings.window) / settings.hours));
+  const stages = [];
+  let peak = hourlyArrivals(settings, settings.startHour);
+
+  for (let offset = 1; offset <= settings.hours; offset++) {
+    const target = hourlyArrivals(settings, settings.startHour + offset);
+    stages.push({ duration: `${stageSeconds}s`, target });
+    peak = Math.max(peak, target);
+  }
+
+  // Little's law: concurrent iterations = arrivals per second x time in system
+  const concurrent = Math.ceil((peak / 3600) * iterationSeconds);
+
+  return {
+    executor: 'ramping-arrival-rate',
+    exec,
+    startRate: hourlyArrivals(settings, settings.startHour),
+    timeUnit: '1h',
+    preAllocatedVUs: Math.max(1, concurrent),
+    maxVUs: Math.max(2, concurrent * 3),
+    stages,
+  };
+}
+
+/**
+ * The hours a scenario plays, for logging: "12:00 156/h, 13:00 145/h ...".
+ * @param {TrafficSettings} settings
+ */
+export function describeCurve(settings) {
+  const entries = [];
+  for (let offset = 0; offset < settings.hours; offset++) {
+    const hour = (settings.startHour + offset) % 24;
+    entries.push(`${String(hour).padStart(2, '0')}:00 ${hourlyArrivals(settings, hour)}/h`);
+  }
+  return entries.join(', ');
+}
@@ -1,27 +1,108 @@
 import http from 'k6/http';
+import grpc from 'k6/net/grpc';
 import { check, sleep } from 'k6';
-import { Rate, Trend, Counter } from 'k6/metrics';
-import { randomString, randomIntBetween } from 'https://jslib.k6.io/k6-utils/1.2.0/index.js';
-
-// Custom metrics
-const errorRate = new Rate('error_rate');
-const responseTime = new Trend('response_time');
-const throughput = new Counter('throughput');
-
-// Test configuration
-export const options = {
-  scenarios: {
-    // Smoke test - basic functionality
-    smoke_test: {
+import {
+  BASE_URL,
+  API_URL,
+  authClient,
+  couponClient,
+  healthClient,
+  redemptionClient,
+  stationClient,
+  authHeaders,
+  checkResponse,
+  parseJson,
+  has,
+  createTokenPool,
+  generateUser,
+  generateStationSearch,
+  generateCouponPurchase,
+  generateCouponRedemption,
+  generateQrPayload,
+  randomItem,
+  randomInt,
+  randomFloat,
+  stationFeed,
+  stationSearchQuery,
+  PATHS,
+  ENDPOINT_TAGS,
+  buildOptions,
+  describePlan,
+  dryRun,
+  SUMMARY_TREND_STATS,
+  endpointThresholds,
+  extractEndpointStats,
+  compareToBaseline,
+  tolerancesFromEnv,
+  markdownDiff,
+  generateHtmlReport,
+  junitXml,
+  prometheusText,
+  trafficFromEnv,
+  arrivalRateScenario,
+  describeCurve,
+  qrSignerFromEnv,
+  malformedQrCodes,
+  DEFAULT_QR_TTL_SECONDS,
+  createRedemptionGrpcClient,
+  gpsString,
+  GRPC_ADDR,
+  GRPC_REDEEM_TAG,
+  errorRate,
+} from './lib/index.js';
+
+// Open-model traffic: the hourly ticket curve of the stations, compressed into TRAFFIC_WINDOW
+const TRAFFIC = trafficFromEnv(__ENV, stationFeed.length);
+
+// Share of purchased coupons that are redeemed, and of redemptions whose ad is watched
+const REDEEM_RATIO = parseFloat(__ENV.REDEEM_RATIO || '0.9');
+const AD_WATCH_RATIO = parseFloat(__ENV.AD_WATCH_RATIO || '0.8');
+// Same length as the mobile app's ad player
+const AD_WATCH_SECONDS = parseFloat(__ENV.AD_WATCH_SECONDS || '15');
+
+// Dispenser QR signing: HS256 with QR_SIGNATURE_SECRET, or ES256 with the PKCS#8 key in QR_PRIVATE_KEY_FILE
+const QR_PRIVATE_KEY_FILE = __ENV.QR_PRIVATE_KEY_FILE || '';
+const QR_SIGNER = qrSignerFromEnv(__ENV, QR_PRIVATE_KEY_FILE ? open(QR_PRIVATE_KEY_FILE) : undefined);
+
+// Statuses a refused QR may get; a replay may also be answered as a conflict
+const QR_REJECTED = [400];
+const QR_REPLAY_REJECTED = [400, 409];
+
+// Expected statuses of each refusal. On the token pool's first attempt a 401 is
+// retried after re-login, so it is expected too. Declared in the init context as k6 requires.
+const QR_REJECTION_CALLBACKS = new Map(
+  [QR_REJECTED, QR_REPLAY_REJECTED].map((statuses) => [
+    statuses,
+    {
+      firstAttempt: http.expectedStatuses(...statuses, 401),
+      retry: http.expectedStatuses(...statuses),
+    },
+  ])
+);
+
+// Test profiles, selected with TEST_TYPE (e.g. "smoke", "load,spike" or "all")
+const PROFILES = {
+  // Smoke test - basic functionality
+  smoke: {
+    description: 'Basic functionality with a single user',
+    scenario: {
       executor: 'constant-vus',
+      exec: 'smokeTest',
       vus: 1,
       duration: '1m',
-      tags: { test_type: 'smoke' },
     },
+    thresholds: {
+      http_req_duration: ['p(95)<500'],
+      http_req_failed: ['rate<0.01'],
+    },
+  },
 
-    // Load test - normal expected load
-    load_test: {
+  // Load test - normal expected load
+  load: {
+    description: 'Normal expected load',
+    scenario: {
       executor: 'ramping-vus',
+      exec: 'loadTest',
       startVUs: 0,
       stages: [
         { duration: '2m', target: 10 },   // Ramp up
@@ -30,12 +111,25 @@ export const options = {
         { duration: '5m', target: 20 },   // Stay at 20 users
         { duration: '2m', target: 0 },    // Ramp down
       ],
-      tags: { test_type: 'load' },
     },
+    thresholds: {
+      http_req_duration: ['p(95)<500', 'p(99)<1000'], // 95% < 500ms, 99% < 1s
+      http_req_failed: ['rate<0.01'],                  // Error rate < 1%
+      response_time: ['p(95)<500'],
+
+      // Business thresholds
+      'http_req_duration{endpoint:coupon_creation}': ['p(95)<200'],
+      'http_req_duration{endpoint:coupon_redemption}': ['p(95)<300'],
+      'http_req_duration{endpoint:station_search}': ['p(95)<150'],
+    },
+  },
 
-    // Stress test - beyond normal capacity
-    stress_test: {
+  // Stress test - beyond normal capacity
+  stress: {
+    description: 'Beyond normal capacity, up to the breaking point',
+    scenario: {
       executor: 'ramping-vus',
+      exec: 'stressTest',
       startVUs: 0,
       stages: [
         { duration: '2m', target: 20 },   // Ramp up to normal load
@@ -46,12 +140,19 @@ export const options = {
         { duration: '5m', target: 100 },  // Stay at breaking point
         { duration: '10m', target: 0 },   // Ramp down
       ],
-      tags: { test_type: 'stress' },
     },
+    thresholds: {
+      http_req_duration: ['p(95)<2000'],
+      http_req_failed: ['rate<0.05'],
+    },
+  },
 
-    // Spike test - sudden traffic spikes
-    spike_test: {
+  // Spike test - sudden traffic spikes
+  spike: {
+    description: 'Sudden traffic spike and recovery',
+    scenario: {
       executor: 'ramping-vus',
+      exec: 'spikeTest',
       startVUs: 0,
       stages: [
         { duration: '1m', target: 10 },   // Normal load
@@ -60,145 +161,139 @@ export const options = {
         { duration: '30s', target: 10 },  // Drop back to normal
         { duration: '1m', target: 10 },   // Stay at normal
       ],
-      tags: { test_type: 'spike' },
     },
+    thresholds: {
+      http_req_duration: ['p(95)<3000'],
+      http_req_failed: ['rate<0.10'],
+    },
+  },
 
-    // Volume test - large amounts of data
-    volume_test: {
-      executor: 'constant-vus',
-      vus: 50,
-      duration: '10m',
-      tags: { test_type: 'volume' },
+  // Traffic test - arrivals follow the stations' hourly curve (open model)
+  traffic: {
+    description: 'Coupon purchase, redemption and ad watch at the hourly station arrival rate',
+    scenario: arrivalRateScenario(TRAFFIC, {
+      exec: 'trafficTest',
+      // Purchase, redemption and confirmation requests plus the ad itself
+      iterationSeconds: AD_WATCH_SECONDS + 5,
+    }),
+    thresholds: {
+      http_req_duration: ['p(95)<1000'],
+      http_req_failed: ['rate<0.01'],
+      dropped_iterations: ['count<10'],                // Arrivals the VU pool could not absorb
     },
   },
 
-  thresholds: {
-    // Performance thresholds
-    http_req_duration: ['p(95)<500', 'p(99)<1000'], // 95% < 500ms, 99% < 1s
-    http_req_failed: ['rate<0.01'],                  // Error rate < 1%
-    http_reqs: ['rate>100'],                         // Throughput > 100 RPS
+  // QR test - dispenser QR redemption and ad confirmation, with rejected tokens
+  qr: {
+    description: 'QR redemption and ad confirmation, plus expired, replayed and malformed QR tokens',
+    scenario: {
+      executor: 'constant-vus',
+      exec: 'qrRedemptionTest',
+      vus: 10,
+      duration: '5m',
+    },
+    thresholds: {
+      http_req_duration: ['p(95)<500'],
+      http_req_failed: ['rate<0.01'],                  // Rejections count as failed only with an unexpected status
+      'http_req_duration{endpoint:qr_redemption}': ['p(95)<300'],
+      'http_req_failed{endpoint:qr_redemption}': ['rate<0.01'],
+      'http_req_duration{endpoint:ad_watch_confirmation}': ['p(95)<300'],
+      'http_req_failed{endpoint:ad_watch_confirmation}': ['rate<0.01'],
+      // Invalid tokens must always be refused, and refused cheaply
+      'http_req_duration{endpoint:qr_redemption_expired}': ['p(95)<200'],
+      'http_req_failed{endpoint:qr_redemption_expired}': ['rate==0'],
+      'http_req_duration{endpoint:qr_redemption_replayed}': ['p(95)<200'],
+      'http_req_failed{endpoint:qr_redemption_replayed}': ['rate==0'],
+      'http_req_duration{endpoint:qr_redemption_malformed}': ['p(95)<200'],
+      'http_req_failed{endpoint:qr_redemption_malformed}': ['rate==0'],
+    },
+  },
 
-    // Custom thresholds
-    error_rate: ['rate<0.01'],
-    response_time: ['p(95)<500'],
+  // gRPC test - QR redemption through the RedemptionService gRPC API
+  grpc: {
+    description: 'QR redemption through RedemptionService.Redeem over gRPC',
+    scenario: {
+      executor: 'constant-vus',
+      exec: 'grpcRedemptionTest',
+      vus: 10,
+      duration: '5m',
+    },
+    thresholds: {
+      // Separate from http_req_duration{endpoint:qr_redemption}
+      'grpc_req_duration{endpoint:grpc_redeem}': ['p(95)<200', 'p(99)<500'],
+      'checks{endpoint:grpc_redeem}': ['rate>0.99'],
+    },
+  },
 
-    // Business thresholds
-    'http_req_duration{endpoint:coupon_creation}': ['p(95)<200'],
-    'http_req_duration{endpoint:coupon_redemption}': ['p(95)<300'],
-    'http_req_duration{endpoint:station_search}': ['p(95)<150'],
+  // Volume test - large amounts of data
+  volume: {
+    description: 'Sustained bulk searches',
+    scenario: {
+      executor: 'constant-vus',
+      exec: 'volumeTest',
+      vus: 50,
+      duration: '10m',
+    },
+    thresholds: {
+      http_req_duration: ['p(95)<1000'],
+      http_req_failed: ['rate<0.01'],
+      http_reqs: ['rate>100'],                         // Throughput > 100 RPS
+    },
   },
 };
 
-// Base URL configuration
-const BASE_URL = __ENV.BASE_URL || 'http://localhost:8080';
-const API_VERSION = '/api/v1';
-
-// Test data generators
-function generateUser() {
-  return {
-    email: `test-${randomString(10)}@example.com`,
-    password: 'TestPassword123!',
-    firstName: `Test${randomString(5)}`,
-    lastName: `User${randomString(5)}`,
-    phone: `+52${randomIntBetween(1000000000, 9999999999)}`,
-  };
-}
-
-function generateCouponRequest() {
-  return {
-    stationId: '550e8400-e29b-41d4-a716-446655440000',
-    amount: randomIntBetween(50, 500),
-    fuelType: ['REGULAR', 'PREMIUM', 'DIESEL'][randomIntBetween(0, 2)],
-    paymentMethod: 'CREDIT_CARD',
-  };
-}
-
-function generateStationSearch() {
-  // Mexico City coordinates with random offset
-  const baseLat = 19.4326;
-  const baseLng = -99.1332;
-  const offset = 0.1; // ~11km radius
-
-  return {
-    latitude: baseLat + (Math.random() - 0.5) * offset,
-    longitude: baseLng + (Math.random() - 0.5) * offset,
-    radius: randomIntBetween(1, 10),
-  };
-}
+// Thresholds that apply whatever profiles are selected
+const COMMON_THRESHOLDS = {
+  error_rate: ['rate<0.01'],
+  auth_failures: ['rate<0.01'],
+};
 
-// Authentication helper
-let authToken = null;
+const DRY_RUN = __ENV.DRY_RUN === 'true';
 
-function authenticate() {
-  if (authToken) return authToken;
+const { options: profileOptions, selected: SELECTED_PROFILES } = buildOptions(PROFILES, {
+  testType: __ENV.TEST_TYPE,
+  defaultType: 'load',
+  dryRun: DRY_RUN,
+  thresholds: COMMON_THRESHOLDS,
+});
 
-  const user = generateUser();
+// RedemptionService gRPC client, only when selected so the other profiles do not need the proto.
+// The proto directory is resolved from this script's directory.
+const redemptionGrpc = SELECTED_PROFILES.indexOf('grpc') !== -1
+  ? createRedemptionGrpcClient({ protoDir: __ENV.PROTO_DIR || '../../packages/proto' })
+  : null;
 
-  // Register user
-  const registerResponse = http.post(`${BASE_URL}${API_VERSION}/auth/register`, JSON.stringify(user), {
-    headers: { 'Content-Type': 'application/json' },
-  });
+// Tracking-only thresholds keep per-endpoint stats in the summary for the baseline comparison
+const TRACKING_THRESHOLDS = endpointThresholds(Object.values(ENDPOINT_TAGS));
 
-  if (registerResponse.status !== 201) {
-    console.error('Registration failed:', registerResponse.body);
-    return null;
-  }
+// Test configuration
+export const options = DRY_RUN ? profileOptions : {
+  ...profileOptions,
+  summaryTrendStats: SUMMARY_TREND_STATS,
+  thresholds: { ...TRACKING_THRESHOLDS, ...profileOptions.thresholds },
+};
 
-  // Login user
-  const loginResponse = http.post(`${BASE_URL}${API_VERSION}/auth/login`, JSON.stringify({
-    email: user.email,
-    password: user.password,
-  }), {
-    headers: { 'Content-Type': 'application/json' },
-  });
+// Previous run to compare against: a performance-test-results.json or a performance-baseline-verdict.json.
+// open() is only available in the init context, so the baseline is reduced here.
+const BASELINE_FILE = __ENV.BASELINE_FILE || '';
+const BASELINE = BASELINE_FILE ? extractEndpointStats(JSON.parse(open(BASELINE_FILE))) : null;
 
-  if (loginResponse.status === 200) {
-    const loginData = JSON.parse(loginResponse.body);
-    authToken = loginData.accessToken;
-    return authToken;
-  }
+// Labels attached to the exported Prometheus samples
+const RUN_ID = __ENV.RUN_ID || `run-${Date.now()}`;
+const GIT_SHA = __ENV.GIT_SHA || __ENV.GITHUB_SHA || 'unknown';
 
-  return null;
-}
+// Stations of the seeded database (SharedArray)
+const TEST_STATIONS = stationFeed;
 
-function getAuthHeaders() {
-  const token = authenticate();
-  return token ? {
-    'Authorization': `Bearer ${token}`,
-    'Content-Type': 'application/json',
-  } : {
-    'Content-Type': 'application/json',
-  };
-}
+// Per-VU pool of test accounts with automatic token refresh
+const tokens = createTokenPool();
 
-// Test scenarios
-export default function() {
-  const testType = __ENV.TEST_TYPE || 'load';
-
-  switch (testType) {
-    case 'smoke':
-      smokeTest();
-      break;
-    case 'load':
-      loadTest();
-      break;
-    case 'stress':
-      stressTest();
-      break;
-    case 'spike':
-      spikeTest();
-      break;
-    case 'volume':
-      volumeTest();
-      break;
-    default:
-      loadTest();
-  }
-}
+// Scenario entry points, referenced by the profiles' `exec`
+export { dryRun };
 
-function smokeTest() {
+export function smokeTest() {
   // Basic health check
-  const healthResponse = http.get(`${BASE_URL}/actuator/health`);
+  const healthResponse = healthClient.check();
   check(healthResponse, {
     'health check status is 200': (r) => r.status === 200,
     'health check response time < 100ms': (r) => r.timings.duration < 100,
@@ -209,8 +304,8 @@ function smokeTest() {
   sleep(1);
 }
 
-function loadTest() {
-  const scenario = Math.random();
+export function loadTest() {
+  const scenario = randomFloat();
 
   if (scenario < 0.3) {
     // 30% - Station search
@@ -226,176 +321,214 @@ function loadTest() {
     testCouponRedemption();
   }
 
-  sleep(randomIntBetween(1, 3));
+  sleep(randomInt(1, 3));
 }
 
-function stressTest() {
+export function stressTest() {
   // More aggressive testing with shorter sleep times
   loadTest();
-  sleep(randomIntBetween(0, 1));
+  sleep(randomInt(0, 1));
 }
 
-function spikeTest() {
+export function spikeTest() {
   // Rapid-fire requests during spike
   testStationSearch();
   testCouponCreation();
   sleep(0.1);
 }
 
-function volumeTest() {
-  // Large data operations
-  testBulkOperations();
-  sleep(randomIntBetween(2, 5));
+export function trafficTest() {
+  // One arrival is one customer at the pump: no think time, the executor sets the pace
+  const session = tokens.acquire();
+  if (!session) return;
+  const station = randomItem(TEST_STATIONS);
+
+  const coupon = purchaseCoupon(station, 'coupon creation', session);
+  if (!coupon || randomFloat() >= REDEEM_RATIO) return;
+
+  const redemption = redeemCoupon(coupon, station, session);
+  if (!redemption || randomFloat() >= AD_WATCH_RATIO) return;
+
+  watchAd(redemption, session);
 }
 
-// Individual test functions
-function testStationSearch() {
-  const searchParams = generateStationSearch();
-  const url = `${BASE_URL}${API_VERSION}/stations/nearby?lat=${searchParams.latitude}&lng=${searchParams.longitude}&radius=${searchParams.radius}km`;
+export async function qrRedemptionTest() {
+  // The customer scans the dispenser QR, watches the ad and gets the reward
+  const session = tokens.acquire();
+  if (!session) return;
+  const station = randomItem(TEST_STATIONS);
+
+  const qrCode = await QR_SIGNER.sign(generateQrPayload(station));
+  const redemption = startQrRedemption(qrCode, session);
+  if (!redemption) return;
 
-  const response = http.get(url, {
-    headers: getAuthHeaders(),
-    tags: { endpoint: 'station_search' },
+  // A token is single use: scanning it again must be refused
+  rejectQr(qrCode, 'replayed qr', ENDPOINT_TAGS.qrRedemptionReplayed, QR_REPLAY_REJECTED, session);
+
+  // Correctly signed, but past its expiry
+  const issuedAt = Math.floor(Date.now() / 1000) - DEFAULT_QR_TTL_SECONDS - 60;
+  const expired = await QR_SIGNER.sign(generateQrPayload(station, { issuedAt }));
+  rejectQr(expired, 'expired qr', ENDPOINT_TAGS.qrRedemptionExpired, QR_REJECTED, session);
+
+  const malformed = randomItem(await malformedQrCodes(QR_SIGNER, generateQrPayload(station)));
+  rejectQr(malformed.qrCode, 'malformed qr', ENDPOINT_TAGS.qrRedemptionMalformed, QR_REJECTED, session, {
+    qr_case: malformed.name,
   });
 
-  const success = check(response, {
-    'station search status is 200': (r) => r.status === 200,
-    'station search response time < 150ms': (r) => r.timings.duration < 150,
-    'station search returns stations': (r) => {
-      try {
-        const data = JSON.parse(r.body);
-        return Array.isArray(data) && data.length >= 0;
-      } catch (e) {
-        return false;
-      }
-    },
+  watchAd(redemption, session);
+}
+
+export async function grpcRedemptionTest() {
+  const station = randomItem(TEST_STATIONS);
+  const qrToken = await QR_SIGNER.sign(generateQrPayload(station));
+
+  const response = redemptionGrpc.redeem({
+    qr_token: qrToken,
+    gps: gpsString(station.latitude, station.longitude),
   });
 
+  const success = check(response, {
+    'grpc redeem status is OK': (r) => r && r.status === grpc.StatusOK,
+    'grpc redeem returns session': (r) => r && r.message && typeof r.message.sessionId === 'string' && r.message.sessionId.length > 0,
+    'grpc redeem returns provisional points': (r) => r && r.message && r.message.provisionalPoints > 0,
+  }, { endpoint: GRPC_REDEEM_TAG });
   errorRate.add(!success);
-  responseTime.add(response.timings.duration);
-  throughput.add(1);
+
+  sleep(randomInt(1, 3));
 }
 
-function testUserFlow() {
-  const user = generateUser();
+export function volumeTest() {
+  // Large data operations
+  testBulkOperations();
+  sleep(randomInt(2, 5));
+}
+
+// Individual test functions
+function testStationSearch() {
+  const search = generateStationSearch();
+  const response = tokens.request((token, extra) => stationClient.nearby(token, search, extra));
+  if (!response) return;
 
-  // Registration
-  const registerResponse = http.post(`${BASE_URL}${API_VERSION}/auth/register`, JSON.stringify(user), {
-    headers: { 'Content-Type': 'application/json' },
-    tags: { endpoint: 'user_registration' },
+  checkResponse(response, 'station search', {
+    maxDuration: 150,
+    body: { 'returns stations': has.stations },
   });
+}
 
-  const registerSuccess = check(registerResponse, {
-    'registration status is 201': (r) => r.status === 201,
-    'registration response time < 300ms': (r) => r.timings.duration < 300,
+function testUserFlow() {
+  const user = generateUser();
+
+  const registerSuccess = checkResponse(authClient.register(user), 'registration', {
+    status: 201,
+    maxDuration: 300,
   });
 
   if (registerSuccess) {
-    // Login
-    const loginResponse = http.post(`${BASE_URL}${API_VERSION}/auth/login`, JSON.stringify({
-      email: user.email,
-      password: user.password,
-    }), {
-      headers: { 'Content-Type': 'application/json' },
-      tags: { endpoint: 'user_login' },
+    checkResponse(authClient.login(user), 'login', {
+      maxDuration: 200,
+      body: { 'returns token': has.accessToken },
     });
+  }
+}
 
-    const loginSuccess = check(loginResponse, {
-      'login status is 200': (r) => r.status === 200,
-      'login response time < 200ms': (r) => r.timings.duration < 200,
-      'login returns token': (r) => {
-        try {
-          const data = JSON.parse(r.body);
-          return data.accessToken && data.accessToken.length > 0;
-        } catch (e) {
-          return false;
-        }
-      },
-    });
+// Purchases a coupon and returns the parsed body when the purchase succeeded
+function purchaseCoupon(station, label, session) {
+  const purchase = generateCouponPurchase(station);
+  const response = tokens.request((token, extra) => couponClient.purchase(token, purchase, extra), session);
+  if (!response) return null;
 
-    errorRate.add(!loginSuccess);
-  }
+  const success = checkResponse(response, label, {
+    status: [200, 201],
+    maxDuration: 200,
+    body: { 'returns coupon': has.qrCode },
+  });
 
-  errorRate.add(!registerSuccess);
+  return success ? parseJson(response) : null;
 }
 
 function testCouponCreation() {
-  const couponRequest = generateCouponRequest();
+  purchaseCoupon(randomItem(TEST_STATIONS), 'coupon creation');
+}
 
-  const response = http.post(`${BASE_URL}${API_VERSION}/coupons`, JSON.stringify(couponRequest), {
-    headers: getAuthHeaders(),
-    tags: { endpoint: 'coupon_creation' },
-  });
+// Redeems a purchased coupon and returns the parsed body when the redemption succeeded
+function redeemCoupon(coupon, station, session) {
+  const redemption = generateCouponRedemption(coupon.qrCode, station, coupon);
+  const response = tokens.request((token, extra) => couponClient.redeem(token, redemption, extra), session);
+  if (!response) return null;
 
-  const success = check(response, {
-    'coupon creation status is 200 or 201': (r) => r.status === 200 || r.status === 201,
-    'coupon creation response time < 200ms': (r) => r.timings.duration < 200,
-    'coupon creation returns coupon': (r) => {
-      try {
-        const data = JSON.parse(r.body);
-        return data.id && data.qrCode;
-      } catch (e) {
-        return false;
-      }
-    },
+  const success = checkResponse(response, 'coupon redemption', {
+    maxDuration: 300,
+    body: { 'returns redemption': has.ticketsGenerated },
   });
 
-  errorRate.add(!success);
-  responseTime.add(response.timings.duration);
-  throughput.add(1);
+  return success ? parseJson(response) : null;
 }
 
-function testCouponRedemption() {
-  // First create a coupon
-  const couponRequest = generateCouponRequest();
-  const createResponse = http.post(`${BASE_URL}${API_VERSION}/coupons`, JSON.stringify(couponRequest), {
-    headers: getAuthHeaders(),
+// Starts a QR redemption and returns the parsed body when the QR was accepted
+function startQrRedemption(qrCode, session) {
+  const response = tokens.request((token, extra) => redemptionClient.redeemQr(token, qrCode, extra), session);
+  if (!response) return null;
+
+  const success = checkResponse(response, 'qr redemption', {
+    maxDuration: 300,
+    body: { 'returns redemption': has.redemptionId, 'returns ad': has.adUrl },
   });
 
-  if (createResponse.status === 200 || createResponse.status === 201) {
-    const coupon = JSON.parse(createResponse.body);
+  return success ? parseJson(response) : null;
+}
 
-    // Then redeem it
-    const redemptionRequest = {
-      latitude: 19.4326,
-      longitude: -99.1332,
-      fuelAmount: randomIntBetween(5, 20),
-    };
+// Submits a QR token the backend has to refuse. Only another status counts as a failed request.
+function rejectQr(qrCode, label, endpoint, statuses, session, tags = {}) {
+  const callbacks = QR_REJECTION_CALLBACKS.get(statuses);
+  const response = tokens.request((token, extra) => {
+    // Only the first attempt comes with the pool's callback
+    const responseCallback = extra.responseCallback ? callbacks.firstAttempt : callbacks.retry;
+    return redemptionClient.redeemQr(token, qrCode, { ...extra, responseCallback, tags }, endpoint);
+  }, session);
+  if (!response) return;
+
+  checkResponse(response, label, { status: statuses, maxDuration: 200 });
+}
 
-    const redeemResponse = http.post(`${BASE_URL}${API_VERSION}/coupons/${coupon.id}/redeem`,
-      JSON.stringify(redemptionRequest), {
-      headers: getAuthHeaders(),
-      tags: { endpoint: 'coupon_redemption' },
-    });
+// Watches the ad of a redemption, then confirms it
+function watchAd(redemption, session) {
+  sleep(AD_WATCH_SECONDS);
 
-    const success = check(redeemResponse, {
-      'coupon redemption status is 200': (r) => r.status === 200,
-      'coupon redemption response time < 300ms': (r) => r.timings.duration < 300,
-      'coupon redemption returns redemption': (r) => {
-        try {
-          const data = JSON.parse(r.body);
-          return data.id && data.ticketsGenerated !== undefined;
-        } catch (e) {
-          return false;
-        }
-      },
-    });
+  const confirmation = tokens.request(
+    (token, extra) => redemptionClient.confirmAdWatched(token, redemption.redemptionId, extra),
+    session
+  );
+  if (!confirmation) return;
 
-    errorRate.add(!success);
-    responseTime.add(redeemResponse.timings.duration);
-  }
+  checkResponse(confirmation, 'ad watch confirmation', { maxDuration: 300 });
+}
+
+function testCouponRedemption() {
+  // Both steps run on the same account so the coupon belongs to the redeemer
+  const session = tokens.acquire();
+  if (!session) return;
+  const station = randomItem(TEST_STATIONS);
+
+  // First create a coupon, then redeem it at the same station
+  const coupon = purchaseCoupon(station, 'coupon creation', session);
+  if (!coupon) return;
+
+  redeemCoupon(coupon, station, session);
 }
 
 function testBulkOperations() {
   // Test bulk station search
-  const promises = [];
+  const requests = [];
+  const headers = authHeaders(tokens.token());
   for (let i = 0; i < 10; i++) {
-    const searchParams = generateStationSearch();
-    const url = `${BASE_URL}${API_VERSION}/stations/nearby?lat=${searchParams.latitude}&lng=${searchParams.longitude}&radius=${searchParams.radius}km`;
-    promises.push(http.asyncRequest('GET', url, null, { headers: getAuthHeaders() }));
+    requests.push({
+      method: 'GET',
+      url: `${API_URL}${PATHS.stations.nearby}?${stationSearchQuery(generateStationSearch())}`,
+      params: { headers, tags: { endpoint: ENDPOINT_TAGS.stationSearch } },
+    });
   }
 
-  const responses = http.batch(promises);
+  const responses = http.batch(requests);
 
   responses.forEach((response, index) => {
     check(response, {
@@ -407,12 +540,26 @@ function testBulkOperations() {
 
 // Setup and teardown
 export function setup() {
+  if (DRY_RUN) {
+    console.log(describePlan(PROFILES, SELECTED_PROFILES, COMMON_THRESHOLDS));
+    return null;
+  }
+
   console.log('Starting performance tests...');
   console.log(`Base URL: ${BASE_URL}`);
-  console.log(`Test Type: ${__ENV.TEST_TYPE || 'load'}`);
+  console.log(`Test Type: ${SELECTED_PROFILES.join(', ')}`);
+  if (SELECTED_PROFILES.indexOf('traffic') !== -1) {
+    console.log(`Traffic curve (arrivals per hour): ${describeCurve(TRAFFIC)}`);
+  }
+  if (SELECTED_PROFILES.indexOf('qr') !== -1) {
+    console.log(`QR tokens signed with ${QR_SIGNER.algorithm}`);
+  }
+  if (SELECTED_PROFILES.indexOf('grpc') !== -1) {
+    console.log(`RedemptionService gRPC address: ${GRPC_ADDR}`);
+  }
 
   // Warm up the application
-  const warmupResponse = http.get(`${BASE_URL}/actuator/health`);
+  const warmupResponse = healthClient.check();
   if (warmupResponse.status !== 200) {
     console.error('Application is not healthy, aborting tests');
     return null;
@@ -423,66 +570,48 @@ export function setup() {
 
 export function teardown(data) {
   console.log('Performance tests completed');
-  console.log('Check the results in Grafana dashboards');
+  console.log(`Results for run ${RUN_ID}: performance-test-summary.html, performance-test-junit.xml, performance-metrics.prom`);
 }
 
 // Handle summary
 export function handleSummary(data) {
+  // A dry run executes nothing, so there are no results worth writing
+  if (DRY_RUN) {
+    return {};
+  }
+
+  const current = extractEndpointStats(data);
+  const comparison = compareToBaseline(current, BASELINE, tolerancesFromEnv(__ENV));
+  const verdict = {
+    verdict: comparison.verdict,
+    testType: SELECTED_PROFILES.join(','),
+    baselineFile: BASELINE_FILE || null,
+    tolerances: comparison.tolerances,
+    regressions: comparison.regressions,
+    endpoints: comparison.endpoints,
+    // Read back by extractEndpointStats(), so this file can become the next baseline
+    current: { endpoints: current },
+  };
+  const diff = markdownDiff(comparison);
+  const hideThreshold = (metric) => metric in TRACKING_THRESHOLDS;
+
   return {
+    stdout: `\n${diff}\n`,
     'performance-test-results.json': JSON.stringify(data, null, 2),
-    'performance-test-summary.html': generateHtmlReport(data),
+    'performance-test-summary.html': generateHtmlReport(data, {
+      baseUrl: BASE_URL,
+      selected: SELECTED_PROFILES,
+      scenarios: options.scenarios,
+      comparison,
+      hideThreshold,
+    }),
+    'performance-test-junit.xml': junitXml(data, { name: 'load-test-suite', hideThreshold }),
+    'performance-metrics.prom': prometheusText(data, {
+      run_id: RUN_ID,
+      scenario: SELECTED_PROFILES.join(','),
+      git_sha: GIT_SHA,
+    }),
+    'performance-baseline-verdict.json': JSON.stringify(verdict, null, 2),
+    'performance-baseline-diff.md': diff,
   };
 }
-
-function generateHtmlReport(data) {
-  const template = `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>Gasolinera JSM Performance Test Results</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        .metric { margin: 10px 0; padding: 10px; border-left: 4px solid #007cba; }
-        .pass { border-left-color: #28a745; }
-        .fail { border-left-color: #dc3545; }
-        .summary { background-color: #f8f9fa; padding: 15px; border-radius: 5px; }
-    </style>
-</head>
-<body>
-    <h1>Gasolinera JSM Performance Test Results</h1>
-    <div class="summary">
-        <h2>Test Summary</h2>
-        <p><strong>Test Duration:</strong> ${data.state.testRunDurationMs / 1000}s</p>
-        <p><strong>Total Requests:</strong> ${data.metrics.http_reqs.count}</p>
-        <p><strong>Failed Requests:</strong> ${data.metrics.http_req_failed.count}</p>
-        <p><strong>Average Response Time:</strong> ${data.metrics.http_req_duration.avg.toFixed(2)}ms</p>
-        <p><strong>95th Percentile:</strong> ${data.metrics.http_req_duration['p(95)'].toFixed(2)}ms</p>
-        <p><strong>99th Percentile:</strong> ${data.metrics.http_req_duration['p(99)'].toFixed(2)}ms</p>
-    </div>
-
-    <h2>Threshold Results</h2>
-    ${Object.entries(data.thresholds).map(([name, threshold]) => `
-        <div class="metric ${threshold.ok ? 'pass' : 'fail'}">
-            <strong>${name}:</strong> ${threshold.ok ? 'PASS' : 'FAIL'}
-        </div>
-    `).join('')}
-
-    <h2>Detailed Metrics</h2>
-    ${Object.entries(data.metrics).map(([name, metric]) => `
-        <div class="metric">
-            <strong>${name}:</strong>
-            <ul>
-                <li>Count: ${metric.count || 'N/A'}</li>
-                <li>Rate: ${metric.rate ? metric.rate.toFixed(2) : 'N/A'}</li>
-                <li>Average: ${metric.avg ? metric.avg.toFixed(2) : 'N/A'}</li>
-                <li>Min: ${metric.min ? metric.min.toFixed(2) : 'N/A'}</li>
-                <li>Max: ${metric.max ? metric.max.toFixed(2) : 'N/A'}</li>
-            </ul>
-        </div>
-    `).join('')}
-</body>
-</html>
-  `;
-
-  return template;
-}
\ No newline at end of file
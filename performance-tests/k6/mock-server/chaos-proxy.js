@@ -0,0 +1,208 @@
+/**
+ * Fault-injecting reverse proxy for the resilience suite.
+ *
+ * Sits in front of a gateway (the real one or the mock backend) and injects
+ * latency, error answers, connection resets and truncated JSON bodies:
+ *
+ *   CHAOS_TARGET=http://localhost:8080 node mock-server/chaos-proxy.js
+ *   k6 run -e BASE_URL=http://localhost:8888 chaos-test-suite.js
+ *
+ * A reset happens either before the request is forwarded or after the backend
+ * answered, in equal shares. The second kind is the one that makes clients
+ * retry writes the backend already applied.
+ *
+ * Faults are only injected inside CHAOS_WINDOW, counted from start-up or from
+ * the last POST /__chaos/arm. GET /__chaos returns the window and the counts of
+ * injected faults. The health check and requests with the X-Chaos-Bypass
+ * header are never faulted.
+ *
+ * Settings (environment):
+ *   CHAOS_TARGET                 upstream base URL, default http://localhost:8080
+ *   CHAOS_HOST, CHAOS_PORT       listen address, default 0.0.0.0:8888
+ *   CHAOS_WINDOW                 fault window, e.g. "1m-3m", default the whole run
+ *   CHAOS_ROUTES                 API path prefixes to fault, e.g. "/coupons,/raffles", default all
+ *   CHAOS_LATENCY_MS, CHAOS_ERROR_RATE, CHAOS_ERROR_STATUS, CHAOS_RESET_RATE,
+ *   CHAOS_TRUNCATE_RATE, CHAOS_ROUTE_FAULTS
+ *                                fault injection, see faults.js
+ *   CHAOS_LOG=true               log every injected fault
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import { pathToFileURL } from 'node:url';
+import { PATHS } from '../lib/endpoints.js';
+import { parseChaosWindow, chaosPhase, CHAOS_BYPASS_HEADER, CHAOS_CONTROL_PATH } from '../lib/resilience.js';
+import {
+  loadFaults,
+  faultFor,
+  sampleDelay,
+  shouldFail,
+  pickErrorStatus,
+  injectedError,
+  shouldReset,
+  shouldTruncate,
+  truncateBody,
+} from './faults.js';
+
+// Matches API_VERSION in ../lib/config.js, which needs the k6 runtime
+const API_PREFIX = '/api/v1';
+
+// Hop-by-hop headers are not forwarded
+const HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'proxy-connection'];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function readRaw(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function forwardHeaders(headers, target) {
+  const out = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (HOP_HEADERS.indexOf(name) === -1) out[name] = value;
+  });
+  out.host = target.host;
+  return out;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates the proxy without starting it.
+ *
+ * @param {Object} [options]
+ * @param {NodeJS.ProcessEnv} [options.env] - Settings, defaults to process.env
+ * @returns {http.Server}
+ */
+export function createChaosProxy(options = {}) {
+  const env = options.env || process.env;
+  const target = new URL(env.CHAOS_TARGET || 'http://localhost:8080');
+  const faults = loadFaults(env, 'CHAOS');
+  const window = parseChaosWindow(env.CHAOS_WINDOW);
+  const routes = (env.CHAOS_ROUTES || '').split(',').map((route) => route.trim()).filter(Boolean);
+  const log = env.CHAOS_LOG === 'true';
+
+  let armedAt = Date.now();
+  const injected = { delayed: 0, errors: 0, resetsBeforeForward: 0, resetsAfterForward: 0, truncated: 0 };
+  let forwarded = 0;
+
+  function state() {
+    return { target: target.origin, window, armedAt, phase: chaosPhase(window, armedAt, Date.now()), routes, forwarded, injected };
+  }
+
+  function record(kind, req) {
+    injected[kind]++;
+    if (log) console.log(`${kind} ${req.method} ${req.url}`);
+  }
+
+  function faulted(req, url) {
+    if (req.headers[CHAOS_BYPASS_HEADER.toLowerCase()] || url.pathname === PATHS.health) return null;
+    if (chaosPhase(window, armedAt, Date.now()) !== 'during') return null;
+
+    const path = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : url.pathname;
+    if (routes.length > 0 && !routes.some((route) => path.startsWith(route))) return null;
+    return faultFor(faults, path);
+  }
+
+  function forward(req, body) {
+    return new Promise((resolve, reject) => {
+      const upstream = (target.protocol === 'https:' ? https : http).request({
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port: target.port,
+        method: req.method,
+        path: req.url,
+        headers: forwardHeaders(req.headers, target),
+      }, (response) => {
+        readRaw(response).then((data) => resolve({ status: response.statusCode, headers: response.headers, body: data }), reject);
+      });
+      upstream.on('error', reject);
+      upstream.end(body);
+    });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://proxy');
+
+    if (url.pathname === CHAOS_CONTROL_PATH && req.method === 'GET') {
+      return sendJson(res, 200, state());
+    }
+    if (url.pathname === `${CHAOS_CONTROL_PATH}/arm` && req.method === 'POST') {
+      armedAt = Date.now();
+      return sendJson(res, 200, state());
+    }
+
+    const fault = faulted(req, url);
+    const body = await readRaw(req);
+
+    if (fault) {
+      const wait = sampleDelay(fault);
+      if (wait > 0) {
+        record('delayed', req);
+        await delay(wait);
+      }
+      if (shouldFail(fault)) {
+        record('errors', req);
+        const error = injectedError(pickErrorStatus(fault));
+        return sendJson(res, error.status, error.body, { ...error.headers, 'X-Chaos-Fault': 'error' });
+      }
+    }
+
+    const reset = fault !== null && shouldReset(fault);
+    const resetAfterForward = reset && Math.random() < 0.5;
+    if (reset && !resetAfterForward) {
+      record('resetsBeforeForward', req);
+      return req.socket.destroy();
+    }
+
+    const upstream = await forward(req, body);
+    forwarded++;
+
+    if (resetAfterForward) {
+      record('resetsAfterForward', req);
+      return req.socket.destroy();
+    }
+
+    const headers = forwardHeaders(upstream.headers, target);
+    delete headers.host;
+    delete headers['content-length'];
+    let payload = upstream.body;
+    if (fault && payload.length > 1 && shouldTruncate(fault)) {
+      record('truncated', req);
+      payload = truncateBody(payload);
+      headers['x-chaos-fault'] = 'truncated';
+    }
+    res.writeHead(upstream.status, { ...headers, 'content-length': payload.length });
+    return res.end(payload);
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      console.error(e);
+      if (!res.headersSent) sendJson(res, 502, { error: `Upstream unreachable: ${e.message}`, status: 502 });
+    });
+  });
+}
+
+// Started directly (not imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const host = process.env.CHAOS_HOST || '0.0.0.0';
+  const port = parseInt(process.env.CHAOS_PORT || '8888', 10);
+  const server = createChaosProxy();
+
+  server.listen(port, host, () => {
+    console.log(`Chaos proxy listening on http://${host}:${port}, forwarding to ${process.env.CHAOS_TARGET || 'http://localhost:8080'}`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,181 @@
+/**
+ * Latency, error, connection reset and truncation injection, shared by the
+ * mock backend (MOCK_ prefix) and the chaos proxy (CHAOS_ prefix).
+ *
+ * Configured through environment variables:
+ *   <PREFIX>_LATENCY_MS     fixed delay ("40") or a range ("20-120"), default 0
+ *   <PREFIX>_ERROR_RATE     share of requests answered with an injected error (0..1), default 0
+ *   <PREFIX>_ERROR_STATUS   status code of injected errors, or a list to pick from ("429,503"), default 503
+ *   <PREFIX>_RESET_RATE     share of connections destroyed without a response (0..1), default 0
+ *   <PREFIX>_TRUNCATE_RATE  share of JSON bodies cut in half (0..1), default 0
+ *   <PREFIX>_ROUTE_FAULTS   per-route overrides as JSON, keyed by API path, e.g.
+ *                           {"/coupons/redeem": {"latencyMs": "200-400", "errorRate": 0.1}}
+ */
+
+/**
+ * @typedef {Object} Fault
+ * @property {[number, number]} latencyMs - Inclusive delay range
+ * @property {number} errorRate
+ * @property {number[]} errorStatuses - Injected errors use one of these at random
+ * @property {number} resetRate
+ * @property {number} truncateRate
+ */
+
+/**
+ * Parses "40" or "20-120" into a [min, max] range.
+ * @param {string|number|undefined} value
+ * @returns {[number, number]}
+ */
+export function parseLatency(value) {
+  if (value === undefined || value === null || value === '') return [0, 0];
+
+  const [min, max = min] = String(value).split('-').map((part) => parseInt(part.trim(), 10));
+  if (Number.isNaN(min) || Number.isNaN(max) || min < 0 || max < min) {
+    throw new Error(`Invalid latency "${value}", expected "<ms>" or "<min>-<max>"`);
+  }
+  return [min, max];
+}
+
+function parseRate(value, name) {
+  const rate = value === undefined || value === '' ? 0 : Number(value);
+  if (Number.isNaN(rate) || rate < 0 || rate > 1) {
+    throw new Error(`Invalid ${name} "${value}", expected a number between 0 and 1`);
+  }
+  return rate;
+}
+
+/**
+ * Parses "503" or "429,503" into a list of status codes.
+ * @param {string|number|undefined} value
+ * @returns {number[]}
+ */
+export function parseStatuses(value) {
+  if (value === undefined || value === null || value === '') return [503];
+
+  const statuses = String(value).split(',').map((part) => parseInt(part.trim(), 10));
+  if (statuses.some((status) => Number.isNaN(status) || status < 100 || status > 599)) {
+    throw new Error(`Invalid error status "${value}", expected codes like "503" or "429,503"`);
+  }
+  return statuses;
+}
+
+/**
+ * @param {Object} raw
+ * @param {Fault} fallback
+ * @returns {Fault}
+ */
+function toFault(raw, fallback) {
+  return {
+    latencyMs: raw.latencyMs !== undefined ? parseLatency(raw.latencyMs) : fallback.latencyMs,
+    errorRate: raw.errorRate !== undefined ? parseRate(raw.errorRate, 'errorRate') : fallback.errorRate,
+    errorStatuses: raw.errorStatus !== undefined ? parseStatuses(raw.errorStatus) : fallback.errorStatuses,
+    resetRate: raw.resetRate !== undefined ? parseRate(raw.resetRate, 'resetRate') : fallback.resetRate,
+    truncateRate: raw.truncateRate !== undefined ? parseRate(raw.truncateRate, 'truncateRate') : fallback.truncateRate,
+  };
+}
+
+/**
+ * Reads the fault configuration from the environment.
+ * @param {NodeJS.ProcessEnv} env
+ * @param {string} [prefix='MOCK'] - Variable prefix, e.g. CHAOS for the chaos proxy
+ * @returns {{ defaults: Fault, routes: Object<string, Fault> }}
+ */
+export function loadFaults(env, prefix = 'MOCK') {
+  const defaults = {
+    latencyMs: parseLatency(env[`${prefix}_LATENCY_MS`]),
+    errorRate: parseRate(env[`${prefix}_ERROR_RATE`], `${prefix}_ERROR_RATE`),
+    errorStatuses: parseStatuses(env[`${prefix}_ERROR_STATUS`]),
+    resetRate: parseRate(env[`${prefix}_RESET_RATE`], `${prefix}_RESET_RATE`),
+    truncateRate: parseRate(env[`${prefix}_TRUNCATE_RATE`], `${prefix}_TRUNCATE_RATE`),
+  };
+
+  const routes = {};
+  const routeFaults = env[`${prefix}_ROUTE_FAULTS`];
+  if (routeFaults) {
+    let overrides;
+    try {
+      overrides = JSON.parse(routeFaults);
+    } catch (e) {
+      throw new Error(`${prefix}_ROUTE_FAULTS is not valid JSON: ${e.message}`);
+    }
+    Object.entries(overrides).forEach(([path, raw]) => {
+      routes[path] = toFault(raw, defaults);
+    });
+  }
+
+  return { defaults, routes };
+}
+
+/**
+ * Fault settings that apply to an API path.
+ * @param {{ defaults: Fault, routes: Object<string, Fault> }} faults
+ * @param {string} path - Path relative to the API prefix
+ * @returns {Fault}
+ */
+export function faultFor(faults, path) {
+  return faults.routes[path] || faults.defaults;
+}
+
+/**
+ * Picks a delay in the fault's latency range.
+ * @param {Fault} fault
+ */
+export function sampleDelay(fault) {
+  const [min, max] = fault.latencyMs;
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function happens(rate) {
+  return rate > 0 && Math.random() < rate;
+}
+
+/**
+ * Whether this request should be answered with an injected error.
+ * @param {Fault} fault
+ */
+export function shouldFail(fault) {
+  return happens(fault.errorRate);
+}
+
+/**
+ * Status code for an injected error.
+ * @param {Fault} fault
+ */
+export function pickErrorStatus(fault) {
+  return fault.errorStatuses[Math.floor(Math.random() * fault.errorStatuses.length)];
+}
+
+/**
+ * Answer of an injected error. Throttling answers tell the client when to come back.
+ * @param {number} status
+ * @returns {{ status: number, body: Object, headers: Object<string, string> }}
+ */
+export function injectedError(status) {
+  const headers = status === 429 ? { 'Retry-After': '1' } : {};
+  return { status, body: { error: 'Injected fault', status }, headers };
+}
+
+/**
+ * Whether this connection should be destroyed without a response.
+ * @param {Fault} fault
+ */
+export function shouldReset(fault) {
+  return happens(fault.resetRate);
+}
+
+/**
+ * Whether this response body should be cut short.
+ * @param {Fault} fault
+ */
+export function shouldTruncate(fault) {
+  return happens(fault.truncateRate);
+}
+
+/**
+ * Cuts a body in half, so a JSON document no longer parses.
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+export function truncateBody(body) {
+  return body.subarray(0, Math.floor(body.length / 2));
+}
@@ -0,0 +1,100 @@
+/**
+ * Offline stub of the RedemptionService gRPC API.
+ *
+ * Built from the same packages/proto/redemption.proto the k6 suite loads, so
+ * the gRPC scenario can run without the real services:
+ *
+ *   node mock-server/grpc-server.js
+ *   k6 run -e TEST_TYPE=grpc -e GRPC_ADDR=localhost:9090 load-test-suite.js
+ *
+ * QR tokens are verified like the REST mock does (HS256, expiry, single-use
+ * nonce) and rejected with INVALID_ARGUMENT or ALREADY_EXISTS.
+ *
+ * Settings (environment):
+ *   GRPC_STUB_HOST, GRPC_STUB_PORT  listen address, default 0.0.0.0:9090
+ *   MOCK_QR_SECRET                  HS256 secret of the dispenser QR tokens
+ *   MOCK_LOG=true                   log every call
+ */
+
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import grpc from '@grpc/grpc-js';
+import protoLoader from '@grpc/proto-loader';
+import { DEFAULT_QR_SECRET } from '../lib/qr.js';
+import { verifyQrToken, AD_URL, AD_POINTS } from './store.js';
+
+const PROTO_FILE = fileURLToPath(new URL('../../../packages/proto/redemption.proto', import.meta.url));
+
+// Same length as the mobile app's ad player
+const AD_DURATION_SECONDS = 15;
+
+const GPS = /^-?\d{1,2}(\.\d+)?,-?\d{1,3}(\.\d+)?$/;
+
+function loadService() {
+  const definition = protoLoader.loadSync(PROTO_FILE, { keepCase: true, defaults: true });
+  return grpc.loadPackageDefinition(definition).redemption.RedemptionService.service;
+}
+
+/**
+ * Creates the stub server without binding it.
+ *
+ * @param {Object} [options]
+ * @param {NodeJS.ProcessEnv} [options.env] - Settings, defaults to process.env
+ * @returns {grpc.Server}
+ */
+export function createGrpcStub(options = {}) {
+  const env = options.env || process.env;
+  const secret = env.MOCK_QR_SECRET || DEFAULT_QR_SECRET;
+  const log = env.MOCK_LOG === 'true';
+  const usedNonces = new Set();
+
+  function redeem(call, callback) {
+    const startedAt = Date.now();
+    const done = (error, response) => {
+      if (log) console.log(`Redeem ${error ? grpc.status[error.code] : 'OK'} ${Date.now() - startedAt}ms`);
+      callback(error, response);
+    };
+
+    const { qr_token: qrToken, gps } = call.request;
+    const { payload, error } = verifyQrToken(qrToken, secret);
+    if (error) {
+      return done({ code: grpc.status.INVALID_ARGUMENT, details: error });
+    }
+    if (!GPS.test(gps)) {
+      return done({ code: grpc.status.INVALID_ARGUMENT, details: 'gps must be "latitude,longitude"' });
+    }
+    if (usedNonces.has(payload.n)) {
+      return done({ code: grpc.status.ALREADY_EXISTS, details: 'QR token already used' });
+    }
+
+    usedNonces.add(payload.n);
+    return done(null, {
+      session_id: randomUUID(),
+      ad_payload: JSON.stringify({ adUrl: AD_URL, durationSeconds: AD_DURATION_SECONDS, stationId: payload.s }),
+      provisional_points: AD_POINTS,
+    });
+  }
+
+  const server = new grpc.Server();
+  server.addService(loadService(), { Redeem: redeem });
+  return server;
+}
+
+// Started directly (not imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const host = process.env.GRPC_STUB_HOST || '0.0.0.0';
+  const port = parseInt(process.env.GRPC_STUB_PORT || '9090', 10);
+  const server = createGrpcStub();
+
+  server.bindAsync(`${host}:${port}`, grpc.ServerCredentials.createInsecure(), (error) => {
+    if (error) {
+      console.error(error);
+      process.exit(1);
+    }
+    console.log(`RedemptionService gRPC stub listening on ${host}:${port}`);
+  });
+
+  const shutdown = () => server.tryShutdown(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
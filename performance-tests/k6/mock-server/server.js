@@ -0,0 +1,174 @@
+/**
+ * Offline mock of the gateway exercised by the k6 suites.
+ *
+ * Implements the contract in ../lib/endpoints.js with in-memory state so the
+ * suites, their thresholds and the report generation can be validated without
+ * the real services:
+ *
+ *   node mock-server/server.js
+ *   k6 run -e BASE_URL=http://localhost:8080 load-test-suite.js
+ *
+ * Settings (environment):
+ *   MOCK_HOST, MOCK_PORT        listen address, default 0.0.0.0:8080
+ *   MOCK_TOKEN_TTL_SECONDS      access token lifetime, default 900
+ *   MOCK_QR_SECRET              HS256 secret of the dispenser QR tokens, must
+ *                               match QR_SIGNATURE_SECRET of the suites
+ *   MOCK_LOG=true               log every request
+ *   MOCK_LATENCY_MS, MOCK_ERROR_RATE, MOCK_ERROR_STATUS, MOCK_RESET_RATE,
+ *   MOCK_TRUNCATE_RATE, MOCK_ROUTE_FAULTS
+ *                               fault injection, see faults.js
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { PATHS } from '../lib/endpoints.js';
+import { createStore } from './store.js';
+import {
+  loadFaults,
+  faultFor,
+  sampleDelay,
+  shouldFail,
+  pickErrorStatus,
+  injectedError,
+  shouldReset,
+  shouldTruncate,
+  truncateBody,
+} from './faults.js';
+
+// Matches API_VERSION in ../lib/config.js, which needs the k6 runtime
+const API_PREFIX = '/api/v1';
+
+/**
+ * Route table keyed by "METHOD path". `auth: true` routes receive the
+ * authenticated user and answer 401 without a valid bearer token.
+ */
+const ROUTES = {
+  [`POST ${PATHS.auth.register}`]: { handler: (store, req) => store.register(req.body) },
+  [`POST ${PATHS.auth.login}`]: { handler: (store, req) => store.login(req.body) },
+  [`POST ${PATHS.auth.refresh}`]: { handler: (store, req) => store.refresh(req.body) },
+  [`GET ${PATHS.auth.profile}`]: { auth: true, handler: (store, req) => store.profile(req.user) },
+  [`GET ${PATHS.stations.list}`]: { auth: true, handler: (store, req) => store.listStations(req.query) },
+  [`GET ${PATHS.stations.nearby}`]: { auth: true, handler: (store, req) => store.nearbyStations(req.query) },
+  [`GET ${PATHS.coupons.list}`]: { auth: true, handler: (store, req) => store.listCoupons(req.user, req.query) },
+  [`POST ${PATHS.coupons.purchase}`]: { auth: true, handler: (store, req) => store.purchaseCoupon(req.user, req.body) },
+  [`POST ${PATHS.coupons.redeem}`]: { auth: true, handler: (store, req) => store.redeemCoupon(req.user, req.body) },
+  [`GET ${PATHS.coupons.statistics}`]: { auth: true, handler: (store, req) => store.couponStatistics(req.user) },
+  [`GET ${PATHS.raffles.active}`]: { auth: true, handler: (store) => store.activeRaffles() },
+  [`POST ${PATHS.raffles.participate}`]: { auth: true, handler: (store, req) => store.participate(req.user, req.body) },
+  [`GET ${PATHS.dashboard.user}`]: { auth: true, handler: (store, req) => store.dashboard(req.user) },
+  [`POST ${PATHS.redemptions.create}`]: { auth: true, handler: (store, req) => store.startRedemption(req.user, req.body) },
+  [`POST ${PATHS.redemptions.confirm}`]: { auth: true, handler: (store, req) => store.confirmAdWatched(req.user, req.body) },
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates the mock server without starting it.
+ *
+ * @param {Object} [options]
+ * @param {NodeJS.ProcessEnv} [options.env] - Settings, defaults to process.env
+ * @returns {http.Server}
+ */
+export function createMockServer(options = {}) {
+  const env = options.env || process.env;
+  const store = createStore({
+    tokenTtlSeconds: parseInt(env.MOCK_TOKEN_TTL_SECONDS || '900', 10),
+    qrSecret: env.MOCK_QR_SECRET,
+  });
+  const faults = loadFaults(env);
+  const log = env.MOCK_LOG === 'true';
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://mock');
+
+    // The health check is never faulted so setup() can always reach it
+    if (req.method === 'GET' && url.pathname === PATHS.health) {
+      return send(res, 200, { status: 'UP' });
+    }
+
+    const path = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : null;
+    const route = path !== null ? ROUTES[`${req.method} ${path}`] : null;
+    if (!route) {
+      return send(res, 404, { error: 'Not found', status: 404 });
+    }
+
+    const fault = faultFor(faults, path);
+    await delay(sampleDelay(fault));
+    if (shouldReset(fault)) {
+      return req.socket.destroy();
+    }
+    if (shouldFail(fault)) {
+      const error = injectedError(pickErrorStatus(fault));
+      return send(res, error.status, error.body, { ...error.headers, 'X-Mock-Fault': 'error' });
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (e) {
+      return send(res, 400, { error: 'Malformed JSON body', status: 400 });
+    }
+
+    const user = route.auth ? store.authenticate(req.headers.authorization) : null;
+    if (route.auth && !user) {
+      return send(res, 401, { error: 'Unauthorized', status: 401 });
+    }
+
+    const result = route.handler(store, { body, query: url.searchParams, user });
+    if (shouldTruncate(fault)) {
+      res.writeHead(result.status, { 'Content-Type': 'application/json', 'X-Mock-Fault': 'truncated' });
+      return res.end(truncateBody(Buffer.from(JSON.stringify(result.body))));
+    }
+    return send(res, result.status, result.body);
+  }
+
+  return http.createServer((req, res) => {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      if (log) console.log(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - startedAt}ms`);
+    });
+
+    handle(req, res).catch((e) => {
+      console.error(e);
+      if (!res.headersSent) send(res, 500, { error: 'Internal mock error', status: 500 });
+    });
+  });
+}
+
+// Started directly (not imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const host = process.env.MOCK_HOST || '0.0.0.0';
+  const port = parseInt(process.env.MOCK_PORT || '8080', 10);
+  const server = createMockServer();
+
+  server.listen(port, host, () => {
+    console.log(`Mock backend listening on http://${host}:${port}${API_PREFIX}`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,402 @@
+/**
+ * In-memory state and business rules of the mock backend.
+ *
+ * Every handler returns `{ status, body }` so the HTTP layer stays a thin
+ * router. Responses carry the fields the k6 checks assert on (accessToken,
+ * qrCode, ticketsGenerated, totalCoupons...) with the gateway's field names.
+ */
+
+import { randomUUID, createHmac, timingSafeEqual } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { DEFAULT_QR_SECRET } from '../lib/qr.js';
+
+// Same stations as the seeded database, see scripts/generate-fixtures.js
+const STATIONS = JSON.parse(readFileSync(new URL('../fixtures/stations.json', import.meta.url), 'utf8'));
+
+const RAFFLES = [
+  { id: 'raffle-weekly', name: 'Sorteo Semanal', prize: 'Tanque lleno', ticketCost: 1 },
+  { id: 'raffle-monthly', name: 'Sorteo Mensual', prize: '₡500 000 en combustible', ticketCost: 5 },
+];
+
+// One raffle ticket per this much coupon value, with a minimum of one
+const TICKET_VALUE = 5000;
+
+// Ad played after a QR redemption, as served to the mobile app
+export const AD_URL = 'https://cdn.gasolinera-jsm.com/ads/default.mp4';
+
+// Points credited for watching the ad after a redemption, as in the seed data
+export const AD_POINTS = 25;
+
+/**
+ * @param {number} status
+ * @param {Object} body
+ */
+function reply(status, body) {
+  return { status, body };
+}
+
+function fail(status, message) {
+  return reply(status, { error: message, status });
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function distanceKm(from, to) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLng = toRad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function page(items, query) {
+  const pageIndex = Math.max(parseInt(query.get('page') || '0', 10), 0);
+  const size = Math.max(parseInt(query.get('size') || '20', 10), 1);
+  return {
+    content: items.slice(pageIndex * size, (pageIndex + 1) * size),
+    page: pageIndex,
+    size,
+    totalElements: items.length,
+    totalPages: Math.ceil(items.length / size),
+  };
+}
+
+// Never echo the password back
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    phone: user.phone,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    createdAt: user.createdAt,
+  };
+}
+
+const BASE64URL = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Verifies an HS256 dispenser QR token the way the redemption service does:
+ * format, signature over the payload bytes, payload shape, then expiry.
+ *
+ * @param {string} token
+ * @param {string} secret
+ * @returns {{ payload?: Object, error?: string }}
+ */
+export function verifyQrToken(token, secret) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2) {
+    return { error: 'Invalid QR token format' };
+  }
+  if (!BASE64URL.test(parts[0]) || !BASE64URL.test(parts[1])) {
+    return { error: 'Invalid base64url encoding' };
+  }
+
+  const payloadBytes = Buffer.from(parts[0], 'base64url');
+  const expected = createHmac('sha256', secret).update(payloadBytes).digest();
+  const received = Buffer.from(parts[1], 'base64url');
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return { error: 'Invalid QR signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(payloadBytes.toString('utf8'));
+  } catch (e) {
+    return { error: 'Invalid QR payload JSON' };
+  }
+  const shaped = payload !== null &&
+    ['s', 'd', 'n'].every((field) => typeof payload[field] === 'string') &&
+    ['t', 'exp'].every((field) => Number.isInteger(payload[field]));
+  if (!shaped) {
+    return { error: 'Invalid QR payload JSON' };
+  }
+
+  if (payload.exp < Math.floor(Date.now() / 1000)) {
+    return { error: 'QR token has expired' };
+  }
+  return { payload };
+}
+
+/**
+ * Creates an empty store.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.tokenTtlSeconds] - Lifetime of issued access tokens
+ * @param {string} [options.qrSecret] - HS256 secret dispenser QR tokens are signed with
+ */
+export function createStore(options = {}) {
+  const tokenTtlSeconds = options.tokenTtlSeconds || 900;
+  const qrSecret = options.qrSecret || DEFAULT_QR_SECRET;
+
+  const users = new Map();          // email -> user
+  const accessTokens = new Map();   // token -> { email, expiresAt }
+  const refreshTokens = new Map();  // token -> email
+  const coupons = new Map();        // qrCode -> coupon
+  const redemptions = new Map();    // redemptionId -> redemption
+  const usedNonces = new Set();      // QR nonces already redeemed
+  const participations = [];
+
+  function findUser(identifier) {
+    if (users.has(identifier)) return users.get(identifier);
+    return [...users.values()].find((user) => user.phone === identifier) || null;
+  }
+
+  // JWT shaped so clients can read `exp`; the signature is not meaningful
+  function issueTokens(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { sub: user.id, email: user.email, roles: ['CUSTOMER'], iat: now, exp: now + tokenTtlSeconds };
+    const accessToken = `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(claims)}.mock`;
+    const refreshToken = randomUUID();
+
+    accessTokens.set(accessToken, { email: user.email, expiresAt: claims.exp * 1000 });
+    refreshTokens.set(refreshToken, user.email);
+
+    return reply(200, {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: tokenTtlSeconds,
+      user: publicUser(user),
+    });
+  }
+
+  function ticketBalance(user) {
+    const earned = [...coupons.values()]
+      .filter((coupon) => coupon.userId === user.id)
+      .reduce((sum, coupon) => sum + (coupon.ticketsGenerated || 0), 0);
+    const used = participations
+      .filter((entry) => entry.userId === user.id)
+      .reduce((sum, entry) => sum + entry.ticketsUsed, 0);
+    return { earned, used, available: earned - used };
+  }
+
+  function couponsOf(user) {
+    return [...coupons.values()].filter((coupon) => coupon.userId === user.id);
+  }
+
+  return {
+    /**
+     * Resolves the user behind an `Authorization: Bearer` header.
+     * @param {string|undefined} header
+     */
+    authenticate(header) {
+      const token = header && header.startsWith('Bearer ') ? header.slice(7) : null;
+      const entry = token ? accessTokens.get(token) : null;
+      if (!entry) return null;
+      if (Date.now() >= entry.expiresAt) {
+        accessTokens.delete(token);
+        return null;
+      }
+      return users.get(entry.email) || null;
+    },
+
+    register(body) {
+      if (!body.email || !body.password) {
+        return fail(400, 'email and password are required');
+      }
+      if (users.has(body.email)) {
+        return fail(409, 'User already exists');
+      }
+
+      const user = {
+        id: randomUUID(),
+        email: body.email,
+        phone: body.phone || null,
+        firstName: body.firstName || '',
+        lastName: body.lastName || '',
+        password: body.password,
+        createdAt: new Date().toISOString(),
+      };
+      users.set(user.email, user);
+      return reply(201, publicUser(user));
+    },
+
+    login(body) {
+      const user = findUser(body.identifier);
+      if (!user || user.password !== body.password) {
+        return fail(401, 'Invalid credentials');
+      }
+      return issueTokens(user);
+    },
+
+    refresh(body) {
+      const email = refreshTokens.get(body.refreshToken);
+      if (!email) {
+        return fail(401, 'Invalid refresh token');
+      }
+      // Refresh tokens are single use
+      refreshTokens.delete(body.refreshToken);
+      return issueTokens(users.get(email));
+    },
+
+    profile(user) {
+      return reply(200, publicUser(user));
+    },
+
+    listStations(query) {
+      return reply(200, page(STATIONS, query));
+    },
+
+    nearbyStations(query) {
+      const origin = {
+        latitude: parseFloat(query.get('latitude')),
+        longitude: parseFloat(query.get('longitude')),
+      };
+      if (Number.isNaN(origin.latitude) || Number.isNaN(origin.longitude)) {
+        return fail(400, 'latitude and longitude are required');
+      }
+      const radius = parseFloat(query.get('radius') || '10');
+
+      const stations = STATIONS
+        .map((station) => ({ ...station, distance: Number(distanceKm(origin, station).toFixed(2)) }))
+        .filter((station) => station.distance <= radius)
+        .sort((a, b) => a.distance - b.distance);
+      return reply(200, { stations });
+    },
+
+    purchaseCoupon(user, body) {
+      if (!body.stationId || !(body.amount > 0) || !body.fuelType) {
+        return fail(400, 'stationId, amount and fuelType are required');
+      }
+
+      const coupon = {
+        id: randomUUID(),
+        qrCode: `QR-${randomUUID()}`,
+        userId: user.id,
+        stationId: body.stationId,
+        amount: body.amount,
+        fuelType: body.fuelType,
+        paymentMethod: body.paymentMethod,
+        status: 'ACTIVE',
+        ticketsGenerated: 0,
+        createdAt: new Date().toISOString(),
+      };
+      coupons.set(coupon.qrCode, coupon);
+      return reply(201, coupon);
+    },
+
+    listCoupons(user, query) {
+      return reply(200, page(couponsOf(user), query));
+    },
+
+    redeemCoupon(user, body) {
+      const coupon = coupons.get(body.qrCode);
+      if (!coupon || coupon.userId !== user.id) {
+        return fail(404, 'Coupon not found');
+      }
+      if (coupon.status === 'REDEEMED') {
+        return fail(409, 'Coupon already redeemed');
+      }
+
+      coupon.status = 'REDEEMED';
+      coupon.redeemedAt = new Date().toISOString();
+      coupon.ticketsGenerated = Math.max(1, Math.floor(coupon.amount / TICKET_VALUE));
+
+      const redemption = { id: randomUUID(), userId: user.id, couponId: coupon.id, adWatched: false };
+      redemptions.set(redemption.id, redemption);
+
+      return reply(200, {
+        redemptionId: redemption.id,
+        couponId: coupon.id,
+        stationId: body.stationId || coupon.stationId,
+        fuelAmount: body.fuelAmount,
+        totalAmount: body.fuelAmount * body.pricePerLiter,
+        ticketsGenerated: coupon.ticketsGenerated,
+        redeemedAt: coupon.redeemedAt,
+      });
+    },
+
+    startRedemption(user, body) {
+      const { payload, error } = verifyQrToken(body.qrCode, qrSecret);
+      if (error) {
+        return fail(400, error);
+      }
+      if (usedNonces.has(payload.n)) {
+        return fail(409, 'QR token already used');
+      }
+      if (!STATIONS.some((station) => station.id === payload.s)) {
+        return fail(404, 'Station not found');
+      }
+
+      usedNonces.add(payload.n);
+      const redemption = {
+        id: randomUUID(),
+        userId: user.id,
+        stationId: payload.s,
+        dispenserId: payload.d,
+        adWatched: false,
+      };
+      redemptions.set(redemption.id, redemption);
+
+      return reply(200, {
+        redemptionId: redemption.id,
+        stationId: redemption.stationId,
+        dispenserId: redemption.dispenserId,
+        adUrl: AD_URL,
+      });
+    },
+
+    confirmAdWatched(user, body) {
+      const redemption = redemptions.get(body.redemptionId);
+      if (!redemption || redemption.userId !== user.id) {
+        return fail(404, 'Redemption not found');
+      }
+      if (redemption.adWatched) {
+        return fail(409, 'Ad already confirmed');
+      }
+
+      redemption.adWatched = true;
+      return reply(200, { redemptionId: redemption.id, status: 'CONFIRMED', pointsCredited: AD_POINTS });
+    },
+
+    couponStatistics(user) {
+      const owned = couponsOf(user);
+      return reply(200, {
+        totalCoupons: owned.length,
+        activeCoupons: owned.filter((coupon) => coupon.status === 'ACTIVE').length,
+        redeemedCoupons: owned.filter((coupon) => coupon.status === 'REDEEMED').length,
+        totalSpent: owned.reduce((sum, coupon) => sum + coupon.amount, 0),
+      });
+    },
+
+    activeRaffles() {
+      return reply(200, { raffles: RAFFLES.map((raffle) => ({ ...raffle, status: 'ACTIVE' })) });
+    },
+
+    participate(user, body) {
+      const raffle = RAFFLES.find((candidate) => candidate.id === body.raffleId);
+      if (!raffle) {
+        return fail(404, 'Raffle not found');
+      }
+      const ticketsToUse = body.ticketsToUse || raffle.ticketCost;
+      if (ticketBalance(user).available < ticketsToUse) {
+        return fail(400, 'Not enough tickets');
+      }
+
+      const entry = { id: randomUUID(), raffleId: raffle.id, userId: user.id, ticketsUsed: ticketsToUse };
+      participations.push(entry);
+      return reply(200, {
+        participationId: entry.id,
+        raffleId: raffle.id,
+        ticketsUsed: ticketsToUse,
+        remainingTickets: ticketBalance(user).available,
+      });
+    },
+
+    dashboard(user) {
+      const owned = couponsOf(user);
+      const tickets = ticketBalance(user);
+      return reply(200, {
+        totalCoupons: owned.length,
+        activeCoupons: owned.filter((coupon) => coupon.status === 'ACTIVE').length,
+        totalTickets: tickets.earned,
+        availableTickets: tickets.available,
+        totalSpent: owned.reduce((sum, coupon) => sum + coupon.amount, 0),
+      });
+    },
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Generates the k6 data fixtures from the development seed data.
+ *
+ *   node scripts/generate-fixtures.js [--users 1000] [--seed gasolinera] [--out fixtures]
+ *
+ * Stations are read from ops/scripts/dev/seed.ts so the load tests only use
+ * ids that exist in a seeded database. Users follow the perftest account
+ * pattern of the token pool; their names are derived from --seed, so the same
+ * seed always yields the same files.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRandom } from '../lib/random.js';
+import { toCsv } from '../lib/csv.js';
+
+const K6_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const SEED_FILE = resolve(K6_DIR, '../../ops/scripts/dev/seed.ts');
+
+const PROVINCES = {
+  SJO: 'San José',
+  ALA: 'Alajuela',
+  CAR: 'Cartago',
+  HER: 'Heredia',
+  GUA: 'Guanacaste',
+  PUN: 'Puntarenas',
+  LIM: 'Limón',
+};
+
+// Reference prices per litre in colones
+const FUEL_TYPES = [
+  { code: 'REGULAR', name: 'Regular', pricePerLiter: 690 },
+  { code: 'PREMIUM', name: 'Súper', pricePerLiter: 720 },
+  { code: 'DIESEL', name: 'Diésel', pricePerLiter: 650 },
+];
+
+// Coupons are sold in multiples of ₡5000
+const COUPON_AMOUNTS = [5000, 10000, 15000, 20000, 25000, 30000, 40000, 50000];
+
+const FIRST_NAMES = ['María', 'José', 'Ana', 'Luis', 'Sofía', 'Carlos', 'Valeria', 'Andrés', 'Daniela', 'Diego', 'Gabriela', 'Fabián'];
+const LAST_NAMES = ['Rodríguez', 'Vargas', 'Jiménez', 'Mora', 'Rojas', 'Araya', 'Solís', 'Chaves', 'Alfaro', 'Quesada', 'Castro', 'Campos'];
+
+function parseArgs(argv) {
+  const args = { users: 1000, seed: 'gasolinera', out: resolve(K6_DIR, 'fixtures') };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === '--users') args.users = parseInt(value, 10);
+    else if (flag === '--seed') args.seed = value;
+    else if (flag === '--out') args.out = resolve(process.cwd(), value);
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  if (!(args.users > 0) || args.users > 10000) {
+    throw new Error('--users must be between 1 and 10000');
+  }
+  return args;
+}
+
+/**
+ * Extracts the `stationsData` entries of the seed script.
+ * @param {string} source
+ */
+function readSeedStations(source) {
+  const pattern = /\{\s*id:\s*'([^']+)',\s*name:\s*'([^']+)',\s*location:\s*'([^']+)'\s*\}/g;
+  const stations = [];
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const [latitude, longitude] = match[3].split(',').map((part) => parseFloat(part.trim()));
+    stations.push({
+      id: match[1],
+      name: match[2],
+      latitude,
+      longitude,
+      province: PROVINCES[match[1].split('-')[1]] || null,
+    });
+  }
+  if (stations.length === 0) {
+    throw new Error(`No stations found in ${SEED_FILE}`);
+  }
+  return stations;
+}
+
+function generateUsers(count, seed) {
+  const random = createRandom(`${seed}:users`);
+  const users = [];
+  for (let i = 0; i < count; i++) {
+    users.push({
+      // Must match testUser() in lib/data.js
+      email: `perftest.user.${i}@gasolinera-test.com`,
+      phone: `+5067777${String(i).padStart(4, '0')}`,
+      firstName: random.pick(FIRST_NAMES),
+      lastName: random.pick(LAST_NAMES),
+    });
+  }
+  return users;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const stations = readSeedStations(readFileSync(SEED_FILE, 'utf8'));
+  const users = generateUsers(args.users, args.seed);
+
+  mkdirSync(args.out, { recursive: true });
+  writeFileSync(resolve(args.out, 'stations.json'), `${JSON.stringify(stations, null, 2)}\n`);
+  writeFileSync(resolve(args.out, 'users.csv'), toCsv(users, ['email', 'phone', 'firstName', 'lastName']));
+  writeFileSync(resolve(args.out, 'fuel-types.json'), `${JSON.stringify(FUEL_TYPES, null, 2)}\n`);
+  writeFileSync(resolve(args.out, 'coupon-amounts.json'), `${JSON.stringify(COUPON_AMOUNTS)}\n`);
+
+  console.log(`Wrote ${stations.length} stations and ${users.length} users to ${args.out}`);
+}
+
+main();
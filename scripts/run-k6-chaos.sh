@@ -0,0 +1,88 @@
+#!/bin/bash
+
+# Runs the resilience suite through the fault-injecting chaos proxy.
+# Without CHAOS_TARGET the in-memory mock backend is started and used as the upstream.
+# Usage: ./scripts/run-k6-chaos.sh [extra k6 args...]
+# Example: CHAOS_WINDOW=30s-2m CHAOS_RESET_RATE=0.1 ./scripts/run-k6-chaos.sh -e CHAOS_DURATION=3m
+
+set -e
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+print_status() {
+    echo -e "${BLUE}[INFO]${NC} $1"
+}
+
+print_success() {
+    echo -e "${GREEN}[SUCCESS]${NC} $1"
+}
+
+print_error() {
+    echo -e "${RED}[ERROR]${NC} $1"
+}
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_ROOT="$(dirname "$SCRIPT_DIR")"
+K6_DIR="$PROJECT_ROOT/performance-tests/k6"
+
+export MOCK_PORT="${MOCK_PORT:-18080}"
+export CHAOS_PORT="${CHAOS_PORT:-18888}"
+PROXY_URL="http://localhost:${CHAOS_PORT}"
+
+# Fault defaults: only the coupon and raffle routes, between minute 1 and 3
+export CHAOS_WINDOW="${CHAOS_WINDOW:-1m-3m}"
+export CHAOS_ROUTES="${CHAOS_ROUTES:-/coupons,/raffles}"
+export CHAOS_LATENCY_MS="${CHAOS_LATENCY_MS:-20-300}"
+export CHAOS_ERROR_RATE="${CHAOS_ERROR_RATE:-0.1}"
+export CHAOS_ERROR_STATUS="${CHAOS_ERROR_STATUS:-429,503}"
+export CHAOS_RESET_RATE="${CHAOS_RESET_RATE:-0.05}"
+export CHAOS_TRUNCATE_RATE="${CHAOS_TRUNCATE_RATE:-0.05}"
+
+for tool in node k6 curl; do
+    if ! command -v "$tool" &> /dev/null; then
+        print_error "$tool is required"
+        exit 1
+    fi
+done
+
+PIDS=()
+trap 'kill "${PIDS[@]}" 2> /dev/null || true' EXIT
+
+wait_for() {
+    for _ in $(seq 1 20); do
+        if curl -sf "$1" > /dev/null; then
+            return 0
+        fi
+        sleep 0.5
+    done
+    curl -sf "$1" > /dev/null
+}
+
+if [ -z "$CHAOS_TARGET" ]; then
+    export CHAOS_TARGET="http://localhost:${MOCK_PORT}"
+    print_status "Starting mock backend on port ${MOCK_PORT}..."
+    node "$K6_DIR/mock-server/server.js" &
+    PIDS+=($!)
+    if ! wait_for "${CHAOS_TARGET}/actuator/health"; then
+        print_error "Mock backend did not start"
+        exit 1
+    fi
+fi
+
+print_status "Starting chaos proxy on port ${CHAOS_PORT} in front of ${CHAOS_TARGET}..."
+node "$K6_DIR/mock-server/chaos-proxy.js" &
+PIDS+=($!)
+if ! wait_for "${PROXY_URL}/__chaos"; then
+    print_error "Chaos proxy did not start"
+    exit 1
+fi
+
+print_status "Running chaos-test-suite.js against ${PROXY_URL}..."
+cd "$K6_DIR"
+k6 run -e BASE_URL="$PROXY_URL" "$@" chaos-test-suite.js
+
+print_success "Resilience run completed, see chaos-resilience-report.md"
@@ -0,0 +1,86 @@
+#!/bin/bash
+
+# Runs a k6 suite against the in-memory mock backend (no network or services needed).
+# The RedemptionService gRPC stub is started too once `npm install` has run in performance-tests/k6.
+# Usage: ./scripts/run-k6-offline.sh [suite.js] [extra k6 args...]
+#        (or `npm run offline -- [suite.js] [extra k6 args...]` in performance-tests/k6)
+# Example: MOCK_LATENCY_MS=20-80 MOCK_ERROR_RATE=0.02 ./scripts/run-k6-offline.sh load-test-suite.js -e TEST_TYPE=smoke
+
+set -e
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+print_status() {
+    echo -e "${BLUE}[INFO]${NC} $1"
+}
+
+print_success() {
+    echo -e "${GREEN}[SUCCESS]${NC} $1"
+}
+
+print_error() {
+    echo -e "${RED}[ERROR]${NC} $1"
+}
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_ROOT="$(dirname "$SCRIPT_DIR")"
+K6_DIR="$PROJECT_ROOT/performance-tests/k6"
+
+SUITE="${1:-load-test-suite.js}"
+shift || true
+
+export MOCK_PORT="${MOCK_PORT:-18080}"
+MOCK_URL="http://localhost:${MOCK_PORT}"
+export GRPC_STUB_PORT="${GRPC_STUB_PORT:-19090}"
+GRPC_STUB_PID=""
+
+for tool in node k6 curl; do
+    if ! command -v "$tool" &> /dev/null; then
+        print_error "$tool is required"
+        exit 1
+    fi
+done
+
+print_status "Starting mock backend on port ${MOCK_PORT}..."
+node "$K6_DIR/mock-server/server.js" &
+MOCK_PID=$!
+trap 'kill $MOCK_PID $GRPC_STUB_PID 2> /dev/null || true' EXIT
+
+for _ in $(seq 1 20); do
+    if curl -sf "${MOCK_URL}/actuator/health" > /dev/null; then
+        break
+    fi
+    sleep 0.5
+done
+
+if ! curl -sf "${MOCK_URL}/actuator/health" > /dev/null; then
+    print_error "Mock backend did not start"
+    exit 1
+fi
+
+GRPC_ARGS=()
+if [ -d "$K6_DIR/node_modules/@grpc/grpc-js" ]; then
+    print_status "Starting RedemptionService gRPC stub on port ${GRPC_STUB_PORT}..."
+    node "$K6_DIR/mock-server/grpc-server.js" &
+    GRPC_STUB_PID=$!
+
+    for _ in $(seq 1 20); do
+        if (echo > "/dev/tcp/localhost/${GRPC_STUB_PORT}") 2> /dev/null; then
+            break
+        fi
+        sleep 0.5
+    done
+    GRPC_ARGS=(-e GRPC_ADDR="localhost:${GRPC_STUB_PORT}")
+else
+    print_status "gRPC stub not installed (npm install in performance-tests/k6), skipping it"
+fi
+
+print_status "Running ${SUITE} against ${MOCK_URL}..."
+cd "$K6_DIR"
+k6 run -e BASE_URL="$MOCK_URL" "${GRPC_ARGS[@]}" "$@" "$SUITE"
+
+print_success "Offline run completed"
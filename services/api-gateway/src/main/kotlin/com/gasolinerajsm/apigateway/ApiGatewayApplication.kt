@@ -37,7 +37,7 @@ class ApiGatewayApplication {
                     .uri("http://localhost:8086")
             }
             .route("message-improver") { r ->
-                r.path("/api/messages/**")
+                r.path("/api/messages/**", "/api/v1/messages/**")
                     .uri("http://localhost:8087")
             }
             .build()
@@ -50,7 +50,7 @@ class SimpleApiGatewayApplication {
                     .uri("http://localhost:8096")
             }
             .route("message-improver") { r ->
-                r.path("/api/messages/**")
+                r.path("/api/messages/**", "/api/v1/messages/**")
                     .uri("http://localhost:8097")
             }
             .build()